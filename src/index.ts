@@ -96,6 +96,48 @@ export class JSFEExecutionError extends Error {
   }
 }
 
+// === FLOW STEP ERROR ===
+// Thrown inside TRY blocks for failures that otherwise end the flow with a message
+// (tool failure without onFail, missing sub-flow, failed SET expression), so that
+// the enclosing TRY step's catch section can handle them.
+export class FlowStepError extends Error {
+  constructor(message: string, public readonly code: string, public readonly stepId?: string) {
+    super(message);
+    this.name = 'FlowStepError';
+  }
+}
+
+// === EXPRESSION SECURITY ERROR ===
+// Thrown when a flow expression tries to reach something outside the expression
+// sandbox (prototype chains, globals, disallowed methods) or matches a blocked pattern.
+export class ExpressionSecurityError extends Error {
+  constructor(message: string, public readonly expression?: string) {
+    super(message);
+    this.name = 'ExpressionSecurityError';
+  }
+}
+
+// === TOOL OUTPUT VALIDATION ERROR ===
+// Thrown when a tool result (after responseMapping) does not match the tool's outputSchema,
+// so a malformed API body fails the CALL-TOOL step instead of reaching later steps.
+// retryOnConditions can match it by name; TRY catch sections see code 'tool_output_invalid'.
+export class ToolOutputValidationError extends Error {
+  constructor(
+    message: string,
+    public readonly toolId: string,
+    public readonly validationErrors: string[],
+    public readonly output?: unknown
+  ) {
+    super(message);
+    this.name = 'ToolOutputValidationError';
+  }
+}
+
+// How flow expressions are evaluated (see WorkflowEngine.expressionMode and FlowDefinition.expressionMode):
+// 'sandbox' - only the sandboxed interpreter; unsupported syntax is an error (default)
+// 'compat'  - sandboxed interpreter first, legacy JavaScript evaluation for syntax it cannot parse
+export type ExpressionMode = 'sandbox' | 'compat';
+
 export interface Logger {
   info(message: string, ...args: unknown[]): void;
   warn(message: string, ...args: unknown[]): void;
@@ -132,6 +174,7 @@ const DEFAULT_MESSAGE_REGISTRY: MessageRegistry = {
     flow_resumed_with_guidance: "Resuming {{flowPrompt}} - Type 'cancel flow' or 'help' for options.",
     flow_completed: "{{flowPrompt}} completed successfully.",
     flow_completed_generic: "Flow completed.",
+    handoff_started: "Let me transfer you to a live agent.",
     flow_cancelled: "Cancelled {{flowPrompt}}.",
     flow_help_general: "Processing {{flowPrompt}} - You can also 'cancel flow' or request 'help'.",
     flow_help_payment: "Processing {{flowPrompt}} - You can also 'cancel flow' or request 'help'.",
@@ -143,10 +186,39 @@ const DEFAULT_MESSAGE_REGISTRY: MessageRegistry = {
     switch_no_branch_found: "SWITCH step: no branch found for value '{{switchValue}}' and no default branch defined",
     tool_failed: "Tool \"{{toolName}}\" failed: {{errorMessage}}",
     subflow_not_found: "Sub-flow \"{{subFlowName}}\" not found.",
+    goto_target_not_found: "Step \"{{target}}\" not found in {{flowPrompt}}.",
+    goto_limit_exceeded: "Too many repeats of step \"{{target}}\" - stopping {{flowPrompt}}.",
+    template_unresolved: "No value for \"{{template}}\".",
     flow_switch_error: "Cannot switch to \"{{targetFlow}}\" - flow definition not found.\n\nReturning to main menu.",
     flow_not_found: "Could not start \"{{targetFlow}}\" - flow not found.",
     flow_switch_general_error: "I encountered an error while switching flows: {{errorMessage}}. Please try again or contact support if the issue persists.",
 
+    // Typed SAY-GET input validation
+    input_invalid_number: "Please enter a number.",
+    input_invalid_integer: "Please enter a whole number.",
+    input_invalid_email: "Please enter a valid email address.",
+    input_invalid_phone: "Please enter a valid phone number.",
+    input_invalid_date: "Please enter a valid date.",
+    input_invalid_yes_no: "Please answer yes or no.",
+    input_invalid_choice: "Please choose one of: {{options}}.",
+    input_invalid_regex: "That doesn't look right. Please try again.",
+    input_invalid_min: "Please enter a value of at least {{min}}.",
+    input_invalid_max: "Please enter a value of at most {{max}}.",
+    input_invalid_range: "Please enter a value between {{min}} and {{max}}.",
+    input_attempts_exhausted: "Too many invalid answers - stopping {{flowPrompt}}.",
+    input_timeout: "No reply received - stopping {{flowPrompt}}.",
+    form_ask_slot: "What is your {{label}}?",
+    form_confirm: "Please confirm: {{summary}}. Is that correct?",
+    form_ask_correction: "What would you like to change?",
+    form_confirm_invalid: "Please answer yes or no, or tell me what to change.",
+    confirm_question: "Do you want to go ahead with {{flowPrompt}}?",
+    confirm_declined: "OK - {{flowPrompt}} was not completed.",
+    confirmation_required: "{{toolName}} needs your confirmation first - stopping {{flowPrompt}}.",
+    choice_invalid: "Please choose one of the options by number or name.",
+    choice_voice_options: "Say {{options}}.",
+    choice_voice_option: "{{number}} for {{label}}",
+    choice_voice_or: "or",
+
     // System Commands
     cmd_flow_exited: "Successfully exited {{flowName}}. How can I help you with something else?",
     cmd_help_title: "Flow Help - {{flowName}}",
@@ -178,6 +250,7 @@ const DEFAULT_MESSAGE_REGISTRY: MessageRegistry = {
     flow_resumed_with_guidance: "Continuando {{flowPrompt}} - Escriba 'cancelar flujo' o 'ayuda' para opciones.",
     flow_completed: "{{flowPrompt}} completado exitosamente.",
     flow_completed_generic: "Flujo completado.",
+    handoff_started: "Le transfiero a un agente en vivo.",
     flow_cancelled: "{{flowPrompt}} cancelado.",
     flow_help_general: "Procesando {{flowPrompt}} - También puede 'cancelar flujo' o solicitar 'ayuda'.",
     flow_help_payment: "Procesando {{flowPrompt}} - También puede 'cancelar flujo' o solicitar 'ayuda'.",
@@ -189,10 +262,39 @@ const DEFAULT_MESSAGE_REGISTRY: MessageRegistry = {
     switch_no_branch_found: "Paso SWITCH: no se encontró rama para el valor '{{switchValue}}' y no se definió rama por defecto",
     tool_failed: "Herramienta \"{{toolName}}\" falló: {{errorMessage}}",
     subflow_not_found: "Sub-flujo \"{{subFlowName}}\" no encontrado.",
+    goto_target_not_found: "Paso \"{{target}}\" no encontrado en {{flowPrompt}}.",
+    goto_limit_exceeded: "Demasiadas repeticiones del paso \"{{target}}\" - deteniendo {{flowPrompt}}.",
+    template_unresolved: "No hay valor para \"{{template}}\".",
     flow_switch_error: "No se puede cambiar a \"{{targetFlow}}\" - definición de flujo no encontrada.\n\nRegresando al menú principal.",
     flow_not_found: "No se pudo iniciar \"{{targetFlow}}\" - flujo no encontrado.",
     flow_switch_general_error: "Encontré un error al cambiar flujos: {{errorMessage}}. Por favor intente de nuevo o contacte soporte si el problema persiste.",
 
+    // Validación de entradas tipadas en SAY-GET
+    input_invalid_number: "Por favor ingrese un número.",
+    input_invalid_integer: "Por favor ingrese un número entero.",
+    input_invalid_email: "Por favor ingrese un correo electrónico válido.",
+    input_invalid_phone: "Por favor ingrese un número de teléfono válido.",
+    input_invalid_date: "Por favor ingrese una fecha válida.",
+    input_invalid_yes_no: "Por favor responda sí o no.",
+    input_invalid_choice: "Por favor elija una de: {{options}}.",
+    input_invalid_regex: "Eso no parece correcto. Por favor inténtelo de nuevo.",
+    input_invalid_min: "Por favor ingrese un valor de al menos {{min}}.",
+    input_invalid_max: "Por favor ingrese un valor de como máximo {{max}}.",
+    input_invalid_range: "Por favor ingrese un valor entre {{min}} y {{max}}.",
+    input_attempts_exhausted: "Demasiadas respuestas no válidas - deteniendo {{flowPrompt}}.",
+    input_timeout: "No se recibió respuesta - deteniendo {{flowPrompt}}.",
+    form_ask_slot: "¿Cuál es su {{label}}?",
+    form_confirm: "Por favor confirme: {{summary}}. ¿Es correcto?",
+    form_ask_correction: "¿Qué le gustaría cambiar?",
+    form_confirm_invalid: "Por favor responda sí o no, o dígame qué cambiar.",
+    confirm_question: "¿Desea continuar con {{flowPrompt}}?",
+    confirm_declined: "De acuerdo - {{flowPrompt}} no se completó.",
+    confirmation_required: "{{toolName}} necesita su confirmación primero - deteniendo {{flowPrompt}}.",
+    choice_invalid: "Por favor elija una de las opciones por número o nombre.",
+    choice_voice_options: "Diga {{options}}.",
+    choice_voice_option: "{{number}} para {{label}}",
+    choice_voice_or: "o",
+
     // System Commands
     cmd_flow_exited: "Salió exitosamente de {{flowName}}. ¿Cómo puedo ayudarle con algo más?",
     cmd_help_title: "Ayuda del Flujo - {{flowName}}",
@@ -238,6 +340,19 @@ const COMMAND_SYNONYMS: Record<string, Record<string, string[]>> = {
   }
 };
 
+// === INTERNATIONALIZED YES/NO ANSWERS ===
+// Replies accepted for yes/no questions (typed SAY-GET inputType 'yes_no', CONFIRM and FORM confirmations)
+const YES_NO_SYNONYMS: Record<string, { yes: string[]; no: string[] }> = {
+  en: {
+    yes: ['yes', 'y', 'yeah', 'yep', 'yup', 'sure', 'ok', 'okay', 'correct', 'right', 'affirmative', 'of course', 'true', '1'],
+    no: ['no', 'n', 'nope', 'nah', 'not really', 'incorrect', 'wrong', 'negative', 'false', '0']
+  },
+  es: {
+    yes: ['sí', 'si', 's', 'claro', 'vale', 'de acuerdo', 'correcto', 'por supuesto', 'afirmativo', 'ok'],
+    no: ['no', 'n', 'nop', 'para nada', 'incorrecto', 'negativo']
+  }
+};
+
 // === INTERNATIONALIZED COMMAND HELPERS ===
 
 /**
@@ -285,6 +400,40 @@ function isCommand(engine: Engine, input: string, command: string): boolean {
   });
 }
 
+/**
+ * Normalize a yes/no answer in the current language, then English, then any
+ * other supported language (a bilingual caller may answer "sí" in an English
+ * session). With `allowLeading`, a reply that starts with an answer ("yes, go ahead",
+ * "no thanks") also counts. Returns undefined when the reply is neither.
+ */
+function parseYesNo(engine: Engine, input: string, allowLeading = false): boolean | undefined {
+  const text = String(input ?? '').toLowerCase();
+  const answer = text.replace(/[.!?¡¿,]/g, '').trim();
+  const lang = engine.getSessionLanguage() || engine.language || 'en';
+  const languages = [...new Set([lang, 'en', ...Object.keys(YES_NO_SYNONYMS)])];
+
+  for (const synonyms of languages.map(language => YES_NO_SYNONYMS[language])) {
+    if (!synonyms) continue;
+    if (synonyms.yes.includes(answer)) return true;
+    if (synonyms.no.includes(answer)) return false;
+  }
+  if (!allowLeading) {
+    return undefined;
+  }
+
+  const sentence = `${text.replace(/[.!?¡¿,;:]/g, ' ').replace(/\s+/g, ' ').trim()} `;
+
+  // Leading answers only use whole words - "1", "y" or "n" at the start of a sentence mean nothing
+  for (const synonyms of languages.map(language => YES_NO_SYNONYMS[language])) {
+    if (!synonyms) continue;
+    const leads = (words: string[]) => words.some(word => word.length > 1 && !/^\d+$/.test(word) && sentence.startsWith(`${word} `));
+    const yes = leads(synonyms.yes);
+    const no = leads(synonyms.no);
+    if (yes !== no) return yes;
+  }
+  return undefined;
+}
+
 /**
  * Detect any system command in the input
  */
@@ -431,7 +580,9 @@ export function getFlowPrompt(engine: Engine, flowName: string): string {
 }
 
 // === TYPE DEFINITIONS ===
-export type StepType = 'SAY' | 'SAY-GET' | 'SET' | 'CALL-TOOL' | 'FLOW' | 'SWITCH' | 'CASE' | 'RETURN' | 'END';
+export type StepType = 'SAY' | 'SAY-GET' | 'SET' | 'CALL-TOOL' | 'FLOW' | 'SWITCH' | 'CASE' | 'RETURN' | 'END' | 'FOREACH' | 'PARALLEL' | 'CHOICE' | 'TRY' | 'GOTO' | 'HANDOFF' | 'FORM' | 'CONFIRM' | 'EMIT';
+
+export type InputType = 'number' | 'integer' | 'email' | 'phone' | 'date' | 'yes_no' | 'choice' | 'regex';
 
 // Enhanced context tracking with role information
 export interface ContextEntry {
@@ -463,6 +614,8 @@ export type AiCallbackFunction = ((systemInstruction: string, userMessage: strin
  * @property {TransactionData[]} [completedTransactions] - Completed transactions for host access
  * @property {Record<string, unknown> | undefined} cargo - Additional session data for host use
  * @property {FlowOutcome} [lastFlowOutcome] - Declared outcome of a flow that TERMINATED this turn (one-shot, cleared at the start of each updateActivity)
+ * @property {EscalationPackage} [lastHandoff] - Escalation package of a HANDOFF step run this turn (one-shot, like lastFlowOutcome)
+ * @property {FlowEvent[]} [events] - Events published by EMIT steps this turn, in order (one-shot, like lastFlowOutcome)
  */
 export interface EngineSessionContext {
   sessionId: string;
@@ -479,8 +632,27 @@ export interface EngineSessionContext {
   language?: string; // Language for this session
   hasTentativeFlowInit?: boolean; // Flag to track if tentative flow_init message should be dropped by SAY-GET
   lastFlowOutcome?: FlowOutcome; // Declared outcome of a flow that terminated THIS turn (one-shot)
+  lastHandoff?: EscalationPackage; // Escalation package of a HANDOFF step run THIS turn (one-shot)
+  events?: FlowEvent[]; // Events published by EMIT steps THIS turn (one-shot)
+}
+
+/**
+ * Event published by an EMIT step. Delivered to engine.on() subscribers while
+ * the flow runs, and queued in sessionContext.events for the turn in which it
+ * was emitted.
+ */
+export interface FlowEvent {
+  name: string;
+  payload: unknown; // The step's `payload` with {{variables}} interpolated
+  flowName: string;
+  stepId?: string;
+  sessionId: string;
+  userId: string;
+  timestamp: string; // ISO time the EMIT step ran
 }
 
+export type FlowEventHandler = (event: FlowEvent) => void | Promise<void>;
+
 /**
  * Host-facing outcome a flow declares about its own ending, via an optional
  * `outcome` (+ `reason`) attribute on a terminal step (RETURN / END / final SAY):
@@ -502,7 +674,34 @@ export interface FlowOutcome {
   flowName: string;
   outcome: string;
   reason?: string;
-  endedBy: 'return' | 'completion'; // RETURN terminates all flows; completion = frame ran out of steps (incl. after END)
+  endedBy: 'return' | 'completion' | 'handoff'; // RETURN/HANDOFF terminate all flows; completion = frame ran out of steps (incl. after END)
+}
+
+/**
+ * Everything a human agent needs to pick up a conversation, produced by a
+ * HANDOFF step and exposed to the host as the one-shot
+ * sessionContext.lastHandoff. Flow outcomes are also stamped: the flow that
+ * ran the HANDOFF ends with outcome 'handoff' and the same reason.
+ */
+export interface EscalationPackage {
+  reason: string;
+  queue?: string; // Agent desk queue, from the step's `queue`
+  flowName: string; // Flow that ran the HANDOFF step
+  stepId?: string;
+  userId: string;
+  sessionId?: string;
+  language?: string;
+  createdAt: string; // ISO timestamp
+  flowStack: Array<{
+    flowName: string;
+    flowId: string;
+    transactionId: string;
+    nextStepId?: string; // Step the flow would have run next
+    interrupted: boolean; // Suspended by another flow rather than part of the active stack
+  }>; // Outermost flow first
+  variables: Record<string, unknown>; // Flow variables, sensitive ones replaced by "[REDACTED]"
+  transcript: unknown[] | string; // Conversation within the active flows (see exportConversationHistory)
+  transactionIds: string[];
 }
 
 export interface FlowStep {
@@ -516,17 +715,79 @@ export interface FlowStep {
   [key: string]: unknown; // Allow for value-xx properties and future extensions
   name?: string;
   callType?: 'call' | 'replace' | 'reboot';
-  branches?: Record<string, FlowStep>;  // SWITCH branches contain single steps, not arrays
+  branches?: Record<string, FlowStep | FlowStep[]>;  // A branch is a single step or a list of steps run in order
   _branchOrder?: string[];  // Preserved key order for branches - survives unordered serialization (e.g. DynamoDB Maps)
   onFail?: FlowStep;
   retryCount?: number;
 
+  // FOREACH loop configuration
+  items?: unknown; // Expression (or literal array) resolving to the array to iterate
+  as?: string; // Variable that receives the current item
+  index?: string; // Optional variable that receives the zero-based position
+  do?: FlowStep[] | FlowStep | string; // Loop body: step list, single step, or sub-flow name
+  _foreach?: ForeachState; // Runtime loop state carried by the continuation step (serializable)
+
+  // PARALLEL configuration (TRY also uses `steps`, for its protected section)
+  steps?: FlowStep[]; // CALL-TOOL branches run concurrently
+  mode?: 'all' | 'any' | 'allSettled'; // When the group counts as successful (default: all)
+  timeout?: number; // Group timeout in milliseconds (0 / absent = no timeout)
+
+  // FLOW sub-flow call options (`variable` receives the sub-flow's output)
+  isolateVariables?: boolean; // Overrides the sub-flow's own isolateVariables setting
+
+  // Typed SAY-GET input - replies are parsed and validated, invalid ones re-ask the question
+  inputType?: InputType; // Parsed value (number, boolean, ISO date, ...) is stored instead of the raw reply
+  min?: number | string; // Lower bound for number/integer, or ISO date (YYYY-MM-DD) for date
+  max?: number | string; // Upper bound for number/integer, or ISO date (YYYY-MM-DD) for date
+  pattern?: string; // Regex the reply must match (inputType: regex)
+  options?: Array<string | ChoiceOption>; // Accepted replies (inputType: choice) or CHOICE menu options
+  maxAttempts?: number; // Invalid replies allowed before giving up (default: keep asking)
+  invalidMessage?: string; // Shown before re-asking (supports invalidMessage_xx translations)
+  onExhausted?: FlowStep; // Step run once maxAttempts invalid replies were given
+  _attempts?: number; // Runtime count of invalid replies, carried on the stacked step copy
+
+  // Reply deadline for SAY-GET, CHOICE, FORM and CONFIRM - enforced when the host calls engine.tick()
+  timeoutMs?: number; // Milliseconds to wait for a reply, counted from the session's lastActivity
+  onTimeout?: FlowStep; // Step run instead when no reply arrived in time (default: stop the current flow)
+
+  // CHOICE menu configuration (static `options`, or `items` + `label` template; `as`/`index` as for FOREACH)
+  label?: string; // Label template for `items` entries, e.g. "{{item.title}} - ${{item.price}}" (supports label_xx)
+  aiMatch?: boolean; // Ask the aiCallback which option an otherwise unmatched reply meant - one AI call per such reply (default: false)
+  _choice?: ChoiceState; // Options rendered on first display, carried on the stacked step copy
+
+  // FORM configuration (`variable` receives an object with the slot values, `value` is an optional intro)
+  slots?: FormSlot[];
+  confirm?: boolean; // Ask the user to confirm the collected values before completing (default: true)
+  aiExtract?: boolean; // Use aiCallback to extract slot values from free-text replies (default: true)
+  _form?: FormState; // Collected values and phase, carried on the stacked step copy
+
+  // CONFIRM configuration (`value` is the summary/question, `variable` receives true/false - default: confirmed)
+  onYes?: FlowStep | FlowStep[]; // Runs when the user confirms (default: continue with the next step)
+  onNo?: FlowStep | FlowStep[]; // Runs when the user declines (default: stop the current flow)
+
+  // TRY block configuration (`variable` names the error variable, default: error)
+  catch?: FlowStep[] | FlowStep; // Runs when a step in `steps` fails
+  finally?: FlowStep[] | FlowStep; // Runs after `steps`/`catch`, whether or not they failed
+  _try?: TryState; // Runtime state carried by the TRY marker beneath the running section
+
+  // HANDOFF configuration (`value` is the message to the user, `reason` also names the outcome reason)
+  queue?: string; // Agent desk queue passed on in the escalation package
+  redact?: string[]; // Extra variable names to redact from the escalation package
+  transcriptFormat?: 'openai' | 'anthropic' | 'simple'; // Transcript format (default: openai)
+
+  // EMIT configuration
+  event?: string; // Event name - declared in the flow's `events`
+  payload?: unknown; // Event payload: a value, object or array whose strings support {{variables}}
+
+  // GOTO configuration (`value` is the id of a top-level step in the same flow)
+  maxJumps?: number; // Jumps allowed per flow frame before the GOTO fails (default: 25)
+
   // Enhanced retry configuration
   maxRetries?: number; // Maximum number of automatic retries
   retryDelay?: number; // Delay between retries in milliseconds
   retryStrategy?: 'immediate' | 'exponential' | 'linear' | 'manual'; // Retry strategy
   retryOnConditions?: Array<{
-    errorPattern: string; // Regex pattern to match error messages
+    errorPattern: string; // Regex pattern to match error messages or names (e.g. "ToolOutputValidationError")
     action: 'retry' | 'skip' | 'ask_user' | 'fallback'; // What to do when this error occurs
     fallbackStep?: FlowStep; // Alternative step to execute
   }>;
@@ -542,6 +803,87 @@ export interface FlowStep {
   };
 }
 
+/**
+ * Static option of a CHOICE step. The selected option object is stored in the
+ * step's variable (string options are stored as-is).
+ */
+export interface ChoiceOption {
+  value?: unknown;
+  label?: string; // Display text (label_xx translations supported), defaults to String(value)
+  synonyms?: string[]; // Extra replies that select this option (synonyms_xx translations supported)
+  [key: string]: unknown;
+}
+
+/**
+ * Options of a CHOICE step as rendered to the user. Snapshotted on first display
+ * so that replies are matched against exactly what was shown, across turns.
+ */
+export interface ChoiceState {
+  options: Array<{
+    label: string;
+    synonyms: string[];
+    item: unknown; // Value stored when this option is selected
+  }>;
+}
+
+/**
+ * A field collected by a FORM step. `type` is one of the typed SAY-GET input
+ * types (validated the same way, with `min`/`max`/`pattern`/`options`), or
+ * 'string' for free text.
+ */
+export interface FormSlot {
+  name: string;
+  type?: 'string' | InputType; // Default: string
+  label?: string; // Shown in questions and the confirmation summary (supports label_xx; default: name)
+  prompt?: string; // Question asking for this slot (supports prompt_xx)
+  description?: string; // Hint for AI extraction
+  required?: boolean; // Default: true - optional slots are only filled when volunteered
+  min?: number | string;
+  max?: number | string;
+  pattern?: string;
+  options?: string[];
+  [key: string]: unknown; // label_xx / prompt_xx translations
+}
+
+/**
+ * Progress of a FORM step, carried on the stacked step copy across turns.
+ */
+export interface FormState {
+  values: Record<string, unknown>;
+  phase: 'collect' | 'confirm' | 'correct'; // Asking for slots, asking to confirm, asking what to change
+  asked?: string; // Slot the last question asked for
+  introduced?: boolean; // The step's intro `value` was shown
+}
+
+/**
+ * Error details stored in a TRY step's error variable for its catch section.
+ */
+export interface StepErrorInfo {
+  message: string;
+  code: string; // tool_failed, tool_output_invalid, subflow_not_found, expression_error, template_unresolved, goto_target_not_found, goto_limit_exceeded or step_error
+  stepId?: string; // Step that failed
+}
+
+/**
+ * Runtime state of a TRY step. A marker copy of the step sits beneath the section
+ * that is running (`phase`), so a failure can find its handler on flowStepsStack.
+ */
+export interface TryState {
+  phase: 'try' | 'catch' | 'finally';
+  error?: StepErrorInfo; // Set in 'finally' when the error must be rethrown afterwards
+}
+
+/**
+ * Runtime state of a FOREACH loop. It rides on a continuation copy of the
+ * FOREACH step that sits beneath the loop body on flowStepsStack, so it is
+ * persisted with the session like any other pending step.
+ */
+export interface ForeachState {
+  items: unknown[]; // Snapshot of the resolved array taken on loop entry
+  position: number; // Index of the next item to process
+  saved: Record<string, unknown>; // Pre-loop values of the `as`/`index` variables, restored on exit
+}
+
 export interface TransactionStep {
   stepId: string;
   stepType: StepType;
@@ -684,6 +1026,11 @@ export interface FlowFrame {
   accumulatedMessages?: string[];
   parentTransaction?: string;
   justResumed?: boolean; // Flag to indicate this flow frame was just resumed
+  isolatedVariables?: boolean; // Frame owns its variables instead of sharing the parent's (see FlowDefinition.isolateVariables)
+  returnVariable?: string; // Caller variable (FLOW step `variable`) that receives this flow's output on completion
+  returnValue?: unknown; // Value handed back to the caller by an END step with a `value`
+  gotoJumps?: number; // GOTO jumps taken in this frame (loop guard, see FlowStep.maxJumps)
+  confirmed?: boolean; // Unused CONFIRM yes in this frame - each one lets a single high-risk tool step run
 }
 
 // Engine is now just an alias for WorkflowEngine since we only have one implementation
@@ -714,6 +1061,26 @@ export interface FlowDefinition {
     scope: string;
     value?: unknown; // Initial value for the variable
   }>;
+  // Output contract for sub-flow calls: on completion the listed variables are
+  // returned to the caller's FLOW step `variable` as an object (unless an END
+  // step with a `value` returned something explicitly)
+  outputs?: Record<string, {
+    type?: string;
+    description?: string;
+  }>;
+  isolateVariables?: boolean; // Run as a sub-flow with its own variables instead of sharing the caller's
+  strictTemplates?: boolean; // Overrides engine.strictTemplates while this flow runs
+  expressionMode?: ExpressionMode; // Overrides engine.expressionMode while this flow runs
+  requireConfirmation?: boolean; // Overrides engine.requireConfirmation while this flow runs
+  // Events this flow publishes with EMIT steps (see engine.on and sessionContext.events)
+  events?: Record<string, {
+    description?: string;
+    payload?: Record<string, {
+      type?: string;
+      description?: string;
+    }>;
+  }>;
+
   metadata?: {
     riskLevel?: string;
     category?: string;
@@ -739,8 +1106,9 @@ export interface ToolDefinition {
     required?: string[];
     additionalProperties?: boolean;
   };
+  outputSchema?: Record<string, unknown>; // JSON Schema the result must match after responseMapping
   implementation?: {
-    type: 'local' | 'http';
+    type: 'local' | 'http' | 'graphql' | 'mcp';
     function?: string;
     url?: string;
     method?: HttpMethod;
@@ -748,6 +1116,11 @@ export interface ToolDefinition {
     pathParams?: string[];
     queryParams?: string[];
     headers?: Record<string, string>;
+    query?: string; // GraphQL document (type 'graphql')
+    operationName?: string; // Operation to run when the document defines several
+    variables?: Record<string, unknown>; // GraphQL variables - "$args.path" strings read tool args; defaults to all args
+    server?: string; // McpServerConfig.name of the server that runs the tool (type 'mcp')
+    tool?: string; // Tool name on the MCP server, when it differs from the id
     responseMapping?: MappingConfig;
     timeout?: number;
     retries?: number;
@@ -795,6 +1168,32 @@ export interface ApprovedFunctions {
   [functionName: string]: ((...args: unknown[]) => unknown) | undefined;
 }
 
+// Template filter for pipe syntax: `{{ total | currency:'EUR' }}` calls filter(total, ['EUR'], { locale })
+// where locale is the session language. Register custom filters on engine.templateFilters.
+export type TemplateFilter = (value: unknown, args: unknown[], options: { locale: string }) => unknown;
+
+export interface TemplateFilters {
+  [filterName: string]: TemplateFilter | undefined;
+}
+
+// Host-registered value transform for response mapping. `{ type: 'custom', name: 'maskCard', options: { visible: 4 } }`
+// calls transform(value, options, { args, locale }). Transforms must be pure - same input, same output, no side
+// effects. options is a JSON Schema for the options object, checked by flow validation and before every call.
+export interface CustomTransform {
+  transform: (value: unknown, options: Record<string, unknown>, context: { args: Record<string, unknown>; locale: string }) => unknown;
+  options?: {
+    type: 'object';
+    properties?: Record<string, PropertySchema>;
+    required?: string[];
+    additionalProperties?: boolean;
+  };
+  description?: string;
+}
+
+export interface CustomTransforms {
+  [transformName: string]: CustomTransform | undefined;
+}
+
 export interface SystemContext {
   [key: string]: string | number | boolean | null | undefined;
 }
@@ -855,6 +1254,17 @@ export type TemplateMappingConfig = {
   dataPath?: string; // Optional path to resolve template data from
 };
 
+export type XPathMappingConfig = {
+  type: 'xpath';
+  mappings: Record<string, {
+    path: string;
+    transform?: ValueTransformConfig;
+    fallback?: unknown;
+    multiple?: boolean; // Return every matching node as an array instead of the first match
+  }>;
+  strict?: boolean;
+};
+
 export type ConditionalMappingConfig = {
   type: 'conditional';
   conditions: Array<{
@@ -871,7 +1281,7 @@ export type PathConfig = {
 };
 
 export interface ValueTransformConfig {
-  type: 'parseInt' | 'parseFloat' | 'toLowerCase' | 'toUpperCase' | 'trim' | 'replace' | 'concat' | 'regex' | 'date' | 'default' | 'conditional' | 'substring' | 'split' | 'join' | 'abs' | 'round' | 'floor' | 'ceil' | 'template' | 'sum' | 'average' | 'count' | 'min' | 'max' | 'multiply' | 'divide' | 'percentage' | 'add' | 'subtract' | 'currentYear' | 'yearDifference' | 'handlebars' | 'custom';
+  type: 'parseInt' | 'parseFloat' | 'toLowerCase' | 'toUpperCase' | 'trim' | 'replace' | 'concat' | 'regex' | 'date' | 'default' | 'conditional' | 'substring' | 'split' | 'join' | 'abs' | 'round' | 'floor' | 'ceil' | 'template' | 'sum' | 'average' | 'count' | 'min' | 'max' | 'multiply' | 'divide' | 'percentage' | 'add' | 'subtract' | 'currentYear' | 'yearDifference' | 'handlebars' | 'formatNumber' | 'formatCurrency' | 'formatDate' | 'relativeTime' | 'formatPhone' | 'custom';
   fallback?: unknown;
   prefix?: string;
   suffix?: string;
@@ -903,6 +1313,19 @@ export interface ValueTransformConfig {
   subtrahend?: number; // For subtraction operations  
   fromYear?: number; // For year difference calculations
   dataPath?: string; // For accessing context data in templates
+  // Locale-aware formatting (formatNumber, formatCurrency, formatDate, relativeTime, formatPhone)
+  locale?: string; // Defaults to the session language
+  style?: string; // formatNumber: decimal | percent | unit; formatDate: full | long | medium | short | iso; relativeTime: long | short | narrow; formatPhone: national | international | e164
+  currency?: string; // ISO 4217 code for formatCurrency (default USD)
+  currencyDisplay?: 'symbol' | 'narrowSymbol' | 'code' | 'name';
+  unit?: string; // formatNumber with style unit ("kilogram"), or relativeTime for numeric amounts ("day")
+  notation?: 'standard' | 'scientific' | 'engineering' | 'compact';
+  timeStyle?: 'full' | 'long' | 'medium' | 'short'; // formatDate - adds the time of day
+  timeZone?: string; // formatDate - IANA zone, e.g. "Europe/Madrid"
+  country?: string; // formatPhone - US, CA, MX or ES (defaults from the locale)
+  // Host-registered transforms (type 'custom')
+  name?: string; // Name the transform was registered under
+  options?: Record<string, unknown>; // Checked against the transform's options schema
 }
 
 export interface ConditionConfig {
@@ -917,6 +1340,7 @@ export type MappingConfig =
   | ArrayMappingConfig
   | TemplateMappingConfig
   | ConditionalMappingConfig
+  | XPathMappingConfig
   | PathConfig
   | string
   | Record<string, unknown>;
@@ -930,7 +1354,7 @@ function isPathTraversableObject(val: unknown): val is PathTraversableObject {
 
 /**
  * Generic response mapper that applies declarative transformation rules
- * Supports multiple mapping types: jsonPath, object, array, template, conditional
+ * Supports multiple mapping types: jsonPath, object, array, template, conditional, xpath
  * 
  * @param data - Source data to transform (typically API response)
  * @param mappingConfig - Mapping configuration specifying how to transform the data
@@ -979,7 +1403,7 @@ function applyResponseMapping(
     logger.debug(`Object mapping with type: ${mappingConfig.type}`);
     switch (mappingConfig.type) {
       case 'jsonPath':
-        return applyJsonPathMapping(data, mappingConfig as JsonPathMappingConfig, args);
+        return applyJsonPathMapping(data, mappingConfig as JsonPathMappingConfig, args, engine);
       case 'object':
         return applyObjectMapping(data, mappingConfig as ObjectMappingConfig, args, engine);
       case 'array':
@@ -988,6 +1412,8 @@ function applyResponseMapping(
         return applyTemplateMapping(data, mappingConfig as TemplateMappingConfig, args, engine);
       case 'conditional':
         return applyConditionalMapping(data, mappingConfig as ConditionalMappingConfig, args, engine);
+      case 'xpath':
+        return applyXPathMapping(data, mappingConfig as XPathMappingConfig, args, engine);
     }
   }
 
@@ -1010,6 +1436,7 @@ function applyResponseMapping(
  * @param data - Source data object to extract values from
  * @param config - JSONPath mapping configuration with field mappings and transforms
  * @param args - Arguments available for $args.property references and template variables
+ * @param engine - Engine passed on to value transforms (session language for format* transforms)
  * @returns Object with mapped fields according to configuration
  * 
  * @example
@@ -1028,7 +1455,8 @@ function applyResponseMapping(
 function applyJsonPathMapping(
   data: PathTraversableObject,
   config: JsonPathMappingConfig,
-  args: PathArguments
+  args: PathArguments,
+  engine?: Engine
 ): Record<string, ExtractedValue> {
   const result: Record<string, unknown> = {};
 
@@ -1076,7 +1504,7 @@ function applyJsonPathMapping(
       // Apply transformations
       if (pathConfig.transform) {
         const originalValue = value;
-        value = applyValueTransform(value, pathConfig.transform, args);
+        value = applyValueTransform(value, pathConfig.transform, args, engine);
         logger.debug(`Applied transform ${pathConfig.transform.type}: ${JSON.stringify(originalValue)} -> ${JSON.stringify(value)}`);
       }
 
@@ -1126,7 +1554,7 @@ function applyObjectMapping(data: unknown, config: ObjectMappingConfig, args: Ar
         let fieldValue = extractByPath(data as PathTraversableObject, pathConfig.path);
 
         if (pathConfig.transform) {
-          fieldValue = applyValueTransform(fieldValue, pathConfig.transform, args);
+          fieldValue = applyValueTransform(fieldValue, pathConfig.transform, args, engine);
         }
 
         if ((fieldValue === null || fieldValue === undefined) && pathConfig.fallback !== undefined) {
@@ -1233,21 +1661,18 @@ function applyArrayMapping(data: unknown, config: ArrayMappingConfig, args: Args
 function applyTemplateMapping(data: unknown, config: TemplateMappingConfig, args: ArgsType, engine: Engine): string {
   let template = config.template;
 
-  // Check if template contains complex Handlebars syntax
-  const hasHandlebarsIteration = /\{\{#each\s+[^}]+\}\}/.test(template);
-
-  if (hasHandlebarsIteration) {
-    // Use enhanced Handlebars processing for complex templates
+  if (HANDLEBARS_BLOCK_PATTERN.test(template)) {
+    // Block helpers ({{#each}}, {{#if}}, {{#with}}...) go through the Handlebars-style renderer
     const templateData = config.dataPath ? extractByPath(data as PathTraversableObject, config.dataPath) : data;
-    return processHandlebarsTemplate(template, templateData, data);
+    template = processHandlebarsTemplate(template, templateData, data);
+  } else {
+    // Simple placeholder replacement for basic templates
+    template = template.replace(/\{\{([^}]+)\}\}/g, (match, path) => {
+      const value = extractByPath(data as PathTraversableObject, path.trim());
+      return value !== null && value !== undefined ? String(value) : '';
+    });
   }
 
-  // Fallback to simple placeholder replacement for basic templates
-  template = template.replace(/\{\{([^}]+)\}\}/g, (match, path) => {
-    const value = extractByPath(data as PathTraversableObject, path.trim());
-    return value !== null && value !== undefined ? String(value) : '';
-  });
-
   // Replace argument placeholders
   template = template.replace(/\{\$args\.([^}]+)\}/g, (match, path) => {
     const value = extractByPath(args, path.trim());
@@ -1295,6 +1720,75 @@ function applyConditionalMapping(data: unknown, config: ConditionalMappingConfig
   return data;
 }
 
+// XPath field extraction for XML responses
+/**
+ * Apply XPath-based field extraction to an XML response. String data is parsed with
+ * parseXml first; already-parsed objects (and plain JSON) are queried as-is, with object
+ * keys acting as element names and "@"-prefixed keys as attributes.
+ * 
+ * @param data - Parsed XML object or raw XML text
+ * @param config - XPath mapping configuration with field mappings and transforms
+ * @param args - Arguments available for {placeholder} and $args.property references
+ * @param engine - Engine passed on to value transforms
+ * @returns Object with mapped fields according to configuration
+ * 
+ * @example
+ * ```typescript
+ * const xml = '<Invoice id="INV-7"><Total currency="USD">42.50</Total><Line sku="A"/><Line sku="B"/></Invoice>';
+ * applyXPathMapping(xml, {
+ *   type: "xpath",
+ *   mappings: {
+ *     "id": { path: "/Invoice/@id" },
+ *     "total": { path: "//Total", transform: { type: "parseFloat" } },
+ *     "skus": { path: "/Invoice/Line/@sku", multiple: true }
+ *   }
+ * }, {}) // { id: "INV-7", total: 42.5, skus: ["A", "B"] }
+ * ```
+ */
+function applyXPathMapping(data: unknown, config: XPathMappingConfig, args: ArgsType, engine?: Engine): Record<string, ExtractedValue> {
+  if (!config.mappings || typeof config.mappings !== 'object') {
+    throw new Error('XPath mapping requires a mappings object');
+  }
+
+  const document = typeof data === 'string' ? parseXml(data) : data;
+  const result: Record<string, unknown> = {};
+
+  for (const [outputField, pathConfig] of Object.entries(config.mappings)) {
+    try {
+      let value: unknown;
+      if (pathConfig.path.startsWith('$args.')) {
+        value = extractByPath(args, pathConfig.path.slice(6));
+      } else {
+        // Replace {placeholder} with argument values, e.g. /Invoices/Invoice[@id='{invoiceId}']
+        const path = pathConfig.path.replace(/\{([^}]+)\}/g, (match, placeholder) => String(args[placeholder] ?? match));
+        value = extractByXPath(document, path, pathConfig.multiple === true);
+      }
+
+      if (pathConfig.transform) {
+        value = applyValueTransform(value, pathConfig.transform, args, engine);
+      }
+
+      if ((value === null || value === undefined) && pathConfig.fallback !== undefined) {
+        value = typeof pathConfig.fallback === 'string' && pathConfig.fallback.startsWith('$args.')
+          ? extractByPath(args, pathConfig.fallback.slice(6))
+          : pathConfig.fallback;
+      }
+
+      setByPath(result, outputField, value);
+    } catch (error: unknown) {
+      const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+      logger.warn(`Failed to map field ${outputField}: ${errorMessage}`);
+      if (config.strict === false) {
+        continue;
+      }
+      throw error;
+    }
+  }
+
+  logger.debug(`applyXPathMapping result: ${JSON.stringify(result)}`);
+  return result;
+}
+
 // Helper functions for path extraction and manipulation
 // === PATH EXTRACTION TYPE DEFINITIONS ===
 
@@ -1336,6 +1830,7 @@ type PathArguments = Record<string, unknown>;
  * extractByPath({ user: { name: "John" } }, "user.name") // "John"
  * extractByPath({ users: [{ name: "Jane" }] }, "users[0].name") // "Jane"
  * extractByPath({ data: { items: [] } }, "$.data.items[0]") // null (JSONPath syntax)
+ * extractByPath({ items: [{ price: 5 }, { price: 7 }] }, "$.items[*].price") // [5, 7]
  * ```
  */
 function extractByPath(obj: PathTraversableObject, path: PathExpression): ExtractedValue {
@@ -1350,8 +1845,8 @@ function extractByPath(obj: PathTraversableObject, path: PathExpression): Extrac
     return null;
   }
 
-  // Handle JSONPath syntax (starts with $)
-  if (path.startsWith('$.')) {
+  // Handle JSONPath syntax ($, $.a, $[0], $..a)
+  if (path === '$' || path.startsWith('$.') || path.startsWith('$[')) {
     logger.debug(`extractByPath: JSONPath syntax detected, delegating to extractByJsonPath`);
     return extractByJsonPath(obj, path);
   }
@@ -1421,64 +1916,253 @@ function extractByPath(obj: PathTraversableObject, path: PathExpression): Extrac
   return current;
 }
 
-/**
- * JSONPath expression parser for paths like $.nearest_area[0].areaName[0].value
- * 
- * @param obj - Object to traverse using JSONPath syntax
- * @param jsonPath - JSONPath expression starting with $. (e.g., "$.users[0].profile.name")
- * @returns Extracted value or null if path not found or invalid JSONPath
- * 
- * @example
- * ```typescript
- * const data = { users: [{ profile: { name: "Alice" } }] };
- * extractByJsonPath(data, "$.users[0].profile.name") // "Alice"
- * extractByJsonPath(data, "$.users[0].profile.age") // null
- * extractByJsonPath(data, "invalid_path") // null (not JSONPath)
- * ```
- */
-function extractByJsonPath(obj: PathTraversableObject, jsonPath: PathExpression): ExtractedValue {
-  if (!jsonPath.startsWith('$.')) {
-    return null;
+// JSONPath (Goessner / RFC 9535 subset): $, .name, ['name'], [0], [-1], [*], .*, [0:3:1], [0,2],
+// ['a','b'], ..name (recursive descent) and [?(@.price < 10 && @.available)] filters. Filter
+// expressions run in the expression sandbox with @ as the current node and $ as the root.
+
+type JsonPathSelector =
+  | { type: 'name'; name: string }
+  | { type: 'wildcard' }
+  | { type: 'index'; index: number }
+  | { type: 'slice'; start?: number; end?: number; step?: number }
+  | { type: 'filter'; expression: string };
+
+interface JsonPathSegment {
+  recursive: boolean;
+  selectors: JsonPathSelector[];
+}
+
+const jsonPathCache = new Map<string, JsonPathSegment[]>();
+
+function parseJsonPath(jsonPath: string): JsonPathSegment[] {
+  const cached = jsonPathCache.get(jsonPath);
+  if (cached) return cached;
+  if (!jsonPath.startsWith('$')) {
+    throw new Error('JSONPath must start with $');
   }
 
-  // Remove the $ prefix and split by dots
-  const path = jsonPath.slice(2);
-  const parts = path.split('.');
-  let current: unknown = obj;
+  const segments: JsonPathSegment[] = [];
+  let position = 1;
+  while (position < jsonPath.length) {
+    let recursive = false;
+    if (jsonPath.startsWith('..', position)) {
+      recursive = true;
+      position += 2;
+    } else if (jsonPath[position] === '.') {
+      position += 1;
+    } else if (jsonPath[position] !== '[') {
+      throw new Error(`Unexpected "${jsonPath[position]}" at position ${position}`);
+    }
 
-  for (const part of parts) {
-    if (current === null || current === undefined) {
-      return null;
+    if (jsonPath[position] === '[') {
+      const end = findJsonPathBracketEnd(jsonPath, position);
+      segments.push({ recursive, selectors: parseJsonPathBracket(jsonPath.slice(position + 1, end)) });
+      position = end + 1;
+    } else if (jsonPath[position] === '*') {
+      segments.push({ recursive, selectors: [{ type: 'wildcard' }] });
+      position += 1;
+    } else {
+      const name = /^[^.[\]\s]+/.exec(jsonPath.slice(position))?.[0];
+      if (!name) throw new Error(`Missing member name at position ${position}`);
+      segments.push({ recursive, selectors: [{ type: 'name', name }] });
+      position += name.length;
+    }
+  }
+
+  if (jsonPathCache.size >= EXPRESSION_CACHE_LIMIT) jsonPathCache.clear();
+  jsonPathCache.set(jsonPath, segments);
+  return segments;
+}
+
+// Index of the "]" closing the bracket at start, skipping quoted strings and (filter) parentheses
+function findJsonPathBracketEnd(jsonPath: string, start: number): number {
+  let quote: string | null = null;
+  let depth = 0;
+  for (let index = start + 1; index < jsonPath.length; index++) {
+    const char = jsonPath[index];
+    if (quote) {
+      if (char === '\\') index++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else if (char === ']' && depth === 0) {
+      return index;
+    }
+  }
+  throw new Error(`Unclosed "[" at position ${start}`);
+}
+
+function parseJsonPathBracket(content: string): JsonPathSelector[] {
+  const trimmed = content.trim();
+  if (trimmed.startsWith('?')) {
+    let expression = trimmed.slice(1).trim();
+    if (expression.startsWith('(') && expression.endsWith(')')) expression = expression.slice(1, -1);
+    if (!expression) throw new Error('Empty filter expression');
+    return [{ type: 'filter', expression }];
+  }
+
+  // Split a union on top-level commas
+  const parts: string[] = [];
+  let quote: string | null = null;
+  let current = '';
+  for (let index = 0; index < trimmed.length; index++) {
+    const char = trimmed[index];
+    if (quote) {
+      if (char === '\\') current += char + (trimmed[++index] ?? '');
+      else {
+        if (char === quote) quote = null;
+        current += char;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+    } else if (char === ',') {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
     }
+  }
+  parts.push(current.trim());
 
-    // Handle array access like name[0]
-    if (part.includes('[') && part.includes(']')) {
-      const [key, indexPart] = part.split('[');
-      const index = parseInt(indexPart.replace(']', ''));
+  return parts.map((part): JsonPathSelector => {
+    if (part === '*') return { type: 'wildcard' };
+    if (/^-?\d+$/.test(part)) return { type: 'index', index: Number(part) };
+    const slice = /^(-?\d+)?\s*:\s*(-?\d+)?(?:\s*:\s*(-?\d+)?)?$/.exec(part);
+    if (slice) {
+      const [, start, end, step] = slice;
+      return {
+        type: 'slice',
+        start: start !== undefined ? Number(start) : undefined,
+        end: end !== undefined ? Number(end) : undefined,
+        step: step !== undefined ? Number(step) : undefined
+      };
+    }
+    const quoted = /^(['"])((?:\\.|(?!\1).)*)\1$/.exec(part);
+    if (quoted) return { type: 'name', name: quoted[2].replace(/\\(.)/g, '$1') };
+    if (/^[\w$-]+$/.test(part)) return { type: 'name', name: part };
+    throw new Error(`Invalid selector "[${part}]"`);
+  });
+}
 
-      // First access the key if it exists
-      if (key && key !== '') {
-        current = (current as PathTraversableObject)[key];
-        if (typeof current !== 'object' || current === null) break;
-        if (current === null || current === undefined) {
-          return null;
-        }
-      }
+function getJsonPathChildren(node: unknown): unknown[] {
+  if (Array.isArray(node)) return node;
+  if (node !== null && typeof node === 'object') return Object.values(node);
+  return [];
+}
 
-      // Then access the array index
-      if (Array.isArray(current) && index >= 0 && index < current.length) {
-        current = current[index];
-      } else {
-        return null;
+// The node itself and everything below it, in document order
+function getJsonPathDescendants(node: unknown): unknown[] {
+  return [node, ...getJsonPathChildren(node).flatMap(getJsonPathDescendants)];
+}
+
+function matchesJsonPathFilter(expression: string, node: unknown, root: unknown): boolean {
+  // @ is not an identifier in the sandbox - rename it outside string literals
+  let source = '';
+  let quote: string | null = null;
+  for (let index = 0; index < expression.length; index++) {
+    const char = expression[index];
+    if (quote) {
+      if (char === '\\') source += char + (expression[++index] ?? '');
+      else {
+        if (char === quote) quote = null;
+        source += char;
       }
     } else {
-      // Simple property access
-      current = (current as PathTraversableObject)[part];
-      if (typeof current !== 'object' || current === null) break;
+      if (char === '"' || char === "'") quote = char;
+      source += char === '@' ? '$current' : char;
     }
   }
 
-  return current;
+  try {
+    return Boolean(evaluateJavaScriptExpression(source, { $: root, $current: node }, true, 'sandbox'));
+  } catch (error) {
+    logger.debug(`JSONPath filter [?(${expression})] failed: ${(error as Error).message}`);
+    return false;
+  }
+}
+
+function selectJsonPath(node: unknown, selector: JsonPathSelector, root: unknown): unknown[] {
+  switch (selector.type) {
+    case 'name':
+      if (Array.isArray(node)) {
+        return selector.name === 'length' ? [node.length] : [];
+      }
+      return node !== null && typeof node === 'object' && Object.prototype.hasOwnProperty.call(node, selector.name)
+        ? [(node as Record<string, unknown>)[selector.name]]
+        : [];
+    case 'wildcard':
+      return getJsonPathChildren(node);
+    case 'index': {
+      if (!Array.isArray(node)) return [];
+      const index = selector.index < 0 ? node.length + selector.index : selector.index;
+      return index >= 0 && index < node.length ? [node[index]] : [];
+    }
+    case 'slice': {
+      if (!Array.isArray(node)) return [];
+      const step = selector.step ?? 1;
+      if (step === 0) return [];
+      // Python-style bounds: negative positions count from the end, then clamp to the array
+      const [low, high] = step > 0 ? [0, node.length] : [-1, node.length - 1];
+      const bound = (value: number | undefined, fallback: number) =>
+        value === undefined ? fallback : Math.min(Math.max(value < 0 ? node.length + value : value, low), high);
+      const start = bound(selector.start, step > 0 ? low : high);
+      const end = bound(selector.end, step > 0 ? high : low);
+      const result: unknown[] = [];
+      for (let index = start; step > 0 ? index < end : index > end; index += step) {
+        result.push(node[index]);
+      }
+      return result;
+    }
+    case 'filter':
+      return getJsonPathChildren(node).filter(child => matchesJsonPathFilter(selector.expression, child, root));
+  }
+}
+
+/**
+ * Evaluate a JSONPath expression against obj
+ *
+ * @param obj - Object to query
+ * @param jsonPath - JSONPath starting with $ (e.g. "$.items[*].price", "$..sku", "$.variants[?(@.available==true)]")
+ * @returns For a path naming a single node ($.a.b[0], $.items[-1]) the value, or null if it is missing.
+ *   For paths that can match several nodes (wildcards, slices, unions, filters, ..) an array of
+ *   the matches, which may be empty. Invalid JSONPath logs a warning and returns null.
+ *
+ * @example
+ * ```typescript
+ * const data = { items: [{ sku: "A", price: 5 }, { sku: "B", price: 12 }] };
+ * extractByJsonPath(data, "$.items[0].sku") // "A"
+ * extractByJsonPath(data, "$.items[*].price") // [5, 12]
+ * extractByJsonPath(data, "$.items[?(@.price > 10)].sku") // ["B"]
+ * extractByJsonPath(data, "$..sku") // ["A", "B"]
+ * extractByJsonPath(data, "$.items[-1].price") // 12
+ * ```
+ */
+function extractByJsonPath(obj: PathTraversableObject, jsonPath: PathExpression): ExtractedValue {
+  let segments: JsonPathSegment[];
+  try {
+    segments = parseJsonPath(jsonPath);
+  } catch (error) {
+    logger.warn(`Invalid JSONPath "${jsonPath}": ${(error as Error).message}`);
+    return null;
+  }
+
+  let nodes: unknown[] = [obj];
+  for (const segment of segments) {
+    const inputs = segment.recursive ? nodes.flatMap(getJsonPathDescendants) : nodes;
+    nodes = inputs.flatMap(node => segment.selectors.flatMap(selector => selectJsonPath(node, selector, obj)));
+  }
+
+  const isSingular = segments.every(segment => !segment.recursive && segment.selectors.length === 1 &&
+    (segment.selectors[0].type === 'name' || segment.selectors[0].type === 'index'));
+  if (isSingular) {
+    return nodes.length > 0 ? nodes[0] : null;
+  }
+  return nodes;
 }
 
 /**
@@ -1517,606 +2201,1765 @@ function setByPath(
   current[parts[parts.length - 1]] = value;
 }
 
-/**
- * Apply declarative transformations to extracted values
- * 
- * @param value - Value to transform (can be string, number, object, array, etc.)
- * @param transform - Transformation configuration specifying type and parameters
- * @param args - Arguments available for template replacements and calculations
- * @returns Transformed value or original value if transformation fails
- * 
- * @example
- * ```typescript
- * applyValueTransform("hello", { type: "toUpperCase" }) // "HELLO"
- * applyValueTransform("123", { type: "parseInt" }) // 123
- * applyValueTransform("test", { type: "concat", prefix: "pre_", suffix: "_post" }) // "pre_test_post"
- * ```
- */
-/**
- * Process Handlebars-style templates with array iteration support
- * Supports: {{field}}, {{#each array}}...{{/each}}, {{@index}}, {{@last}}
- */
-function processHandlebarsTemplate(template: string, data: unknown, rootData: unknown): string {
-  if (!template || typeof template !== 'string') {
-    return String(data || '');
-  }
+// === XML PARSING AND XPATH ===
+// Dependency-free XML reader for application/xml and text/xml responses (SOAP and other
+// legacy APIs). Documents become plain objects so every mapping type works on them:
+// attributes are "@"-prefixed keys, repeated elements become arrays, and text sits under
+// "#text" when the element also has attributes or children (a text-only element is just
+// its string). XPath queries run directly against that shape.
 
-  let result = template;
+const XML_ENTITIES: Record<string, string> = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
 
-  // Process {{#each}} blocks first
-  const eachRegex = /\{\{#each\s+([^}]+)\}\}(.*?)\{\{\/each\}\}/gs;
-  result = result.replace(eachRegex, (match, arrayPath, blockContent) => {
-    const arrayData = extractByPath(rootData as Record<string, unknown>, arrayPath.trim());
+interface XmlElementBuilder {
+  name: string;
+  attributes: Array<[string, string]>;
+  children: Array<[string, unknown]>;
+  text: string;
+}
 
-    if (!Array.isArray(arrayData)) {
-      logger.warn(`handlebars each: ${arrayPath} is not an array`);
-      return '';
+function decodeXmlEntities(text: string): string {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity: string) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return code <= 0x10FFFF ? String.fromCodePoint(code) : match;
     }
+    return Object.prototype.hasOwnProperty.call(XML_ENTITIES, entity) ? XML_ENTITIES[entity] : match;
+  });
+}
 
-    return arrayData.map((item, index) => {
-      let itemResult = blockContent;
+function buildXmlValue(element: XmlElementBuilder): unknown {
+  const text = element.text.trim();
+  if (element.children.length === 0 && element.attributes.length === 0) {
+    return text;
+  }
 
-      // Replace {{@index}} with current index
-      itemResult = itemResult.replace(/\{\{@index\}\}/g, String(index));
+  const value: Record<string, unknown> = {};
+  for (const [name, attribute] of element.attributes) {
+    value[`@${name}`] = attribute;
+  }
+  for (const [name, child] of element.children) {
+    if (!Object.prototype.hasOwnProperty.call(value, name)) {
+      // defineProperty so an element named __proto__ stays an ordinary key
+      Object.defineProperty(value, name, { value: child, enumerable: true, writable: true, configurable: true });
+    } else if (Array.isArray(value[name])) {
+      (value[name] as unknown[]).push(child);
+    } else {
+      value[name] = [value[name], child];
+    }
+  }
+  if (text) {
+    value['#text'] = text;
+  }
+  return value;
+}
 
-      // Replace {{@last}} condition
-      itemResult = itemResult.replace(/\{\{#unless\s+@last\}\}(.*?)\{\{\/unless\}\}/gs,
-        (_unlessMatch: string, unlessContent: string) => {
-          return index < arrayData.length - 1 ? unlessContent : '';
-        });
-
-      // Replace field references {{field}} with item properties
-      itemResult = itemResult.replace(/\{\{([^#@/][^}]*)\}\}/g, (_fieldMatch: string, fieldName: string) => {
-        const fieldValue = typeof item === 'object' && item !== null
-          ? (item as Record<string, unknown>)[fieldName.trim()]
-          : undefined;
-        return fieldValue !== undefined ? String(fieldValue) : '';
-      });
-
-      return itemResult;
-    }).join('');
-  });
+/**
+ * Parse an XML document into a plain object
+ *
+ * Comments, processing instructions and DOCTYPE declarations are skipped, CDATA is kept as
+ * text and the predefined and numeric entities are decoded. Namespace prefixes are kept in
+ * the key names ("soap:Envelope"). Throws on malformed markup.
+ *
+ * @param xml - XML document text
+ * @returns Object keyed by the root element name
+ *
+ * @example
+ * ```typescript
+ * parseXml('<Invoice id="7"><Line sku="A">2</Line><Line sku="B">1</Line><Paid>true</Paid></Invoice>')
+ * // { Invoice: { "@id": "7", Line: [{ "@sku": "A", "#text": "2" }, { "@sku": "B", "#text": "1" }], Paid: "true" } }
+ * ```
+ */
+function parseXml(xml: string): Record<string, unknown> {
+  const namePattern = /[A-Za-z_:][\w.:-]*/y;
+  const attributePattern = /\s+([A-Za-z_:][\w.:-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/y;
+  const tagEndPattern = /\s*(\/?)>/y;
 
-  // Process simple {{field}} replacements on remaining template
-  result = result.replace(/\{\{([^#@/][^}]*)\}\}/g, (match, fieldName) => {
-    const fieldValue = extractByPath(rootData as Record<string, unknown>, fieldName.trim());
-    return fieldValue !== undefined ? String(fieldValue) : '';
-  });
+  const stack: XmlElementBuilder[] = [];
+  let root: Record<string, unknown> | null = null;
+  let position = 0;
 
-  return result;
-}
+  const fail = (message: string): never => {
+    throw new Error(`Malformed XML at offset ${position}: ${message}`);
+  };
+  const skipPast = (terminator: string) => {
+    const end = xml.indexOf(terminator, position);
+    if (end === -1) fail(`missing "${terminator}"`);
+    position = end + terminator.length;
+  };
+  const appendText = (text: string) => {
+    if (stack.length > 0) {
+      stack[stack.length - 1].text += text;
+    } else if (text.trim()) {
+      fail('text outside the root element');
+    }
+  };
+  const closeElement = (element: XmlElementBuilder) => {
+    const value = buildXmlValue(element);
+    if (stack.length > 0) {
+      stack[stack.length - 1].children.push([element.name, value]);
+    } else if (root) {
+      fail('more than one root element');
+    } else {
+      root = { [element.name]: value };
+    }
+  };
 
-function applyValueTransform(
-  value: ExtractedValue,
-  transform: ValueTransformConfig,
-  args: PathArguments
-): ExtractedValue {
-  if (!transform || typeof transform !== 'object') {
-    logger.debug(`applyValueTransform: no transform or invalid transform, returning original value: ${JSON.stringify(value)}`);
-    return value;
+  while (position < xml.length) {
+    const tagStart = xml.indexOf('<', position);
+    if (tagStart === -1) {
+      appendText(decodeXmlEntities(xml.slice(position)));
+      break;
+    }
+    if (tagStart > position) {
+      appendText(decodeXmlEntities(xml.slice(position, tagStart)));
+    }
+    position = tagStart;
+
+    if (xml.startsWith('<!--', position)) {
+      skipPast('-->');
+    } else if (xml.startsWith('<![CDATA[', position)) {
+      const end = xml.indexOf(']]>', position);
+      if (end === -1) fail('unterminated CDATA section');
+      appendText(xml.slice(position + 9, end));
+      position = end + 3;
+    } else if (xml.startsWith('<?', position)) {
+      skipPast('?>');
+    } else if (xml.startsWith('<!', position)) {
+      // DOCTYPE, possibly with an internal subset in brackets
+      const subsetStart = xml.indexOf('[', position);
+      const declarationEnd = xml.indexOf('>', position);
+      if (subsetStart !== -1 && subsetStart < declarationEnd) {
+        position = subsetStart;
+        skipPast(']');
+      }
+      skipPast('>');
+    } else if (xml.startsWith('</', position)) {
+      const end = xml.indexOf('>', position);
+      if (end === -1) fail('unterminated closing tag');
+      const name = xml.slice(position + 2, end).trim();
+      const element = stack.pop();
+      if (!element || element.name !== name) {
+        fail(element ? `expected </${element.name}> but found </${name}>` : `unexpected </${name}>`);
+      }
+      position = end + 1;
+      closeElement(element!);
+    } else {
+      namePattern.lastIndex = position + 1;
+      const name = namePattern.exec(xml)?.[0];
+      if (!name) fail('invalid tag name');
+      const element: XmlElementBuilder = { name: name!, attributes: [], children: [], text: '' };
+      position = namePattern.lastIndex;
+
+      let attribute: RegExpExecArray | null;
+      while ((attributePattern.lastIndex = position, attribute = attributePattern.exec(xml))) {
+        element.attributes.push([attribute[1], decodeXmlEntities(attribute[2] ?? attribute[3])]);
+        position = attributePattern.lastIndex;
+      }
+
+      tagEndPattern.lastIndex = position;
+      const tagEnd = tagEndPattern.exec(xml);
+      if (!tagEnd) fail(`unterminated start tag <${name}>`);
+      position = tagEndPattern.lastIndex;
+      if (tagEnd![1]) {
+        closeElement(element);
+      } else {
+        stack.push(element);
+      }
+    }
   }
 
-  logger.debug(`applyValueTransform: transforming value ${JSON.stringify(value)} with transform: ${JSON.stringify(transform)}`);
+  if (stack.length > 0) fail(`unclosed element <${stack[stack.length - 1].name}>`);
+  if (!root) fail('no root element');
+  return root!;
+}
 
-  try {
-    switch (transform.type) {
-      case 'parseInt':
-        const intVal = parseInt(String(value));
-        const intResult = !isNaN(intVal) ? intVal : (transform.fallback !== undefined ? transform.fallback : 0);
-        logger.debug(`parseInt transform: ${JSON.stringify(value)} -> ${JSON.stringify(intResult)}`);
-        return intResult;
+type XPathStep = {
+  axis: 'child' | 'attribute' | 'self' | 'parent';
+  test: string; // element/attribute name, "*", "text()" or "node()"
+  recursive: boolean; // Step was preceded by "//"
+  predicates: XPathExpression[];
+};
 
-      case 'parseFloat':
-        const floatVal = parseFloat(String(value));
-        const floatResult = !isNaN(floatVal) ? floatVal : (transform.fallback !== undefined ? transform.fallback : 0.0);
-        logger.debug(`parseFloat transform: ${JSON.stringify(value)} -> ${JSON.stringify(floatResult)}`);
-        return floatResult;
+type XPathExpression =
+  | { type: 'path'; absolute: boolean; steps: XPathStep[] }
+  | { type: 'literal'; value: string | number }
+  | { type: 'call'; name: string; args: XPathExpression[] }
+  | { type: 'binary'; operator: string; left: XPathExpression; right: XPathExpression };
 
-      case 'toLowerCase':
-        const lowerResult = value != null ? String(value).toLowerCase() : '';
-        logger.debug(`toLowerCase transform: ${JSON.stringify(value)} -> ${JSON.stringify(lowerResult)}`);
-        return lowerResult;
+interface XPathNode {
+  kind: 'root' | 'element' | 'attribute' | 'text';
+  name: string;
+  value: unknown;
+  parent: XPathNode | null;
+  children?: XPathNode[];
+  attributes?: XPathNode[];
+}
+
+interface XPathContext {
+  node: XPathNode;
+  position: number;
+  size: number;
+}
+
+type XPathValue = XPathNode[] | string | number | boolean;
+
+const XPATH_TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|"([^"]*)"|'([^']*)'|(\/\/|\.\.|!=|<=|>=|[/[\]()@,.*=<>+-])|([A-Za-z_][\w.-]*(?::(?:[A-Za-z_][\w.-]*|\*))?))/y;
+const xpathCache = new Map<string, XPathExpression>();
+
+function parseXPath(xpath: string): XPathExpression {
+  const cached = xpathCache.get(xpath);
+  if (cached) return cached;
+
+  const source = xpath.trimEnd();
+  const tokens: Array<{ kind: 'number' | 'string' | 'symbol' | 'name'; text: string }> = [];
+  XPATH_TOKEN_PATTERN.lastIndex = 0;
+  while (XPATH_TOKEN_PATTERN.lastIndex < source.length) {
+    const start = XPATH_TOKEN_PATTERN.lastIndex;
+    const match = XPATH_TOKEN_PATTERN.exec(source);
+    if (!match) throw new Error(`Unexpected "${source.slice(start).trim()[0]}" at position ${start}`);
+    if (match[1] !== undefined) tokens.push({ kind: 'number', text: match[1] });
+    else if (match[2] !== undefined || match[3] !== undefined) tokens.push({ kind: 'string', text: match[2] ?? match[3] });
+    else if (match[4] !== undefined) tokens.push({ kind: 'symbol', text: match[4] });
+    else tokens.push({ kind: 'name', text: match[5] });
+  }
+
+  let index = 0;
+  const peek = (offset = 0) => tokens[index + offset];
+  const isSymbol = (text: string, offset = 0) => peek(offset)?.kind === 'symbol' && peek(offset).text === text;
+  const expect = (text: string) => {
+    if (!isSymbol(text)) throw new Error(`Expected "${text}" but found "${peek()?.text ?? 'end of expression'}"`);
+    index++;
+  };
 
-      case 'toUpperCase':
-        const upperResult = value != null ? String(value).toUpperCase() : '';
-        logger.debug(`toUpperCase transform: ${JSON.stringify(value)} -> ${JSON.stringify(upperResult)}`);
-        return upperResult;
+  const parseStep = (recursive: boolean): XPathStep => {
+    const token = peek();
+    if (isSymbol('.') || isSymbol('..')) {
+      index++;
+      return { axis: token.text === '.' ? 'self' : 'parent', test: 'node()', recursive, predicates: [] };
+    }
+
+    let axis: XPathStep['axis'] = 'child';
+    if (isSymbol('@')) {
+      axis = 'attribute';
+      index++;
+    }
+    let test: string;
+    if (isSymbol('*')) {
+      test = '*';
+      index++;
+    } else if (peek()?.kind === 'name') {
+      test = peek().text;
+      index++;
+      if (axis === 'child' && (test === 'text' || test === 'node') && isSymbol('(')) {
+        index++;
+        expect(')');
+        test += '()';
+      }
+    } else {
+      throw new Error(`Expected a node name but found "${token?.text ?? 'end of expression'}"`);
+    }
 
-      case 'trim':
-        const trimResult = value != null ? String(value).trim() : '';
-        logger.debug(`trim transform: ${JSON.stringify(value)} -> ${JSON.stringify(trimResult)}`);
-        return trimResult;
+    const predicates: XPathExpression[] = [];
+    while (isSymbol('[')) {
+      index++;
+      predicates.push(parseOr());
+      expect(']');
+    }
+    return { axis, test, recursive, predicates };
+  };
 
-      case 'replace':
-        if (!transform.pattern) {
-          logger.debug(`replace transform: no pattern provided, returning original value`);
-          return value;
-        }
-        const replaceResult = String(value).replace(
-          new RegExp(transform.pattern, transform.flags || 'g'),
-          transform.replacement || ''
-        );
-        logger.debug(`replace transform: ${JSON.stringify(value)} -> ${JSON.stringify(replaceResult)} (pattern: ${transform.pattern}, replacement: ${transform.replacement})`);
-        return replaceResult;
+  const startsStep = () => isSymbol('.') || isSymbol('..') || isSymbol('@') || isSymbol('*') || peek()?.kind === 'name';
 
-      case 'concat':
-        const concatResult = (transform.prefix || '') + String(value) + (transform.suffix || '');
-        logger.debug(`concat transform: ${JSON.stringify(value)} -> ${JSON.stringify(concatResult)} (prefix: ${transform.prefix}, suffix: ${transform.suffix})`);
-        return concatResult;
+  const parsePath = (): XPathExpression => {
+    const steps: XPathStep[] = [];
+    let absolute = false;
+    let recursive = false;
+    if (isSymbol('/') || isSymbol('//')) {
+      absolute = true;
+      recursive = peek().text === '//';
+      index++;
+      if (!recursive && !startsStep()) {
+        return { type: 'path', absolute, steps };
+      }
+    }
+    for (;;) {
+      steps.push(parseStep(recursive));
+      if (!isSymbol('/') && !isSymbol('//')) break;
+      recursive = peek().text === '//';
+      index++;
+    }
+    return { type: 'path', absolute, steps };
+  };
 
-      case 'regex':
-        if (!transform.pattern) {
-          logger.debug(`regex transform: no pattern provided, returning original value`);
-          return value;
-        }
-        const match = String(value).match(new RegExp(transform.pattern));
-        const regexResult = match ? (transform.group ? match[transform.group] : match[0]) : (transform.fallback || '');
-        logger.debug(`regex transform: ${JSON.stringify(value)} -> ${JSON.stringify(regexResult)} (pattern: ${transform.pattern}, group: ${transform.group})`);
-        return regexResult;
+  const parsePrimary = (): XPathExpression => {
+    const token = peek();
+    if (!token) throw new Error('Unexpected end of expression');
+    if (token.kind === 'number' || token.kind === 'string') {
+      index++;
+      return { type: 'literal', value: token.kind === 'number' ? Number(token.text) : token.text };
+    }
+    if (isSymbol('(')) {
+      index++;
+      const expression = parseOr();
+      expect(')');
+      return expression;
+    }
+    if (isSymbol('-')) {
+      index++;
+      return { type: 'binary', operator: '-', left: { type: 'literal', value: 0 }, right: parsePrimary() };
+    }
+    if (token.kind === 'name' && isSymbol('(', 1) && token.text !== 'text' && token.text !== 'node') {
+      index += 2;
+      const args: XPathExpression[] = [];
+      while (!isSymbol(')')) {
+        if (args.length > 0) expect(',');
+        args.push(parseOr());
+      }
+      index++;
+      return { type: 'call', name: token.text, args };
+    }
+    return parsePath();
+  };
 
-      case 'date':
-        if (value) {
-          const date = new Date(String(value));
-          return !isNaN(date.getTime()) ? date.toISOString() : new Date().toISOString();
-        }
-        return new Date().toISOString();
+  const parseBinary = (operators: string[], parseOperand: () => XPathExpression, words = false) => (): XPathExpression => {
+    let left = parseOperand();
+    while (peek() && operators.includes(peek().text) && (words ? peek().kind === 'name' : peek().kind === 'symbol')) {
+      const operator = tokens[index++].text;
+      left = { type: 'binary', operator, left, right: parseOperand() };
+    }
+    return left;
+  };
+  const parseAdditive = parseBinary(['+', '-'], parsePrimary);
+  const parseRelational = parseBinary(['<', '<=', '>', '>='], parseAdditive);
+  const parseEquality = parseBinary(['=', '!='], parseRelational);
+  const parseAnd = parseBinary(['and'], parseEquality, true);
+  function parseOr(): XPathExpression {
+    return parseBinary(['or'], parseAnd, true)();
+  }
 
-      case 'default':
-        return value !== null && value !== undefined ? value : transform.value;
+  if (tokens.length === 0) throw new Error('Empty XPath expression');
+  const expression = parseOr();
+  if (index < tokens.length) {
+    throw new Error(`Unexpected "${peek().text}"`);
+  }
 
-      case 'conditional':
-        // Handle conditional transforms
-        if (transform.conditions && Array.isArray(transform.conditions)) {
-          for (const condition of transform.conditions) {
-            // For value transforms, the field should be checked against the value itself
-            let conditionData: Record<string, unknown>;
-            if (condition.if.field === '.' || !condition.if.field) {
-              conditionData = { ".": value };
-            } else {
-              // If the field references something else, we need the original data
-              // For now, assume it's the current value
-              conditionData = { [condition.if.field]: value };
-            }
+  if (xpathCache.size >= EXPRESSION_CACHE_LIMIT) xpathCache.clear();
+  xpathCache.set(xpath, expression);
+  return expression;
+}
 
-            if (evaluateCondition(conditionData, condition.if)) {
-              return condition.then;
-            }
-          }
-          return transform.else || value;
-        }
+function getXPathChildren(node: XPathNode): XPathNode[] {
+  if (node.children) return node.children;
 
-        // Fallback to simple conditional for backward compatibility
-        if (transform.condition && evaluateCondition({ value }, transform.condition)) {
-          return transform.trueValue !== undefined ? transform.trueValue : value;
-        } else {
-          return transform.falseValue !== undefined ? transform.falseValue : value;
+  const children: XPathNode[] = [];
+  const value = node.value;
+  if (node.kind === 'root' || node.kind === 'element') {
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      for (const [name, child] of Object.entries(value)) {
+        if (name.startsWith('@') || name === '#text') continue;
+        for (const item of Array.isArray(child) ? child : [child]) {
+          children.push({ kind: 'element', name, value: item, parent: node });
         }
+      }
+      if ('#text' in value) {
+        children.push({ kind: 'text', name: '', value: String((value as Record<string, unknown>)['#text']), parent: node });
+      }
+    } else if (value !== null && value !== undefined && typeof value !== 'object' && String(value) !== '') {
+      children.push({ kind: 'text', name: '', value: String(value), parent: node });
+    }
+  }
+  node.children = children;
+  return children;
+}
 
-      case 'substring':
-        const str = String(value);
-        const start = transform.start || 0;
-        const end = transform.end || str.length;
-        return str.substring(start, end);
+function getXPathAttributes(node: XPathNode): XPathNode[] {
+  if (node.attributes) return node.attributes;
+  const value = node.value;
+  node.attributes = node.kind !== 'element' || value === null || typeof value !== 'object' || Array.isArray(value)
+    ? []
+    : Object.entries(value)
+      .filter(([name]) => name.startsWith('@'))
+      .map(([name, attribute]): XPathNode => ({ kind: 'attribute', name: name.slice(1), value: String(attribute), parent: node }));
+  return node.attributes;
+}
 
-      case 'split':
-        if (!transform.delimiter) return value;
-        const parts = String(value).split(transform.delimiter);
-        return transform.index !== undefined ? parts[transform.index] : parts;
+function matchesXPathName(test: string, name: string): boolean {
+  if (test === '*' || test === name) return true;
+  if (test.endsWith(':*')) return name.startsWith(test.slice(0, -1));
+  // An unprefixed test matches any namespace prefix, so SOAP documents can be queried by local name
+  return !test.includes(':') && name.slice(name.indexOf(':') + 1) === test;
+}
 
-      case 'join':
-        if (!Array.isArray(value)) return value;
-        return value.join(transform.delimiter || ',');
+function getXPathStringValue(node: XPathNode): string {
+  if (node.kind === 'attribute' || node.kind === 'text') return String(node.value);
+  return getXPathChildren(node).map(getXPathStringValue).join('');
+}
 
-      case 'abs':
-        return Math.abs(Number(value));
+/**
+ * The value a selected node contributes to a mapping: attributes and text nodes give their
+ * string, an element with child elements gives its object and any other element its text
+ * (an element with only attributes gives its object so they stay reachable)
+ */
+function getXPathNodeValue(node: XPathNode): unknown {
+  if (node.kind === 'attribute' || node.kind === 'text') return node.value;
+  const value = node.value;
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) return value ?? '';
+  if (node.kind === 'element' && '#text' in value && !Object.keys(value).some(key => !key.startsWith('@') && key !== '#text')) {
+    return (value as Record<string, unknown>)['#text'];
+  }
+  return value;
+}
 
-      case 'round':
-        return Math.round(Number(value));
+function toXPathString(value: XPathValue): string {
+  if (Array.isArray(value)) return value.length > 0 ? getXPathStringValue(value[0]) : '';
+  return String(value);
+}
 
-      case 'floor':
-        return Math.floor(Number(value));
+function toXPathNumber(value: XPathValue): number {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  const text = toXPathString(value).trim();
+  return text === '' ? NaN : Number(text);
+}
 
-      case 'ceil':
-        return Math.ceil(Number(value));
+function toXPathBoolean(value: XPathValue): boolean {
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'number') return value !== 0 && !Number.isNaN(value);
+  if (typeof value === 'string') return value.length > 0;
+  return value;
+}
 
-      case 'template':
-        // Handle template transforms
-        if (typeof transform.template === 'string') {
-          return transform.template.replace(/\{\{([^}]+)\}\}/g, (match, path) => {
-            if (path.trim() === '.') {
-              return String(value);
-            }
-            // Access the property path on the value object
-            const propertyPath = path.trim();
-            const propertyValue = value && typeof value === 'object' ? (value as Record<string, unknown>)[propertyPath] : undefined;
-            return propertyValue !== undefined ? String(propertyValue) : match;
-          });
-        }
-        return value;
+function compareXPathValues(operator: string, left: XPathValue, right: XPathValue): boolean {
+  if ((operator === '=' || operator === '!=') && (typeof left === 'boolean' || typeof right === 'boolean')) {
+    return (toXPathBoolean(left) === toXPathBoolean(right)) === (operator === '=');
+  }
 
+  // Node-sets compare true when any of their nodes does
+  const atoms = (value: XPathValue): Array<string | number | boolean> =>
+    Array.isArray(value) ? value.map(getXPathStringValue) : [value];
+  return atoms(left).some(a => atoms(right).some(b => {
+    if (operator === '=' || operator === '!=') {
+      const equal = typeof a === 'number' || typeof b === 'number'
+        ? toXPathNumber(a) === toXPathNumber(b)
+        : String(a) === String(b);
+      return equal === (operator === '=');
+    }
+    const x = toXPathNumber(a);
+    const y = toXPathNumber(b);
+    switch (operator) {
+      case '<': return x < y;
+      case '<=': return x <= y;
+      case '>': return x > y;
+      default: return x >= y;
+    }
+  }));
+}
 
-      // === GENERIC AGGREGATION FUNCTIONS ===
-      case 'sum':
-        if (Array.isArray(value)) {
-          if (transform.field) {
-            // Sum specific field from array of objects
-            return value.reduce((sum, item) => {
-              const fieldValue = typeof item === 'object' && item !== null ? (item as Record<string, unknown>)[transform.field!] : 0;
-              return sum + Number(fieldValue || 0);
-            }, 0);
-          } else {
-            // Sum array of numbers
-            return value.reduce((sum, item) => sum + Number(item || 0), 0);
-          }
-        }
-        logger.warn(`sum transform: value is not an array: ${typeof value}`);
-        return transform.fallback !== undefined ? transform.fallback : 0;
+function selectXPathStep(contexts: XPathNode[], step: XPathStep, root: XPathNode): XPathNode[] {
+  const selected = new Set<XPathNode>();
+  const descendantsOrSelf = (node: XPathNode): XPathNode[] =>
+    [node, ...getXPathChildren(node).filter(child => child.kind === 'element').flatMap(descendantsOrSelf)];
 
-      case 'average':
-        if (Array.isArray(value) && value.length > 0) {
-          let total = 0;
-          let count = 0;
+  for (const context of contexts) {
+    for (const base of step.recursive ? descendantsOrSelf(context) : [context]) {
+      let candidates: XPathNode[];
+      switch (step.axis) {
+        case 'self':
+          candidates = [base];
+          break;
+        case 'parent':
+          candidates = base.parent ? [base.parent] : [];
+          break;
+        case 'attribute':
+          candidates = getXPathAttributes(base).filter(attribute => matchesXPathName(step.test, attribute.name));
+          break;
+        default:
+          candidates = getXPathChildren(base).filter(child =>
+            step.test === 'node()' ? true
+              : step.test === 'text()' ? child.kind === 'text'
+                : child.kind === 'element' && matchesXPathName(step.test, child.name));
+      }
 
-          if (transform.field) {
-            // Average specific field from array of objects
-            for (const item of value) {
-              if (typeof item === 'object' && item !== null) {
-                const fieldValue = (item as Record<string, unknown>)[transform.field];
-                if (fieldValue !== null && fieldValue !== undefined) {
-                  total += Number(fieldValue);
-                  count++;
-                }
-              }
-            }
-          } else {
-            // Average array of numbers
-            for (const item of value) {
-              if (item !== null && item !== undefined) {
-                total += Number(item);
-                count++;
-              }
-            }
-          }
+      for (const predicate of step.predicates) {
+        candidates = candidates.filter((node, index, all) => {
+          const result = evaluateXPathExpression(predicate, { node, position: index + 1, size: all.length }, root);
+          return typeof result === 'number' ? result === index + 1 : toXPathBoolean(result);
+        });
+      }
+      candidates.forEach(node => selected.add(node));
+    }
+  }
+  return [...selected];
+}
 
-          if (count === 0) {
-            return transform.fallback !== undefined ? transform.fallback : 0;
-          }
+function evaluateXPathFunction(name: string, args: XPathExpression[], context: XPathContext, root: XPathNode): XPathValue {
+  const values = args.map(arg => evaluateXPathExpression(arg, context, root));
+  const nodeSet = (value: XPathValue): XPathNode[] => {
+    if (!Array.isArray(value)) throw new Error(`${name}() expects a node-set`);
+    return value;
+  };
+  const text = (position: number) => values.length > position ? toXPathString(values[position]) : getXPathStringValue(context.node);
+
+  switch (name) {
+    case 'last': return context.size;
+    case 'position': return context.position;
+    case 'count': return nodeSet(values[0]).length;
+    case 'sum': return nodeSet(values[0]).reduce((total, node) => total + toXPathNumber(getXPathStringValue(node)), 0);
+    case 'not': return !toXPathBoolean(values[0]);
+    case 'boolean': return toXPathBoolean(values[0]);
+    case 'true': return true;
+    case 'false': return false;
+    case 'string': return text(0);
+    case 'number': return values.length > 0 ? toXPathNumber(values[0]) : toXPathNumber(text(0));
+    case 'normalize-space': return text(0).trim().replace(/\s+/g, ' ');
+    case 'contains': return toXPathString(values[0]).includes(toXPathString(values[1]));
+    case 'starts-with': return toXPathString(values[0]).startsWith(toXPathString(values[1]));
+    case 'concat': return values.map(toXPathString).join('');
+    case 'name':
+    case 'local-name': {
+      const node = values.length > 0 ? nodeSet(values[0])[0] : context.node;
+      if (!node) return '';
+      return name === 'name' ? node.name : node.name.slice(node.name.indexOf(':') + 1);
+    }
+    default:
+      throw new Error(`Unsupported XPath function ${name}()`);
+  }
+}
 
-          const avg = total / count;
-          return transform.precision !== undefined ? Number(avg.toFixed(transform.precision)) : avg;
-        }
-        logger.warn(`average transform: value is not a non-empty array: ${typeof value}, length: ${Array.isArray(value) ? value.length : 'N/A'}`);
-        return transform.fallback !== undefined ? transform.fallback : 0;
+function evaluateXPathExpression(expression: XPathExpression, context: XPathContext, root: XPathNode): XPathValue {
+  switch (expression.type) {
+    case 'literal':
+      return expression.value;
+    case 'call':
+      return evaluateXPathFunction(expression.name, expression.args, context, root);
+    case 'path':
+      return expression.steps.reduce(
+        (nodes, step) => selectXPathStep(nodes, step, root),
+        expression.absolute ? [root] : [context.node]
+      );
+    case 'binary': {
+      const { operator } = expression;
+      if (operator === 'and' || operator === 'or') {
+        const left = toXPathBoolean(evaluateXPathExpression(expression.left, context, root));
+        if (operator === 'and' ? !left : left) return left;
+        return toXPathBoolean(evaluateXPathExpression(expression.right, context, root));
+      }
+      const left = evaluateXPathExpression(expression.left, context, root);
+      const right = evaluateXPathExpression(expression.right, context, root);
+      if (operator === '+') return toXPathNumber(left) + toXPathNumber(right);
+      if (operator === '-') return toXPathNumber(left) - toXPathNumber(right);
+      return compareXPathValues(operator, left, right);
+    }
+  }
+}
 
-      case 'count':
-        if (Array.isArray(value)) {
-          if (transform.field) {
-            // Count non-null/non-undefined values of specific field
-            return value.filter(item => {
-              if (typeof item === 'object' && item !== null) {
-                const fieldValue = (item as Record<string, unknown>)[transform.field!];
-                return fieldValue !== null && fieldValue !== undefined;
-              }
-              return false;
-            }).length;
-          } else {
-            // Count non-null/non-undefined items
-            return value.filter(item => item !== null && item !== undefined).length;
-          }
-        }
-        logger.warn(`count transform: value is not an array: ${typeof value}`);
-        return transform.fallback !== undefined ? transform.fallback : 0;
+/**
+ * Evaluate an XPath 1.0 expression against a parsed XML document
+ *
+ * Supports absolute and relative location paths, "//", ".", "..", "*", "@attr", text(),
+ * predicates (positions, comparisons, and/or) and the common core functions (count, sum,
+ * last, position, not, contains, starts-with, string, number, normalize-space, concat,
+ * name, local-name). Unprefixed names match any namespace prefix.
+ *
+ * @param document - Output of parseXml (or any plain object)
+ * @param xpath - XPath expression
+ * @param multiple - Return every matching node instead of the first one
+ * @returns First match (or null), all matches when multiple is set, or the number/string/boolean an expression like count() evaluates to
+ *
+ * @example
+ * ```typescript
+ * const doc = parseXml('<Invoice><Line sku="A" qty="2"/><Line sku="B" qty="5"/></Invoice>');
+ * extractByXPath(doc, "/Invoice/Line[@qty > 3]/@sku") // "B"
+ * extractByXPath(doc, "//Line/@sku", true) // ["A", "B"]
+ * extractByXPath(doc, "count(//Line)") // 2
+ * ```
+ */
+function extractByXPath(document: unknown, xpath: string, multiple = false): ExtractedValue {
+  const root: XPathNode = { kind: 'root', name: '', value: document, parent: null };
+  const result = evaluateXPathExpression(parseXPath(xpath), { node: root, position: 1, size: 1 }, root);
+  if (!Array.isArray(result)) {
+    return multiple ? [result] : result;
+  }
+  const values = result.map(getXPathNodeValue);
+  return multiple ? values : (values.length > 0 ? values[0] : null);
+}
 
-      case 'min':
-        if (Array.isArray(value) && value.length > 0) {
-          let numbers: number[];
+// === LOCALE-AWARE FORMATTING ===
+// Intl-based formatting shared by the template filters and the format* value transforms.
+// The locale defaults to the session language.
 
-          if (transform.field) {
-            // Min of specific field from array of objects
-            numbers = value
-              .map(item => typeof item === 'object' && item !== null ? Number((item as Record<string, unknown>)[transform.field!]) : NaN)
-              .filter(n => !isNaN(n));
-          } else {
-            // Min of array of numbers
-            numbers = value.map(item => Number(item)).filter(n => !isNaN(n));
-          }
+const DATE_STYLES = ['full', 'long', 'medium', 'short'];
 
-          return numbers.length > 0 ? Math.min(...numbers) : (transform.fallback !== undefined ? transform.fallback : 0);
-        }
-        logger.warn(`min transform: value is not a non-empty array: ${typeof value}`);
-        return transform.fallback !== undefined ? transform.fallback : 0;
+// National layouts (# = digit) and dialing codes for formatPhone
+const PHONE_FORMATS: Record<string, { code: string; pattern: string }> = {
+  US: { code: '1', pattern: '(###) ###-####' },
+  CA: { code: '1', pattern: '(###) ###-####' },
+  MX: { code: '52', pattern: '## #### ####' },
+  ES: { code: '34', pattern: '### ## ## ##' }
+};
 
-      case 'max':
-        if (Array.isArray(value) && value.length > 0) {
-          let numbers: number[];
+// Country assumed for phone numbers when neither the transform nor the locale region names one
+const DEFAULT_PHONE_COUNTRIES: Record<string, string> = { en: 'US', es: 'ES' };
 
-          if (transform.field) {
-            // Max of specific field from array of objects
-            numbers = value
-              .map(item => typeof item === 'object' && item !== null ? Number((item as Record<string, unknown>)[transform.field!]) : NaN)
-              .filter(n => !isNaN(n));
-          } else {
-            // Max of array of numbers
-            numbers = value.map(item => Number(item)).filter(n => !isNaN(n));
-          }
+const RELATIVE_TIME_UNITS: Array<[Intl.RelativeTimeFormatUnit, number]> = [
+  ['year', 365 * 24 * 3600], ['month', 30 * 24 * 3600], ['week', 7 * 24 * 3600],
+  ['day', 24 * 3600], ['hour', 3600], ['minute', 60], ['second', 1]
+];
 
-          return numbers.length > 0 ? Math.max(...numbers) : (transform.fallback !== undefined ? transform.fallback : 0);
-        }
-        logger.warn(`max transform: value is not a non-empty array: ${typeof value}`);
-        return transform.fallback !== undefined ? transform.fallback : 0;
+function getFormattingLocale(engine?: Engine): string {
+  return engine?.getSessionLanguage() || engine?.language || 'en';
+}
 
-      // === GENERIC MATHEMATICAL OPERATIONS ===
-      case 'multiply':
-        const multiplyResult = Number(value) * (transform.multiplier || 1);
-        return transform.precision !== undefined ? Number(multiplyResult.toFixed(transform.precision)) : multiplyResult;
+function toFormattableDate(value: unknown): Date | null {
+  const date = value instanceof Date ? value : new Date(value as string | number);
+  return isNaN(date.getTime()) ? null : date;
+}
 
-      case 'divide':
-        if (!transform.divisor || transform.divisor === 0) {
-          logger.warn(`divide transform: invalid or zero divisor: ${transform.divisor}`);
-          return transform.fallback !== undefined ? transform.fallback : 0;
+// Format a number with Intl.NumberFormat; blank and non-numeric values are returned unchanged
+function formatLocaleNumber(value: unknown, locale: string, options: Intl.NumberFormatOptions): unknown {
+  if (value === null || value === undefined || value === '') return value;
+  const amount = Number(value);
+  return isNaN(amount) ? value : new Intl.NumberFormat(locale, options).format(amount);
+}
+
+/**
+ * Format a date with Intl.DateTimeFormat. style is a dateStyle (full, long, medium, short)
+ * or iso; unparseable values are returned unchanged.
+ */
+function formatLocaleDate(
+  value: unknown,
+  locale: string,
+  options: { style?: string; timeStyle?: string; timeZone?: string } = {}
+): unknown {
+  const date = toFormattableDate(value);
+  if (!date) return value;
+  const style = options.style ?? 'medium';
+  if (style === 'iso') return date.toISOString();
+  if (!DATE_STYLES.includes(style) || (options.timeStyle !== undefined && !DATE_STYLES.includes(options.timeStyle))) {
+    throw new Error(`Unknown date style "${options.timeStyle !== undefined && DATE_STYLES.includes(style) ? options.timeStyle : style}" - use ${DATE_STYLES.join(', ')} or iso`);
+  }
+  // Date-only strings ("2026-03-05") are UTC midnight - format them in UTC so the day does not shift
+  const timeZone = options.timeZone ?? (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? 'UTC' : undefined);
+  return new Intl.DateTimeFormat(locale, {
+    dateStyle: style as Intl.DateTimeFormatOptions['dateStyle'],
+    timeStyle: options.timeStyle as Intl.DateTimeFormatOptions['timeStyle'],
+    timeZone
+  }).format(date);
+}
+
+/**
+ * "in 3 days", "yesterday", "2 hours ago". A date is measured against now in the largest
+ * whole unit; a number is read as an amount of options.unit.
+ */
+function formatRelativeTime(
+  value: unknown,
+  locale: string,
+  options: { unit?: string; style?: string } = {}
+): unknown {
+  const formatter = new Intl.RelativeTimeFormat(locale, {
+    numeric: 'auto',
+    style: (options.style ?? 'long') as Intl.RelativeTimeFormatStyle
+  });
+  if (options.unit) {
+    const amount = Number(value);
+    return isNaN(amount) ? value : formatter.format(amount, options.unit as Intl.RelativeTimeFormatUnit);
+  }
+
+  const date = toFormattableDate(value);
+  if (!date) return value;
+  const seconds = (date.getTime() - Date.now()) / 1000;
+  const [unit, size] = RELATIVE_TIME_UNITS.find(([, size]) => Math.abs(seconds) >= size) ?? ['second', 1];
+  return formatter.format(Math.round(seconds / size), unit);
+}
+
+/**
+ * Format a phone number for a country in PHONE_FORMATS: national "(555) 123-4567",
+ * international "+1 555 123 4567" or e164 "+15551234567". The country defaults to the
+ * locale's region ("es-MX") or its language. Numbers that do not fit are returned unchanged.
+ */
+function formatPhoneNumber(
+  value: unknown,
+  locale: string,
+  options: { country?: string; style?: string } = {}
+): unknown {
+  if (value === null || value === undefined || value === '') return value;
+  const [language, region] = locale.split(/[-_]/);
+  const country = (options.country ?? region ?? DEFAULT_PHONE_COUNTRIES[language.toLowerCase()] ?? 'US').toUpperCase();
+  const format = PHONE_FORMATS[country];
+  if (!format) {
+    throw new Error(`No phone format for country "${country}" - use ${Object.keys(PHONE_FORMATS).join(', ')}`);
+  }
+
+  const digits = String(value).replace(/\D/g, '');
+  const length = format.pattern.split('#').length - 1;
+  let national: string;
+  if (digits.length === length) {
+    national = digits;
+  } else if (digits.length === format.code.length + length && digits.startsWith(format.code)) {
+    national = digits.slice(format.code.length);
+  } else {
+    logger.debug(`formatPhone: "${value}" is not a ${country} number`);
+    return value;
+  }
+
+  const fill = (pattern: string) => {
+    let next = 0;
+    return pattern.replace(/#/g, () => national[next++]);
+  };
+  switch (options.style ?? 'national') {
+    case 'national':
+      return fill(format.pattern);
+    case 'international':
+      return `+${format.code} ${fill(format.pattern.replace(/[()]/g, '').replace(/-/g, ' '))}`;
+    case 'e164':
+      return `+${format.code}${national}`;
+    default:
+      throw new Error(`Unknown phone style "${options.style}" - use national, international or e164`);
+  }
+}
+
+// === HANDLEBARS-STYLE BLOCK TEMPLATES ===
+// A small Handlebars-compatible renderer used by response mapping templates and SAY/SAY-GET
+// messages. Supported: {{path}}, {{{path}}}, {{! comments }}, ~ whitespace control,
+// {{#if}}/{{#unless}} with {{else}} and {{else if ...}}, {{#each}} over arrays and objects
+// (nestable, {{else}} when empty), {{#with}}, ../ parent access, @root, @index, @key,
+// @first, @last, and the comparison helpers below as inline calls, (subexpressions) or blocks.
+
+type HandlebarsNode =
+  | { type: 'text'; value: string }
+  | { type: 'mustache'; expression: string }
+  | { type: 'block'; helper: string; params: string; body: HandlebarsNode[]; inverse: HandlebarsNode[] };
+
+type HandlebarsParam =
+  | { type: 'literal'; value: unknown }
+  | { type: 'path'; path: string }
+  | { type: 'call'; helper: string; params: HandlebarsParam[] };
+
+interface HandlebarsFrame {
+  context: unknown;
+  data: Record<string, unknown>;
+  parent: HandlebarsFrame | null;
+}
+
+interface HandlebarsOptions {
+  // Fallback for mustaches and block parameters that are not Handlebars paths or helper calls,
+  // or whose path resolves to undefined. SAY messages evaluate them as flow expressions.
+  evaluate?: (expression: string, frame: HandlebarsFrame, kind: 'value' | 'param') => unknown;
+}
+
+const HANDLEBARS_BLOCK_PATTERN = /\{\{~?#/;
+const HANDLEBARS_TAG_PATTERN = /\{\{(~?)(!--[\s\S]*?--|\{[\s\S]*?\}|[\s\S]*?)(~?)\}\}/g;
+const HANDLEBARS_PATH_PATTERN = /^@?(?:\.\.\/)*(?:@?[A-Za-z_$][\w$-]*|this|\.|\[[^\]]*\])(?:[./](?:[\w$-]+|\[[^\]]*\])|\[[^\]]*\])*$/;
+const HANDLEBARS_NUMBER_PATTERN = /^-?\d+(?:\.\d+)?$/;
+const HANDLEBARS_LITERALS: Record<string, unknown> = { true: true, false: false, null: null, undefined: undefined };
+
+const HANDLEBARS_HELPERS: Record<string, (...values: unknown[]) => unknown> = Object.freeze(Object.assign(Object.create(null), {
+  eq: (a: unknown, b: unknown) => a === b,
+  ne: (a: unknown, b: unknown) => a !== b,
+  lt: (a: unknown, b: unknown) => (a as number) < (b as number),
+  gt: (a: unknown, b: unknown) => (a as number) > (b as number),
+  lte: (a: unknown, b: unknown) => (a as number) <= (b as number),
+  gte: (a: unknown, b: unknown) => (a as number) >= (b as number),
+  and: (...values: unknown[]) => values.every(isHandlebarsTruthy),
+  or: (...values: unknown[]) => values.some(isHandlebarsTruthy),
+  not: (value: unknown) => !isHandlebarsTruthy(value)
+}));
+
+// Handlebars truthiness: like JavaScript, except that an empty array is falsy
+function isHandlebarsTruthy(value: unknown): boolean {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function parseHandlebarsTemplate(template: string): HandlebarsNode[] {
+  // Split into text and tag pieces, applying ~ whitespace control and dropping comments
+  const pieces: Array<{ text: string } | { tag: string }> = [];
+  let lastIndex = 0;
+  let trimNextText = false;
+  for (const match of template.matchAll(HANDLEBARS_TAG_PATTERN)) {
+    const [source, trimBefore, content, trimAfter] = match;
+    let text = template.slice(lastIndex, match.index);
+    if (trimNextText) text = text.replace(/^\s+/, '');
+    if (trimBefore) text = text.replace(/\s+$/, '');
+    if (text) pieces.push({ text });
+    if (!content.startsWith('!')) {
+      pieces.push({ tag: content.trim() });
+    }
+    lastIndex = match.index! + source.length;
+    trimNextText = Boolean(trimAfter);
+  }
+  let tail = template.slice(lastIndex);
+  if (trimNextText) tail = tail.replace(/^\s+/, '');
+  if (tail) pieces.push({ text: tail });
+
+  let position = 0;
+  const splitHelper = (source: string): [string, string] => {
+    const [helper = ''] = source.split(/\s+/, 1);
+    return [helper, source.slice(helper.length).trim()];
+  };
+  const parseUntil = (closing: string | null): { nodes: HandlebarsNode[]; end: 'close' | 'else' | 'eof'; elseParams?: string } => {
+    const nodes: HandlebarsNode[] = [];
+    while (position < pieces.length) {
+      const piece = pieces[position++];
+      if ('text' in piece) {
+        nodes.push({ type: 'text', value: piece.text });
+        continue;
+      }
+      const tag = piece.tag;
+      if (tag.startsWith('#')) {
+        const [helper, params] = splitHelper(tag.slice(1).trim());
+        nodes.push(parseBlock(helper, params, helper));
+      } else if (tag.startsWith('/')) {
+        const name = tag.slice(1).trim();
+        if (name !== closing) {
+          throw new Error(closing ? `Expected {{/${closing}}} but found {{/${name}}}` : `Unexpected {{/${name}}}`);
         }
-        const divideResult = Number(value) / transform.divisor;
-        return transform.precision !== undefined ? Number(divideResult.toFixed(transform.precision)) : divideResult;
+        return { nodes, end: 'close' };
+      } else if (tag === 'else' || tag === '^' || tag.startsWith('else ')) {
+        if (!closing) throw new Error('{{else}} outside of a block');
+        return { nodes, end: 'else', elseParams: tag.slice(4).trim() || undefined };
+      } else if (tag.startsWith('{') && tag.endsWith('}')) {
+        nodes.push({ type: 'mustache', expression: tag.slice(1, -1).trim() });
+      } else {
+        nodes.push({ type: 'mustache', expression: tag });
+      }
+    }
+    return { nodes, end: 'eof' };
+  };
+  const parseBlock = (helper: string, params: string, closing: string): HandlebarsNode => {
+    const body = parseUntil(closing);
+    let inverse: HandlebarsNode[] = [];
+    if (body.end === 'else') {
+      if (body.elseParams) {
+        // {{else if x}} chains share the closing tag of the block they continue
+        const [chainHelper, chainParams] = splitHelper(body.elseParams);
+        inverse = [parseBlock(chainHelper, chainParams, closing)];
+      } else {
+        const rest = parseUntil(closing);
+        if (rest.end !== 'close') throw new Error(`Missing {{/${closing}}}`);
+        inverse = rest.nodes;
+      }
+    } else if (body.end !== 'close') {
+      throw new Error(`Missing {{/${closing}}}`);
+    }
+    return { type: 'block', helper, params, body: body.nodes, inverse };
+  };
 
-      case 'percentage':
-        // Calculate percentage: (value / divisor) * 100
-        if (!transform.divisor || transform.divisor === 0) {
-          logger.warn(`percentage transform: invalid or zero divisor: ${transform.divisor}`);
-          return transform.fallback !== undefined ? transform.fallback : 0;
+  return parseUntil(null).nodes;
+}
+
+// Parse helper parameters: literals, paths and (helper ...) subexpressions.
+// Returns null when the source is not Handlebars syntax (e.g. a JavaScript expression).
+function parseHandlebarsParams(source: string): HandlebarsParam[] | null {
+  const params: HandlebarsParam[] = [];
+  let index = 0;
+  while (index < source.length) {
+    const char = source[index];
+    if (/\s/.test(char)) {
+      index++;
+    } else if (char === '(') {
+      let depth = 0;
+      let end = index;
+      let quote: string | null = null;
+      for (; end < source.length; end++) {
+        const current = source[end];
+        if (quote) {
+          if (current === '\\') end++;
+          else if (current === quote) quote = null;
+        } else if (current === '"' || current === "'") {
+          quote = current;
+        } else if (current === '(') {
+          depth++;
+        } else if (current === ')' && --depth === 0) {
+          break;
         }
-        const percentageResult = (Number(value) / transform.divisor) * 100;
-        return transform.precision !== undefined ? Number(percentageResult.toFixed(transform.precision)) : percentageResult;
+      }
+      if (depth !== 0) return null;
+      const inner = parseHandlebarsParams(source.slice(index + 1, end));
+      const head = inner?.[0];
+      if (!head || head.type !== 'path' || !(head.path in HANDLEBARS_HELPERS)) return null;
+      params.push({ type: 'call', helper: head.path, params: inner.slice(1) });
+      index = end + 1;
+    } else if (char === '"' || char === "'") {
+      let value = '';
+      let end = index + 1;
+      for (; end < source.length && source[end] !== char; end++) {
+        value += source[end] === '\\' ? source[++end] ?? '' : source[end];
+      }
+      if (end >= source.length) return null;
+      params.push({ type: 'literal', value });
+      index = end + 1;
+    } else {
+      const token = /^[^\s()'"]+/.exec(source.slice(index))![0];
+      if (Object.prototype.hasOwnProperty.call(HANDLEBARS_LITERALS, token)) {
+        params.push({ type: 'literal', value: HANDLEBARS_LITERALS[token] });
+      } else if (HANDLEBARS_NUMBER_PATTERN.test(token)) {
+        params.push({ type: 'literal', value: Number(token) });
+      } else if (HANDLEBARS_PATH_PATTERN.test(token)) {
+        params.push({ type: 'path', path: token });
+      } else {
+        return null;
+      }
+      index += token.length;
+    }
+  }
+  return params;
+}
 
-      // === ADDITIONAL MATHEMATICAL OPERATIONS ===
-      case 'add':
-        const addResult = Number(value) + (transform.addend || 0);
-        return transform.precision !== undefined ? Number(addResult.toFixed(transform.precision)) : addResult;
+function walkHandlebarsPath(value: unknown, path: string): unknown {
+  const segments = Array.from(path.matchAll(/\[([^\]]*)\]|[^./[\]]+/g), match => match[1] ?? match[0]);
+  let current = value;
+  for (const segment of segments) {
+    if (current === null || current === undefined || BLOCKED_PROPERTY_NAMES.has(segment)) {
+      return undefined;
+    }
+    if (segment === 'length' && (typeof current === 'string' || Array.isArray(current))) {
+      current = current.length;
+    } else if (typeof current === 'object' && Object.prototype.hasOwnProperty.call(current, segment)) {
+      current = (current as Record<string, unknown>)[segment];
+    } else {
+      return undefined;
+    }
+  }
+  return current;
+}
 
-      case 'subtract':
-        const subtractResult = Number(value) - (transform.subtrahend || 0);
-        return transform.precision !== undefined ? Number(subtractResult.toFixed(transform.precision)) : subtractResult;
+function lookupHandlebarsPath(path: string, frame: HandlebarsFrame): unknown {
+  const isData = path.startsWith('@');
+  let rest = isData ? path.slice(1) : path;
+  let target = frame;
+  while (rest.startsWith('../')) {
+    target = target.parent ?? target;
+    rest = rest.slice(3);
+  }
 
-      // === DATE-BASED CALCULATIONS ===
-      case 'currentYear':
-        return new Date().getFullYear();
+  if (isData) {
+    const [name] = rest.split(/[./[]/, 1);
+    if (name === 'root') {
+      let root = frame;
+      while (root.parent) root = root.parent;
+      return walkHandlebarsPath(root.context, rest.slice(name.length));
+    }
+    return walkHandlebarsPath(target.data, rest);
+  }
 
-      case 'yearDifference':
-        // Calculate difference between current year and provided year
-        const currentYear = new Date().getFullYear();
-        const yearValue = transform.fromYear || Number(value);
-        return currentYear - yearValue;
+  if (rest === 'this' || rest === '.') return target.context;
+  rest = rest.replace(/^(?:this|\.)(?=[./[])/, '');
+  return walkHandlebarsPath(target.context, rest);
+}
 
-      // === ENHANCED TEMPLATE SYSTEM ===
-      case 'handlebars':
-        // Enhanced template processing with Handlebars-style iteration
-        if (typeof transform.template === 'string' && transform.dataPath) {
-          // Get the data from the specified path for template context
-          let templateData = value;
-          if (typeof value === 'object' && value !== null) {
-            templateData = extractByPath(value as Record<string, unknown>, transform.dataPath);
-          }
+function evaluateHandlebarsParam(param: HandlebarsParam, frame: HandlebarsFrame): unknown {
+  switch (param.type) {
+    case 'literal':
+      return param.value;
+    case 'path':
+      return lookupHandlebarsPath(param.path, frame);
+    case 'call':
+      return HANDLEBARS_HELPERS[param.helper](...param.params.map(inner => evaluateHandlebarsParam(inner, frame)));
+  }
+}
 
-          return processHandlebarsTemplate(transform.template, templateData, value);
-        }
-        return value;
+function resolveHandlebarsExpression(
+  expression: string,
+  frame: HandlebarsFrame,
+  options: HandlebarsOptions,
+  kind: 'value' | 'param'
+): unknown {
+  if (!expression.trim()) {
+    logger.warn(`Empty template expression`);
+    return undefined;
+  }
+  const params = parseHandlebarsParams(expression);
+  const head = params?.[0];
+  if (params && head && params.length > 1 && head.type === 'path' && head.path in HANDLEBARS_HELPERS) {
+    return evaluateHandlebarsParam({ type: 'call', helper: head.path, params: params.slice(1) }, frame);
+  }
+  if (params && head && params.length === 1) {
+    const value = evaluateHandlebarsParam(head, frame);
+    // Only plain relative paths fall back - ../x and @data are Handlebars-only syntax
+    if (value !== undefined || head.type !== 'path' || /^(?:@|\.\.\/)/.test(head.path) || !options.evaluate) {
+      return value;
+    }
+  }
+  if (options.evaluate) {
+    return options.evaluate(expression, frame, kind);
+  }
+  logger.warn(`Unsupported template expression "{{${expression}}}"`);
+  return undefined;
+}
 
-      default:
-        logger.warn(`Unknown transform type: ${transform.type}`);
-        return value;
+function renderHandlebarsNodes(nodes: HandlebarsNode[], frame: HandlebarsFrame, options: HandlebarsOptions): string {
+  let output = '';
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'mustache') {
+      const value = resolveHandlebarsExpression(node.expression, frame, options, 'value');
+      if (value === null || value === undefined) continue;
+      output += typeof value === 'object' && !Array.isArray(value) ? JSON.stringify(value) : String(value);
+    } else {
+      output += renderHandlebarsBlock(node, frame, options);
     }
-  } catch (error: any) {
-    logger.warn(`Transform ${transform.type} failed: ${error.message}`);
-    return transform.fallback !== undefined ? transform.fallback : value;
   }
+  return output;
 }
 
-function evaluateCondition(data: unknown, condition: ConditionConfig): boolean {
-  if (!condition || typeof condition !== 'object') return false;
+function renderHandlebarsBlock(
+  node: Extract<HandlebarsNode, { type: 'block' }>,
+  frame: HandlebarsFrame,
+  options: HandlebarsOptions
+): string {
+  switch (node.helper) {
+    case 'if':
+    case 'unless': {
+      const truthy = isHandlebarsTruthy(resolveHandlebarsExpression(node.params, frame, options, 'param'));
+      return renderHandlebarsNodes(truthy === (node.helper === 'if') ? node.body : node.inverse, frame, options);
+    }
+    case 'with': {
+      const value = resolveHandlebarsExpression(node.params, frame, options, 'param');
+      return isHandlebarsTruthy(value)
+        ? renderHandlebarsNodes(node.body, { context: value, data: frame.data, parent: frame }, options)
+        : renderHandlebarsNodes(node.inverse, frame, options);
+    }
+    case 'each': {
+      const value = resolveHandlebarsExpression(node.params, frame, options, 'param');
+      const entries: Array<[string | number, unknown]> = Array.isArray(value)
+        ? value.map((item, index) => [index, item])
+        : value !== null && typeof value === 'object' ? Object.entries(value) : [];
+      if (entries.length === 0) {
+        if (value !== undefined && value !== null && typeof value !== 'object') {
+          logger.warn(`handlebars each: ${node.params} is not an array or object`);
+        }
+        return renderHandlebarsNodes(node.inverse, frame, options);
+      }
+      return entries.map(([key, item], index) => renderHandlebarsNodes(node.body, {
+        context: item,
+        data: { index, key, first: index === 0, last: index === entries.length - 1 },
+        parent: frame
+      }, options)).join('');
+    }
+    default: {
+      if (node.helper in HANDLEBARS_HELPERS) {
+        const value = resolveHandlebarsExpression(`${node.helper} ${node.params}`, frame, options, 'param');
+        return renderHandlebarsNodes(isHandlebarsTruthy(value) ? node.body : node.inverse, frame, options);
+      }
+      logger.warn(`Unknown Handlebars block helper "{{#${node.helper}}}"`);
+      return '';
+    }
+  }
+}
 
-  const { field, operator, value } = condition;
-  logger.debug(`evaluateCondition called with field: ${field}, operator: ${operator}, value: ${value}`);
+/**
+ * Expressions of a block template that resolve against the top-level data, for flow
+ * validation: mustaches and block parameters outside #each/#with bodies, with helper
+ * names, @data and @root. prefixes removed. Malformed templates yield no references.
+ */
+function collectHandlebarsReferences(template: string): string[] {
+  const references: string[] = [];
+  const addExpression = (expression: string) => {
+    const params = parseHandlebarsParams(expression);
+    if (!params) {
+      references.push(expression);
+      return;
+    }
+    const collect = (param: HandlebarsParam) => {
+      if (param.type === 'call') {
+        param.params.forEach(collect);
+      } else if (param.type === 'path' && param.path.startsWith('@root.')) {
+        references.push(param.path.slice('@root.'.length));
+      } else if (param.type === 'path' && !/^(?:@|this\b|\.)/.test(param.path)) {
+        references.push(param.path);
+      }
+    };
+    const [head] = params;
+    (params.length > 1 && head.type === 'path' && head.path in HANDLEBARS_HELPERS ? params.slice(1) : params).forEach(collect);
+  };
+  const visit = (nodes: HandlebarsNode[]) => {
+    for (const node of nodes) {
+      if (node.type === 'mustache') {
+        addExpression(node.expression);
+      } else if (node.type === 'block') {
+        addExpression(node.helper in HANDLEBARS_HELPERS ? `${node.helper} ${node.params}` : node.params);
+        if (node.helper !== 'each' && node.helper !== 'with') {
+          visit(node.body);
+        }
+        visit(node.inverse);
+      }
+    }
+  };
 
   try {
-    let fieldValue: unknown = undefined;
-    if (isPathTraversableObject(data)) {
-      fieldValue = extractByPath(data, field);
-    }
+    visit(parseHandlebarsTemplate(template));
+  } catch {
+    // Reported when the template renders
+  }
+  return references;
+}
 
-    switch (operator) {
-      case 'equals':
-      case 'eq':
-        logger.debug(`evaluateCondition: checking equality for field ${field} with value ${value}`);
-        return fieldValue === value;
+/**
+ * Render a Handlebars-style template against rootData (response mapping, 'template' and
+ * 'handlebars' transforms, SAY/SAY-GET block messages). Throws on malformed blocks.
+ */
+function processHandlebarsTemplate(template: string, data: unknown, rootData: unknown, options: HandlebarsOptions = {}): string {
+  if (!template || typeof template !== 'string') {
+    return String(data || '');
+  }
 
-      case 'notEquals':
-      case 'ne':
-        logger.debug(`evaluateCondition: checking inequality for field ${field} with value ${value}`);
-        return fieldValue !== value;
+  const nodes = parseHandlebarsTemplate(template);
+  return renderHandlebarsNodes(nodes, { context: rootData ?? data, data: {}, parent: null }, options);
+}
 
-      case 'contains':
-        logger.debug(`evaluateCondition: checking containment for field ${field} with value ${value}`);
-        return String(fieldValue).includes(String(value));
+// === CUSTOM TRANSFORMS ===
+// Host-registered transforms referenced as { type: 'custom', name, options } - see CustomTransform
 
-      case 'exists':
-        logger.debug(`evaluateCondition: checking existence for field ${field}`);
-        return fieldValue !== null && fieldValue !== undefined;
+const customTransformValidators = new WeakMap<object, any>();
 
-      case 'notExists':
-        logger.debug(`evaluateCondition: checking non-existence for field ${field}`);
-        return fieldValue === null || fieldValue === undefined;
+function findCustomTransform(engine: Engine | undefined, name: string): CustomTransform | undefined {
+  const transforms = engine?.customTransforms;
+  if (!transforms || !Object.prototype.hasOwnProperty.call(transforms, name)) return undefined;
+  return transforms[name];
+}
 
-      case 'greaterThan':
-      case 'gt':
-        logger.debug(`evaluateCondition: checking greaterThan for field ${field} with value ${value}`);
-        return Number(fieldValue) > Number(value);
+/**
+ * Fill in schema defaults and check options against the transform's options schema.
+ * Uses ajv when it is available; otherwise only required and unknown properties are checked.
+ */
+function resolveCustomTransformOptions(
+  definition: CustomTransform,
+  options: Record<string, unknown> = {}
+): { options: Record<string, unknown>; errors: string[] } {
+  const schema = definition.options;
+  if (!schema) return { options, errors: [] };
 
-      case 'lessThan':
-      case 'lt':
-        logger.debug(`evaluateCondition: checking lessThan for field ${field} with value ${value}`);
-        return Number(fieldValue) < Number(value);
-
-      case 'greaterThanOrEqual':
-      case 'gte':
-        logger.debug(`evaluateCondition: checking greaterThanOrEqual for field ${field} with value ${value}`);
-        return Number(fieldValue) >= Number(value);
+  const resolved = { ...options };
+  for (const [key, property] of Object.entries(schema.properties ?? {})) {
+    if (resolved[key] === undefined && property.default !== undefined) {
+      resolved[key] = property.default;
+    }
+  }
 
-      case 'lessThanOrEqual':
-      case 'lte':
-        logger.debug(`evaluateCondition: checking lessThanOrEqual for field ${field} with value ${value}`);
-        return Number(fieldValue) <= Number(value);
+  if (ajv) {
+    let validate = customTransformValidators.get(schema);
+    if (!validate) {
+      validate = ajv.compile(schema);
+      customTransformValidators.set(schema, validate);
+    }
+    const errors = validate(resolved) ? [] : (validate.errors || []).map((err: any) => `options${err.instancePath} ${err.message}`);
+    return { options: resolved, errors };
+  }
 
-      case 'startsWith':
-        logger.debug(`evaluateCondition: checking startsWith for field ${field} with value ${value}`);
-        return String(fieldValue).startsWith(String(value));
+  const errors = (schema.required ?? [])
+    .filter(key => resolved[key] === undefined)
+    .map(key => `options must have required property '${key}'`);
+  if (schema.additionalProperties === false) {
+    for (const key of Object.keys(resolved)) {
+      if (!schema.properties || !(key in schema.properties)) errors.push(`options must NOT have additional property '${key}'`);
+    }
+  }
+  return { options: resolved, errors };
+}
 
-      case 'endsWith':
-        logger.debug(`evaluateCondition: checking endsWith for field ${field} with value ${value}`);
-        return String(fieldValue).endsWith(String(value));
+/**
+ * Apply declarative transformations to extracted values
+ * 
+ * @param value - Value to transform (can be string, number, object, array, etc.)
+ * @param transform - Transformation configuration specifying type and parameters
+ * @param args - Arguments available for template replacements and calculations
+ * @param engine - Engine whose session language drives the locale-aware format* transforms
+ * @returns Transformed value or original value if transformation fails
+ * 
+ * @example
+ * ```typescript
+ * applyValueTransform("hello", { type: "toUpperCase" }) // "HELLO"
+ * applyValueTransform("123", { type: "parseInt" }) // 123
+ * applyValueTransform("test", { type: "concat", prefix: "pre_", suffix: "_post" }) // "pre_test_post"
+ * applyValueTransform(1234.5, { type: "formatCurrency", currency: "EUR" }, {}, engine) // "1234,50 €" in an es session
+ * ```
+ */
+function applyValueTransform(
+  value: ExtractedValue,
+  transform: ValueTransformConfig,
+  args: PathArguments,
+  engine?: Engine
+): ExtractedValue {
+  if (!transform || typeof transform !== 'object') {
+    logger.debug(`applyValueTransform: no transform or invalid transform, returning original value: ${JSON.stringify(value)}`);
+    return value;
+  }
 
-      case 'matches':
-        logger.debug(`evaluateCondition: checking regex match for field ${field} with value ${value}`);
-        return new RegExp(String(value)).test(String(fieldValue));
+  logger.debug(`applyValueTransform: transforming value ${JSON.stringify(value)} with transform: ${JSON.stringify(transform)}`);
 
-      case 'in':
-        logger.debug(`evaluateCondition: checking inclusion for field ${field} with value ${value}`);
-        return Array.isArray(value) && value.includes(fieldValue);
+  try {
+    switch (transform.type) {
+      case 'parseInt':
+        const intVal = parseInt(String(value));
+        const intResult = !isNaN(intVal) ? intVal : (transform.fallback !== undefined ? transform.fallback : 0);
+        logger.debug(`parseInt transform: ${JSON.stringify(value)} -> ${JSON.stringify(intResult)}`);
+        return intResult;
 
-      case 'hasLength':
-        const length = Array.isArray(fieldValue) ? fieldValue.length : String(fieldValue).length;
-        logger.debug(`evaluateCondition: checking length for field ${field} with value ${value}, actual length: ${length}`);
-        return length === Number(value);
+      case 'parseFloat':
+        const floatVal = parseFloat(String(value));
+        const floatResult = !isNaN(floatVal) ? floatVal : (transform.fallback !== undefined ? transform.fallback : 0.0);
+        logger.debug(`parseFloat transform: ${JSON.stringify(value)} -> ${JSON.stringify(floatResult)}`);
+        return floatResult;
 
-      case 'isArray':
-        logger.debug(`evaluateCondition: checking if field ${field} is an array`);
-        return Array.isArray(fieldValue);
+      case 'toLowerCase':
+        const lowerResult = value != null ? String(value).toLowerCase() : '';
+        logger.debug(`toLowerCase transform: ${JSON.stringify(value)} -> ${JSON.stringify(lowerResult)}`);
+        return lowerResult;
 
-      case 'isObject':
-        logger.debug(`evaluateCondition: checking if field ${field} is an object`);
-        return typeof fieldValue === 'object' && fieldValue !== null && !Array.isArray(fieldValue);
+      case 'toUpperCase':
+        const upperResult = value != null ? String(value).toUpperCase() : '';
+        logger.debug(`toUpperCase transform: ${JSON.stringify(value)} -> ${JSON.stringify(upperResult)}`);
+        return upperResult;
 
-      case 'isString':
-        logger.debug(`evaluateCondition: checking if field ${field} is a string`);
-        return typeof fieldValue === 'string';
+      case 'trim':
+        const trimResult = value != null ? String(value).trim() : '';
+        logger.debug(`trim transform: ${JSON.stringify(value)} -> ${JSON.stringify(trimResult)}`);
+        return trimResult;
 
-      case 'isNumber':
-        return typeof fieldValue === 'number' && !isNaN(fieldValue);
+      case 'replace':
+        if (!transform.pattern) {
+          logger.debug(`replace transform: no pattern provided, returning original value`);
+          return value;
+        }
+        const replaceResult = String(value).replace(
+          new RegExp(transform.pattern, transform.flags || 'g'),
+          transform.replacement || ''
+        );
+        logger.debug(`replace transform: ${JSON.stringify(value)} -> ${JSON.stringify(replaceResult)} (pattern: ${transform.pattern}, replacement: ${transform.replacement})`);
+        return replaceResult;
 
-      default:
-        logger.warn(`Unknown condition operator: ${operator}`);
-        return false;
-    }
-  } catch (error: any) {
-    logger.warn(`Condition evaluation failed:`, error.message);
-    return false;
-  }
-}
+      case 'concat':
+        const concatResult = (transform.prefix || '') + String(value) + (transform.suffix || '');
+        logger.debug(`concat transform: ${JSON.stringify(value)} -> ${JSON.stringify(concatResult)} (prefix: ${transform.prefix}, suffix: ${transform.suffix})`);
+        return concatResult;
 
-function interpolateObject(obj: unknown, data: unknown, args: ArgsType = {}, engine: Engine): unknown {
-  if (typeof obj === 'string') {
-    // Check if the string is ONLY a single template expression (e.g., '{{cargo}}')
-    const singleTemplateMatch = obj.match(/^\{\{([^}]+)\}\}$/);
-    if (singleTemplateMatch) {
-      // This is a single template expression - return the actual value, not a string conversion
-      const path = singleTemplateMatch[1].trim();
-      try {
-        let value: unknown = undefined;
-        if (isPathTraversableObject(data)) {
-          value = extractByPath(data, path);
-          // Handle user input wrapper objects
-          if (isUserInputVariable(value)) {
-            value = (value as Record<string, unknown>).value;
-          }
+      case 'regex':
+        if (!transform.pattern) {
+          logger.debug(`regex transform: no pattern provided, returning original value`);
+          return value;
         }
+        const match = String(value).match(new RegExp(transform.pattern));
+        const regexResult = match ? (transform.group ? match[transform.group] : match[0]) : (transform.fallback || '');
+        logger.debug(`regex transform: ${JSON.stringify(value)} -> ${JSON.stringify(regexResult)} (pattern: ${transform.pattern}, group: ${transform.group})`);
+        return regexResult;
 
-        // If not found in data and engine is available, use the new unified resolver
-        if ((value === undefined || value === null)) {
-          try {
-            // Use the new resolveVariablePath function which handles all variable types
-            value = resolveVariablePath(path, args, [], engine);
-          } catch (error) {
-            // Ignore variable resolution errors
-          }
+      case 'date':
+        if (value) {
+          const date = new Date(String(value));
+          return !isNaN(date.getTime()) ? date.toISOString() : new Date().toISOString();
         }
+        return new Date().toISOString();
 
-        return value !== undefined && value !== null ? value : '';
-      } catch (error) {
-        return obj; // Keep original on error
-      }
-    }
+      case 'default':
+        return value !== null && value !== undefined ? value : transform.value;
 
-    // Handle template strings with multiple expressions or mixed content
-    return obj.replace(/\{\{([^}]+)\}\}/g, (match, path) => {
-      try {
-        let value: unknown = undefined;
-        if (isPathTraversableObject(data)) {
-          value = extractByPath(data, path.trim());
-          // Handle user input wrapper objects
-          if (isUserInputVariable(value)) {
-            value = (value as Record<string, unknown>).value;
-          }
-        }
+      case 'conditional':
+        // Handle conditional transforms
+        if (transform.conditions && Array.isArray(transform.conditions)) {
+          for (const condition of transform.conditions) {
+            // For value transforms, the field should be checked against the value itself
+            let conditionData: Record<string, unknown>;
+            if (condition.if.field === '.' || !condition.if.field) {
+              conditionData = { ".": value };
+            } else {
+              // If the field references something else, we need the original data
+              // For now, assume it's the current value
+              conditionData = { [condition.if.field]: value };
+            }
 
-        // If not found in data and engine is available, use the new unified resolver
-        if ((value === undefined || value === null)) {
-          try {
-            // Use the new resolveVariablePath function which handles all variable types
-            value = resolveVariablePath(path.trim(), args, [], engine);
-          } catch (error) {
-            // Ignore variable resolution errors
+            if (evaluateCondition(conditionData, condition.if)) {
+              return condition.then;
+            }
           }
+          return transform.else || value;
         }
 
-        return value !== null && value !== undefined ? String(value) : '';
-      } catch (error) {
-        return match; // Keep original on error
-      }
-    }).replace(/\{\$args\.([^}]+)\}/g, (match, path) => {
-      try {
-        const value = extractByPath(args, path.trim());
-        return value !== null && value !== undefined ? String(value) : '';
-      } catch (error) {
-        return match; // Keep original on error
-      }
-    });
-  } else if (Array.isArray(obj)) {
-    return obj.map(item => interpolateObject(item, data, args, engine));
-  } else if (typeof obj === 'object' && obj !== null) {
-    const result: Record<string, unknown> = {};
-    for (const [key, value] of Object.entries(obj)) {
-      // Interpolate the key if it contains template syntax
-      let newKey = key;
-      if (key.includes('{{')) {
-         const interpolatedKey = interpolateObject(key, data, args, engine);
-         newKey = String(interpolatedKey);
-      }
-      // Guard against empty-string keys — typically from templates that
-      // resolved to undefined/empty. Persisting such an object to DynamoDB
-      // fails with "ValidationException: Empty attribute name".
-      if (newKey === '' || newKey.trim() === '') {
-         logger.warn(`interpolateObject: skipping empty key (original="${key}")`);
-         continue;
-      }
-      result[newKey] = interpolateObject(value, data, args, engine);
-    }
-    return result;
-  }
-  return obj;
-}
-
-function makeLogger(level: string = (typeof process !== 'undefined' && process.env?.LOG_LEVEL) || "warn"): Logger {
-  const ORDER: Record<string, number> = { debug: 10, info: 20, warn: 30, error: 40 };
-  let current = ORDER[level] ?? ORDER.warn;
-  const allow = (lvl: string): boolean => ORDER[lvl] >= current;
-  return {
-    setLevel: (lvl: string) => { current = ORDER[lvl] ?? current; },
-    debug: (...a: unknown[]) => { if (allow("debug")) console.debug(...a); },
-    info: (...a: unknown[]) => { if (allow("info")) console.info(...a); },
-    warn: (...a: unknown[]) => { if (allow("warn")) console.warn(...a); },
-    error: (...a: unknown[]) => { if (allow("error")) console.error(...a); },
-  };
-}
+        // Fallback to simple conditional for backward compatibility
+        if (transform.condition && evaluateCondition({ value }, transform.condition)) {
+          return transform.trueValue !== undefined ? transform.trueValue : value;
+        } else {
+          return transform.falseValue !== undefined ? transform.falseValue : value;
+        }
 
-let logger: Logger = makeLogger();
+      case 'substring':
+        const str = String(value);
+        const start = transform.start || 0;
+        const end = transform.end || str.length;
+        return str.substring(start, end);
+
+      case 'split':
+        if (!transform.delimiter) return value;
+        const parts = String(value).split(transform.delimiter);
+        return transform.index !== undefined ? parts[transform.index] : parts;
+
+      case 'join':
+        if (!Array.isArray(value)) return value;
+        return value.join(transform.delimiter || ',');
+
+      case 'abs':
+        return Math.abs(Number(value));
+
+      case 'round':
+        return Math.round(Number(value));
+
+      case 'floor':
+        return Math.floor(Number(value));
+
+      case 'ceil':
+        return Math.ceil(Number(value));
+
+      case 'template':
+        // Handle template transforms
+        if (typeof transform.template === 'string' && HANDLEBARS_BLOCK_PATTERN.test(transform.template)) {
+          // Block helpers render against the value itself ({{#each this}}, {{#if inStock}}...)
+          return processHandlebarsTemplate(transform.template, value, value);
+        }
+        if (typeof transform.template === 'string') {
+          return transform.template.replace(/\{\{([^}]+)\}\}/g, (match, path) => {
+            if (path.trim() === '.') {
+              return String(value);
+            }
+            // Access the property path on the value object
+            const propertyPath = path.trim();
+            const propertyValue = value && typeof value === 'object' ? (value as Record<string, unknown>)[propertyPath] : undefined;
+            return propertyValue !== undefined ? String(propertyValue) : match;
+          });
+        }
+        return value;
+
+
+      // === GENERIC AGGREGATION FUNCTIONS ===
+      case 'sum':
+        if (Array.isArray(value)) {
+          if (transform.field) {
+            // Sum specific field from array of objects
+            return value.reduce((sum, item) => {
+              const fieldValue = typeof item === 'object' && item !== null ? (item as Record<string, unknown>)[transform.field!] : 0;
+              return sum + Number(fieldValue || 0);
+            }, 0);
+          } else {
+            // Sum array of numbers
+            return value.reduce((sum, item) => sum + Number(item || 0), 0);
+          }
+        }
+        logger.warn(`sum transform: value is not an array: ${typeof value}`);
+        return transform.fallback !== undefined ? transform.fallback : 0;
+
+      case 'average':
+        if (Array.isArray(value) && value.length > 0) {
+          let total = 0;
+          let count = 0;
+
+          if (transform.field) {
+            // Average specific field from array of objects
+            for (const item of value) {
+              if (typeof item === 'object' && item !== null) {
+                const fieldValue = (item as Record<string, unknown>)[transform.field];
+                if (fieldValue !== null && fieldValue !== undefined) {
+                  total += Number(fieldValue);
+                  count++;
+                }
+              }
+            }
+          } else {
+            // Average array of numbers
+            for (const item of value) {
+              if (item !== null && item !== undefined) {
+                total += Number(item);
+                count++;
+              }
+            }
+          }
+
+          if (count === 0) {
+            return transform.fallback !== undefined ? transform.fallback : 0;
+          }
+
+          const avg = total / count;
+          return transform.precision !== undefined ? Number(avg.toFixed(transform.precision)) : avg;
+        }
+        logger.warn(`average transform: value is not a non-empty array: ${typeof value}, length: ${Array.isArray(value) ? value.length : 'N/A'}`);
+        return transform.fallback !== undefined ? transform.fallback : 0;
+
+      case 'count':
+        if (Array.isArray(value)) {
+          if (transform.field) {
+            // Count non-null/non-undefined values of specific field
+            return value.filter(item => {
+              if (typeof item === 'object' && item !== null) {
+                const fieldValue = (item as Record<string, unknown>)[transform.field!];
+                return fieldValue !== null && fieldValue !== undefined;
+              }
+              return false;
+            }).length;
+          } else {
+            // Count non-null/non-undefined items
+            return value.filter(item => item !== null && item !== undefined).length;
+          }
+        }
+        logger.warn(`count transform: value is not an array: ${typeof value}`);
+        return transform.fallback !== undefined ? transform.fallback : 0;
+
+      case 'min':
+        if (Array.isArray(value) && value.length > 0) {
+          let numbers: number[];
+
+          if (transform.field) {
+            // Min of specific field from array of objects
+            numbers = value
+              .map(item => typeof item === 'object' && item !== null ? Number((item as Record<string, unknown>)[transform.field!]) : NaN)
+              .filter(n => !isNaN(n));
+          } else {
+            // Min of array of numbers
+            numbers = value.map(item => Number(item)).filter(n => !isNaN(n));
+          }
+
+          return numbers.length > 0 ? Math.min(...numbers) : (transform.fallback !== undefined ? transform.fallback : 0);
+        }
+        logger.warn(`min transform: value is not a non-empty array: ${typeof value}`);
+        return transform.fallback !== undefined ? transform.fallback : 0;
+
+      case 'max':
+        if (Array.isArray(value) && value.length > 0) {
+          let numbers: number[];
+
+          if (transform.field) {
+            // Max of specific field from array of objects
+            numbers = value
+              .map(item => typeof item === 'object' && item !== null ? Number((item as Record<string, unknown>)[transform.field!]) : NaN)
+              .filter(n => !isNaN(n));
+          } else {
+            // Max of array of numbers
+            numbers = value.map(item => Number(item)).filter(n => !isNaN(n));
+          }
+
+          return numbers.length > 0 ? Math.max(...numbers) : (transform.fallback !== undefined ? transform.fallback : 0);
+        }
+        logger.warn(`max transform: value is not a non-empty array: ${typeof value}`);
+        return transform.fallback !== undefined ? transform.fallback : 0;
+
+      // === GENERIC MATHEMATICAL OPERATIONS ===
+      case 'multiply':
+        const multiplyResult = Number(value) * (transform.multiplier || 1);
+        return transform.precision !== undefined ? Number(multiplyResult.toFixed(transform.precision)) : multiplyResult;
+
+      case 'divide':
+        if (!transform.divisor || transform.divisor === 0) {
+          logger.warn(`divide transform: invalid or zero divisor: ${transform.divisor}`);
+          return transform.fallback !== undefined ? transform.fallback : 0;
+        }
+        const divideResult = Number(value) / transform.divisor;
+        return transform.precision !== undefined ? Number(divideResult.toFixed(transform.precision)) : divideResult;
+
+      case 'percentage':
+        // Calculate percentage: (value / divisor) * 100
+        if (!transform.divisor || transform.divisor === 0) {
+          logger.warn(`percentage transform: invalid or zero divisor: ${transform.divisor}`);
+          return transform.fallback !== undefined ? transform.fallback : 0;
+        }
+        const percentageResult = (Number(value) / transform.divisor) * 100;
+        return transform.precision !== undefined ? Number(percentageResult.toFixed(transform.precision)) : percentageResult;
+
+      // === ADDITIONAL MATHEMATICAL OPERATIONS ===
+      case 'add':
+        const addResult = Number(value) + (transform.addend || 0);
+        return transform.precision !== undefined ? Number(addResult.toFixed(transform.precision)) : addResult;
+
+      case 'subtract':
+        const subtractResult = Number(value) - (transform.subtrahend || 0);
+        return transform.precision !== undefined ? Number(subtractResult.toFixed(transform.precision)) : subtractResult;
+
+      // === DATE-BASED CALCULATIONS ===
+      case 'currentYear':
+        return new Date().getFullYear();
+
+      case 'yearDifference':
+        // Calculate difference between current year and provided year
+        const currentYear = new Date().getFullYear();
+        const yearValue = transform.fromYear || Number(value);
+        return currentYear - yearValue;
+
+      // === LOCALE-AWARE FORMATTING ===
+      case 'formatNumber':
+        return formatLocaleNumber(value, transform.locale ?? getFormattingLocale(engine), {
+          style: (transform.style ?? 'decimal') as Intl.NumberFormatOptions['style'],
+          unit: transform.unit,
+          notation: transform.notation,
+          ...(transform.precision !== undefined ? { minimumFractionDigits: transform.precision, maximumFractionDigits: transform.precision } : {})
+        });
+
+      case 'formatCurrency':
+        return formatLocaleNumber(value, transform.locale ?? getFormattingLocale(engine), {
+          style: 'currency',
+          currency: transform.currency ?? 'USD',
+          currencyDisplay: transform.currencyDisplay,
+          ...(transform.precision !== undefined ? { minimumFractionDigits: transform.precision, maximumFractionDigits: transform.precision } : {})
+        });
+
+      case 'formatDate':
+        return formatLocaleDate(value, transform.locale ?? getFormattingLocale(engine), {
+          style: transform.style,
+          timeStyle: transform.timeStyle,
+          timeZone: transform.timeZone
+        });
+
+      case 'relativeTime':
+        return formatRelativeTime(value, transform.locale ?? getFormattingLocale(engine), {
+          unit: transform.unit,
+          style: transform.style
+        });
+
+      case 'formatPhone':
+        return formatPhoneNumber(value, transform.locale ?? getFormattingLocale(engine), {
+          country: transform.country,
+          style: transform.style
+        });
+
+      // === HOST-REGISTERED TRANSFORMS ===
+      case 'custom': {
+        const definition = transform.name ? findCustomTransform(engine, transform.name) : undefined;
+        if (!definition) {
+          throw new Error(`Unknown custom transform "${transform.name}" - register it with engine.registerTransform()`);
+        }
+        const { options, errors } = resolveCustomTransformOptions(definition, transform.options);
+        if (errors.length > 0) {
+          throw new Error(`Invalid options for custom transform "${transform.name}": ${errors.join(', ')}`);
+        }
+        return definition.transform(value, options, { args, locale: transform.locale ?? getFormattingLocale(engine) }) as ExtractedValue;
+      }
+
+      // === ENHANCED TEMPLATE SYSTEM ===
+      case 'handlebars':
+        // Handlebars-style block template rendered against the whole value
+        if (typeof transform.template === 'string' && transform.dataPath) {
+          // Get the data from the specified path for template context
+          let templateData = value;
+          if (typeof value === 'object' && value !== null) {
+            templateData = extractByPath(value as Record<string, unknown>, transform.dataPath);
+          }
+
+          return processHandlebarsTemplate(transform.template, templateData, value);
+        }
+        return value;
+
+      default:
+        logger.warn(`Unknown transform type: ${transform.type}`);
+        return value;
+    }
+  } catch (error: any) {
+    logger.warn(`Transform ${transform.type} failed: ${error.message}`);
+    return transform.fallback !== undefined ? transform.fallback : value;
+  }
+}
+
+function evaluateCondition(data: unknown, condition: ConditionConfig): boolean {
+  if (!condition || typeof condition !== 'object') return false;
+
+  const { field, operator, value } = condition;
+  logger.debug(`evaluateCondition called with field: ${field}, operator: ${operator}, value: ${value}`);
+
+  try {
+    let fieldValue: unknown = undefined;
+    if (isPathTraversableObject(data)) {
+      fieldValue = extractByPath(data, field);
+    }
+
+    switch (operator) {
+      case 'equals':
+      case 'eq':
+        logger.debug(`evaluateCondition: checking equality for field ${field} with value ${value}`);
+        return fieldValue === value;
+
+      case 'notEquals':
+      case 'ne':
+        logger.debug(`evaluateCondition: checking inequality for field ${field} with value ${value}`);
+        return fieldValue !== value;
+
+      case 'contains':
+        logger.debug(`evaluateCondition: checking containment for field ${field} with value ${value}`);
+        return String(fieldValue).includes(String(value));
+
+      case 'exists':
+        logger.debug(`evaluateCondition: checking existence for field ${field}`);
+        return fieldValue !== null && fieldValue !== undefined;
+
+      case 'notExists':
+        logger.debug(`evaluateCondition: checking non-existence for field ${field}`);
+        return fieldValue === null || fieldValue === undefined;
+
+      case 'greaterThan':
+      case 'gt':
+        logger.debug(`evaluateCondition: checking greaterThan for field ${field} with value ${value}`);
+        return Number(fieldValue) > Number(value);
+
+      case 'lessThan':
+      case 'lt':
+        logger.debug(`evaluateCondition: checking lessThan for field ${field} with value ${value}`);
+        return Number(fieldValue) < Number(value);
+
+      case 'greaterThanOrEqual':
+      case 'gte':
+        logger.debug(`evaluateCondition: checking greaterThanOrEqual for field ${field} with value ${value}`);
+        return Number(fieldValue) >= Number(value);
+
+      case 'lessThanOrEqual':
+      case 'lte':
+        logger.debug(`evaluateCondition: checking lessThanOrEqual for field ${field} with value ${value}`);
+        return Number(fieldValue) <= Number(value);
+
+      case 'startsWith':
+        logger.debug(`evaluateCondition: checking startsWith for field ${field} with value ${value}`);
+        return String(fieldValue).startsWith(String(value));
+
+      case 'endsWith':
+        logger.debug(`evaluateCondition: checking endsWith for field ${field} with value ${value}`);
+        return String(fieldValue).endsWith(String(value));
+
+      case 'matches':
+        logger.debug(`evaluateCondition: checking regex match for field ${field} with value ${value}`);
+        return new RegExp(String(value)).test(String(fieldValue));
+
+      case 'in':
+        logger.debug(`evaluateCondition: checking inclusion for field ${field} with value ${value}`);
+        return Array.isArray(value) && value.includes(fieldValue);
+
+      case 'hasLength':
+        const length = Array.isArray(fieldValue) ? fieldValue.length : String(fieldValue).length;
+        logger.debug(`evaluateCondition: checking length for field ${field} with value ${value}, actual length: ${length}`);
+        return length === Number(value);
+
+      case 'isArray':
+        logger.debug(`evaluateCondition: checking if field ${field} is an array`);
+        return Array.isArray(fieldValue);
+
+      case 'isObject':
+        logger.debug(`evaluateCondition: checking if field ${field} is an object`);
+        return typeof fieldValue === 'object' && fieldValue !== null && !Array.isArray(fieldValue);
+
+      case 'isString':
+        logger.debug(`evaluateCondition: checking if field ${field} is a string`);
+        return typeof fieldValue === 'string';
+
+      case 'isNumber':
+        return typeof fieldValue === 'number' && !isNaN(fieldValue);
+
+      default:
+        logger.warn(`Unknown condition operator: ${operator}`);
+        return false;
+    }
+  } catch (error: any) {
+    logger.warn(`Condition evaluation failed:`, error.message);
+    return false;
+  }
+}
+
+function interpolateObject(obj: unknown, data: unknown, args: ArgsType = {}, engine: Engine): unknown {
+  if (typeof obj === 'string') {
+    // Check if the string is ONLY a single template expression (e.g., '{{cargo}}')
+    const singleTemplateMatch = obj.match(/^\{\{([^}]+)\}\}$/);
+    if (singleTemplateMatch) {
+      // This is a single template expression - return the actual value, not a string conversion
+      const path = singleTemplateMatch[1].trim();
+      try {
+        let value: unknown = undefined;
+        if (isPathTraversableObject(data)) {
+          value = extractByPath(data, path);
+          // Handle user input wrapper objects
+          if (isUserInputVariable(value)) {
+            value = (value as Record<string, unknown>).value;
+          }
+        }
+
+        // If not found in data and engine is available, use the new unified resolver
+        if ((value === undefined || value === null)) {
+          try {
+            // Use the new resolveVariablePath function which handles all variable types
+            value = resolveVariablePath(path, args, [], engine);
+          } catch (error) {
+            // Ignore variable resolution errors
+          }
+        }
+
+        return value !== undefined && value !== null ? value : '';
+      } catch (error) {
+        return obj; // Keep original on error
+      }
+    }
+
+    // Handle template strings with multiple expressions or mixed content
+    return obj.replace(/\{\{([^}]+)\}\}/g, (match, path) => {
+      try {
+        let value: unknown = undefined;
+        if (isPathTraversableObject(data)) {
+          value = extractByPath(data, path.trim());
+          // Handle user input wrapper objects
+          if (isUserInputVariable(value)) {
+            value = (value as Record<string, unknown>).value;
+          }
+        }
+
+        // If not found in data and engine is available, use the new unified resolver
+        if ((value === undefined || value === null)) {
+          try {
+            // Use the new resolveVariablePath function which handles all variable types
+            value = resolveVariablePath(path.trim(), args, [], engine);
+          } catch (error) {
+            // Ignore variable resolution errors
+          }
+        }
+
+        return value !== null && value !== undefined ? String(value) : '';
+      } catch (error) {
+        return match; // Keep original on error
+      }
+    }).replace(/\{\$args\.([^}]+)\}/g, (match, path) => {
+      try {
+        const value = extractByPath(args, path.trim());
+        return value !== null && value !== undefined ? String(value) : '';
+      } catch (error) {
+        return match; // Keep original on error
+      }
+    });
+  } else if (Array.isArray(obj)) {
+    return obj.map(item => interpolateObject(item, data, args, engine));
+  } else if (typeof obj === 'object' && obj !== null) {
+    const result: Record<string, unknown> = {};
+    for (const [key, value] of Object.entries(obj)) {
+      // Interpolate the key if it contains template syntax
+      let newKey = key;
+      if (key.includes('{{')) {
+         const interpolatedKey = interpolateObject(key, data, args, engine);
+         newKey = String(interpolatedKey);
+      }
+      // Guard against empty-string keys — typically from templates that
+      // resolved to undefined/empty. Persisting such an object to DynamoDB
+      // fails with "ValidationException: Empty attribute name".
+      if (newKey === '' || newKey.trim() === '') {
+         logger.warn(`interpolateObject: skipping empty key (original="${key}")`);
+         continue;
+      }
+      result[newKey] = interpolateObject(value, data, args, engine);
+    }
+    return result;
+  }
+  return obj;
+}
+
+function makeLogger(level: string = (typeof process !== 'undefined' && process.env?.LOG_LEVEL) || "warn"): Logger {
+  const ORDER: Record<string, number> = { debug: 10, info: 20, warn: 30, error: 40 };
+  let current = ORDER[level] ?? ORDER.warn;
+  const allow = (lvl: string): boolean => ORDER[lvl] >= current;
+  return {
+    setLevel: (lvl: string) => { current = ORDER[lvl] ?? current; },
+    debug: (...a: unknown[]) => { if (allow("debug")) console.debug(...a); },
+    info: (...a: unknown[]) => { if (allow("info")) console.info(...a); },
+    warn: (...a: unknown[]) => { if (allow("warn")) console.warn(...a); },
+    error: (...a: unknown[]) => { if (allow("error")) console.error(...a); },
+  };
+}
+
+let logger: Logger = makeLogger();
 
 // Fallback for any remaining console calls (host-agnostic: globalThis works in Node, browser, CF Worker)
 if (!(globalThis as Record<string, unknown>).console) {
@@ -2128,3535 +3971,7123 @@ if (!(globalThis as Record<string, unknown>).console) {
   };
 }
 
-// === COMPREHENSIVE AUDIT LOGGING ===
-const auditLogger = {
-  logFlowStart(flowName: string, input: unknown, userId: string, transactionId: string) {
-    const logEntry = {
-      event: "flow_started",
-      flowName,
-      userId,
-      transactionId,
-      timestamp: new Date().toISOString(),
-      input: this.sanitizeForLog(input)
-    };
-    logger.info(`[AUDIT] ${JSON.stringify(logEntry)}`);
-  },
+// === COMPREHENSIVE AUDIT LOGGING ===
+const auditLogger = {
+  logFlowStart(flowName: string, input: unknown, userId: string, transactionId: string) {
+    const logEntry = {
+      event: "flow_started",
+      flowName,
+      userId,
+      transactionId,
+      timestamp: new Date().toISOString(),
+      input: this.sanitizeForLog(input)
+    };
+    logger.info(`[AUDIT] ${JSON.stringify(logEntry)}`);
+  },
+
+  logToolExecution(toolName: string, args: unknown, result: unknown, duration: number, userId: string, transactionId: string) {
+    const logEntry = {
+      event: "tool_executed",
+      toolName,
+      userId,
+      transactionId,
+      duration,
+      timestamp: new Date().toISOString(),
+      args: this.sanitizeForLog(args),
+      result: this.sanitizeForLog(result),
+      success: true
+    };
+    logger.info(`[AUDIT] ${JSON.stringify(logEntry)}`);
+  },
+
+  logToolError(toolName: string, args: unknown, error: Error, duration: number, userId: string, transactionId: string) {
+    const logEntry = {
+      event: "tool_error",
+      toolName,
+      userId,
+      transactionId,
+      duration,
+      timestamp: new Date().toISOString(),
+      args: this.sanitizeForLog(args),
+      error: error.message,
+      success: false
+    };
+    logger.info(`[AUDIT] ${JSON.stringify(logEntry)}`);
+  },
+
+  logTransactionComplete(transaction: TransactionData) {
+    const logEntry = {
+      event: "transaction_completed",
+      transactionId: transaction.id,
+      flowName: transaction.flowName,
+      userId: transaction.userId,
+      duration: transaction.completedAt ? transaction.completedAt.getTime() - transaction.createdAt.getTime() : 0,
+      stepCount: transaction.steps.length,
+      timestamp: new Date().toISOString()
+    };
+    logger.info(`[AUDIT] ${JSON.stringify(logEntry)}`);
+  },
+
+  logTransactionFailed(transaction: TransactionData) {
+    const logEntry = {
+      event: "transaction_failed",
+      transactionId: transaction.id,
+      flowName: transaction.flowName,
+      userId: transaction.userId,
+      reason: transaction.failureReason,
+      stepCount: transaction.steps.length,
+      timestamp: new Date().toISOString()
+    };
+    logger.info(`[AUDIT] ${JSON.stringify(logEntry)}`);
+  },
+
+  logTransactionRollback(transaction: TransactionData) {
+    const logEntry = {
+      event: "transaction_rollback",
+      transactionId: transaction.id,
+      flowName: transaction.flowName,
+      userId: transaction.userId,
+      timestamp: new Date().toISOString()
+    };
+    logger.info(`[AUDIT] ${JSON.stringify(logEntry)}`);
+  },
+
+  logFlowExit(flowName: string, userId: string, transactionId: string, reason: string) {
+    const logEntry = {
+      event: "flow_exit",
+      flowName,
+      userId,
+      transactionId,
+      reason,
+      timestamp: new Date().toISOString()
+    };
+    logger.info(`[AUDIT] ${JSON.stringify(logEntry)}`);
+  },
+
+  sanitizeForLog(data: unknown): unknown {
+    if (typeof data === 'object' && data !== null) {
+      const sanitized = { ...(data as Record<string, unknown>) };
+      // Remove sensitive fields for logging
+      const sensitiveFields = ['password', 'token', 'signature', 'key', 'secret'];
+      sensitiveFields.forEach(field => {
+        if (field in sanitized) {
+          sanitized[field] = '[REDACTED]';
+        }
+      });
+      return sanitized;
+    }
+    return data;
+  }
+};
+
+// === RATE LIMITING ===
+const rateLimiter = new Map<string, number[]>();
+
+function checkRateLimit(engine: Engine, userId: string, toolId: string) {
+  try {
+    const toolsRegistry = engine.toolsRegistry;
+    const tool = toolsRegistry?.find((t: ToolDefinition) => t.id === toolId);
+
+    if (!tool?.security?.rateLimit) return; // No rate limit configured
+
+    const { requests, window } = tool.security.rateLimit;
+    const key = `${userId}:${toolId}`;
+    const now = Date.now();
+
+    if (!rateLimiter.has(key)) {
+      rateLimiter.set(key, []);
+    }
+
+    const attempts = rateLimiter.get(key)!.filter(time => now - time < window);
+
+    if (attempts.length >= requests) {
+      throw new Error(`Rate limit exceeded for ${tool.name}. Max ${requests} requests per ${window / 1000} seconds.`);
+    }
+
+    attempts.push(now);
+    rateLimiter.set(key, attempts);
+  } catch (error: any) {
+    logger.info(`Rate limiting error: ${error.message}`);
+    logger.info(error.stack);
+    throw error; // Re-throw to propagate error
+  }
+}
+
+// === INPUT VALIDATION & SANITIZATION ===
+
+/**
+ * AI-powered voice input cleanup for natural speech processing
+ * Cleans up voice input by removing filler words and normalizing responses based on context
+ * @param input - Raw voice input from user
+ * @param questionContext - The question or prompt that was asked to provide context
+ * @param engine - Engine instance for AI callback access
+ * @returns Promise<string> - Cleaned up input suitable for processing
+ */
+async function cleanVoiceInput(input: string, questionContext: string, engine: Engine): Promise<string> {
+  if (!engine.aiCallback) {
+    logger.warn('AI callback not available for voice input cleanup, using raw input');
+    return input.trim();
+  }
+
+  try {
+    const systemInstruction = `You are a voice input cleaner for a conversational AI system. Your job is to clean up natural speech input by:
+
+1. Removing filler words (um, uh, hmm, etc.)
+2. Extracting the core intent from casual speech
+3. Normalizing responses to expected formats
+4. Preserving the original meaning while making it suitable for system processing
+
+Rules:
+- NEVER return an email address or phone number that appears in the question. When the question repeats one back — e.g. "I could not verify the email pinkas@example.com. Would you like to try again?" — the user's answer is a CORRECTION of it. A near-miss like "rpinkas@..." against a quoted "pinkas@..." is deliberate, not a mis-hearing. Return what the user said.
+- If the user clearly means "yes" (yes, yeah, yep, sure, okay, alright, umm yes, etc.) return "yes"
+- If the user clearly means "no" (no, nope, nah, not really, etc.) return "no"
+- For numbers: Extract only the digits (e.g., "umm, it's 123456" → "123456"). Pay special attention to possible duplication if the user repeats themselves for clarification (e.g., "it's 123456, 123, 456" should be normalized to "123456").
+- For emails: This is one of the most challenging cases. If the user says something like "my email is john dot doe at example dot com," convert it to "john.doe@example.com." Users may also say "at gmail," "GM," "hotmail," or "hot mail." In these cases, convert the domain to the correct format (e.g., @gmail.com, @hotmail.com, etc.). By excelling at email normalization, you can truly save callers from intense frustration.
+- For phone numbers: Extract only the number digits. Pay close attention to potential duplication if the user repeats digits for clarification (e.g., "it's 8, 1, 8, 5, 5, 5, 1, 2, 3, 4, 818, 555, 1234" should be normalized to "8185551234").
+- For names, extract just the name parts
+- If unclear or ambiguous, return the input with just filler words removed
+- Always preserve the core semantic meaning
+- Keep responses concise and direct
+
+Return ONLY the cleaned input, no explanations.`;
+
+    const userMessage = `Question asked: "${questionContext}"
+User's voice response: "${input}"
+
+Clean this voice input:`;
+
+    const cleanedInput = await fetchAiResponse(
+      systemInstruction,
+      userMessage,
+      engine.aiCallback,
+      engine.aiTimeOut || 2000
+    );
+
+    if (cleanedInput && cleanedInput.trim()) {
+      logger.info(`Voice input cleaned: "${input}" → "${cleanedInput.trim()}"`);
+      return cleanedInput.trim();
+    } else {
+      logger.warn('AI returned empty response for voice cleanup, using original input');
+      return input.trim();
+    }
+
+  } catch (error: any) {
+    logger.warn(`Voice input cleanup failed: ${error.message}, using original input`);
+    return input.trim();
+  }
+}
+
+function sanitizeInput(input: unknown): unknown {
+  if (typeof input !== 'string') return input;
+  // Simple trim - no HTML encoding since user input is treated as literal data
+  return input.trim();
+}
+
+function validateToolArgs(tool: ToolDefinition, args: Record<string, unknown>): Record<string, unknown> {
+  if (!tool.parameters) return args; // No validation schema
+  if (!ajv) return args; // ajv not available — skip validation
+
+  const validate = ajv.compile(tool.parameters);
+  const valid = validate(args);
+
+  if (!valid) {
+    const errors = (validate.errors || []).map((err: any) =>
+      `${err.instancePath || 'root'} ${err.message}`
+    ).join(', ');
+    logger.info(`Tool argument validation failed for ${tool.name}: ${errors}`);
+    logger.info(`Stack trace: ${new Error().stack}`);
+    throw new Error(`Tool argument validation failed: ${errors}`);
+  }
+
+  return args;
+}
+
+const toolOutputValidators = new WeakMap<object, any>();
+
+// Check a tool result (after responseMapping) against the tool's outputSchema
+function validateToolOutput(tool: ToolDefinition, output: unknown): unknown {
+  if (!tool.outputSchema) return output; // No output contract
+  if (!ajv) return output; // ajv not available — skip validation
+
+  let validate = toolOutputValidators.get(tool.outputSchema);
+  if (!validate) {
+    validate = ajv.compile(tool.outputSchema);
+    toolOutputValidators.set(tool.outputSchema, validate);
+  }
+  if (validate(output)) {
+    return output;
+  }
+
+  const errors = (validate.errors || []).map((err: any) => `${err.instancePath || 'root'} ${err.message}`);
+  logger.info(`Tool output validation failed for ${tool.name}: ${errors.join(', ')} - output: ${JSON.stringify(output)}`);
+  throw new ToolOutputValidationError(`Failed ${tool.name}: output does not match outputSchema: ${errors.join(', ')}`, tool.id, errors, output);
+}
+
+// Top-level shapes a response mapping can produce, for the flow validator's outputSchema
+// check. Mappings whose shape depends on the response (paths, PathConfig) yield none.
+function getMappingOutputShapes(mapping: unknown): Array<{ type: 'object' | 'array' | 'string'; keys?: string[] }> {
+  if (!isPathTraversableObject(mapping)) return [];
+  const config = mapping as any;
+  switch (config.type) {
+    case 'jsonPath':
+    case 'xpath':
+    case 'object': {
+      if (!isPathTraversableObject(config.mappings)) return [];
+      // jsonPath and xpath targets may be dotted paths; only the top-level key matters here
+      const keys = Object.keys(config.mappings).map(target => config.type === 'object' ? target : target.split('.')[0]);
+      return [{ type: 'object', keys: [...new Set(keys)] }];
+    }
+    case 'array':
+      return [{ type: 'array' }];
+    case 'template':
+      return [{ type: 'string' }];
+    case 'conditional':
+      return [...(Array.isArray(config.conditions) ? config.conditions.map((condition: any) => condition?.then) : []), config.else]
+        .flatMap(getMappingOutputShapes);
+    default:
+      return [];
+  }
+}
+
+// === ENHANCED CONTEXT STACK MANAGEMENT ===
+
+/**
+ * Add an entry to the context stack with role information
+ */
+function addToContextStack(
+  contextStack: ContextEntry[],
+  role: 'user' | 'assistant' | 'system' | 'tool',
+  content: string | Record<string, unknown> | unknown,
+  stepId?: string,
+  toolName?: string,
+  metadata?: Record<string, unknown>
+): void {
+  contextStack.push({
+    role,
+    content,
+    timestamp: Date.now(),
+    stepId,
+    toolName,
+    metadata
+  });
+}
+
+/**
+ * Flatten context stack for AI processing with role-aware formatting
+ */
+function flattenContextStack(contextStack: ContextEntry[], includeRoles: boolean = true): string {
+  if (!contextStack || contextStack.length === 0) {
+    return 'No previous context available';
+  }
+
+  return contextStack.map(entry => {
+    let formattedContent: string;
+
+    // Handle different content types
+    if (typeof entry.content === 'object') {
+      formattedContent = JSON.stringify(entry.content, null, 2);
+    } else {
+      formattedContent = String(entry.content);
+    }
+
+    // Add role prefix if requested
+    if (includeRoles) {
+      const rolePrefix = getRolePrefix(entry.role, entry.toolName);
+      return `${rolePrefix}: ${formattedContent}`;
+    } else {
+      return formattedContent;
+    }
+  }).join('\n\n');
+}
+
+/**
+ * Flatten lastChatTurn for AI processing with role-aware formatting
+ */
+function flattenLastChatTurn(lastChatTurn: { user?: ContextEntry; assistant?: ContextEntry }, includeRoles: boolean = true): string {
+  const entries: ContextEntry[] = [];
+
+  // Add user entry if present
+  if (lastChatTurn.user) {
+    entries.push(lastChatTurn.user);
+  }
+
+  // Add assistant entry if present
+  if (lastChatTurn.assistant) {
+    entries.push(lastChatTurn.assistant);
+  }
+
+  if (entries.length === 0) {
+    return 'No chat context available';
+  }
+
+  // Reuse the existing formatting logic
+  return flattenContextStack(entries, includeRoles);
+}
+
+/**
+ * Get appropriate prefix for different roles
+ */
+function getRolePrefix(role: string, toolName?: string): string {
+  switch (role) {
+    case 'user':
+      return 'User';
+    case 'assistant':
+      return 'Assistant';
+    case 'system':
+      return 'System';
+    case 'tool':
+      return toolName ? `Tool(${toolName})` : 'Tool';
+    default:
+      return role;
+  }
+}
+
+/**
+ * Filter context stack by role for specific use cases
+ */
+function filterContextByRole(contextStack: ContextEntry[], roles: string[]): ContextEntry[] {
+  return contextStack.filter(entry => roles.includes(entry.role));
+}
+
+/**
+ * Get recent context entries (last N entries)
+ */
+function getRecentContext(contextStack: ContextEntry[], count: number): ContextEntry[] {
+  return contextStack.slice(-count);
+}
+
+/**
+ * Debug utility: Get a human-readable summary of the context stack
+ */
+function getContextSummary(contextStack: ContextEntry[]): string {
+  if (!contextStack || contextStack.length === 0) {
+    return 'Context Stack: Empty';
+  }
+
+  const summary = contextStack.map((entry, index) => {
+    const timestamp = new Date(entry.timestamp).toISOString().slice(11, 19); // HH:MM:SS
+    const contentPreview = typeof entry.content === 'string'
+      ? entry.content.substring(0, 50) + (entry.content.length > 50 ? '...' : '')
+      : '[object]';
+
+    const toolInfo = entry.toolName ? ` (${entry.toolName})` : '';
+    const stepInfo = entry.stepId ? ` [${entry.stepId}]` : '';
+
+    return `${index + 1}. ${timestamp} ${entry.role}${toolInfo}${stepInfo}: ${contentPreview}`;
+  }).join('\n');
+
+  return `Context Stack (${contextStack.length} entries):\n${summary}`;
+}
+
+/**
+ * Export context stack as conversation history for AI prompts
+ */
+function exportConversationHistory(contextStack: ContextEntry[], format: 'openai' | 'anthropic' | 'simple' = 'simple'): unknown[] | string {
+  if (!contextStack || contextStack.length === 0) {
+    return [];
+  }
+
+  switch (format) {
+    case 'openai':
+      return contextStack.map(entry => ({
+        role: entry.role === 'assistant' ? 'assistant' : 'user',
+        content: typeof entry.content === 'string' ? entry.content : JSON.stringify(entry.content)
+      }));
+
+    case 'anthropic':
+      return contextStack.map(entry => ({
+        role: entry.role === 'assistant' ? 'assistant' : 'user',
+        content: typeof entry.content === 'string' ? entry.content : JSON.stringify(entry.content)
+      }));
+
+    case 'simple':
+    default:
+      return flattenContextStack(contextStack, true);
+  }
+}
+
+// === STACK-OF-STACKS FLOW MANAGEMENT ===
+// Simple implementation: maintains multiple flow stacks for proper interruption/resumption
+// Stored in engine.flowStacks for proper context isolation
+
+function initializeFlowStacks(engine: Engine) {
+  try {
+    // Use the engine method directly since Engine is now an alias for WorkflowEngine
+    engine.initializeFlowStacks();
+    engine.getAndClearAccumulatedMessages();
+  } catch (error: any) {
+    logger.error("Failed to initialize flow stacks:", error.message);
+    logger.error(error.stack);
+    throw error; // Re-throw to ensure proper error handling
+  }
+}
+
+function getCurrentStack(engine: Engine): FlowFrame[] {
+  return engine.flowStacks[engine.flowStacks.length - 1] as FlowFrame[];
+}
+
+function pushToCurrentStack(engine: Engine, flowFrame: FlowFrame) {
+  getCurrentStack(engine).push(flowFrame);
+}
+
+function popFromCurrentStack(engine: Engine): FlowFrame {
+  const result = getCurrentStack(engine).pop();
+  if (!result) {
+    throw new Error('Cannot pop from empty stack');
+  }
+  return result;
+}
+
+function createNewStack(engine: Engine): number {
+  // Create new stack and switch to it
+  engine.flowStacks.push([]);
+  return engine.flowStacks.length - 1;
+}
+
+function switchToPreviousStack(engine: Engine) {
+  try {
+    // Remove current empty stack and switch to previous
+    if (engine.flowStacks.length > 1) {
+      engine.flowStacks.pop();
+      logger.info(`Switched back to previous stack, now have ${engine.flowStacks.length} stacks`);
+    } else {
+      logger.error("Attempted to switch to previous stack, but only one stack exists");
+      throw new Error("Cannot switch to previous stack - only one stack exists");
+    }
+  } catch (error: any) {
+    logger.error("Error switching to previous stack:", error.message);
+    logger.error(error.stack);
+    throw error;
+  }
+}
+
+function getInitialVariables(engine: Engine, flowDefinition?: FlowDefinition, inheritedVariables?: Record<string, unknown>): Record<string, unknown> {
+  let variables: Record<string, unknown>;
+
+  if (inheritedVariables) {
+    // For sub-flows: Use the SAME REFERENCE as parent (don't spread/copy)
+    variables = inheritedVariables;
+
+    // Merge flow definition variables IN-PLACE on the shared reference
+    if (flowDefinition?.variables) {
+      for (const [varName, varDef] of Object.entries(flowDefinition.variables)) {
+        if (varDef.value !== undefined) {
+          variables[varName] = varDef.value; // Modify in-place on shared reference
+        }
+      }
+    }
+  } else {
+    // For root flows: Create new variables object from globals + flow definition
+    variables = engine.globalVariables ? { ...engine.globalVariables } : {};
+
+    // Merge in flow-defined variables with their initial values
+    if (flowDefinition?.variables) {
+      for (const [varName, varDef] of Object.entries(flowDefinition.variables)) {
+        if (varDef.value !== undefined) {
+          variables[varName] = varDef.value;
+        }
+      }
+    }
+  }
+
+  return variables;
+}
+
+function getCurrentStackLength(engine: Engine): number {
+  return getCurrentStack(engine).length;
+}
+
+function getCurrentFlowFrame(engine: Engine): FlowFrame {
+  if (getCurrentStackLength(engine) === 0) {
+    throw new Error("No flow frames available in the current stack");
+  }
+
+  // Return the last frame in the current stack
+  const currentFlowFrame = getCurrentStack(engine)[getCurrentStackLength(engine) - 1];
+
+  if (!currentFlowFrame) {
+    throw new Error("Current flow frame is undefined");
+  }
+
+  return currentFlowFrame;
+}
+
+async function detectLanguage(input: string, engine: Engine): Promise<string> {
+  // Use fetchAiTask() to detect language from input
+  const task = `Detect the language of the following text and respond with ONLY the ISO 639-1 two-letter language code (e.g., en, es, fr, de, pt, zh, ja, ko, ar, hi). If unsure, respond with unknown.`;
+  const rules = `Respond with ONLY a two-letter ISO 639-1 language code or unknown. No XML tags, no quotes, no punctuation, no explanation — just the code.`;
+
+  try {
+    const rawResponse = await fetchAiTask(task, rules, '', input, undefined, undefined, engine.aiCallback, engine.aiTimeOut);
+
+    // Strip XML/HTML tags, quotes, whitespace — models may mirror the XML prompt structure
+    let language = String(rawResponse || '')
+      .replace(/<[^>]+>/g, '')  // strip XML/HTML tags
+      .replace(/['"`]/g, '')    // strip quotes and backticks
+      .trim()
+      .toLowerCase();
+
+    // Extract a two-letter ISO 639-1 code if buried in longer text (e.g., "Language: es")
+    // Use last match — the actual answer tends to appear at the end of explanatory text
+    if (language.length !== 2) {
+      const matches = [...language.matchAll(/\b([a-z]{2})\b/g)];
+      language = matches.length ? matches[matches.length - 1][1] : language;
+    }
+
+    if (!language || language === 'unknown' || language.length !== 2) {
+      logger.warn(`detectLanguage: could not extract valid language code from AI response: "${String(rawResponse).substring(0, 100)}"`);
+      return '';
+    }
+
+    logger.info(`detectLanguage: detected "${language}" from input: "${input.substring(0, 50)}"`);
+    return language;
+  } catch (error: unknown) {
+    logger.error("Error detecting language:", error instanceof Error ? error.message : String(error));
+    return '';
+  }
+}
+
+// === FLOW EXECUTION ENGINE WITH ENHANCED ERROR HANDLING ===
+async function isFlowActivated(input: string, engine: Engine, userId: string = 'anonymous') {
+  const result = await detectFlowWithParameters(input, engine);
+
+  if (result && result.flow) {
+    const flow = result.flow;
+    const parameters = result.parameters;
+
+    // Check if language detection is needed (no session language set)
+    const sessionLanguage = engine.getSessionLanguage();
+    if (!sessionLanguage) {
+      // Determine the language from the input using AI
+      const detectedLanguage = await detectLanguage(input, engine);
+      logger.debug(`Detected language: ${detectedLanguage}`);
+      // Set language in session context
+      engine.setSessionLanguage(detectedLanguage);
+      engine.language = detectedLanguage; // Also set in engine for immediate use
+    } else {
+      logger.debug(`Using session language: ${sessionLanguage}`);
+    }
+
+    const transaction = TransactionManager.create(flow.name, 'user-input', userId);
+
+    // Prepare tentative flow_init message that will be replaced by SAY-GET guidance if present
+    const tentativeFlowInit = getSystemMessage(engine, 'flow_init', {
+      flowName: flow.name,
+      flowPrompt: getFlowPrompt(engine, flow.name)
+    });
+    // Add to global accumulated messages and set flag for SAY-GET to drop it
+    engine.addAccumulatedMessage!(tentativeFlowInit);
+    engine.setTentativeFlowInit(true);
+    logger.info(`Added tentative flow_init message: ${tentativeFlowInit}`);
+    logger.debug(`Current accumulated messages: ${JSON.stringify(engine.globalAccumulatedMessages)}`);
+
+    const variables = getInitialVariables(engine, flow);
+    if (parameters) {
+      logger.info(`Injecting extracted parameters into flow variables: ${JSON.stringify(parameters)}`);
+      Object.assign(variables, parameters);
+    }
+
+    const flowFrame: FlowFrame = {
+      flowName: flow.name,
+      flowId: flow.id,
+      flowVersion: flow.version,
+      flowStepsStack: [...flow.steps].reverse(),
+      contextStack: [{ role: 'user', content: sanitizeInput(input), timestamp: Date.now() }], // Keep activation input in context for reference
+      inputStack: [], // Start empty - only SAY-GET responses go here
+      variables, // Start with global variables + flow definition variables + extracted parameters
+      transaction,
+      userId,
+      startTime: Date.now()
+    };
+
+    pushToCurrentStack(engine, flowFrame);
+    auditLogger.logFlowStart(flow.name, input, userId, transaction.id);
+
+    return flow;
+  }
+
+  return null;
+}
+
+async function playFlowFrame(engine: Engine): Promise<string | null> {
+  // Enhanced recursion protection using natural stack depth
+  const stackDepth = getCurrentStackLength(engine);
+  if (stackDepth > 20) {
+    const error = new Error("Maximum recursion depth reached in playFlowFrame");
+    logger.error("ERROR!", error.message);
+
+    // Log the error and clean up
+    if (getCurrentStackLength(engine) > 0) {
+      const currentFlowFrame = getCurrentFlowFrame(engine);
+      auditLogger.logFlowExit(currentFlowFrame.flowName, currentFlowFrame.userId, currentFlowFrame.transaction.id, 'max_recursion_depth');
+
+      // Do we need this?
+      //currentFlowFrame.contextStack.push(error.message);
+
+      TransactionManager.fail(currentFlowFrame.transaction, "Max recursion depth exceeded");
+    }
+
+    throw error;
+  }
+
+  if (getCurrentStackLength(engine) === 0) {
+    const error = new Error("No flow frames to play");
+    logger.error("ERROR!", error.message);
+    throw error;
+  }
+
+  // Continue processing until we hit a SAY step or complete all flows
+  while (getCurrentStackLength(engine) > 0) {
+    const currentFlowFrame = getCurrentFlowFrame(engine);
+    logger.info(`[${currentFlowFrame.transaction.id.slice(0, 8)}] Playing flow: ${currentFlowFrame.flowName}, steps left: ${currentFlowFrame.flowStepsStack.length}, stack depth: ${stackDepth}`);
+
+    // Handle pending variable storage when resuming flow execution
+    if (currentFlowFrame.pendingVariable && currentFlowFrame.inputStack && currentFlowFrame.inputStack.length > 0) {
+      let userInput = currentFlowFrame.inputStack[currentFlowFrame.inputStack.length - 1];
+
+      // Safety check: ensure userInput is defined before processing
+      if (!userInput) {
+        logger.info(`Skipping variable processing - userInput is undefined for pendingVariable: ${currentFlowFrame.pendingVariable}`);
+        userInput = '';
+      }
+
+      // Typed SAY-GET, CHOICE, FORM and CONFIRM steps parse and validate the reply first - an
+      // invalid reply re-asks the question instead of completing the step
+      const pendingStep = currentFlowFrame.flowStepsStack[currentFlowFrame.flowStepsStack.length - 1];
+      if (pendingStep && ((pendingStep.type === 'SAY-GET' && pendingStep.inputType) || ['CHOICE', 'FORM', 'CONFIRM'].includes(pendingStep.type))) {
+        const inputContext = currentFlowFrame.pendingVariableContext;
+        delete currentFlowFrame.pendingVariable;
+        delete currentFlowFrame.pendingVariableContext;
+
+        // Clear digits setting from cargo - a re-asked SAY-GET sets it again
+        if (engine.cargo && engine.cargo.digits) {
+          delete engine.cargo.digits;
+        }
+
+        if (pendingStep.type === 'CHOICE') {
+          await applyChoiceInput(currentFlowFrame, pendingStep, userInput, engine, inputContext);
+        } else if (pendingStep.type === 'FORM') {
+          await applyFormInput(currentFlowFrame, pendingStep, userInput, engine, inputContext);
+        } else if (pendingStep.type === 'CONFIRM') {
+          await applyConfirmInput(currentFlowFrame, pendingStep, userInput, engine, inputContext);
+        } else {
+          await applyTypedUserInput(currentFlowFrame, pendingStep, userInput, engine, inputContext);
+        }
+      } else {
+        // Store user input as variable value with proper sanitization
+        // (System commands like 'cancel' are already handled before this point)
+        await setUserInputVariable(
+          currentFlowFrame.variables,
+          currentFlowFrame.pendingVariable,
+          userInput,
+          true, // Sanitize user input
+          engine, // Pass engine for AI voice cleanup
+          currentFlowFrame.pendingVariableContext // Pass question context for AI voice cleanup
+        );
+
+        // Log the actual stored value (which may have been processed by AI voice cleanup)
+        const storedValue = currentFlowFrame.variables[currentFlowFrame.pendingVariable];
+        const actualValue = typeof storedValue === 'object' && storedValue !== null && '__userInput' in storedValue
+          ? (storedValue as any).value
+          : storedValue;
+        logger.info(`Stored sanitized user input in variable '${currentFlowFrame.pendingVariable}': "${actualValue}"`);
+
+        // Clear digits setting from cargo since input has been collected
+        if (engine.cargo && engine.cargo.digits) {
+          delete engine.cargo.digits;
+          logger.info(`Cleared digits setting from cargo after input collection`);
+        }
+
+        delete currentFlowFrame.pendingVariable;
+        delete currentFlowFrame.pendingVariableContext; // Clean up context
+
+        // Pop the SAY-GET step now that variable assignment is complete
+        currentFlowFrame.flowStepsStack.pop();
+        logger.info(`Popped SAY-GET step after variable assignment completed`);
+      }
+    }
+
+    // Defensive: filter out null/undefined entries from flowStepsStack (DynamoDB corruption recovery)
+    const nullCount = currentFlowFrame.flowStepsStack.filter(s => s == null).length;
+    if (nullCount > 0) {
+      logger.error(`DYNAMO_CORRUPTION: Found ${nullCount} null entries in flowStepsStack for flow ${currentFlowFrame.flowName} (total: ${currentFlowFrame.flowStepsStack.length}). pendingVariable: ${currentFlowFrame.pendingVariable}, pendingVariableContext length: ${currentFlowFrame.pendingVariableContext?.length}`);
+      // Log ALL properties of the flow frame for diagnosis
+      logger.error(`DYNAMO_CORRUPTION frame keys: ${Object.keys(currentFlowFrame).join(', ')}`);
+      logger.error(`DYNAMO_CORRUPTION frame values: flowName=${currentFlowFrame.flowName}, flowId=${currentFlowFrame.flowId}, pendingVariable=${currentFlowFrame.pendingVariable}, inputStack=${JSON.stringify(currentFlowFrame.inputStack)}, stepsStack types: ${JSON.stringify(currentFlowFrame.flowStepsStack.map((s: any) => s === null ? 'NULL' : s === undefined ? 'UNDEF' : typeof s))}`);
+      currentFlowFrame.flowStepsStack = currentFlowFrame.flowStepsStack.filter(s => s != null);
+      logger.error(`DYNAMO_CORRUPTION: After filtering, ${currentFlowFrame.flowStepsStack.length} steps remain`);
+    }
+
+    // Flow completion handling
+    if (currentFlowFrame.flowStepsStack.length === 0) {
+      logger.info(`Flow ${currentFlowFrame.flowName} completed, popping from stack (steps length: ${currentFlowFrame.flowStepsStack.length})`);
+      const completedFlow = popFromCurrentStack(engine)!;
+      finalizeFlowTransaction(engine, completedFlow, 'completion');
+
+      // Flows usually communicate results through the shared `variables` object.
+      // Flows called with a FLOW step `variable` also hand back an explicit output
+      // (END value or declared `outputs`) - needed for isolated sub-flows.
+      deliverFlowOutput(engine, completedFlow);
+
+      // Beyond that, the only thing to handle here is flushing any pending user-facing messages.
+
+      // If there are pending messages, they should be displayed.
+      let finalUserMessage = '';
+      const accumulatedMessages: string[] = [];
+
+      if (engine.hasAccumulatedMessages()) {
+        // If the engine has accumulated messages, we need to flush them
+        Array.prototype.push.apply(accumulatedMessages, engine.getAndClearAccumulatedMessages!());
+      }
+
+      // Drop the tentative flow_init placeholder ("Processing …") when real output
+      // followed — mirrors the SAY-GET handling. A flow that completes WITHOUT ever
+      // hitting a SAY-GET (e.g. the live-agent -> reboot-to-contact path) would
+      // otherwise leak that placeholder into the response.
+      if (engine.getTentativeFlowInit() && accumulatedMessages.length > 1) {
+        accumulatedMessages.shift();
+        engine.setTentativeFlowInit(false);
+        logger.info(`Flow completion dropped tentative flow_init (kept ${accumulatedMessages.length} message(s)).`);
+      }
+
+      if (accumulatedMessages.length > 0) {
+        finalUserMessage = accumulatedMessages.join('\n\n');
+        logger.info(`Flow ${completedFlow.flowName} completed with ${accumulatedMessages.length} accumulated messages`);
+      } else {
+        logger.info(`Flow ${completedFlow.flowName} completed with no accumulated messages`);
+      }
+
+      // If a parent flow exists, continue its execution.
+      if (getCurrentStackLength(engine) > 0) {
+        const parentFlowFrame = getCurrentFlowFrame(engine);
+        logger.info(`Flow ${completedFlow.flowName} finished. Returning to parent flow ${parentFlowFrame.flowName}.`);
+
+        // If there was a final message from the completed sub-flow, ensure it's displayed
+        // before the parent flow continues. We'll add it to the engine's accumulator.
+        if (finalUserMessage) {
+          if (engine) engine.addAccumulatedMessage!(finalUserMessage);
+        }
+
+        continue; // The loop will now process the parent flow.
+      }
+
+      // No parent flow - check for interrupted flows to resume
+      if (getCurrentStackLength(engine) === 0) {
+        if (engine.flowStacks.length > 1) {
+          logger.info(`🔄 Switching back to previous stack (${engine.flowStacks.length - 2})`);
+          switchToPreviousStack(engine);
+
+          if (getCurrentStackLength(engine) > 0) {
+            logger.info(`Resumed stack has ${getCurrentStackLength(engine)} flow frames`);
+
+            // Get the resumed flow name and show consolidated resumption message with guidance
+            const resumedFlowFrame = getCurrentFlowFrame(engine);
+            resumedFlowFrame.justResumed = true; // Mark as just resumed to skip regular guidance
+            const resumeMessage = getSystemMessage(engine, 'flow_resumed_with_guidance', {
+              flowName: resumedFlowFrame.flowName,
+              flowPrompt: getFlowPrompt(engine, resumedFlowFrame.flowName)
+            });
+
+            // Add both the final message and resumption message to accumulated messages
+            if (finalUserMessage && engine.addAccumulatedMessage) {
+              engine.addAccumulatedMessage(finalUserMessage);
+            }
+            if (engine.addAccumulatedMessage) {
+              engine.addAccumulatedMessage(resumeMessage);
+            }
+
+            continue;
+          } else {
+            logger.error(`Failed to resume flow - no flow frames available after switching stacks.`);
+          }
+        } else {
+          logger.info(`No more flow frames to process, all flows completed.`);
+        }
+      }
+
+      // No parent flow, no stack to resume. This is the end of the interaction for now.
+      // Return the final message if there is one.
+      return finalUserMessage || getSystemMessage(engine, 'flow_completed_generic');
+    }
+
+    const step = currentFlowFrame.flowStepsStack[currentFlowFrame.flowStepsStack.length - 1];
+    const startTime = Date.now();
+
+    try {
+      const result = await playStep(currentFlowFrame, engine);
+      const duration = Date.now() - startTime;
+
+      TransactionManager.addStep(currentFlowFrame.transaction, step, result, duration, 'success');
+      logger.info(`Step ${step.type} executed successfully, result: ${typeof result === 'object' ? '[object]' : result}`);
+
+      // Declared outcome (see FlowOutcome): remember it on the frame so the
+      // termination paths (completion pop / RETURN) can apply it. RETURN steps
+      // are handled inside handleReturnStep (their frame is gone by now).
+      if (step.outcome !== undefined && step.type !== 'RETURN' && step.type !== 'HANDOFF') {
+        currentFlowFrame.declaredOutcome = {
+          outcome: String(step.outcome),
+          reason: step.reason !== undefined ? String(step.reason) : undefined,
+        };
+      }
+
+      // If this was a SAY-GET (or CHOICE/FORM/CONFIRM) step, return and wait for user input -
+      // CHOICE and FORM return null when they completed without asking
+      if (['SAY-GET', 'CHOICE', 'FORM', 'CONFIRM'].includes(step.type) && result !== null) {
+        // Check if this was the last step - if so, complete the flow
+        if (currentFlowFrame.flowStepsStack.length === 0) {
+          logger.info(`SAY-GET step was final step, flow ${currentFlowFrame.flowName} completed`);
+          const completedFlow = popFromCurrentStack(engine)!;
+          finalizeFlowTransaction(engine, completedFlow, 'completion');
+          deliverFlowOutput(engine, completedFlow);
+          return result;
+        }
+        return result;
+      }
+
+      // If this was a RETURN step, return immediately with the evaluated value
+      if (step.type === 'RETURN') {
+        logger.info(`RETURN step executed, terminating all flows and returning value`);
+        return result;
+      }
+
+      // HANDOFF also terminated all flows - its result is the message to the user
+      if (step.type === 'HANDOFF') {
+        return result;
+      }
+
+      // For SAY, CALL-TOOL, FLOW, and SET steps, continue processing automatically (non-blocking)
+      continue;
+
+    } catch (error: any) {
+      const duration = Date.now() - startTime;
+
+      // Defensive: step may be null (the very error we're catching)
+      if (step) {
+        TransactionManager.addError(currentFlowFrame.transaction, step, error, duration);
+      }
+
+      // An enclosing TRY step may handle the failure
+      if (recoverFromStepError(engine, error, step)) {
+        logger.info(`Step ${step?.type} failed inside TRY, handled: ${error.message}`);
+        continue;
+      }
+
+      // Failures raised for TRY (e.g. rethrown after finally) that nothing caught
+      // cancel the flow with their message, like they do outside a TRY
+      if (error instanceof FlowStepError) {
+        logger.info(`Unhandled ${error.code} from step ${step?.id || step?.type}`);
+        cancelFlowWithMessage(getCurrentFlowFrame(engine), engine, error.message);
+        continue;
+      }
+
+      if (step) {
+        logger.error(`Step ${step.type} failed: ${error.message}`);
+      } else {
+        logger.error(`Step execution failed (step was null): ${error.message}`);
+      }
+      logger.error(`Stack trace: ${error.stack}`);
+      throw error;
+    }
+  }
+
+  // Should never reach here
+  const currentFlowFrame = getCurrentFlowFrame(engine);
+  logger.error(`Unexpected flow state reached for flow ${currentFlowFrame.flowName}`);
+  throw new Error(`Unexpected flow state reached for flow ${currentFlowFrame.flowName}`);
+}
+
+async function playStep(currentFlowFrame: FlowFrame, engine: Engine): Promise<string | null> {
+  try {
+    const stackDepth = getCurrentStackLength(engine);
+    if (stackDepth > 20) {
+      throw new Error("Maximum recursion depth reached in playStep");
+    }
+
+    // STEP POPPING PATTERN: Each step handler is responsible for popping its own step from flowStepsStack.
+    // Most handlers pop immediately at the start. SAY-GET (and CHOICE/FORM/CONFIRM) is special - it peeks without popping initially
+    // since it waits for user input, then pops later after input collection is complete.
+    const step = currentFlowFrame.flowStepsStack[currentFlowFrame.flowStepsStack.length - 1];
+
+    // Defensive null check with diagnostic logging
+    if (!step || !currentFlowFrame.transaction) {
+      const diagInfo = {
+        stepIsNull: step === null,
+        stepIsUndefined: step === undefined,
+        transactionIsNull: currentFlowFrame.transaction === null,
+        transactionIsUndefined: currentFlowFrame.transaction === undefined,
+        flowName: currentFlowFrame.flowName,
+        flowId: currentFlowFrame.flowId,
+        stackLength: currentFlowFrame.flowStepsStack.length,
+        stackContents: currentFlowFrame.flowStepsStack.map((s: any, i: number) =>
+          s ? `[${i}] ${s.id || s.type || 'unknown'}` : `[${i}] NULL/UNDEFINED`
+        ),
+        pendingVariable: currentFlowFrame.pendingVariable,
+        inputStackLength: currentFlowFrame.inputStack?.length,
+        lastInput: currentFlowFrame.inputStack?.[currentFlowFrame.inputStack.length - 1],
+      };
+      const diagMsg = `playStep null guard: ${JSON.stringify(diagInfo)}`;
+      logger.error(diagMsg);
+      throw new Error(diagMsg);
+    }
+
+    //const contextStack = currentFlowFrame.contextStack;
+    const inputStack = currentFlowFrame.inputStack;
+    const currentInput = inputStack[inputStack.length - 1];
+
+    // Smart logging - don't log "undefined" input for steps that don't need it yet
+    const inputDisplay = currentInput !== undefined ? `"${currentInput}"` :
+      (['SAY-GET', 'CHOICE', 'FORM', 'CONFIRM'].includes(step.type) ? '(waiting for user input)' :
+        step.type === 'SAY' ? '(no input needed)' :
+          step.type === 'SET' ? '(no input needed)' :
+            step.type === 'RETURN' ? '(no input needed)' :
+              '(no input available)');
+
+    logger.info(`[${currentFlowFrame.transaction.id.slice(0, 8)}] Playing step ${step.id || step.type} with input: ${inputDisplay}`);
+
+    switch (step.type) {
+      case 'CALL-TOOL':
+        return await handleToolStep(currentFlowFrame, engine);
+      case 'SAY':
+        return handleSayStep(currentFlowFrame, engine);
+      case 'SAY-GET':
+        return handleSayGetStep(currentFlowFrame, engine);
+      case 'FLOW':
+        return await handleSubFlowStep(currentFlowFrame, engine);
+      case 'SET':
+        return handleSetStep(currentFlowFrame, engine);
+      case 'SWITCH':
+        return await handleSwitchStep(currentFlowFrame, engine);
+      case 'CASE':
+        return await handleCaseStep(currentFlowFrame, engine);
+      case 'RETURN':
+        return handleReturnStep(currentFlowFrame, engine);
+      case 'END':
+        return handleEndStep(currentFlowFrame, engine);
+      case 'FOREACH':
+        return handleForeachStep(currentFlowFrame, engine);
+      case 'PARALLEL':
+        return await handleParallelStep(currentFlowFrame, engine);
+      case 'CHOICE':
+        return handleChoiceStep(currentFlowFrame, engine);
+      case 'FORM':
+        return handleFormStep(currentFlowFrame, engine);
+      case 'CONFIRM':
+        return handleConfirmStep(currentFlowFrame, engine);
+      case 'EMIT':
+        return await handleEmitStep(currentFlowFrame, engine);
+      case 'TRY':
+        return handleTryStep(currentFlowFrame, engine);
+      case 'GOTO':
+        return handleGotoStep(currentFlowFrame, engine);
+      case 'HANDOFF':
+        return handleHandoffStep(currentFlowFrame, engine);
+      default:
+        throw new Error(`Unknown step type: ${step.type}`);
+    }
+  } catch (error: any) {
+    if (error instanceof FlowStepError) throw error; // Logged by playFlowFrame unless a TRY handles it
+    logger.error(`Error in playStep: ${error.message}`);
+    logger.error(`Stack trace: ${error.stack}`);
+    throw error;
+  }
+}
+
+// === AI COMMUNICATION LAYER ===
+
+/**
+ * Create a timeout wrapper for AI calls
+ * @param promise - The promise to wrap with timeout
+ * @param timeoutMs - Timeout in milliseconds (0 = no timeout)
+ * @returns Promise that rejects if timeout is reached
+ */
+function withTimeout<T>(promise: Promise<T>, timeoutMs: number): Promise<T> {
+  // If timeout is 0 or negative, return the promise directly (no timeout)
+  if (timeoutMs <= 0) {
+    return promise;
+  }
+
+  return new Promise((resolve, reject) => {
+    const timeoutId = setTimeout(() => {
+      reject(new Error(`AI call timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+
+    promise
+      .then((result) => {
+        clearTimeout(timeoutId);
+        resolve(result);
+      })
+      .catch((error) => {
+        clearTimeout(timeoutId);
+        reject(error);
+      });
+  });
+}
+
+/**
+ * Base AI worker: Plain interface to AI services
+ * Uses the user-provided AI callback function instead of hardcoded implementation
+ * @param systemInstruction - The system message/prompt for the AI
+ * @param userMessage - The user's input message
+ * @param aiCallback - User-provided AI communication function
+ * @param timeoutMs - Timeout in milliseconds for the AI call
+ * @returns AI response as string
+ */
+async function fetchAiResponse(systemInstruction: string, userMessage: string, aiCallback: AiCallbackFunction, timeoutMs: number = 1000, jsonSchema?: string): Promise<string> {
+  try {
+    logger.debug(`fetchAiResponse called with system instruction length: ${systemInstruction.length}, user message: "${userMessage}", timeout: ${timeoutMs}ms, jsonMode: ${!!jsonSchema}`);
+
+    if (!aiCallback) {
+      throw new Error('aiCallback is null. AI-powered features are not available.');
+    }
+
+    // Use the user-provided AI callback function with timeout
+    // Pass jsonSchema so the host can configure the API for structured output
+    const aiResponse = await withTimeout(aiCallback(systemInstruction, userMessage, jsonSchema), timeoutMs);
+
+    if (typeof aiResponse !== 'string') {
+      throw new Error('AI callback must return a string response');
+    }
+
+    logger.debug(`fetchAiResponse completed, response length: ${aiResponse.length}`);
+    return aiResponse.trim();
+
+  } catch (error: any) {
+    logger.warn(`fetchAiResponse error: ${error.message}`);
+    logger.warn(error.stack);
+    throw new Error(`AI communication failed: ${error.message}`);
+  }
+}
+
+/**
+ * Task-oriented AI wrapper: Creates structured prompts for specific tasks
+ * @param task - The main task description
+ * @param rules - Rules and constraints for the task
+ * @param context - Current context information
+ * @param userInput - The user's input
+ * @param flows - Available flows (optional)
+ * @param jsonSchema - Optional JSON schema for structured responses
+ * @param aiCallback - User-provided AI communication function
+ * @param timeoutMs - Timeout in milliseconds for the AI call
+ * @returns AI response as string or parsed JSON object
+ */
+async function fetchAiTask(
+  task: string,
+  rules: string,
+  context: string,
+  userInput: string,
+  flows?: FlowDefinition[],
+  jsonSchema?: string,
+  aiCallback?: AiCallbackFunction,
+  timeoutMs: number = 1000
+): Promise<any> {
+  try {
+    if (!aiCallback) {
+      throw new Error('AI callback function is required');
+    }
+
+    logger.debug(`fetchAiTask called for task: "${task.substring(0, 50)}...", jsonMode: ${!!jsonSchema}`);
+
+    // Create structured system message using markup
+    let systemMessage = `<task>\n${task}\n</task>\n\n`;
+    systemMessage += `<rules>\n${rules}</rules>`;
+
+    // Add JSON schema instructions if provided
+    // jsonSchema is an OpenAI-compatible response_format wrapper — extract inner schema for prompt
+    // Always pass jsonSchema to aiCallback so the host can validate JSON responses.
+    // The host decides whether to enforce json_mode (response_format) based on the schema name.
+    if (jsonSchema) {
+      let schemaForPrompt = jsonSchema;
+      try {
+        const parsed = JSON.parse(jsonSchema);
+        if (parsed.json_schema?.schema) {
+          schemaForPrompt = JSON.stringify(parsed.json_schema.schema);
+        }
+      } catch { /* use as-is if not parseable */ }
+      systemMessage += `\n\n<json-schema>\n${schemaForPrompt}\n</json-schema>\n\n`;
+      systemMessage += `<instructions>\nRespond ONLY with valid JSON matching the schema above. No additional text or explanation.\n</instructions>`;
+    }
+
+    // Create structured user message using markup
+    let userMessage = context ? `<context>\n${context}</context>\n\n` : '';
+    userMessage += `<user-input>\n${sanitizeInput(userInput)}\n</user-input>`;
+
+    if (flows && flows.length > 0) {
+      const flowDescriptions = flows.map(flow => {
+        let desc = `${flow.name}: ${flow.description} (Risk: ${flow.metadata?.riskLevel || 'unknown'})`;
+        if (flow.parameters && flow.parameters.length > 0) {
+          const params = flow.parameters.map(p => `${p.name} (${p.type || 'string'}): ${p.description}`).join(', ');
+          desc += `\n   Parameters: ${params}`;
+        }
+        return desc;
+      }).join('\n');
+      userMessage += `\n\n<available-flows>\n${flowDescriptions}\n</available-flows>`;
+    }
+
+    const aiResponse = await fetchAiResponse(systemMessage, userMessage, aiCallback, timeoutMs, jsonSchema);
+
+    // If JSON schema was provided, parse and return JSON
+    if (jsonSchema) {
+      // Clean up common AI response formatting issues
+      let cleanedResponse = aiResponse.replace(/^```(?:json)?\s*\n?/i, '').replace(/\n?```$/i, '');
+
+      // Extract JSON from response if it contains extra text
+      const jsonMatch = cleanedResponse.match(/\{[\s\S]*\}/);
+      if (jsonMatch) {
+        cleanedResponse = jsonMatch[0];
+      }
+
+      try {
+        const parsedResponse = JSON.parse(cleanedResponse);
+        logger.debug(`fetchAiTask completed with JSON parsing successful`);
+        return parsedResponse;
+      } catch (parseError: any) {
+        logger.warn(`JSON parsing failed for response: "${cleanedResponse}"`);
+        logger.info(`Stack trace: ${parseError.stack}`);
+        throw new Error(`Invalid JSON response from AI: ${parseError.message}`);
+      }
+    }
+
+    // Return raw string response for non-JSON tasks
+    return aiResponse;
+
+  } catch (error: any) {
+    logger.error(`fetchAiTask error: ${error.message}`);
+    throw new Error(`AI task processing failed: ${error.message}`);
+  }
+}
+
+export async function getFlowForInput(input: string, engine: Engine): Promise<FlowDefinition | null> {
+  const result = await detectFlowWithParameters(input, engine);
+  return result ? result.flow : null;
+}
+
+export async function detectFlowWithParameters(input: string, engine: Engine): Promise<{ flow: FlowDefinition, parameters?: Record<string, any> } | null> {
+  // CRITICAL: This function requires AI access via engine.aiCallback
+  // Without AI, the engine cannot detect user intent and activate flows
+  // Sessions would never be activated as no workflows could be triggered
+  // For demo or special use cases we do allow null aiCallback with minimal functionality
+  try {
+    logger.info(`detectFlowWithParameters called with input: "${input}"`);
+
+    if (!input || typeof input !== 'string') {
+      logger.warn(`detectFlowWithParameters received invalid input: ${typeof input} ${input}`);
+      return null;
+    }
+
+    const flowsMenu = engine.flowsMenu;
+    if (!flowsMenu || flowsMenu.length === 0) {
+      logger.warn("No flows available in the menu");
+      return null;
+    }
+
+    // Filter to only primary flows for AI intent detection
+    const primaryFlows = flowsMenu.filter(flow => flow.primary === true);
+    const flowsForIntentDetection = primaryFlows.length > 0 ? primaryFlows : flowsMenu;
+
+    logger.debug(`Using ${flowsForIntentDetection.length} flows for intent detection (${primaryFlows.length} primary flows available)`);
+
+    // First try direct name or id matching (case-insensitive) - check all flows
+    const directMatch = flowsMenu.find(flow =>
+      flow.name.toLowerCase() === input.toLowerCase() || (flow.id.toLowerCase() === input.toLowerCase())
+    );
+    if (directMatch) {
+      logger.info(`Direct flow name/id match found: ${directMatch.name} (${directMatch.id})`);
+      return { flow: directMatch };
+    }
+
+    // If no AI callback, only allow exact id or name match (case-insensitive)
+    if (!engine.aiCallback) {
+      logger.info(`No flow matched for input: "${input}" (no AI)`);
+      return null;
+    }
+
+    // If AI callback is present, use AI for intent detection with primary flows only
+    const task = "Considering the chat history when available and applicable, decide if the user input should trigger any available flow. If a flow is triggered, extract any relevant parameters defined in the flow's 'parameters' section.";
+
+    const rules = `- Return the exact flow name if a match is found
+- Return "None" if no workflow applies
+- Consider user intent and the chat context
+- Prioritize the most relevant flow considering all available flows
+- Flows should only be triggered in response to explicit user intent. A user prompt asking about available credit should trigger balance flows when available, but not payment flows. Complaints about a charge must not trigger a payment flow. Imagine the frustration of a user asking any question other than "Can I make a payment?" and being forwarded to a payment flow instead of receiving a direct answer.
+- The "parameters" object is always required in the response. Extract parameter values from the user input when explicitly present. Return an empty object {} when no parameters are found.
+`;
+
+    const jsonSchema = JSON.stringify({
+      type: "json_schema",
+      json_schema: {
+        name: "detect_flow",
+        strict: false,
+        schema: {
+          type: "object",
+          properties: {
+            flowName: { type: "string" },
+            parameters: { type: "object" }
+          },
+          required: ["flowName", "parameters"]
+        }
+      }
+    });
+
+    // Use chat context when not in a flow (this is where lastChatTurn context is relevant)
+    let context = '';
+    if (engine.lastChatTurn && (engine.lastChatTurn.user || engine.lastChatTurn.assistant)) {
+      const chatContext = flattenLastChatTurn(engine.lastChatTurn, true);
+      context = `<chat-history>\n
+       ${chatContext}\n
+       </chat-history>\n\n`;
+    }
+
+    // Let AI errors (timeout, communication failures) propagate to the host
+    const aiResponse = await fetchAiTask(task, rules, context, input, flowsForIntentDetection, jsonSchema, engine.aiCallback, engine.aiTimeOut);
+
+    if (aiResponse && aiResponse.flowName && aiResponse.flowName !== 'None' && aiResponse.flowName !== 'null') {
+      const flow = flowsMenu.find(flow => flow.name.toLowerCase() === aiResponse.flowName.toLowerCase() || flow.id === aiResponse.flowName);
+      if (flow) {
+        // Defensive: strip empty-string keys from AI-generated parameters.
+        // AI occasionally emits { "": value } which would cascade into flow
+        // variables and eventually break DynamoDB persistence on the host.
+        let parameters = aiResponse.parameters;
+        if (parameters && typeof parameters === 'object') {
+          const entries = Object.entries(parameters);
+          const filtered = entries.filter(([k]) => k && k.trim() !== '');
+          if (filtered.length !== entries.length) {
+            logger.warn(`detectFlowWithParameters: stripped ${entries.length - filtered.length} empty-key parameter(s) from AI response for flow "${flow.name}"`);
+            parameters = Object.fromEntries(filtered);
+          }
+        }
+        return { flow, parameters };
+      } else {
+        logger.error(`Flow "${aiResponse.flowName}" not found in flows menu`);
+      }
+    } else {
+      logger.info(`No flow activated for input: "${input}"`);
+    }
+
+    return null;
+  } catch (error: any) {
+    logger.warn(`Error in detectFlowWithParameters: ${error.message}`);
+    logger.info(`Stack trace: ${error.stack}`);
+    throw error;
+  }
+}
+
+// === SMART DEFAULT ONFAIL GENERATOR ===
+function generateSmartRetryDefaultOnFail(step: FlowStep, error: Error, currentFlowFrame: FlowFrame): boolean {
+  const toolName = step.tool || 'unknown';
+  const errorMessage = error.message.toLocaleLowerCase() || 'unknown error';
+  const flowName = currentFlowFrame.flowName;
+
+  logger.info(`Generating smart default onFail for tool ${toolName}, in flow ${flowName} for error: ${errorMessage}`);
+
+  // Categorize error types for intelligent handling
+
+  // Provoke retry of the current TOOL step if recoverable
+  const isNetworkError = errorMessage.includes('fetch failed') ||
+    errorMessage.includes('ENOTFOUND') ||
+    errorMessage.includes('timeout') ||
+    errorMessage.includes('ECONNREFUSED') ||
+    errorMessage.includes('network');
+
+  // Provoke retry of the current flow if recoverable
+  const isServerError = errorMessage.includes('408') || // Request Timeout
+    errorMessage.includes('409') || // Conflict
+    errorMessage.includes('500') || // Internal Server Error
+    errorMessage.includes('502') || // Bad Gateway
+    errorMessage.includes('503') || // Service Unavailable
+    errorMessage.includes('504');   // Gateway Timeout
+
+  // Provoke cancelation of the current flow if unrecoverable
+  const isBadRequest = errorMessage.includes('400') ||
+    errorMessage.includes('404') || // Not Found
+    errorMessage.includes('405') || // Method Not Allowed
+    errorMessage.includes('406') || // Not Acceptable
+    errorMessage.includes('410') || // Gone
+    errorMessage.includes('501') || // Not Implemented
+    errorMessage.includes('505') || // HTTP Version Not Supported
+    errorMessage.includes('bad request') ||
+    errorMessage.includes('invalid request') ||
+    errorMessage.includes('malformed request') ||
+    errorMessage.includes('syntax error') ||
+    errorMessage.includes('rate limit');
+
+
+  // Provoke cancelation of the current flow if unrecoverable
+  const isAuthError = errorMessage.includes('401') || // Unauthorized
+    errorMessage.includes('402') || // Payment Required
+    errorMessage.includes('403') || // Forbidden
+    errorMessage.includes('407') || // Proxy Authentication Required
+    errorMessage.includes('unauthorized') ||
+    errorMessage.includes('authentication');
+
+  // Provoke cancelation of the current flow if unrecoverable
+  const isRateLimitError = errorMessage.includes('429') ||
+    errorMessage.includes('rate limit') ||
+    errorMessage.includes('too many requests');
+
+  // Financial operations get special treatment in the future
+  const isCriticalFinancial = toolName.toLowerCase().includes('payment') ||
+    toolName.toLowerCase().includes('account') ||
+    toolName.toLowerCase().includes('transaction') ||
+    flowName.toLowerCase().includes('payment');
+
+  // Generate context-aware error messages and recovery strategies
+  let message: string, callType = "replace", retryHint = "", doRetry = false, doCancel = false;
+
+  if (isNetworkError || isServerError) {
+    doRetry = true;
+  } else if (isBadRequest || isAuthError || isRateLimitError || isCriticalFinancial) {
+    doCancel = true;
+  } else {
+    logger.debug(`Unrecognized error type for tool ${toolName} in flow ${flowName}: ${errorMessage}`);
+    // Default to Cancel for unexpected errors
+    doCancel = true;
+  }
+
+  /* This used to be generateSmartDefaultOnFail() attempting to generate an onFail step[s] - but it was buggy and not very useful.
+  logger.info(`Generating smart default onFail for tool ${toolName}, error: ${errorMessage}`);
+  
+  // Categorize error types for intelligent handling
+  const isNetworkError = errorMessage.includes('fetch failed') || 
+                        errorMessage.includes('ENOTFOUND') || 
+                        errorMessage.includes('timeout') ||
+                        errorMessage.includes('ECONNREFUSED') ||
+                        errorMessage.includes('network');
+                        
+  const isAuthError = errorMessage.includes('401') || 
+                     errorMessage.includes('403') || 
+                     errorMessage.includes('unauthorized') ||
+                     errorMessage.includes('authentication');
+                     
+  const isRateLimitError = errorMessage.includes('429') || 
+                          errorMessage.includes('rate limit') ||
+                          errorMessage.includes('too many requests');
+                          
+  const isDataError = errorMessage.includes('invalid') || 
+                     errorMessage.includes('validation') ||
+                     errorMessage.includes('bad request') ||
+                     errorMessage.includes('400');
+                     
+  const isCriticalFinancial = toolName.toLowerCase().includes('payment') || 
+                             toolName.toLowerCase().includes('account') ||
+                             toolName.toLowerCase().includes('transaction') ||
+                             flowName.toLowerCase().includes('payment');
+  
+  // Generate context-aware error messages and recovery strategies
+  let message: string, callType = "replace", retryHint = "";
+  
+  if (isCriticalFinancial) {
+    // Financial operations get special treatment
+    message = `🚨 Payment system temporarily unavailable. Your transaction has been logged and will be reviewed.\n\n` +
+              `Error Reference: ${currentFlowFrame.transaction.id.slice(0, 8)}\n` +
+              `Please contact customer support if needed, or try again in a few minutes.`;
+    callType = "replace"; // Don't continue financial flows on error
+    
+  } else if (isNetworkError) {
+    message = `🌐 Network connectivity issue detected. The service "${toolName}" is temporarily unreachable.\n\n` +
+              `This usually resolves quickly. You can:\n` +
+              `• Try again in a moment\n` +
+              `• Check your internet connection\n` +
+              `• Continue with other workflows`;
+    retryHint = " You may retry this operation later.";
+        
+  } else if (isAuthError) {
+    message = `🔐 Authentication required for "${toolName}". Your access permissions may need to be updated.\n\n` +
+              `Please contact your administrator or try logging in again.`;
+              
+  } else if (isRateLimitError) {
+    message = `⏱️ Service "${toolName}" is currently busy (rate limited). Please wait a moment before retrying.\n\n` +
+              `This helps ensure fair access for all users.`;
+    retryHint = " The service will be available again shortly.";
+    
+  } else if (isDataError) {
+    message = `📝 Data validation issue with "${toolName}". The provided information may be incomplete or invalid.\n\n` +
+              `Please check your input and try again with corrected data.`;
+              
+  } else {
+    // Generic intelligent error handling
+    const userFriendlyToolName = toolName.replace(/([A-Z])/g, ' $1').trim();
+    message = `⚠️ The "${userFriendlyToolName}" service encountered an unexpected issue.\n\n` +
+              `Technical details: ${errorMessage}\n\n` +
+              `This has been logged for review. You can continue with other workflows.${retryHint}`;
+  }
+  
+  // Add helpful context based on current flow
+  if (flowName.toLowerCase().includes('test') || flowName.toLowerCase().includes('demo')) {
+    message += `\n\n💡 Note: This is a test/demo environment where some failures are expected.`;
+  }
+  
+  // Add step information for debugging
+  if (step.id) {
+    message += `\n\nStep ID: ${step.id}`;
+  }
+    
+  return {
+    type: "SAY" as const,
+    value: message,
+    callType: callType as 'call' | 'replace' | 'reboot'
+  };
+  */
+
+  // Can we push a 'cancel' input to the input stack?
+  // Inside a TRY block handleToolStep throws the failure to its catch section instead
+  if (doCancel && !currentFlowFrame.flowStepsStack.some(pending => pending && pending._try)) {
+    // Remove all remaining steps from the stack
+    currentFlowFrame.flowStepsStack = [];
+    logger.info(`Cancelling flow ${currentFlowFrame.flowName} due to unrecoverable error: ${errorMessage}`);
+  }
+
+  // Return the decision to retry, cancel, or replace the step
+  return doRetry;
+}
+
+// === ENHANCED RETRY AND VALIDATION SYSTEM ===
+
+/**
+ * Step-level input validation result
+ */
+interface StepValidationResult {
+  isValid: boolean;
+  errors: string[];
+  warnings: string[];
+  invalidFields?: string[]; // Variables that failed a pattern - the first one is asked for again
+}
+
+/**
+ * Perform step-level input validation before tool execution
+ */
+async function performStepInputValidation(
+  step: FlowStep,
+  currentFlowFrame: FlowFrame,
+  engine: Engine
+): Promise<StepValidationResult> {
+  const result: StepValidationResult = {
+    isValid: true,
+    errors: [],
+    warnings: []
+  };
+
+  // Skip validation if no validation rules defined
+  if (!step.inputValidation) {
+    return result;
+  }
+
+  // Validate against patterns
+  if (step.inputValidation.patterns) {
+    for (const pattern of step.inputValidation.patterns) {
+      const storedValue = currentFlowFrame.variables?.[pattern.field];
+      // SAY-GET replies are stored as literal user input wrappers
+      const fieldValue = isUserInputVariable(storedValue) ? (storedValue as Record<string, unknown>).value : storedValue;
+      if (fieldValue && typeof fieldValue === 'string') {
+        const regex = new RegExp(pattern.pattern);
+        if (!regex.test(fieldValue)) {
+          result.isValid = false;
+          result.errors.push(pattern.message || `Field ${pattern.field} does not match required pattern`);
+          (result.invalidFields ??= []).push(pattern.field);
+        }
+      }
+    }
+  }
+
+  // Custom validation function
+  if (step.inputValidation.customValidator && engine.APPROVED_FUNCTIONS) {
+    try {
+      const validator = engine.APPROVED_FUNCTIONS[step.inputValidation.customValidator];
+      if (typeof validator === 'function') {
+        const customResult = await validator(currentFlowFrame.variables, currentFlowFrame) as any;
+        if (customResult && typeof customResult === 'object') {
+          if (customResult.isValid === false) {
+            result.isValid = false;
+            if (Array.isArray(customResult.errors)) {
+              result.errors.push(...customResult.errors);
+            }
+          }
+        }
+      }
+    } catch (error: any) {
+      logger.warn(`Custom validation function failed: ${error.message}`);
+      result.warnings.push('Custom validation could not be performed');
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Handle validation failure with user-friendly retry
+ */
+async function handleValidationFailure(
+  step: FlowStep,
+  validationResult: StepValidationResult,
+  currentFlowFrame: FlowFrame,
+  engine: Engine
+): Promise<string> {
+  const errors = validationResult.errors.join(', ');
+  logger.info(`Input validation failed for step ${step.id}: ${errors}`);
 
-  logToolExecution(toolName: string, args: unknown, result: unknown, duration: number, userId: string, transactionId: string) {
-    const logEntry = {
-      event: "tool_executed",
-      toolName,
-      userId,
-      transactionId,
-      duration,
-      timestamp: new Date().toISOString(),
-      args: this.sanitizeForLog(args),
-      result: this.sanitizeForLog(result),
-      success: true
-    };
-    logger.info(`[AUDIT] ${JSON.stringify(logEntry)}`);
-  },
+  // Create a smart retry step that goes back to collect valid input
+  const retryStep: FlowStep = {
+    type: 'SAY-GET',
+    value: `❌ ${errors}\n\nPlease provide the correct information:`,
+    variable: validationResult.invalidFields?.[0] || step.variable || 'user_input'
+  };
 
-  logToolError(toolName: string, args: unknown, error: Error, duration: number, userId: string, transactionId: string) {
-    const logEntry = {
-      event: "tool_error",
-      toolName,
-      userId,
-      transactionId,
-      duration,
-      timestamp: new Date().toISOString(),
-      args: this.sanitizeForLog(args),
-      error: error.message,
-      success: false
-    };
-    logger.info(`[AUDIT] ${JSON.stringify(logEntry)}`);
-  },
+  // If we can identify which step collected the invalid input, retry from there
+  const collectStepId = findInputCollectionStep(step, currentFlowFrame);
+  if (collectStepId) {
+    // Go back to the data collection step
+    const originalFlow = engine.flowsMenu?.find(f => f.name === currentFlowFrame.flowName);
+    const collectStep = originalFlow?.steps.find(s => s.id === collectStepId);
+    if (collectStep) {
+      // Modify the message to include validation error
+      retryStep.value = `❌ ${errors}\n\n${collectStep.value || 'Please provide the correct information:'}`;
+      retryStep.variable = collectStep.variable;
+    }
+  }
+
+  // Push retry step and current step back to stack
+  currentFlowFrame.flowStepsStack.push(step); // Put back the tool step for retry
+  currentFlowFrame.flowStepsStack.push(retryStep);
+
+  return `Input validation failed. Asking for corrected input.`;
+}
+
+/**
+ * Find the step that collected input for a failed tool step
+ */
+function findInputCollectionStep(toolStep: FlowStep, currentFlowFrame: FlowFrame): string | null {
+  // Look for a variable that the tool step depends on
+  const toolVariable = toolStep.variable;
+  if (!toolVariable) return null;
+
+  // Find the step that set this variable (likely a SAY-GET step)
+  const contextEntries = currentFlowFrame.contextStack.filter(entry => entry.stepId);
+  for (let i = contextEntries.length - 1; i >= 0; i--) {
+    const entry = contextEntries[i];
+    if (entry.stepId && entry.role === 'user') {
+      // This might be the input collection step
+      return entry.stepId;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Determine if a step should be retried based on error and retry configuration
+ */
+async function shouldRetryStep(
+  step: FlowStep,
+  error: Error,
+  currentFlowFrame: FlowFrame,
+  engine: Engine
+): Promise<boolean> {
+  const currentRetryCount = step.retryCount || 0;
+  const maxRetries = step.maxRetries || 0;
+
+  // Don't retry if we've exceeded max retries
+  if (currentRetryCount >= maxRetries) {
+    logger.info(`Max retries (${maxRetries}) reached for step ${step.id}`);
+    return false;
+  }
+
+  // Check retry conditions if defined
+  if (step.retryOnConditions) {
+    for (const condition of step.retryOnConditions) {
+      const regex = new RegExp(condition.errorPattern, 'i');
+      if (regex.test(error.message) || regex.test(error.name)) {
+        switch (condition.action) {
+          case 'retry':
+            return true;
+          case 'skip':
+          case 'fallback':
+            return false;
+          default:
+            logger.warn(`Unknown retry action "${condition.action}" for step ${step.id}`);
+            return false;
+        }
+      }
+    }
+  }
+
+  // Default retry logic for common error types
+  const errorMessage = error.message.toLowerCase();
+  const isNetworkError = errorMessage.includes('fetch failed') ||
+    errorMessage.includes('timeout') ||
+    errorMessage.includes('econnrefused');
+  const isTemporaryError = errorMessage.includes('rate limit') ||
+    errorMessage.includes('503') ||
+    errorMessage.includes('502');
+
+  return maxRetries > 0 && (isNetworkError || isTemporaryError);
+}
+
+/**
+ * Determine if a failed tool call gets another attempt: explicit retry conditions, or the
+ * smart default when the step has no onFail, up to maxRetries (default 2, 3 attempts in total)
+ */
+async function shouldRetryToolStep(
+  step: FlowStep,
+  error: Error,
+  currentFlowFrame: FlowFrame,
+  engine: Engine
+): Promise<boolean> {
+  const shouldRetry = await shouldRetryStep(step, error, currentFlowFrame, engine) || (!step.onFail && generateSmartRetryDefaultOnFail(step, error, currentFlowFrame));
+  return shouldRetry && (step.retryCount || 0) < (step.maxRetries || 2);
+}
+
+/**
+ * Wait before the next attempt of a step: its retryDelay, then exponential backoff if configured
+ */
+async function waitBeforeRetry(step: FlowStep, previousRetryCount: number): Promise<void> {
+  // Apply retry delay if specified
+  if (step.retryDelay && step.retryDelay > 0) {
+    await new Promise(resolve => setTimeout(resolve, step.retryDelay));
+  }
+
+  // Apply exponential backoff for network errors
+  if (step.retryStrategy === 'exponential') {
+    const delay = Math.min(1000 * Math.pow(2, previousRetryCount), 30000); // Max 30 seconds
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+/**
+ * Retry the current step with enhanced logic
+ */
+async function retryCurrentStep(
+  step: FlowStep,
+  error: Error,
+  currentFlowFrame: FlowFrame,
+  engine: Engine
+): Promise<string> {
+  const currentRetryCount = step.retryCount || 0;
+  step.retryCount = currentRetryCount + 1;
+
+  logger.info(`Retrying step ${step.id}, attempt ${step.retryCount}`);
+
+  await waitBeforeRetry(step, currentRetryCount);
+
+  // Put the step back on the stack for retry
+  currentFlowFrame.flowStepsStack.push(step);
+
+  return `Retrying ${step.tool} (attempt ${step.retryCount})...`;
+}
+
+/**
+ * Generate progressive help messages for repeated failures
+ */
+function generateProgressiveHelpMessage(step: FlowStep, error: Error, retryCount: number): string {
+  const toolName = step.tool || 'tool';
+  let message = `💡 **Retry Help** (Attempt ${retryCount}):\n\n`;
+
+  if (retryCount === 2) {
+    message += `The "${toolName}" operation failed again. Here are some things to check:\n`;
+    message += `• Make sure your input data is complete and valid\n`;
+    message += `• Check that all required fields are provided\n`;
+    message += `• Verify the format matches what's expected\n\n`;
+  } else if (retryCount === 3) {
+    message += `We're seeing repeated issues with "${toolName}". Additional troubleshooting:\n`;
+    message += `• Try using simpler or different input values\n`;
+    message += `• Check if there are any special characters causing issues\n`;
+    message += `• Consider contacting support if this persists\n\n`;
+    message += `**Error details:** ${error.message}\n\n`;
+  } else if (retryCount >= 4) {
+    message += `This is attempt ${retryCount} for "${toolName}". Consider:\n`;
+    message += `• Canceling this operation and trying a different approach\n`;
+    message += `• Contacting technical support for assistance\n`;
+    message += `• Checking system status or trying again later\n\n`;
+  }
 
-  logTransactionComplete(transaction: TransactionData) {
-    const logEntry = {
-      event: "transaction_completed",
-      transactionId: transaction.id,
-      flowName: transaction.flowName,
-      userId: transaction.userId,
-      duration: transaction.completedAt ? transaction.completedAt.getTime() - transaction.createdAt.getTime() : 0,
-      stepCount: transaction.steps.length,
-      timestamp: new Date().toISOString()
-    };
-    logger.info(`[AUDIT] ${JSON.stringify(logEntry)}`);
-  },
+  return message;
+}
 
-  logTransactionFailed(transaction: TransactionData) {
-    const logEntry = {
-      event: "transaction_failed",
-      transactionId: transaction.id,
-      flowName: transaction.flowName,
-      userId: transaction.userId,
-      reason: transaction.failureReason,
-      stepCount: transaction.steps.length,
-      timestamp: new Date().toISOString()
-    };
-    logger.info(`[AUDIT] ${JSON.stringify(logEntry)}`);
-  },
+// === ENHANCED STEP HANDLERS ===
+async function handleToolStep(currentFlowFrame: FlowFrame, engine: Engine): Promise<string> {
+  // Extract what we need from the currentFlowFrame
+  const step = currentFlowFrame.flowStepsStack.pop()!; // This handler pops its own step
+  const contextStack = currentFlowFrame.contextStack;
+  const inputStack = currentFlowFrame.inputStack;
+  const input = inputStack[inputStack.length - 1];
+  const flowsMenu = engine.flowsMenu; // Access the global flows menu
 
-  logTransactionRollback(transaction: TransactionData) {
-    const logEntry = {
-      event: "transaction_rollback",
-      transactionId: transaction.id,
-      flowName: transaction.flowName,
-      userId: transaction.userId,
-      timestamp: new Date().toISOString()
-    };
-    logger.info(`[AUDIT] ${JSON.stringify(logEntry)}`);
-  },
+  const startTime = Date.now();
 
-  logFlowExit(flowName: string, userId: string, transactionId: string, reason: string) {
-    const logEntry = {
-      event: "flow_exit",
-      flowName,
-      userId,
-      transactionId,
-      reason,
-      timestamp: new Date().toISOString()
-    };
-    logger.info(`[AUDIT] ${JSON.stringify(logEntry)}`);
-  },
+  // Initialize retry count if not present
+  if (step.retryCount === undefined) {
+    step.retryCount = 0;
+  }
 
-  sanitizeForLog(data: unknown): unknown {
-    if (typeof data === 'object' && data !== null) {
-      const sanitized = { ...(data as Record<string, unknown>) };
-      // Remove sensitive fields for logging
-      const sensitiveFields = ['password', 'token', 'signature', 'key', 'secret'];
-      sensitiveFields.forEach(field => {
-        if (field in sanitized) {
-          sanitized[field] = '[REDACTED]';
-        }
-      });
-      return sanitized;
-    }
-    return data;
+  // High-risk flows and tools only run after the user confirmed - otherwise the flow ends
+  const confirmationRefusal = getConfirmationRefusal(step.tool!, currentFlowFrame, engine);
+  if (confirmationRefusal) {
+    return cancelFlowWithMessage(currentFlowFrame, engine, confirmationRefusal);
   }
-};
 
-// === RATE LIMITING ===
-const rateLimiter = new Map<string, number[]>();
+  // Perform input validation before tool execution
+  const validationResult = await performStepInputValidation(step, currentFlowFrame, engine);
+  if (!validationResult.isValid) {
+    // Handle validation failure with user-friendly retry
+    return await handleValidationFailure(step, validationResult, currentFlowFrame, engine);
+  }
 
-function checkRateLimit(engine: Engine, userId: string, toolId: string) {
   try {
-    const toolsRegistry = engine.toolsRegistry;
-    const tool = toolsRegistry?.find((t: ToolDefinition) => t.id === toolId);
+    logger.info(`Executing tool ${step.tool} (attempt ${step.retryCount + 1})`);
 
-    if (!tool?.security?.rateLimit) return; // No rate limit configured
+    // Rate limiting check
+    checkRateLimit(engine, currentFlowFrame.userId, step.tool || '');
 
-    const { requests, window } = tool.security.rateLimit;
-    const key = `${userId}:${toolId}`;
-    const now = Date.now();
+    const result = await generateToolCallAndResponse(engine, step.tool!, input, contextStack, currentFlowFrame.userId, currentFlowFrame.transaction.id, currentFlowFrame, step.args);
+    const duration = Date.now() - startTime;
 
-    if (!rateLimiter.has(key)) {
-      rateLimiter.set(key, []);
-    }
+    // Log successful tool execution
+    auditLogger.logToolExecution(step.tool!, input, result, duration, currentFlowFrame.userId, currentFlowFrame.transaction.id);
 
-    const attempts = rateLimiter.get(key)!.filter(time => now - time < window);
+    // Add result to enhanced context stack with role information
+    addToContextStack(
+      contextStack,
+      'tool',
+      result,
+      step.id,
+      step.tool,
+      { duration, status: 'success' }
+    );
+    inputStack.push(result);
 
-    if (attempts.length >= requests) {
-      throw new Error(`Rate limit exceeded for ${tool.name}. Max ${requests} requests per ${window / 1000} seconds.`);
+    // Store result in named variable if specified
+    if (step.variable && currentFlowFrame.variables !== undefined) {
+      currentFlowFrame.variables[step.variable] = result;
+      logger.info(`Stored tool result in variable '${step.variable}': ${typeof result === 'object' ? JSON.stringify(result) : result}`);
     }
 
-    attempts.push(now);
-    rateLimiter.set(key, attempts);
+    consumeConfirmation([step.tool!], currentFlowFrame, engine);
+
+    // Tools always auto-proceed - return result and let flow continue naturally
+    logger.info(`Tool completed successfully, continuing to next step`);
+    return typeof result === 'string' ? result : `Tool ${step.tool} executed successfully.`;
+
   } catch (error: any) {
-    logger.info(`Rate limiting error: ${error.message}`);
-    logger.info(error.stack);
-    throw error; // Re-throw to propagate error
-  }
-}
+    // Unresolved argument templates are not tool failures - no retry or onFail; outside a TRY they end the flow
+    if (error instanceof FlowStepError) {
+      return failFlowStep(currentFlowFrame, engine, error.message, error.code, step.id);
+    }
+    const duration = Date.now() - startTime;
+    logger.warn(`Error executing tool ${step.tool}:`, error);
+    logger.info(`Stack trace: ${error.stack}`);
 
-// === INPUT VALIDATION & SANITIZATION ===
+    // Set the right most instance of 'Failed ...' in the tool's variable
+    if (step.variable && currentFlowFrame.variables !== undefined) {
+      currentFlowFrame.variables[step.variable] = getToolErrorVariableValue(error);
+      logger.info(`Stored tool error in variable '${step.variable}': ${currentFlowFrame.variables[step.variable]}`);
+    }
 
-/**
- * AI-powered voice input cleanup for natural speech processing
- * Cleans up voice input by removing filler words and normalizing responses based on context
- * @param input - Raw voice input from user
- * @param questionContext - The question or prompt that was asked to provide context
- * @param engine - Engine instance for AI callback access
- * @returns Promise<string> - Cleaned up input suitable for processing
- */
-async function cleanVoiceInput(input: string, questionContext: string, engine: Engine): Promise<string> {
-  if (!engine.aiCallback) {
-    logger.warn('AI callback not available for voice input cleanup, using raw input');
-    return input.trim();
-  }
+    // Log tool error
+    auditLogger.logToolError(step.tool!, input, error, duration, currentFlowFrame.userId, currentFlowFrame.transaction.id);
 
-  try {
-    const systemInstruction = `You are a voice input cleaner for a conversational AI system. Your job is to clean up natural speech input by:
+    // Enhanced retry logic: check if we should retry this step
+    if (await shouldRetryToolStep(step, error, currentFlowFrame, engine)) {
+      return await retryCurrentStep(step, error, currentFlowFrame, engine);
+    }
+    consumeConfirmation([step.tool!], currentFlowFrame, engine);
 
-1. Removing filler words (um, uh, hmm, etc.)
-2. Extracting the core intent from casual speech
-3. Normalizing responses to expected formats
-4. Preserving the original meaning while making it suitable for system processing
+    // Enhanced error handling: Check for explicit onFail or use smart default
+    const effectiveOnFail = step.onFail; /*|| generateSmartDefaultOnFail(step, error, currentFlowFrame)*/
 
-Rules:
-- NEVER return an email address or phone number that appears in the question. When the question repeats one back — e.g. "I could not verify the email pinkas@example.com. Would you like to try again?" — the user's answer is a CORRECTION of it. A near-miss like "rpinkas@..." against a quoted "pinkas@..." is deliberate, not a mis-hearing. Return what the user said.
-- If the user clearly means "yes" (yes, yeah, yep, sure, okay, alright, umm yes, etc.) return "yes"
-- If the user clearly means "no" (no, nope, nah, not really, etc.) return "no"
-- For numbers: Extract only the digits (e.g., "umm, it's 123456" → "123456"). Pay special attention to possible duplication if the user repeats themselves for clarification (e.g., "it's 123456, 123, 456" should be normalized to "123456").
-- For emails: This is one of the most challenging cases. If the user says something like "my email is john dot doe at example dot com," convert it to "john.doe@example.com." Users may also say "at gmail," "GM," "hotmail," or "hot mail." In these cases, convert the domain to the correct format (e.g., @gmail.com, @hotmail.com, etc.). By excelling at email normalization, you can truly save callers from intense frustration.
-- For phone numbers: Extract only the number digits. Pay close attention to potential duplication if the user repeats digits for clarification (e.g., "it's 8, 1, 8, 5, 5, 5, 1, 2, 3, 4, 818, 555, 1234" should be normalized to "8185551234").
-- For names, extract just the name parts
-- If unclear or ambiguous, return the input with just filler words removed
-- Always preserve the core semantic meaning
-- Keep responses concise and direct
+    if (effectiveOnFail) {
+      logger.info(`Executing ${step.onFail ? 'explicit' : 'smart default'} onFail step for tool ${step.tool}`);
 
-Return ONLY the cleaned input, no explanations.`;
+      // Handle array of onFail steps
+      const onFailStep = Array.isArray(effectiveOnFail) ? effectiveOnFail[0] : effectiveOnFail;
+      const callType = onFailStep.callType || (onFailStep.type === "FLOW" ? "replace" : undefined); // Default to replace for FLOW onFail
 
-    const userMessage = `Question asked: "${questionContext}"
-User's voice response: "${input}"
+      // Extract parameters from the onFailStep definition (just like handleSubFlowStep)
+      let flowParameters: Record<string, unknown> = {};
+      if (onFailStep.parameters && typeof onFailStep.parameters === 'object') {
+        const combinedVariables = {
+          ...currentFlowFrame.variables,
+          ...getEngineSessionVariables(engine, currentFlowFrame.contextStack)
+        };
+        // Interpolate parameters using current context
+        flowParameters = interpolateStepValue(onFailStep.parameters, combinedVariables, engine) as Record<string, unknown>;
+        logger.debug(`Interpolated onFail flow parameters:`, flowParameters);
+      }
+
+      if (callType === "reboot") {
+        // Clear ALL flows across ALL stacks and start completely fresh with the onFail flow
+        logger.info(`Rebooted due to 'reboot' type of onFail step: ${onFailStep.id || onFailStep.name} in flow ${currentFlowFrame.flowName} for tool ${step.tool}`);
+
+        // Clean up ALL existing flows across ALL stacks (using proven user exit pattern)
+        const exitedFlows: string[] = [];
+        while (engine.flowStacks.length > 0) {
+          const poppedStack = engine.flowStacks.pop();
+          if (!poppedStack || poppedStack.length === 0) {
+            continue;
+          }
+          // Process all flows in this stack
+          for (const flow of poppedStack) {
+            TransactionManager.fail(flow.transaction, `Popped: ${flow?.flowName} due to 'reboot' type of onFail step: ${onFailStep.id || onFailStep.name} in flow ${flow?.flowName} for tool ${step.tool}`);
+            exitedFlows.push(flow.flowName);
+            auditLogger.logFlowExit(flow.flowName, currentFlowFrame.userId, flow.transaction.id, 'onFail_reboot');
+          }
+        }
+
+        // Reset the stacks only — NOT the accumulated message buffer, so any
+        // user-facing SAY emitted before the failure carries into the onFail
+        // reboot target and is delivered with its output (same as the FLOW-step
+        // reboot). The free initializeFlowStacks(engine) would also clear the
+        // buffer via getAndClearAccumulatedMessages().
+        engine.initializeFlowStacks();
+
+        // Start the onFail flow as a new root flow
+        if (onFailStep.type === "FLOW") {
+          const rebootFlow = flowsMenu?.find(f => f.name === onFailStep.value || f.id === onFailStep.value);
+          if (rebootFlow) {
+            const transaction = TransactionManager.create(rebootFlow.name, 'reboot-recovery', currentFlowFrame.userId);
+
+            const variables = getInitialVariables(engine, rebootFlow);
+            Object.assign(variables, flowParameters); // Inject interpolated parameters
+
+            pushToCurrentStack(engine, {
+              flowName: rebootFlow.name,
+              flowId: rebootFlow.id,
+              flowVersion: rebootFlow.version,
+              flowStepsStack: [...rebootFlow.steps].reverse(),
+              contextStack: [{ role: 'user', content: input, timestamp: Date.now() }],
+              inputStack: [input],
+              variables: variables, // Fresh variables for reboot flow (with injected params)
+              transaction,
+              userId: currentFlowFrame.userId,
+              startTime: Date.now()
+            });
+            auditLogger.logFlowStart(rebootFlow.name, input, currentFlowFrame.userId, transaction.id);
+          } else {
+            logger.error(`Reboot flow ${onFailStep.value} in onFail: ${onFailStep.id || onFailStep.name} not found in flows menu`);
+          }
+        } else {
+          // Handle non-FLOW onFail steps in reboot mode
+          currentFlowFrame.flowStepsStack = [onFailStep];
+        }
 
-Clean this voice input:`;
+        logger.info(`System completely rebooted due to onFail step for tool ${step.tool}. Exited flows: ${exitedFlows.join(', ')}`);
+        return `System rebooted due to onFail step for tool ${step.tool}. Starting recovery flow ${onFailStep.name}`;
 
-    const cleanedInput = await fetchAiResponse(
-      systemInstruction,
-      userMessage,
-      engine.aiCallback,
-      engine.aiTimeOut || 2000
-    );
+      } else if (callType === "replace") {
+        logger.info(`Replacing current flow steps with onFail step(s) for tool ${step.tool}`);
 
-    if (cleanedInput && cleanedInput.trim()) {
-      logger.info(`Voice input cleaned: "${input}" → "${cleanedInput.trim()}"`);
-      return cleanedInput.trim();
-    } else {
-      logger.warn('AI returned empty response for voice cleanup, using original input');
-      return input.trim();
-    }
+        // Current behavior - replace remaining steps in current flow
+        if (Array.isArray(effectiveOnFail)) {
+          currentFlowFrame.flowStepsStack = effectiveOnFail;
+        } else {
+          currentFlowFrame.flowStepsStack = [effectiveOnFail];
+        }
 
-  } catch (error: any) {
-    logger.warn(`Voice input cleanup failed: ${error.message}, using original input`);
-    return input.trim();
-  }
-}
+        // Inject parameters into current variables
+        if (Object.keys(flowParameters).length > 0) {
+          Object.assign(currentFlowFrame.variables, flowParameters);
+        }
 
-function sanitizeInput(input: unknown): unknown {
-  if (typeof input !== 'string') return input;
-  // Simple trim - no HTML encoding since user input is treated as literal data
-  return input.trim();
-}
+        return `Tool ${step.tool} failed, executing onFail step`;
 
-function validateToolArgs(tool: ToolDefinition, args: Record<string, unknown>): Record<string, unknown> {
-  if (!tool.parameters) return args; // No validation schema
-  if (!ajv) return args; // ajv not available — skip validation
+      } else if (callType === "call") {
+        logger.info(`Calling onFail step as sub-flow for tool ${step.tool}`);
 
-  const validate = ajv.compile(tool.parameters);
-  const valid = validate(args);
+        // New behavior - call onFail as sub-flow (preserves current flow)
+        if (onFailStep.type === "FLOW") {
+          // Push onFail flow as sub-flow
+          const onFailFlow = flowsMenu?.find(f => f.name === onFailStep.name);
+          if (onFailFlow) {
+            const transaction = TransactionManager.create(onFailFlow.name, 'onFail-recovery', currentFlowFrame.userId);
 
-  if (!valid) {
-    const errors = (validate.errors || []).map((err: any) =>
-      `${err.instancePath || 'root'} ${err.message}`
-    ).join(', ');
-    logger.info(`Tool argument validation failed for ${tool.name}: ${errors}`);
-    logger.info(`Stack trace: ${new Error().stack}`);
-    throw new Error(`Tool argument validation failed: ${errors}`);
-  }
+            const variables = { ...currentFlowFrame.variables }; // Inherit variables
+            Object.assign(variables, flowParameters); // Inject interpolated parameters
 
-  return args;
-}
+            pushToCurrentStack(engine, {
+              flowName: onFailFlow.name,
+              flowId: onFailFlow.id,
+              flowVersion: onFailFlow.version,
+              flowStepsStack: [...onFailFlow.steps].reverse(),
+              contextStack: [...currentFlowFrame.contextStack], // Inherit context
+              inputStack: [...currentFlowFrame.inputStack],
+              variables: variables,
+              transaction,
+              userId: currentFlowFrame.userId,
+              startTime: Date.now()
+            });
+            auditLogger.logFlowStart(onFailFlow.name, input, currentFlowFrame.userId, transaction.id);
+            return `Tool ${step.tool} failed, calling recovery flow ${onFailFlow.name}`;
+          }
+        } else {
+          // Handle non-FLOW onFail steps as immediate execution
+          currentFlowFrame.flowStepsStack.unshift(onFailStep);
+          return `Tool ${step.tool} failed, executing onFail step`;
+        }
+      } else {
+        logger.info(`Adding non FLOW onFail step: ${onFailStep.id || onFailStep.name} to current flow stack for tool ${step.tool}`);
+        // Handle non-FLOW onFail steps as immediate execution
+        currentFlowFrame.flowStepsStack.unshift(onFailStep);
+        return `Tool ${step.tool} failed, executing onFail step`;
+      }
+    }
 
-// === ENHANCED CONTEXT STACK MANAGEMENT ===
+    // CANCEL remaining steps if no effective onFail handler is available and tool failed
+    if (!effectiveOnFail) {
+      // Inside a TRY block the failure goes to its catch section instead
+      if (isInsideTry(engine)) {
+        const code = error instanceof ToolOutputValidationError ? 'tool_output_invalid' : 'tool_failed';
+        throw new FlowStepError(getSystemMessage(engine, 'tool_failed', { toolName: step.tool, errorMessage: error.message }), code, step.id);
+      }
 
-/**
- * Add an entry to the context stack with role information
- */
-function addToContextStack(
-  contextStack: ContextEntry[],
-  role: 'user' | 'assistant' | 'system' | 'tool',
-  content: string | Record<string, unknown> | unknown,
-  stepId?: string,
-  toolName?: string,
-  metadata?: Record<string, unknown>
-): void {
-  contextStack.push({
-    role,
-    content,
-    timestamp: Date.now(),
-    stepId,
-    toolName,
-    metadata
-  });
-}
+      // Remove all remaining steps from the stack
+      currentFlowFrame.flowStepsStack = [];
+      logger.info(`Cancelling flow ${currentFlowFrame.flowName} due to unrecoverable error: ${error.message}`);
+    }
 
-/**
- * Flatten context stack for AI processing with role-aware formatting
- */
-function flattenContextStack(contextStack: ContextEntry[], includeRoles: boolean = true): string {
-  if (!contextStack || contextStack.length === 0) {
-    return 'No previous context available';
+    // No onFail handler available - use default error message
+    const defaultMessage = getSystemMessage(engine, 'tool_failed', {
+      toolName: step.tool,
+      errorMessage: error.message
+    });
+    return defaultMessage;
   }
+}
 
-  return contextStack.map(entry => {
-    let formattedContent: string;
-
-    // Handle different content types
-    if (typeof entry.content === 'object') {
-      formattedContent = JSON.stringify(entry.content, null, 2);
-    } else {
-      formattedContent = String(entry.content);
-    }
+// Value stored in a tool step's variable when the tool fails: the right most
+// 'Failed ...' segment of the error message (the most specific failure), or the
+// whole message when there is none.
+function getToolErrorVariableValue(error: any): string {
+  const errorMessage = error?.message || 'Error: Unknown error';
+  const rightIndex = errorMessage.lastIndexOf('Failed ');
+  return rightIndex !== -1 ? errorMessage.substring(rightIndex) : errorMessage;
+}
 
-    // Add role prefix if requested
-    if (includeRoles) {
-      const rolePrefix = getRolePrefix(entry.role, entry.toolName);
-      return `${rolePrefix}: ${formattedContent}`;
-    } else {
-      return formattedContent;
-    }
-  }).join('\n\n');
+interface ParallelBranchOutcome {
+  id: string;
+  tool: string;
+  status: 'fulfilled' | 'rejected' | 'timeout' | 'abandoned';
+  value?: unknown;
+  error?: string;
+  duration: number;
 }
 
-/**
- * Flatten lastChatTurn for AI processing with role-aware formatting
- */
-function flattenLastChatTurn(lastChatTurn: { user?: ContextEntry; assistant?: ContextEntry }, includeRoles: boolean = true): string {
-  const entries: ContextEntry[] = [];
+// PARALLEL step: runs its CALL-TOOL `steps` concurrently via
+// generateToolCallAndResponse and stores each result in that branch's variable.
+// Branches get the CALL-TOOL treatment: inputValidation runs before anything is
+// launched, and a failed call is retried in place by the same rules.
+//   mode 'all'        - every branch must succeed (a failing branch with its own onFail counts as handled)
+//   mode 'any'        - the first successful branch wins; the rest are abandoned
+//   mode 'allSettled' - never fails; each variable receives its result or error
+// Branches still running when the group `timeout` expires fail with a timeout.
+// Abandoned and timed-out branches are cancelled (HTTP requests aborted, MCP
+// requests cancelled, no further retries).
+// Branch onFail steps (and the PARALLEL step's own onFail on group failure) are
+// pushed to run next; without a group onFail a failed group cancels the flow,
+// exactly like a failed CALL-TOOL step.
+async function handleParallelStep(currentFlowFrame: FlowFrame, engine: Engine): Promise<string> {
+  const step = currentFlowFrame.flowStepsStack.pop()!; // This handler pops its own step
 
-  // Add user entry if present
-  if (lastChatTurn.user) {
-    entries.push(lastChatTurn.user);
+  if (!Array.isArray(step.steps) || step.steps.length === 0) {
+    throw new Error(`PARALLEL step requires a non-empty 'steps' array`);
   }
 
-  // Add assistant entry if present
-  if (lastChatTurn.assistant) {
-    entries.push(lastChatTurn.assistant);
+  const mode = step.mode || 'all';
+  if (!['all', 'any', 'allSettled'].includes(mode)) {
+    throw new Error(`PARALLEL step "${step.id}" has invalid mode: ${mode}`);
   }
 
-  if (entries.length === 0) {
-    return 'No chat context available';
+  const branches = step.steps.map((branch, i) => ({
+    ...branch,
+    id: branch.id || `${step.id || 'parallel'}-${i + 1}`,
+    type: 'CALL-TOOL' as StepType
+  }));
+  for (const branch of branches) {
+    const confirmationRefusal = branch.tool ? getConfirmationRefusal(branch.tool, currentFlowFrame, engine) : null;
+    if (confirmationRefusal) {
+      return cancelFlowWithMessage(currentFlowFrame, engine, confirmationRefusal);
+    }
   }
 
-  // Reuse the existing formatting logic
-  return flattenContextStack(entries, includeRoles);
-}
-
-/**
- * Get appropriate prefix for different roles
- */
-function getRolePrefix(role: string, toolName?: string): string {
-  switch (role) {
-    case 'user':
-      return 'User';
-    case 'assistant':
-      return 'Assistant';
-    case 'system':
-      return 'System';
-    case 'tool':
-      return toolName ? `Tool(${toolName})` : 'Tool';
-    default:
-      return role;
+  // Invalid input in any branch asks for a correction, then the whole group runs again
+  const groupValidation: StepValidationResult = { isValid: true, errors: [], warnings: [], invalidFields: [] };
+  for (const branch of branches) {
+    const validationResult = await performStepInputValidation(branch, currentFlowFrame, engine);
+    if (!validationResult.isValid) {
+      groupValidation.isValid = false;
+      groupValidation.errors.push(...validationResult.errors);
+      groupValidation.invalidFields!.push(...(validationResult.invalidFields || []));
+    }
   }
-}
-
-/**
- * Filter context stack by role for specific use cases
- */
-function filterContextByRole(contextStack: ContextEntry[], roles: string[]): ContextEntry[] {
-  return contextStack.filter(entry => roles.includes(entry.role));
-}
-
-/**
- * Get recent context entries (last N entries)
- */
-function getRecentContext(contextStack: ContextEntry[], count: number): ContextEntry[] {
-  return contextStack.slice(-count);
-}
-
-/**
- * Debug utility: Get a human-readable summary of the context stack
- */
-function getContextSummary(contextStack: ContextEntry[]): string {
-  if (!contextStack || contextStack.length === 0) {
-    return 'Context Stack: Empty';
+  if (!groupValidation.isValid) {
+    return await handleValidationFailure(step, groupValidation, currentFlowFrame, engine);
   }
 
-  const summary = contextStack.map((entry, index) => {
-    const timestamp = new Date(entry.timestamp).toISOString().slice(11, 19); // HH:MM:SS
-    const contentPreview = typeof entry.content === 'string'
-      ? entry.content.substring(0, 50) + (entry.content.length > 50 ? '...' : '')
-      : '[object]';
-
-    const toolInfo = entry.toolName ? ` (${entry.toolName})` : '';
-    const stepInfo = entry.stepId ? ` [${entry.stepId}]` : '';
+  const groupTimeout = typeof step.timeout === 'number' && step.timeout > 0 ? step.timeout : 0;
+  const contextStack = currentFlowFrame.contextStack;
+  const input = currentFlowFrame.inputStack[currentFlowFrame.inputStack.length - 1];
+  const startTime = Date.now();
 
-    return `${index + 1}. ${timestamp} ${entry.role}${toolInfo}${stepInfo}: ${contentPreview}`;
-  }).join('\n');
+  logger.info(`PARALLEL step "${step.id}": running ${branches.length} tool call(s) in mode '${mode}'${groupTimeout ? ` with ${groupTimeout}ms timeout` : ''}`);
 
-  return `Context Stack (${contextStack.length} entries):\n${summary}`;
-}
+  const outcomes: Array<ParallelBranchOutcome | undefined> = new Array(branches.length);
+  const cancellation = new AbortController(); // Aborted once the group outcome is decided
 
-/**
- * Export context stack as conversation history for AI prompts
- */
-function exportConversationHistory(contextStack: ContextEntry[], format: 'openai' | 'anthropic' | 'simple' = 'simple'): unknown[] | string {
-  if (!contextStack || contextStack.length === 0) {
-    return [];
-  }
+  const runBranch = async (branch: FlowStep): Promise<Omit<ParallelBranchOutcome, 'id' | 'tool'>> => {
+    const branchStart = Date.now();
+    branch.retryCount = 0;
+    while (true) {
+      try {
+        if (!branch.tool) {
+          throw new Error(`PARALLEL branch "${branch.id}" missing required 'tool' attribute`);
+        }
+        logger.info(`PARALLEL branch "${branch.id}": executing tool ${branch.tool} (attempt ${branch.retryCount + 1})`);
+        checkRateLimit(engine, currentFlowFrame.userId, branch.tool);
+        const value = await generateToolCallAndResponse(engine, branch.tool, input, contextStack, currentFlowFrame.userId, currentFlowFrame.transaction.id, currentFlowFrame, branch.args, cancellation.signal);
+        return { status: 'fulfilled', value, duration: Date.now() - branchStart };
+      } catch (error: any) {
+        // Unresolved argument templates are not tool failures - no retry, same as CALL-TOOL
+        if (!cancellation.signal.aborted && !(error instanceof FlowStepError) && await shouldRetryToolStep(branch, error, currentFlowFrame, engine)) {
+          const previousRetryCount = branch.retryCount++;
+          logger.info(`Retrying PARALLEL branch "${branch.id}", attempt ${branch.retryCount}`);
+          await waitBeforeRetry(branch, previousRetryCount);
+          if (!cancellation.signal.aborted) continue;
+        }
+        return { status: 'rejected', error: error?.message || String(error), duration: Date.now() - branchStart };
+      }
+    }
+  };
 
-  switch (format) {
-    case 'openai':
-      return contextStack.map(entry => ({
-        role: entry.role === 'assistant' ? 'assistant' : 'user',
-        content: typeof entry.content === 'string' ? entry.content : JSON.stringify(entry.content)
-      }));
+  await new Promise<void>((resolve) => {
+    let pending = branches.length;
+    let done = false;
+    let timer: ReturnType<typeof setTimeout> | undefined;
+
+    const finish = () => {
+      if (done) return;
+      done = true;
+      if (timer) clearTimeout(timer);
+      cancellation.abort(); // Stop the branches that lost the race
+      resolve();
+    };
 
-    case 'anthropic':
-      return contextStack.map(entry => ({
-        role: entry.role === 'assistant' ? 'assistant' : 'user',
-        content: typeof entry.content === 'string' ? entry.content : JSON.stringify(entry.content)
-      }));
+    if (groupTimeout) {
+      timer = setTimeout(finish, groupTimeout);
+    }
 
-    case 'simple':
-    default:
-      return flattenContextStack(contextStack, true);
+    branches.forEach((branch, i) => {
+      runBranch(branch).then((outcome) => {
+        if (done) return; // Late result after timeout / early finish - ignored
+        outcomes[i] = { id: branch.id, tool: branch.tool || '', ...outcome };
+        pending--;
+
+        const decisive = (mode === 'any' && outcome.status === 'fulfilled') ||
+          (mode === 'all' && outcome.status === 'rejected' && !branch.onFail);
+        if (pending === 0 || decisive) {
+          finish();
+        }
+      });
+    });
+  });
+  consumeConfirmation(branches.map(branch => branch.tool || ''), currentFlowFrame, engine);
+
+  // Branches that did not settle either hit the group timeout or were left
+  // behind once the outcome was already decided
+  const timedOut = groupTimeout > 0 && Date.now() - startTime >= groupTimeout;
+  for (let i = 0; i < branches.length; i++) {
+    if (!outcomes[i]) {
+      outcomes[i] = {
+        id: branches[i].id,
+        tool: branches[i].tool || '',
+        status: timedOut ? 'timeout' : 'abandoned',
+        error: timedOut ? `Timed out after ${groupTimeout}ms` : 'Abandoned: group outcome already decided',
+        duration: Date.now() - startTime
+      };
+    }
   }
-}
+  const settled = outcomes as ParallelBranchOutcome[];
 
-// === STACK-OF-STACKS FLOW MANAGEMENT ===
-// Simple implementation: maintains multiple flow stacks for proper interruption/resumption
-// Stored in engine.flowStacks for proper context isolation
+  // Record every branch as its own transaction step, audit it, and store its variable
+  for (let i = 0; i < branches.length; i++) {
+    const branch = branches[i];
+    const outcome = settled[i];
 
-function initializeFlowStacks(engine: Engine) {
-  try {
-    // Use the engine method directly since Engine is now an alias for WorkflowEngine
-    engine.initializeFlowStacks();
-    engine.getAndClearAccumulatedMessages();
-  } catch (error: any) {
-    logger.error("Failed to initialize flow stacks:", error.message);
-    logger.error(error.stack);
-    throw error; // Re-throw to ensure proper error handling
+    if (outcome.status === 'fulfilled') {
+      TransactionManager.addStep(currentFlowFrame.transaction, branch, outcome.value, outcome.duration, 'success');
+      auditLogger.logToolExecution(outcome.tool, branch.args ?? input, outcome.value, outcome.duration, currentFlowFrame.userId, currentFlowFrame.transaction.id);
+      addToContextStack(contextStack, 'tool', outcome.value, branch.id, branch.tool, { duration: outcome.duration, status: 'success' });
+      if (branch.variable) {
+        currentFlowFrame.variables[branch.variable] = outcome.value;
+        logger.info(`PARALLEL: stored result of '${branch.tool}' in variable '${branch.variable}'`);
+      }
+    } else {
+      const error = new Error(outcome.error);
+      TransactionManager.addError(currentFlowFrame.transaction, branch, error, outcome.duration);
+      if (outcome.status !== 'abandoned') {
+        auditLogger.logToolError(outcome.tool, branch.args ?? input, error, outcome.duration, currentFlowFrame.userId, currentFlowFrame.transaction.id);
+        if (branch.variable) {
+          currentFlowFrame.variables[branch.variable] = getToolErrorVariableValue(error);
+          logger.info(`PARALLEL: stored error of '${branch.tool}' in variable '${branch.variable}': ${currentFlowFrame.variables[branch.variable]}`);
+        }
+      }
+    }
   }
-}
 
-function getCurrentStack(engine: Engine): FlowFrame[] {
-  return engine.flowStacks[engine.flowStacks.length - 1] as FlowFrame[];
-}
+  const failed = branches.filter((_, i) => settled[i].status === 'rejected' || settled[i].status === 'timeout');
+  const unhandled = failed.filter(branch => !branch.onFail);
+  const winner = mode === 'any' ? branches.find((_, i) => settled[i].status === 'fulfilled') : undefined;
 
-function pushToCurrentStack(engine: Engine, flowFrame: FlowFrame) {
-  getCurrentStack(engine).push(flowFrame);
-}
+  const groupFailed =
+    mode === 'all' ? unhandled.length > 0 :
+      mode === 'any' ? !winner && unhandled.length > 0 :
+        false;
 
-function popFromCurrentStack(engine: Engine): FlowFrame {
-  const result = getCurrentStack(engine).pop();
-  if (!result) {
-    throw new Error('Cannot pop from empty stack');
+  if (step.variable) {
+    currentFlowFrame.variables[step.variable] = {
+      status: groupFailed ? 'rejected' : 'fulfilled',
+      ...(winner ? { winner: winner.id } : {}),
+      branches: settled.map(({ id, tool, status, value, error, duration }) => ({ id, tool, status, value, error, duration }))
+    };
   }
-  return result;
-}
 
-function createNewStack(engine: Engine): number {
-  // Create new stack and switch to it
-  engine.flowStacks.push([]);
-  return engine.flowStacks.length - 1;
-}
+  if (groupFailed) {
+    const failedTools = unhandled.map(branch => branch.tool).join(', ');
+    const firstError = settled[branches.indexOf(unhandled[0])].error || 'Unknown error';
+    logger.warn(`PARALLEL step "${step.id}" failed in mode '${mode}': ${failedTools}`);
 
-function switchToPreviousStack(engine: Engine) {
-  try {
-    // Remove current empty stack and switch to previous
-    if (engine.flowStacks.length > 1) {
-      engine.flowStacks.pop();
-      logger.info(`Switched back to previous stack, now have ${engine.flowStacks.length} stacks`);
-    } else {
-      logger.error("Attempted to switch to previous stack, but only one stack exists");
-      throw new Error("Cannot switch to previous stack - only one stack exists");
+    if (step.onFail) {
+      currentFlowFrame.flowStepsStack.push(step.onFail);
+      return `PARALLEL step failed, executing onFail step`;
+    }
+
+    if (isInsideTry(engine)) {
+      throw new FlowStepError(getSystemMessage(engine, 'tool_failed', { toolName: failedTools, errorMessage: firstError }), 'tool_failed', step.id);
+    }
+
+    currentFlowFrame.flowStepsStack = [];
+    logger.info(`Cancelling flow ${currentFlowFrame.flowName} due to unrecoverable PARALLEL failure: ${firstError}`);
+    return getSystemMessage(engine, 'tool_failed', {
+      toolName: failedTools,
+      errorMessage: firstError
+    });
+  }
+
+  // Failed branches with their own onFail run next, in branch order - unless
+  // 'any' already found a winner, in which case their failures don't matter
+  if (!winner) {
+    const handlers = failed.map(branch => branch.onFail!).filter(Boolean);
+    for (let i = handlers.length - 1; i >= 0; i--) {
+      currentFlowFrame.flowStepsStack.push(handlers[i]);
     }
-  } catch (error: any) {
-    logger.error("Error switching to previous stack:", error.message);
-    logger.error(error.stack);
-    throw error;
   }
+
+  const succeeded = settled.filter(outcome => outcome.status === 'fulfilled').length;
+  logger.info(`PARALLEL step "${step.id}" completed in ${Date.now() - startTime}ms: ${succeeded}/${branches.length} succeeded`);
+  return `PARALLEL executed ${branches.length} tool call(s): ${succeeded} succeeded${winner ? `, '${winner.id}' won` : ''}`;
 }
 
-function getInitialVariables(engine: Engine, flowDefinition?: FlowDefinition, inheritedVariables?: Record<string, unknown>): Record<string, unknown> {
-  let variables: Record<string, unknown>;
+function handleSayStep(currentFlowFrame: FlowFrame, engine: Engine): null {
+  // Extract what we need from the currentFlowFrame
+  const step = currentFlowFrame.flowStepsStack.pop()!; // This handler pops its own step
+  const contextStack = currentFlowFrame.contextStack;
 
-  if (inheritedVariables) {
-    // For sub-flows: Use the SAME REFERENCE as parent (don't spread/copy)
-    variables = inheritedVariables;
+  // Check for session language first, then fallback to engine language
+  let lang = engine.language;
+  lang = engine.getSessionLanguage() || lang;
 
-    // Merge flow definition variables IN-PLACE on the shared reference
-    if (flowDefinition?.variables) {
-      for (const [varName, varDef] of Object.entries(flowDefinition.variables)) {
-        if (varDef.value !== undefined) {
-          variables[varName] = varDef.value; // Modify in-place on shared reference
+  const message = (lang && step[`value_${lang}`]) || step.value || '';
+  const interpolated = interpolateMessage(String(message), contextStack, currentFlowFrame?.variables, engine || undefined);
+  logger.info(`SAY step executed (non-blocking): "${interpolated}"`);
+
+  // Add assistant message to context stack
+  addToContextStack(contextStack, 'assistant', interpolated, step.id);
+
+  // Use global accumulation when engine is available
+  if (engine && typeof engine.addAccumulatedMessage === 'function') {
+    engine.addAccumulatedMessage(interpolated);
+    logger.info(`SAY message globally accumulated.`);
+    logger.debug(`Current globally accumulated messages: ${JSON.stringify(engine.globalAccumulatedMessages)}`);
+  } else {
+    // This case should ideally not happen in the main engine, but is a fallback.
+    logger.warn(`Engine not available for SAY step. Message may be lost: "${interpolated}"`);
+  }
+
+  // Non-blocking: return null to continue processing next step
+  return null;
+}
+
+// SAY-GET step: outputs all accumulated messages + waits for user input
+/**
+ * Parse a reply to a typed SAY-GET into its typed value. Returns `{ valid: false }`
+ * with the registry message id explaining the problem when the reply doesn't parse
+ * or falls outside `min`/`max`.
+ */
+function parseTypedInput(
+  raw: string,
+  step: FlowStep,
+  engine: Engine
+): { valid: true; value: unknown } | { valid: false; messageId: string } {
+  const text = raw.trim();
+  const invalid = { valid: false as const, messageId: `input_invalid_${step.inputType}` };
+
+  switch (step.inputType) {
+    case 'number':
+    case 'integer': {
+      const normalized = text.replace(/[\s,$€£]/g, '');
+      if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(normalized)) return invalid;
+      const value = Number(normalized);
+      if (!Number.isFinite(value) || (step.inputType === 'integer' && !Number.isInteger(value))) return invalid;
+      const min = step.min !== undefined ? Number(step.min) : undefined;
+      const max = step.max !== undefined ? Number(step.max) : undefined;
+      if ((min !== undefined && value < min) || (max !== undefined && value > max)) {
+        return { valid: false, messageId: getRangeMessageId(step) };
+      }
+      return { valid: true, value };
+    }
+
+    case 'email': {
+      const value = text.toLowerCase();
+      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? { valid: true, value } : invalid;
+    }
+
+    case 'phone': {
+      const value = text.replace(/[\s().-]/g, '');
+      return /^\+?\d{7,15}$/.test(value) ? { valid: true, value } : invalid;
+    }
+
+    case 'date': {
+      // Stored as an ISO calendar date (YYYY-MM-DD) so it survives serialization
+      let value: string | null = null;
+      const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+      if (iso) {
+        const date = new Date(Date.UTC(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])));
+        value = date.toISOString().slice(0, 10) === text ? text : null;
+      } else if (/\d/.test(text)) {
+        const date = new Date(text);
+        if (!isNaN(date.getTime())) {
+          value = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
         }
       }
+      if (!value) return invalid;
+      if ((step.min !== undefined && value < String(step.min)) || (step.max !== undefined && value > String(step.max))) {
+        return { valid: false, messageId: getRangeMessageId(step) };
+      }
+      return { valid: true, value };
     }
-  } else {
-    // For root flows: Create new variables object from globals + flow definition
-    variables = engine.globalVariables ? { ...engine.globalVariables } : {};
 
-    // Merge in flow-defined variables with their initial values
-    if (flowDefinition?.variables) {
-      for (const [varName, varDef] of Object.entries(flowDefinition.variables)) {
-        if (varDef.value !== undefined) {
-          variables[varName] = varDef.value;
-        }
+    case 'yes_no': {
+      const answer = parseYesNo(engine, text);
+      return answer === undefined ? invalid : { valid: true, value: answer };
+    }
+
+    case 'choice': {
+      const options = Array.isArray(step.options) ? step.options.map(String) : [];
+      const index = /^\d+$/.test(text) ? Number(text) - 1 : -1;
+      if (index >= 0 && index < options.length && !options.includes(text)) {
+        return { valid: true, value: options[index] };
       }
+      const match = options.find(option => option.toLowerCase() === text.toLowerCase());
+      return match !== undefined ? { valid: true, value: match } : invalid;
     }
-  }
 
-  return variables;
+    case 'regex':
+      return step.pattern && new RegExp(step.pattern).test(text) ? { valid: true, value: text } : invalid;
+
+    default:
+      return { valid: true, value: raw };
+  }
 }
 
-function getCurrentStackLength(engine: Engine): number {
-  return getCurrentStack(engine).length;
+function getRangeMessageId(step: FlowStep): string {
+  if (step.min !== undefined && step.max !== undefined) return 'input_invalid_range';
+  return step.min !== undefined ? 'input_invalid_min' : 'input_invalid_max';
 }
 
-function getCurrentFlowFrame(engine: Engine): FlowFrame {
-  if (getCurrentStackLength(engine) === 0) {
-    throw new Error("No flow frames available in the current stack");
+/**
+ * Complete a typed SAY-GET with the user's reply. Valid replies are stored as
+ * typed values and the step is popped; invalid ones queue the invalid message and
+ * leave a counted copy of the step on the stack so it asks again, until
+ * `maxAttempts` is reached and `onExhausted` (or cancelling the flow) takes over.
+ */
+async function applyTypedUserInput(
+  currentFlowFrame: FlowFrame,
+  step: FlowStep,
+  userInput: unknown,
+  engine: Engine,
+  questionContext?: string
+): Promise<void> {
+  const reply = await applyVoiceCleanup(userInput, engine, questionContext);
+  const parsed = parseTypedInput(String(reply ?? ''), step, engine);
+
+  if (parsed.valid) {
+    // Typed values stay wrapped as literal user input; strings are sanitized as usual
+    await setUserInputVariable(currentFlowFrame.variables, step.variable!, parsed.value, true, engine);
+    logger.info(`Stored ${step.inputType} input in variable '${step.variable}': ${JSON.stringify(parsed.value)}`);
+    currentFlowFrame.flowStepsStack.pop();
+    return;
   }
 
-  // Return the last frame in the current stack
-  const currentFlowFrame = getCurrentStack(engine)[getCurrentStackLength(engine) - 1];
+  rejectUserInput(currentFlowFrame, step, engine, getSystemMessage(engine, parsed.messageId, {
+    min: step.min,
+    max: step.max,
+    options: Array.isArray(step.options) ? step.options.join(', ') : ''
+  }));
+}
 
-  if (!currentFlowFrame) {
-    throw new Error("Current flow frame is undefined");
+/**
+ * Handle an invalid reply to a SAY-GET, CHOICE, FORM or CONFIRM step: count the attempt and
+ * either queue the invalid message and leave a counted copy of the step on the
+ * stack to ask again, or - once `maxAttempts` is reached - replace the step with
+ * `onExhausted` (or stop the current flow when there is none).
+ */
+function rejectUserInput(currentFlowFrame: FlowFrame, step: FlowStep, engine: Engine, defaultMessage: string): void {
+  const attempts = (step._attempts || 0) + 1;
+  logger.info(`Invalid input for ${step.type} step "${step.id}" (attempt ${attempts}${step.maxAttempts ? ` of ${step.maxAttempts}` : ''})`);
+
+  if (step.maxAttempts && attempts >= step.maxAttempts) {
+    currentFlowFrame.flowStepsStack.pop();
+    if (step.onExhausted) {
+      currentFlowFrame.flowStepsStack.push(step.onExhausted);
+      return;
+    }
+    currentFlowFrame.flowStepsStack = [];
+    engine.addAccumulatedMessage!(getSystemMessage(engine, 'input_attempts_exhausted', {
+      flowPrompt: getFlowPrompt(engine, currentFlowFrame.flowName)
+    }));
+    return;
   }
 
-  return currentFlowFrame;
-}
+  // Replace the stacked step with a counted copy - the original may be shared
+  // with the flow definition
+  currentFlowFrame.flowStepsStack[currentFlowFrame.flowStepsStack.length - 1] = { ...step, _attempts: attempts };
 
-async function detectLanguage(input: string, engine: Engine): Promise<string> {
-  // Use fetchAiTask() to detect language from input
-  const task = `Detect the language of the following text and respond with ONLY the ISO 639-1 two-letter language code (e.g., en, es, fr, de, pt, zh, ja, ko, ar, hi). If unsure, respond with unknown.`;
-  const rules = `Respond with ONLY a two-letter ISO 639-1 language code or unknown. No XML tags, no quotes, no punctuation, no explanation — just the code.`;
+  const lang = engine.getSessionLanguage() || engine.language;
+  const customMessage = (lang && step[`invalidMessage_${lang}`]) || step.invalidMessage;
+  engine.addAccumulatedMessage!(customMessage
+    ? interpolateMessage(String(customMessage), currentFlowFrame.contextStack, currentFlowFrame.variables, engine)
+    : defaultMessage);
+}
 
-  try {
-    const rawResponse = await fetchAiTask(task, rules, '', input, undefined, undefined, engine.aiCallback, engine.aiTimeOut);
+/**
+ * Give up waiting for the reply to a SAY-GET, CHOICE, FORM or CONFIRM step whose `timeoutMs`
+ * has passed: drop the pending question and replace the step with `onTimeout`
+ * (or stop the current flow when there is none). An `onTimeout` that asks again
+ * continues the flow; any other step ends it, so the remaining steps never run
+ * with the variable unset - a GOTO or FLOW onTimeout can still redirect it.
+ * Called by engine.tick().
+ */
+function expirePendingInput(currentFlowFrame: FlowFrame, step: FlowStep, engine: Engine): void {
+  logger.info(`No reply to ${step.type} step "${step.id}" within ${step.timeoutMs}ms`);
 
-    // Strip XML/HTML tags, quotes, whitespace — models may mirror the XML prompt structure
-    let language = String(rawResponse || '')
-      .replace(/<[^>]+>/g, '')  // strip XML/HTML tags
-      .replace(/['"`]/g, '')    // strip quotes and backticks
-      .trim()
-      .toLowerCase();
+  delete currentFlowFrame.pendingVariable;
+  delete currentFlowFrame.pendingVariableContext;
+  delete currentFlowFrame.lastSayMessage;
+  currentFlowFrame.flowStepsStack.pop();
 
-    // Extract a two-letter ISO 639-1 code if buried in longer text (e.g., "Language: es")
-    // Use last match — the actual answer tends to appear at the end of explanatory text
-    if (language.length !== 2) {
-      const matches = [...language.matchAll(/\b([a-z]{2})\b/g)];
-      language = matches.length ? matches[matches.length - 1][1] : language;
+  if (step.onTimeout) {
+    if (!['SAY-GET', 'CHOICE', 'FORM', 'CONFIRM'].includes(step.onTimeout.type)) {
+      currentFlowFrame.flowStepsStack = [];
     }
+    currentFlowFrame.flowStepsStack.push(step.onTimeout);
+    return;
+  }
+  currentFlowFrame.flowStepsStack = [];
+  engine.addAccumulatedMessage!(getSystemMessage(engine, 'input_timeout', {
+    flowPrompt: getFlowPrompt(engine, currentFlowFrame.flowName)
+  }));
+}
 
-    if (!language || language === 'unknown' || language.length !== 2) {
-      logger.warn(`detectLanguage: could not extract valid language code from AI response: "${String(rawResponse).substring(0, 100)}"`);
-      return '';
+// CHOICE step: renders a numbered menu, then waits for the reply like SAY-GET
+
+/**
+ * Build the options of a CHOICE step in the session language, from either
+ * static `options` or an `items` array rendered through the `label` template.
+ */
+function resolveChoiceOptions(step: FlowStep, currentFlowFrame: FlowFrame, engine: Engine): ChoiceState['options'] {
+  const lang = engine.getSessionLanguage() || engine.language;
+
+  if (step.items !== undefined) {
+    const items = resolveStepItems(step, currentFlowFrame, engine);
+    const template = (lang && step[`label_${lang}`]) || step.label;
+    const itemName = step.as || 'item';
+    return items.map((item, index) => {
+      let label: string;
+      if (template) {
+        const labelVariables = { ...currentFlowFrame.variables, [itemName]: item, ...(step.index ? { [step.index]: index } : {}) };
+        label = interpolateMessage(String(template), [], labelVariables, engine);
+      } else if (item && typeof item === 'object') {
+        const record = item as Record<string, unknown>;
+        label = String(record.label ?? record.name ?? record.title ?? JSON.stringify(item));
+      } else {
+        label = String(item);
+      }
+      return { label, synonyms: [], item };
+    });
+  }
+
+  return (step.options || []).map(option => {
+    if (option && typeof option === 'object') {
+      const label = (lang && option[`label_${lang}`]) || option.label || String(option.value);
+      const synonyms = [
+        ...(Array.isArray(option.synonyms) ? option.synonyms : []),
+        ...(lang && Array.isArray(option[`synonyms_${lang}`]) ? option[`synonyms_${lang}`] as string[] : [])
+      ].map(String);
+      return { label: String(label), synonyms, item: option };
     }
+    return { label: String(option), synonyms: [], item: option };
+  });
+}
 
-    logger.info(`detectLanguage: detected "${language}" from input: "${input.substring(0, 50)}"`);
-    return language;
-  } catch (error: unknown) {
-    logger.error("Error detecting language:", error instanceof Error ? error.message : String(error));
-    return '';
+/**
+ * Render CHOICE options as a numbered list, or as a spoken sentence
+ * ("Say 1 for ..., 2 for ..., or 3 for ...") for voice sessions.
+ */
+function renderChoiceOptions(options: ChoiceState['options'], engine: Engine): string {
+  if (!engine.cargo?.voice) {
+    return options.map((option, index) => `${index + 1}. ${option.label}`).join('\n');
   }
+
+  const spoken = options.map((option, index) =>
+    getSystemMessage(engine, 'choice_voice_option', { number: index + 1, label: option.label }));
+  const list = spoken.length > 1
+    ? `${spoken.slice(0, -1).join(', ')}, ${getSystemMessage(engine, 'choice_voice_or')} ${spoken[spoken.length - 1]}`
+    : spoken.join('');
+  return getSystemMessage(engine, 'choice_voice_options', { options: list });
 }
 
-// === FLOW EXECUTION ENGINE WITH ENHANCED ERROR HANDLING ===
-async function isFlowActivated(input: string, engine: Engine, userId: string = 'anonymous') {
-  const result = await detectFlowWithParameters(input, engine);
+function handleChoiceStep(currentFlowFrame: FlowFrame, engine: Engine): string | null {
+  let step = currentFlowFrame.flowStepsStack[currentFlowFrame.flowStepsStack.length - 1]; // Peek - popped once answered
 
-  if (result && result.flow) {
-    const flow = result.flow;
-    const parameters = result.parameters;
+  // Resolve the options once; re-asks show (and match) the same snapshot
+  if (!step._choice) {
+    step = { ...step, _choice: { options: resolveChoiceOptions(step, currentFlowFrame, engine) } };
+    currentFlowFrame.flowStepsStack[currentFlowFrame.flowStepsStack.length - 1] = step;
+  }
+  const options = step._choice!.options;
 
-    // Check if language detection is needed (no session language set)
-    const sessionLanguage = engine.getSessionLanguage();
-    if (!sessionLanguage) {
-      // Determine the language from the input using AI
-      const detectedLanguage = await detectLanguage(input, engine);
-      logger.debug(`Detected language: ${detectedLanguage}`);
-      // Set language in session context
-      engine.setSessionLanguage(detectedLanguage);
-      engine.language = detectedLanguage; // Also set in engine for immediate use
-    } else {
-      logger.debug(`Using session language: ${sessionLanguage}`);
-    }
+  if (options.length === 0) {
+    logger.warn(`CHOICE step "${step.id}" has no options, storing null in '${step.variable}'`);
+    currentFlowFrame.flowStepsStack.pop();
+    currentFlowFrame.variables[step.variable!] = null;
+    return null;
+  }
 
-    const transaction = TransactionManager.create(flow.name, 'user-input', userId);
+  const lang = engine.getSessionLanguage() || engine.language;
+  const prompt = (lang && step[`value_${lang}`]) || step.value || '';
+  const interpolated = interpolateMessage(String(prompt), currentFlowFrame.contextStack, currentFlowFrame.variables, engine);
+  const menu = renderChoiceOptions(options, engine);
+  const question = interpolated ? `${interpolated}${engine.cargo?.voice ? ' ' : '\n'}${menu}` : menu;
 
-    // Prepare tentative flow_init message that will be replaced by SAY-GET guidance if present
-    const tentativeFlowInit = getSystemMessage(engine, 'flow_init', {
-      flowName: flow.name,
-      flowPrompt: getFlowPrompt(engine, flow.name)
-    });
-    // Add to global accumulated messages and set flag for SAY-GET to drop it
-    engine.addAccumulatedMessage!(tentativeFlowInit);
-    engine.setTentativeFlowInit(true);
-    logger.info(`Added tentative flow_init message: ${tentativeFlowInit}`);
-    logger.debug(`Current accumulated messages: ${JSON.stringify(engine.globalAccumulatedMessages)}`);
+  logger.info(`CHOICE step "${step.id}" offering ${options.length} option(s)`);
+  return handleSayGetStep(currentFlowFrame, engine, question);
+}
 
-    const variables = getInitialVariables(engine, flow);
-    if (parameters) {
-      logger.info(`Injecting extracted parameters into flow variables: ${JSON.stringify(parameters)}`);
-      Object.assign(variables, parameters);
+/**
+ * Match a reply to a CHOICE step: by 1-based number, by label or synonym, by a
+ * label or synonym contained in the reply (when only one option fits), and
+ * finally - when available - by asking aiCallback to pick the closest option.
+ */
+async function matchChoiceReply(reply: string, step: FlowStep, options: ChoiceState['options'], engine: Engine): Promise<number> {
+  const normalize = (text: string) => text.toLowerCase().replace(/[.,!?¡¿"']/g, '').replace(/\s+/g, ' ').trim();
+  const answer = normalize(reply).replace(/^(option|number|#)\s*/, '');
+
+  if (/^\d+$/.test(answer)) {
+    const index = Number(answer) - 1;
+    if (index >= 0 && index < options.length) return index;
+  }
+
+  const terms = options.map(option => [option.label, ...option.synonyms].map(normalize).filter(Boolean));
+  const exact = terms.findIndex(optionTerms => optionTerms.includes(answer));
+  if (exact !== -1) return exact;
+
+  // Whole-word containment either way: "the pro plan please" and "pro" both select "Pro plan"
+  const padded = ` ${answer} `;
+  const contained = terms
+    .map((optionTerms, index) => optionTerms.some(term =>
+      padded.includes(` ${term} `) || (answer.length >= 3 && ` ${term} `.includes(padded))) ? index : -1)
+    .filter(index => index !== -1);
+  if (contained.length === 1) return contained[0];
+
+  // Shared words, e.g. "the mug please" selects "Mug - $12" - only when one option has the most
+  const words = (text: string) => text.split(/[^\p{L}\p{N}]+/u).filter(word => word.length >= 3);
+  const replyWords = new Set(words(answer));
+  const hits = terms.map(optionTerms => new Set(optionTerms.flatMap(words).filter(word => replyWords.has(word))).size);
+  const best = Math.max(...hits);
+  if (best > 0 && hits.filter(count => count === best).length === 1) return hits.indexOf(best);
+
+  // Opt-in: every unmatched reply would otherwise cost an AI call
+  if (engine.aiCallback && step.aiMatch === true && answer) {
+    try {
+      const systemInstruction = `You match a user's reply to one option of a numbered menu. Return ONLY the number of the option the user most likely means, or 0 if the reply matches none of them or is ambiguous.`;
+      const userMessage = `Options:\n${options.map((option, index) => `${index + 1}. ${option.label}`).join('\n')}\n\nUser's reply: "${reply}"`;
+      const response = await fetchAiResponse(systemInstruction, userMessage, engine.aiCallback, engine.aiTimeOut || 2000);
+      const index = parseInt(String(response).trim(), 10) - 1;
+      if (index >= 0 && index < options.length) {
+        logger.info(`CHOICE step "${step.id}" matched "${reply}" to option ${index + 1} via AI`);
+        return index;
+      }
+    } catch (error: any) {
+      logger.warn(`CHOICE step "${step.id}" AI matching failed: ${error.message}`);
     }
+  }
 
-    const flowFrame: FlowFrame = {
-      flowName: flow.name,
-      flowId: flow.id,
-      flowVersion: flow.version,
-      flowStepsStack: [...flow.steps].reverse(),
-      contextStack: [{ role: 'user', content: sanitizeInput(input), timestamp: Date.now() }], // Keep activation input in context for reference
-      inputStack: [], // Start empty - only SAY-GET responses go here
-      variables, // Start with global variables + flow definition variables + extracted parameters
-      transaction,
-      userId,
-      startTime: Date.now()
-    };
-
-    pushToCurrentStack(engine, flowFrame);
-    auditLogger.logFlowStart(flow.name, input, userId, transaction.id);
+  return -1;
+}
 
-    return flow;
+/**
+ * Complete a CHOICE step with the user's reply, storing the selected option
+ * (and its zero-based position in `index`), or re-asking when nothing matched.
+ */
+async function applyChoiceInput(
+  currentFlowFrame: FlowFrame,
+  step: FlowStep,
+  userInput: unknown,
+  engine: Engine,
+  questionContext?: string
+): Promise<void> {
+  const options = step._choice?.options || [];
+  const reply = String(await applyVoiceCleanup(userInput, engine, questionContext) ?? '');
+  const index = await matchChoiceReply(reply, step, options, engine);
+
+  if (index === -1) {
+    rejectUserInput(currentFlowFrame, step, engine, getSystemMessage(engine, 'choice_invalid'));
+    return;
+  }
+
+  currentFlowFrame.variables[step.variable!] = options[index].item;
+  if (step.index) {
+    currentFlowFrame.variables[step.index] = index;
+  }
+  logger.info(`CHOICE step "${step.id}" selected option ${index + 1}: "${options[index].label}"`);
+  currentFlowFrame.flowStepsStack.pop();
+}
+
+// FORM step: collects several slots, asking only for the missing ones. Replies are
+// searched for any slot (so users can answer several at once or correct earlier
+// answers), then the collected values are confirmed before the step completes.
+
+function handleFormStep(currentFlowFrame: FlowFrame, engine: Engine): string | null {
+  let step = currentFlowFrame.flowStepsStack[currentFlowFrame.flowStepsStack.length - 1]; // Peek - popped once confirmed
+  const slots = step.slots || [];
+
+  // Values already in the variable (e.g. passed in by a caller) count as collected
+  if (!step._form) {
+    const existing = currentFlowFrame.variables[step.variable!];
+    const values = existing && typeof existing === 'object' && !Array.isArray(existing)
+      ? Object.fromEntries(slots.filter(slot => (existing as Record<string, unknown>)[slot.name] !== undefined)
+        .map(slot => [slot.name, (existing as Record<string, unknown>)[slot.name]]))
+      : {};
+    step = { ...step, _form: { values, phase: 'collect' } };
+  }
+  const form = step._form!;
+  const missing = slots.find(slot => slot.required !== false && form.values[slot.name] === undefined);
+
+  let question: string;
+  let next: FormState;
+  if (form.phase === 'correct') {
+    question = getSystemMessage(engine, 'form_ask_correction');
+    next = form;
+  } else if (missing) {
+    question = getFormSlotPrompt(missing, currentFlowFrame, engine);
+    next = { ...form, phase: 'collect', asked: missing.name };
+  } else if (step.confirm === false) {
+    completeForm(currentFlowFrame, step);
+    return null;
+  } else {
+    question = getSystemMessage(engine, 'form_confirm', { summary: summarizeForm(step, form.values, engine) });
+    next = { ...form, phase: 'confirm', asked: undefined };
   }
 
-  return null;
+  const lang = engine.getSessionLanguage() || engine.language;
+  const intro = (lang && step[`value_${lang}`]) || step.value;
+  if (intro && !form.introduced) {
+    const interpolated = interpolateMessage(String(intro), currentFlowFrame.contextStack, currentFlowFrame.variables, engine);
+    question = `${interpolated}${engine.cargo?.voice ? ' ' : '\n'}${question}`;
+  }
+  next = { ...next, introduced: true };
+
+  // Replace the stacked step with an updated copy - the original may be shared with the flow definition
+  currentFlowFrame.flowStepsStack[currentFlowFrame.flowStepsStack.length - 1] = { ...step, _form: next };
+  logger.info(`FORM step "${step.id}" ${next.phase === 'collect' ? `asking for slot '${next.asked}'` : `in phase '${next.phase}'`}`);
+  return handleSayGetStep(currentFlowFrame, engine, question);
 }
 
-async function playFlowFrame(engine: Engine): Promise<string | null> {
-  // Enhanced recursion protection using natural stack depth
-  const stackDepth = getCurrentStackLength(engine);
-  if (stackDepth > 20) {
-    const error = new Error("Maximum recursion depth reached in playFlowFrame");
-    logger.error("ERROR!", error.message);
+function completeForm(currentFlowFrame: FlowFrame, step: FlowStep): void {
+  const values = step._form?.values || {};
+  currentFlowFrame.variables[step.variable!] = { ...values };
+  logger.info(`FORM step "${step.id}" completed with slots: ${Object.keys(values).join(', ')}`);
+  currentFlowFrame.flowStepsStack.pop();
+}
 
-    // Log the error and clean up
-    if (getCurrentStackLength(engine) > 0) {
-      const currentFlowFrame = getCurrentFlowFrame(engine);
-      auditLogger.logFlowExit(currentFlowFrame.flowName, currentFlowFrame.userId, currentFlowFrame.transaction.id, 'max_recursion_depth');
+function getFormSlotLabel(slot: FormSlot, engine: Engine): string {
+  const lang = engine.getSessionLanguage() || engine.language;
+  return String((lang && slot[`label_${lang}`]) || slot.label || slot.name.replace(/_/g, ' '));
+}
 
-      // Do we need this?
-      //currentFlowFrame.contextStack.push(error.message);
+function getFormSlotPrompt(slot: FormSlot, currentFlowFrame: FlowFrame, engine: Engine): string {
+  const lang = engine.getSessionLanguage() || engine.language;
+  const prompt = (lang && slot[`prompt_${lang}`]) || slot.prompt;
+  return prompt
+    ? interpolateMessage(String(prompt), currentFlowFrame.contextStack, currentFlowFrame.variables, engine)
+    : getSystemMessage(engine, 'form_ask_slot', { label: getFormSlotLabel(slot, engine) });
+}
 
-      TransactionManager.fail(currentFlowFrame.transaction, "Max recursion depth exceeded");
-    }
+function summarizeForm(step: FlowStep, values: Record<string, unknown>, engine: Engine): string {
+  return (step.slots || [])
+    .filter(slot => values[slot.name] !== undefined)
+    .map(slot => `${getFormSlotLabel(slot, engine)}: ${formatFormValue(values[slot.name], engine)}`)
+    .join(', ');
+}
 
-    throw error;
+function formatFormValue(value: unknown, engine: Engine): string {
+  if (typeof value === 'boolean') {
+    const lang = engine.getSessionLanguage() || engine.language || 'en';
+    const synonyms = YES_NO_SYNONYMS[lang] || YES_NO_SYNONYMS.en;
+    return value ? synonyms.yes[0] : synonyms.no[0];
   }
+  return String(value);
+}
 
-  if (getCurrentStackLength(engine) === 0) {
-    const error = new Error("No flow frames to play");
-    logger.error("ERROR!", error.message);
-    throw error;
-  }
+// A slot as a typed SAY-GET step, so replies are validated by parseTypedInput
+function formSlotAsStep(slot: FormSlot): FlowStep {
+  return {
+    type: 'SAY-GET',
+    inputType: slot.type && slot.type !== 'string' ? slot.type : undefined,
+    min: slot.min,
+    max: slot.max,
+    pattern: slot.pattern,
+    options: slot.options
+  };
+}
 
-  // Continue processing until we hit a SAY step or complete all flows
-  while (getCurrentStackLength(engine) > 0) {
-    const currentFlowFrame = getCurrentFlowFrame(engine);
-    logger.info(`[${currentFlowFrame.transaction.id.slice(0, 8)}] Playing flow: ${currentFlowFrame.flowName}, steps left: ${currentFlowFrame.flowStepsStack.length}, stack depth: ${stackDepth}`);
+function parseFormSlotValue(raw: string, slot: FormSlot, engine: Engine): ReturnType<typeof parseTypedInput> {
+  if (!slot.type || slot.type === 'string') {
+    const text = raw.trim();
+    return text ? { valid: true, value: text } : { valid: false, messageId: 'input_invalid_regex' };
+  }
+  return parseTypedInput(raw, formSlotAsStep(slot), engine);
+}
 
-    // Handle pending variable storage when resuming flow execution
-    if (currentFlowFrame.pendingVariable && currentFlowFrame.inputStack && currentFlowFrame.inputStack.length > 0) {
-      let userInput = currentFlowFrame.inputStack[currentFlowFrame.inputStack.length - 1];
+// Typed values that can be recognized anywhere in a reply
+const FORM_SLOT_PATTERNS: Partial<Record<string, RegExp>> = {
+  email: /[^\s@,;<>()]+@[^\s@,;<>()]+\.[^\s@,;<>()]+/g,
+  // Inside free text a phone number needs 10-15 digits and no letters or digits around it, so
+  // house numbers and postcodes in an address don't count; a shorter number works as a direct answer
+  phone: /(?<![\w+])\+?\(?\d(?:[\s().-]{0,2}\d){9,14}(?!\w)/g,
+  date: /\b\d{4}-\d{2}-\d{2}\b/g
+};
 
-      // Safety check: ensure userInput is defined before processing
-      if (!userInput) {
-        logger.info(`Skipping variable processing - userInput is undefined for pendingVariable: ${currentFlowFrame.pendingVariable}`);
-        userInput = '';
+/**
+ * Extract slot values from a reply: typed values recognized by pattern first,
+ * then - when available - aiCallback with a JSON schema of the slots (like
+ * detectFlowWithParameters), and finally the whole reply as the answer to the
+ * slot that was asked for.
+ */
+async function extractFormSlots(reply: string, step: FlowStep, asked: FormSlot | undefined, engine: Engine): Promise<Record<string, unknown>> {
+  const slots = step.slots || [];
+  const values: Record<string, unknown> = {};
+
+  for (const slot of slots) {
+    const type = slot.type || 'string';
+    // With several slots of one type only the asked one can tell which is meant
+    if (slot !== asked && slots.some(other => other !== slot && (other.type || 'string') === type)) continue;
+
+    let pattern = FORM_SLOT_PATTERNS[type];
+    if (type === 'regex' && slot.pattern) {
+      pattern = new RegExp(slot.pattern.replace(/^\^/, '').replace(/\$$/, ''), 'g');
+    }
+    for (const match of pattern ? reply.match(pattern) || [] : []) {
+      const parsed = parseFormSlotValue(match.replace(/[.]+$/, ''), slot, engine);
+      if (parsed.valid) {
+        values[slot.name] = parsed.value;
+        break;
       }
+    }
+  }
 
-      // Store user input as variable value with proper sanitization
-      // (System commands like 'cancel' are already handled before this point)
-      await setUserInputVariable(
-        currentFlowFrame.variables,
-        currentFlowFrame.pendingVariable,
-        userInput,
-        true, // Sanitize user input
-        engine, // Pass engine for AI voice cleanup
-        currentFlowFrame.pendingVariableContext // Pass question context for AI voice cleanup
-      );
+  const whole = asked ? parseFormSlotValue(reply, asked, engine) : undefined;
+  const answeredDirectly = asked && whole?.valid && (asked.type || 'string') !== 'string' &&
+    Object.keys(values).every(name => name === asked.name);
+
+  // Nothing left for the AI when patterns already found a value for every slot still open
+  // (while collecting, slots answered earlier are done; at the confirmation any slot may be corrected)
+  const openSlots = slots.filter(slot => values[slot.name] === undefined &&
+    !(asked && step._form?.values?.[slot.name] !== undefined));
+
+  if (!answeredDirectly && openSlots.length > 0 && engine.aiCallback && step.aiExtract !== false && reply.trim()) {
+    const aiValues = await extractFormSlotsWithAi(reply, step, asked, engine);
+    for (const [name, value] of Object.entries(aiValues)) {
+      if (values[name] === undefined) values[name] = value;
+    }
+  }
 
-      // Log the actual stored value (which may have been processed by AI voice cleanup)
-      const storedValue = currentFlowFrame.variables[currentFlowFrame.pendingVariable];
-      const actualValue = typeof storedValue === 'object' && storedValue !== null && '__userInput' in storedValue
-        ? (storedValue as any).value
-        : storedValue;
-      logger.info(`Stored sanitized user input in variable '${currentFlowFrame.pendingVariable}': "${actualValue}"`);
+  if (asked && whole?.valid && Object.keys(values).length === 0) {
+    values[asked.name] = whole.value;
+  }
+  return values;
+}
 
-      // Clear digits setting from cargo since input has been collected
-      if (engine.cargo && engine.cargo.digits) {
-        delete engine.cargo.digits;
-        logger.info(`Cleared digits setting from cargo after input collection`);
+async function extractFormSlotsWithAi(reply: string, step: FlowStep, asked: FormSlot | undefined, engine: Engine): Promise<Record<string, unknown>> {
+  const slots = step.slots || [];
+  try {
+    const task = "Extract values for the form fields below from the user's reply. The user may answer several fields at once, or correct a value given earlier.";
+    const rules = `- Include only fields whose value is explicitly stated in the reply
+- Omit fields the reply does not mention - never guess or repeat current values
+- A correction (e.g. "actually my email is ...") replaces the current value of that field
+- Return plain values without lead-ins such as "my name is"
+`;
+    const properties = Object.fromEntries(slots.map(slot => [slot.name, {
+      type: 'string',
+      description: [slot.description || getFormSlotLabel(slot, engine), slot.type && slot.type !== 'string' ? `(${slot.type})` : ''].join(' ').trim()
+    }]));
+    const jsonSchema = JSON.stringify({
+      type: "json_schema",
+      json_schema: {
+        name: "extract_form_slots",
+        strict: false,
+        schema: { type: "object", properties }
+      }
+    });
+    const context = `<form>\nAsked for: ${asked ? asked.name : 'confirmation or corrections'}\nCurrent values: ${JSON.stringify(step._form?.values || {})}\n</form>\n`;
+
+    const response = await fetchAiTask(task, rules, context, reply, undefined, jsonSchema, engine.aiCallback, engine.aiTimeOut);
+    const values: Record<string, unknown> = {};
+    for (const slot of slots) {
+      const raw = response?.[slot.name];
+      if (raw === undefined || raw === null || raw === '') continue;
+      const parsed = parseFormSlotValue(String(raw), slot, engine);
+      if (parsed.valid) {
+        values[slot.name] = parsed.value;
+      } else {
+        logger.info(`FORM step "${step.id}" ignored AI value for slot '${slot.name}': ${JSON.stringify(raw)}`);
       }
+    }
+    return values;
+  } catch (error: any) {
+    logger.warn(`FORM step "${step.id}" AI extraction failed: ${error.message}`);
+    return {};
+  }
+}
 
-      delete currentFlowFrame.pendingVariable;
-      delete currentFlowFrame.pendingVariableContext; // Clean up context
+// A reply naming a slot ("the email", "change my address") - only when exactly one slot is named
+function findNamedFormSlot(reply: string, slots: FormSlot[], engine: Engine): FormSlot | undefined {
+  const padded = ` ${reply.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim()} `;
+  const named = slots.filter(slot => [getFormSlotLabel(slot, engine), slot.name.replace(/_/g, ' ')]
+    .some(term => padded.includes(` ${term.toLowerCase()} `)));
+  return named.length === 1 ? named[0] : undefined;
+}
 
-      // Pop the SAY-GET step now that variable assignment is complete
-      currentFlowFrame.flowStepsStack.pop();
-      logger.info(`Popped SAY-GET step after variable assignment completed`);
+/**
+ * Apply a reply to a FORM step: a yes/no to the confirmation question, or slot
+ * values (new answers or corrections). Replies with nothing usable re-ask.
+ */
+async function applyFormInput(
+  currentFlowFrame: FlowFrame,
+  step: FlowStep,
+  userInput: unknown,
+  engine: Engine,
+  questionContext?: string
+): Promise<void> {
+  const form: FormState = step._form || { values: {}, phase: 'collect' };
+  const slots = step.slots || [];
+  const reply = String(await applyVoiceCleanup(userInput, engine, questionContext) ?? '').trim();
+  const asked = form.phase === 'collect' ? slots.find(slot => slot.name === form.asked) : undefined;
+  const replaceStep = (next: FormState) => {
+    currentFlowFrame.flowStepsStack[currentFlowFrame.flowStepsStack.length - 1] = { ...step, _form: next };
+  };
+
+  if (form.phase === 'confirm') {
+    const answer = parseTypedInput(reply, { type: 'SAY-GET', inputType: 'yes_no' }, engine);
+    if (answer.valid && answer.value === true) {
+      completeForm(currentFlowFrame, step);
+      return;
+    }
+    if (answer.valid) {
+      replaceStep({ ...form, phase: 'correct' });
+      return;
     }
+  }
 
-    // Defensive: filter out null/undefined entries from flowStepsStack (DynamoDB corruption recovery)
-    const nullCount = currentFlowFrame.flowStepsStack.filter(s => s == null).length;
-    if (nullCount > 0) {
-      logger.error(`DYNAMO_CORRUPTION: Found ${nullCount} null entries in flowStepsStack for flow ${currentFlowFrame.flowName} (total: ${currentFlowFrame.flowStepsStack.length}). pendingVariable: ${currentFlowFrame.pendingVariable}, pendingVariableContext length: ${currentFlowFrame.pendingVariableContext?.length}`);
-      // Log ALL properties of the flow frame for diagnosis
-      logger.error(`DYNAMO_CORRUPTION frame keys: ${Object.keys(currentFlowFrame).join(', ')}`);
-      logger.error(`DYNAMO_CORRUPTION frame values: flowName=${currentFlowFrame.flowName}, flowId=${currentFlowFrame.flowId}, pendingVariable=${currentFlowFrame.pendingVariable}, inputStack=${JSON.stringify(currentFlowFrame.inputStack)}, stepsStack types: ${JSON.stringify(currentFlowFrame.flowStepsStack.map((s: any) => s === null ? 'NULL' : s === undefined ? 'UNDEF' : typeof s))}`);
-      currentFlowFrame.flowStepsStack = currentFlowFrame.flowStepsStack.filter(s => s != null);
-      logger.error(`DYNAMO_CORRUPTION: After filtering, ${currentFlowFrame.flowStepsStack.length} steps remain`);
+  const extracted = await extractFormSlots(reply, step, asked, engine);
+  if (Object.keys(extracted).length > 0) {
+    logger.info(`FORM step "${step.id}" collected slots: ${Object.keys(extracted).join(', ')}`);
+    replaceStep({ ...form, values: { ...form.values, ...extracted }, phase: 'collect' });
+    return;
+  }
+
+  // "The email" after "what would you like to change?" - forget it so it is asked again
+  if (!asked) {
+    const named = findNamedFormSlot(reply, slots, engine);
+    if (named) {
+      const values = { ...form.values };
+      delete values[named.name];
+      replaceStep({ ...form, values, phase: 'collect' });
+      return;
     }
+  }
 
-    // Flow completion handling
-    if (currentFlowFrame.flowStepsStack.length === 0) {
-      logger.info(`Flow ${currentFlowFrame.flowName} completed, popping from stack (steps length: ${currentFlowFrame.flowStepsStack.length})`);
-      const completedFlow = popFromCurrentStack(engine)!;
-      finalizeFlowTransaction(engine, completedFlow, 'completion');
+  const parsed = asked ? parseFormSlotValue(reply, asked, engine) : undefined;
+  rejectUserInput(currentFlowFrame, step, engine, parsed && !parsed.valid
+    ? getSystemMessage(engine, parsed.messageId, { min: asked!.min, max: asked!.max, options: (asked!.options || []).join(', ') })
+    : getSystemMessage(engine, 'form_confirm_invalid'));
+}
 
-      // When a flow completes, it doesn't "return" a value in the traditional sense.
-      // It communicates results by setting variables in the shared `variables` object,
-      // which are then accessible to the parent flow.
-      // The only thing to handle here is flushing any pending user-facing messages.
+// Event names for EMIT steps and flow `events` declarations, e.g. otp_verified, payment.completed
+const EVENT_NAME_PATTERN = /^[A-Za-z][\w.:-]*$/;
 
-      // If there are pending messages, they should be displayed.
-      let finalUserMessage = '';
-      const accumulatedMessages: string[] = [];
+// EMIT step: publishes a named event with an interpolated payload to the host.
+// engine.on() subscribers run before the flow continues, and the event is also
+// queued in sessionContext.events for hosts that handle side effects after the turn.
+async function handleEmitStep(currentFlowFrame: FlowFrame, engine: Engine): Promise<string> {
+  const step = currentFlowFrame.flowStepsStack.pop()!; // This handler pops its own step
 
-      if (engine.hasAccumulatedMessages()) {
-        // If the engine has accumulated messages, we need to flush them
-        Array.prototype.push.apply(accumulatedMessages, engine.getAndClearAccumulatedMessages!());
-      }
+  if (!step.event) {
+    throw new Error(`EMIT step requires an 'event' attribute`);
+  }
 
-      // Drop the tentative flow_init placeholder ("Processing …") when real output
-      // followed — mirrors the SAY-GET handling. A flow that completes WITHOUT ever
-      // hitting a SAY-GET (e.g. the live-agent -> reboot-to-contact path) would
-      // otherwise leak that placeholder into the response.
-      if (engine.getTentativeFlowInit() && accumulatedMessages.length > 1) {
-        accumulatedMessages.shift();
-        engine.setTentativeFlowInit(false);
-        logger.info(`Flow completion dropped tentative flow_init (kept ${accumulatedMessages.length} message(s)).`);
-      }
+  const combinedVariables = {
+    ...currentFlowFrame.variables,
+    ...getEngineSessionVariables(engine, currentFlowFrame.contextStack)
+  };
+  const event: FlowEvent = {
+    name: String(step.event),
+    payload: step.payload === undefined ? {} : interpolateStepValue(step.payload, combinedVariables, engine),
+    flowName: currentFlowFrame.flowName,
+    stepId: step.id,
+    sessionId: engine.sessionId,
+    userId: currentFlowFrame.userId,
+    timestamp: new Date().toISOString()
+  };
 
-      if (accumulatedMessages.length > 0) {
-        finalUserMessage = accumulatedMessages.join('\n\n');
-        logger.info(`Flow ${completedFlow.flowName} completed with ${accumulatedMessages.length} accumulated messages`);
-      } else {
-        logger.info(`Flow ${completedFlow.flowName} completed with no accumulated messages`);
-      }
+  logger.info(`EMIT step "${step.id}" publishing event '${event.name}': ${JSON.stringify(event.payload)}`);
+  await engine.emitEvent(event);
+  return `Event '${event.name}' emitted`;
+}
 
-      // If a parent flow exists, continue its execution.
-      if (getCurrentStackLength(engine) > 0) {
-        const parentFlowFrame = getCurrentFlowFrame(engine);
-        logger.info(`Flow ${completedFlow.flowName} finished. Returning to parent flow ${parentFlowFrame.flowName}.`);
+// CONFIRM step: asks a yes/no question (typically a summary of what is about to happen)
+// and branches on the answer. With requireConfirmation, a yes also unlocks high-risk
+// CALL-TOOL steps, see getConfirmationRefusal().
+const DEFAULT_CONFIRM_VARIABLE = 'confirmed';
 
-        // If there was a final message from the completed sub-flow, ensure it's displayed
-        // before the parent flow continues. We'll add it to the engine's accumulator.
-        if (finalUserMessage) {
-          if (engine) engine.addAccumulatedMessage!(finalUserMessage);
-        }
+function handleConfirmStep(currentFlowFrame: FlowFrame, engine: Engine): string | null {
+  const step = currentFlowFrame.flowStepsStack[currentFlowFrame.flowStepsStack.length - 1]; // Peek - popped once answered
+  const lang = engine.getSessionLanguage() || engine.language;
+  const summary = (lang && step[`value_${lang}`]) || step.value;
+  const question = summary
+    ? interpolateMessage(String(summary), currentFlowFrame.contextStack, currentFlowFrame.variables, engine)
+    : getSystemMessage(engine, 'confirm_question', { flowPrompt: getFlowPrompt(engine, currentFlowFrame.flowName) });
 
-        continue; // The loop will now process the parent flow.
-      }
+  // The answer always goes to a variable - that is what makes handleSayGetStep wait for it
+  if (!step.variable) {
+    currentFlowFrame.flowStepsStack[currentFlowFrame.flowStepsStack.length - 1] = { ...step, variable: DEFAULT_CONFIRM_VARIABLE };
+  }
+  return handleSayGetStep(currentFlowFrame, engine, question);
+}
 
-      // No parent flow - check for interrupted flows to resume
-      if (getCurrentStackLength(engine) === 0) {
-        if (engine.flowStacks.length > 1) {
-          logger.info(`🔄 Switching back to previous stack (${engine.flowStacks.length - 2})`);
-          switchToPreviousStack(engine);
+/**
+ * Apply the reply to a CONFIRM step: yes continues with `onYes` (or the next
+ * step), no runs `onNo` or stops the current flow, anything else re-asks.
+ */
+async function applyConfirmInput(
+  currentFlowFrame: FlowFrame,
+  step: FlowStep,
+  userInput: unknown,
+  engine: Engine,
+  questionContext?: string
+): Promise<void> {
+  const reply = await applyVoiceCleanup(userInput, engine, questionContext);
+  const answer = parseYesNo(engine, String(reply ?? ''), true);
 
-          if (getCurrentStackLength(engine) > 0) {
-            logger.info(`Resumed stack has ${getCurrentStackLength(engine)} flow frames`);
+  if (answer === undefined) {
+    rejectUserInput(currentFlowFrame, step, engine, getSystemMessage(engine, 'input_invalid_yes_no'));
+    return;
+  }
 
-            // Get the resumed flow name and show consolidated resumption message with guidance
-            const resumedFlowFrame = getCurrentFlowFrame(engine);
-            resumedFlowFrame.justResumed = true; // Mark as just resumed to skip regular guidance
-            const resumeMessage = getSystemMessage(engine, 'flow_resumed_with_guidance', {
-              flowName: resumedFlowFrame.flowName,
-              flowPrompt: getFlowPrompt(engine, resumedFlowFrame.flowName)
-            });
+  currentFlowFrame.flowStepsStack.pop();
+  currentFlowFrame.variables[step.variable || DEFAULT_CONFIRM_VARIABLE] = answer;
+  currentFlowFrame.confirmed = answer;
+  logger.info(`CONFIRM step "${step.id}" answered ${answer ? 'yes' : 'no'}`);
 
-            // Add both the final message and resumption message to accumulated messages
-            if (finalUserMessage && engine.addAccumulatedMessage) {
-              engine.addAccumulatedMessage(finalUserMessage);
-            }
-            if (engine.addAccumulatedMessage) {
-              engine.addAccumulatedMessage(resumeMessage);
-            }
+  const branch = answer ? step.onYes : step.onNo;
+  if (branch) {
+    logger.info(`CONFIRM step "${step.id}" continues with ${pushBranchSteps(currentFlowFrame, branch)}`);
+  } else if (!answer) {
+    currentFlowFrame.flowStepsStack = [];
+    engine.addAccumulatedMessage!(getSystemMessage(engine, 'confirm_declined', {
+      flowPrompt: getFlowPrompt(engine, currentFlowFrame.flowName)
+    }));
+  }
+}
 
-            continue;
-          } else {
-            logger.error(`Failed to resume flow - no flow frames available after switching stacks.`);
-          }
-        } else {
-          logger.info(`No more flow frames to process, all flows completed.`);
-        }
-      }
+function isHighRiskLevel(riskLevel: unknown): boolean {
+  return riskLevel === 'high';
+}
 
-      // No parent flow, no stack to resume. This is the end of the interaction for now.
-      // Return the final message if there is one.
-      return finalUserMessage || getSystemMessage(engine, 'flow_completed_generic');
-    }
+// Flows declare their risk with metadata.riskLevel - only undeclared flows are judged by name
+function isHighRiskFlow(engine: Engine, flowName: string): boolean {
+  const riskLevel = engine.flowsMenu.find(f => f.name === flowName)?.metadata?.riskLevel;
+  if (riskLevel) {
+    return isHighRiskLevel(riskLevel);
+  }
+  const name = flowName.toLowerCase();
+  return name.includes('payment') || name.includes('transfer') || name.includes('financial');
+}
 
-    const step = currentFlowFrame.flowStepsStack[currentFlowFrame.flowStepsStack.length - 1];
-    const startTime = Date.now();
+/**
+ * Whether CONFIRM is enforced for the current flow: its requireConfirmation
+ * setting, otherwise the engine's (on unless a host opts out).
+ */
+function isConfirmationRequired(engine: Engine, flowDefinition?: FlowDefinition): boolean {
+  return flowDefinition?.requireConfirmation ?? engine.requireConfirmation;
+}
 
-    try {
-      const result = await playStep(currentFlowFrame, engine);
-      const duration = Date.now() - startTime;
+// A tool of a high-risk flow (metadata.riskLevel high), or a high-risk tool (riskLevel high), needs a CONFIRM
+function isConfirmationGuarded(toolName: string, currentFlowFrame: FlowFrame, engine: Engine): boolean {
+  const flowDefinition = engine.flowsMenu.find(f => f.name === currentFlowFrame.flowName);
+  if (!isConfirmationRequired(engine, flowDefinition)) {
+    return false;
+  }
+  const tool = engine.toolsRegistry.find(t => t.id === toolName);
+  return isHighRiskLevel(flowDefinition?.metadata?.riskLevel) || isHighRiskLevel(tool?.riskLevel);
+}
 
-      TransactionManager.addStep(currentFlowFrame.transaction, step, result, duration, 'success');
-      logger.info(`Step ${step.type} executed successfully, result: ${typeof result === 'object' ? '[object]' : result}`);
+// The nearest frame - the current flow, or a flow that called it - holding an unused CONFIRM yes
+function findConfirmedFrame(currentFlowFrame: FlowFrame, engine: Engine): FlowFrame | undefined {
+  return [currentFlowFrame, ...[...(getCurrentStack(engine) || [])].reverse()].find(frame => frame.confirmed);
+}
 
-      // Declared outcome (see FlowOutcome): remember it on the frame so the
-      // termination paths (completion pop / RETURN) can apply it. RETURN steps
-      // are handled inside handleReturnStep (their frame is gone by now).
-      if (step.outcome !== undefined && step.type !== 'RETURN') {
-        currentFlowFrame.declaredOutcome = {
-          outcome: String(step.outcome),
-          reason: step.reason !== undefined ? String(step.reason) : undefined,
-        };
-      }
+/**
+ * A guarded tool (see isConfirmationGuarded) may only run once a CONFIRM step in the
+ * current flow - or a flow that called it - was answered yes, and each yes covers a
+ * single guarded step (see consumeConfirmation). Returns the message to end the flow
+ * with, or null when the tool may run.
+ */
+function getConfirmationRefusal(toolName: string, currentFlowFrame: FlowFrame, engine: Engine): string | null {
+  if (!isConfirmationGuarded(toolName, currentFlowFrame, engine) || findConfirmedFrame(currentFlowFrame, engine)) {
+    return null;
+  }
+
+  logger.warn(`Refusing high-risk tool ${toolName} in flow "${currentFlowFrame.flowName}": no CONFIRM was answered yes`);
+  return getSystemMessage(engine, 'confirmation_required', {
+    toolName,
+    flowPrompt: getFlowPrompt(engine, currentFlowFrame.flowName)
+  });
+}
+
+/**
+ * Use up the CONFIRM yes that let a guarded tool step run, once the step is done
+ * (retries of the same step still count as that one call).
+ */
+function consumeConfirmation(toolNames: string[], currentFlowFrame: FlowFrame, engine: Engine): void {
+  if (!toolNames.some(toolName => isConfirmationGuarded(toolName, currentFlowFrame, engine))) {
+    return;
+  }
+  const confirmedFrame = findConfirmedFrame(currentFlowFrame, engine);
+  if (confirmedFrame) {
+    confirmedFrame.confirmed = false;
+    logger.info(`CONFIRM yes of flow "${confirmedFrame.flowName}" used by ${toolNames.join(', ')}`);
+  }
+}
+
+function handleSayGetStep(currentFlowFrame: FlowFrame, engine: Engine, question?: string): string | null {
+  // IMPORTANT: Don't pop the step yet! We need to defer the pop until after user input is processed
+  // This prevents the SAY-GET step from being lost during flow interruption/resumption
+  const step = currentFlowFrame.flowStepsStack[currentFlowFrame.flowStepsStack.length - 1]; // Peek at step without popping
+  const contextStack = currentFlowFrame.contextStack;
+
+  // Check for session language first, then fallback to engine language
+  let lang = engine.language;
+  lang = engine.getSessionLanguage() || lang;
+
+  // A pre-rendered question (e.g. a CHOICE menu) replaces the step's own value
+  const message = (lang && step[`value_${lang}`]) || step.value || '';
+  const interpolated = question ?? interpolateMessage(String(message), contextStack, currentFlowFrame?.variables, engine || undefined);
+  logger.info(`SAY-GET step executed (blocking): "${interpolated}"`);
+
+  // Combine accumulated messages with current message
+  let finalMessage = interpolated;
 
-      // If this was a SAY-GET step, return and wait for user input
-      if (step.type === 'SAY-GET') {
-        // Check if this was the last step - if so, complete the flow
-        if (currentFlowFrame.flowStepsStack.length === 0) {
-          logger.info(`SAY-GET step was final step, flow ${currentFlowFrame.flowName} completed`);
-          const completedFlow = popFromCurrentStack(engine)!;
-          finalizeFlowTransaction(engine, completedFlow, 'completion');
-          return result;
-        }
-        return result;
-      }
+  // Use global accumulated messages (simplified - no local fallback)
+  if (engine.hasAccumulatedMessages()) {
+    const globalMessages = engine.getAndClearAccumulatedMessages!();
+    logger.info(`SAY-GET retrieved ${globalMessages.length} globally accumulated messages.`);
 
-      // If this was a RETURN step, return immediately with the evaluated value
-      if (step.type === 'RETURN') {
-        logger.info(`RETURN step executed, terminating all flows and returning value`);
-        return result;
-      }
+    // Check if we have a tentative flow_init that should be dropped
+    const hasTentativeFlowInit = engine.getTentativeFlowInit();
 
-      // For SAY, CALL-TOOL, FLOW, and SET steps, continue processing automatically (non-blocking)
-      continue;
+    if (hasTentativeFlowInit) {
+      logger.info(`SAY-GET detected tentative flow_init, replacing with current message.`);
 
-    } catch (error: any) {
-      const duration = Date.now() - startTime;
+      // Clear the flag
+      engine.setTentativeFlowInit(false);
+      logger.debug(`SAY-GET cleared tentative flow_init flag.`);
 
-      // Defensive: step may be null (the very error we're catching)
-      if (step) {
-        TransactionManager.addError(currentFlowFrame.transaction, step, error, duration);
-        logger.error(`Step ${step.type} failed: ${error.message}`);
+      // Replace tentative flow_init with SAY messages only (guidance will be added by addFlowContextGuidance)
+      if (globalMessages.length > 1) {
+        // Drop the first message (tentative flow_init) and keep the rest (SAY messages)
+        finalMessage = `${globalMessages.slice(1).join('\n\n')}\n\n${interpolated}`;
+        logger.info(`SAY-GET combined ${globalMessages.length} messages, dropping tentative flow_init.`);
       } else {
-        logger.error(`Step execution failed (step was null): ${error.message}`);
+        finalMessage = interpolated; // Only had flow_init, so just use current message
+        logger.info(`SAY-GET replaced tentative flow_init with current message.`);
       }
-      logger.error(`Stack trace: ${error.stack}`);
-      throw error;
+    } else {
+      finalMessage = `${globalMessages.join('\n\n')}\n\n${interpolated}`;
+      logger.info(`SAY-GET combined ${globalMessages.length + 1} messages globally`);
     }
   }
 
-  // Should never reach here
-  const currentFlowFrame = getCurrentFlowFrame(engine);
-  logger.error(`Unexpected flow state reached for flow ${currentFlowFrame.flowName}`);
-  throw new Error(`Unexpected flow state reached for flow ${currentFlowFrame.flowName}`);
-}
-
-async function playStep(currentFlowFrame: FlowFrame, engine: Engine): Promise<string | null> {
-  try {
-    const stackDepth = getCurrentStackLength(engine);
-    if (stackDepth > 20) {
-      throw new Error("Maximum recursion depth reached in playStep");
-    }
-
-    // STEP POPPING PATTERN: Each step handler is responsible for popping its own step from flowStepsStack.
-    // Most handlers pop immediately at the start. SAY-GET is special - it peeks without popping initially
-    // since it waits for user input, then pops later after input collection is complete.
-    const step = currentFlowFrame.flowStepsStack[currentFlowFrame.flowStepsStack.length - 1];
-
-    // Defensive null check with diagnostic logging
-    if (!step || !currentFlowFrame.transaction) {
-      const diagInfo = {
-        stepIsNull: step === null,
-        stepIsUndefined: step === undefined,
-        transactionIsNull: currentFlowFrame.transaction === null,
-        transactionIsUndefined: currentFlowFrame.transaction === undefined,
-        flowName: currentFlowFrame.flowName,
-        flowId: currentFlowFrame.flowId,
-        stackLength: currentFlowFrame.flowStepsStack.length,
-        stackContents: currentFlowFrame.flowStepsStack.map((s: any, i: number) =>
-          s ? `[${i}] ${s.id || s.type || 'unknown'}` : `[${i}] NULL/UNDEFINED`
-        ),
-        pendingVariable: currentFlowFrame.pendingVariable,
-        inputStackLength: currentFlowFrame.inputStack?.length,
-        lastInput: currentFlowFrame.inputStack?.[currentFlowFrame.inputStack.length - 1],
-      };
-      const diagMsg = `playStep null guard: ${JSON.stringify(diagInfo)}`;
-      logger.error(diagMsg);
-      throw new Error(diagMsg);
-    }
+  // Store the final message for future context pairing
+  if (currentFlowFrame) {
+    currentFlowFrame.lastSayMessage = finalMessage;
 
-    //const contextStack = currentFlowFrame.contextStack;
-    const inputStack = currentFlowFrame.inputStack;
-    const currentInput = inputStack[inputStack.length - 1];
+    // Add assistant message to context stack
+    addToContextStack(contextStack, 'assistant', finalMessage, step.id);
 
-    // Smart logging - don't log "undefined" input for steps that don't need it yet
-    const inputDisplay = currentInput !== undefined ? `"${currentInput}"` :
-      (step.type === 'SAY-GET' ? '(waiting for user input)' :
-        step.type === 'SAY' ? '(no input needed)' :
-          step.type === 'SET' ? '(no input needed)' :
-            step.type === 'RETURN' ? '(no input needed)' :
-              '(no input available)');
+    // If this step has a variable attribute, it expects user input to be stored in that variable
+    if (step.variable) {
+      currentFlowFrame.pendingVariable = step.variable;
+      currentFlowFrame.pendingVariableContext = finalMessage; // Store question context for AI voice cleanup
+      logger.info(`SAY-GET step will store next user input in variable '${step.variable}' (step will be popped after input)`);
 
-    logger.info(`[${currentFlowFrame.transaction.id.slice(0, 8)}] Playing step ${step.id || step.type} with input: ${inputDisplay}`);
+      // Expose digits setting to sessionContext.cargo for Twilio ConversationRelay integration
+      if (step.digits && engine.cargo) {
+        engine.cargo.digits = step.digits;
+        logger.info(`SAY-GET step exposed digits setting to cargo: ${JSON.stringify(step.digits)}`);
+      }
 
-    switch (step.type) {
-      case 'CALL-TOOL':
-        return await handleToolStep(currentFlowFrame, engine);
-      case 'SAY':
-        return handleSayStep(currentFlowFrame, engine);
-      case 'SAY-GET':
-        return handleSayGetStep(currentFlowFrame, engine);
-      case 'FLOW':
-        return await handleSubFlowStep(currentFlowFrame, engine);
-      case 'SET':
-        return handleSetStep(currentFlowFrame, engine);
-      case 'SWITCH':
-        return await handleSwitchStep(currentFlowFrame, engine);
-      case 'CASE':
-        return await handleCaseStep(currentFlowFrame, engine);
-      case 'RETURN':
-        return handleReturnStep(currentFlowFrame, engine);
-      case 'END':
-        return handleEndStep(currentFlowFrame);
-      default:
-        throw new Error(`Unknown step type: ${step.type}`);
+      // Enhanced user guidance: Add contextual help to SAY-GET messages that expect input
+      const contextualMessage = addFlowContextGuidance(finalMessage, currentFlowFrame, engine);
+      currentFlowFrame.lastSayMessage = contextualMessage;
+      return contextualMessage;
+    } else {
+      // No variable to collect, pop the step now
+      currentFlowFrame.flowStepsStack.pop();
     }
-  } catch (error: any) {
-    logger.error(`Error in playStep: ${error.message}`);
-    logger.error(`Stack trace: ${error.stack}`);
-    throw error;
   }
+
+  return finalMessage;
 }
 
-// === AI COMMUNICATION LAYER ===
+// Add contextual guidance to SAY messages when user input is expected
+function addFlowContextGuidance(message: string, flowFrame: FlowFrame, engine: Engine): string {
+  // Check if guidance is disabled OR commands are disabled
+  if (!engine.guidanceConfig?.enabled || engine.getEnabledCommands().length === 0) {
+    return message;
+  }
 
-/**
- * Create a timeout wrapper for AI calls
- * @param promise - The promise to wrap with timeout
- * @param timeoutMs - Timeout in milliseconds (0 = no timeout)
- * @returns Promise that rejects if timeout is reached
- */
-function withTimeout<T>(promise: Promise<T>, timeoutMs: number): Promise<T> {
-  // If timeout is 0 or negative, return the promise directly (no timeout)
-  if (timeoutMs <= 0) {
-    return promise;
+  // Check if this flow frame was just resumed - if so, skip regular guidance since
+  // consolidated resumption guidance was already provided
+  if (flowFrame.justResumed === true) {
+    flowFrame.justResumed = false; // Clear the flag after first use
+    return message;
   }
 
-  return new Promise((resolve, reject) => {
-    const timeoutId = setTimeout(() => {
-      reject(new Error(`AI call timed out after ${timeoutMs}ms`));
-    }, timeoutMs);
+  const config = engine.guidanceConfig;
 
-    promise
-      .then((result) => {
-        clearTimeout(timeoutId);
-        resolve(result);
-      })
-      .catch((error) => {
-        clearTimeout(timeoutId);
-        reject(error);
-      });
-  });
-}
+  // Use root flow name for guidance context (first flow in stack)
+  const currentStack = getCurrentStack(engine);
+  const rootFlow = currentStack && currentStack.length > 0 ? currentStack[0] : null;
+  const flowName = rootFlow?.flowName || flowFrame.flowName; // Fallback to current if no root
 
-/**
- * Base AI worker: Plain interface to AI services
- * Uses the user-provided AI callback function instead of hardcoded implementation
- * @param systemInstruction - The system message/prompt for the AI
- * @param userMessage - The user's input message
- * @param aiCallback - User-provided AI communication function
- * @param timeoutMs - Timeout in milliseconds for the AI call
- * @returns AI response as string
- */
-async function fetchAiResponse(systemInstruction: string, userMessage: string, aiCallback: AiCallbackFunction, timeoutMs: number = 1000, jsonSchema?: string): Promise<string> {
-  try {
-    logger.debug(`fetchAiResponse called with system instruction length: ${systemInstruction.length}, user message: "${userMessage}", timeout: ${timeoutMs}ms, jsonMode: ${!!jsonSchema}`);
+  // Determine context type
+  let contextType: 'general' | 'payment';
+  if (config.contextSelector === 'auto') {
+    const isFinancialFlow = flowName.toLowerCase().includes('payment') ||
+      flowName.toLowerCase().includes('transfer') ||
+      flowName.toLowerCase().includes('financial');
+    contextType = isFinancialFlow ? 'payment' : 'general';
+  } else {
+    contextType = config.contextSelector || 'general';
+  }
 
-    if (!aiCallback) {
-      throw new Error('aiCallback is null. AI-powered features are not available.');
+  let guidance = '';
+
+  // Get guidance message
+  if (config.guidanceMessages) {
+    // Check if it's multi-language format (has language keys like 'en', 'es')
+    // Check for session language first, then fallback to engine language
+    let language = engine.language || 'en';
+    language = engine.getSessionLanguage() || language;
+
+    // Check if guidanceMessages has language properties (multi-language format)
+    if (typeof config.guidanceMessages === 'object' &&
+      (config.guidanceMessages as any)[language] &&
+      typeof (config.guidanceMessages as any)[language] === 'object') {
+      // Multi-language format: { en: { general: "...", payment: "..." }, es: { ... } }
+      const languageMessages = (config.guidanceMessages as MessageRegistry)[language];
+      guidance = languageMessages?.[contextType] || '';
+    } else if (typeof config.guidanceMessages === 'object' &&
+      (config.guidanceMessages as any)[contextType] &&
+      typeof (config.guidanceMessages as any)[contextType] === 'string') {
+      // Single-language format: { general: "...", payment: "..." }
+      guidance = (config.guidanceMessages as any)[contextType];
     }
+  }
 
-    // Use the user-provided AI callback function with timeout
-    // Pass jsonSchema so the host can configure the API for structured output
-    const aiResponse = await withTimeout(aiCallback(systemInstruction, userMessage, jsonSchema), timeoutMs);
+  // Fallback to centralized messaging system if no custom guidance found
+  if (!guidance) {
+    // Try centralized messaging system first
+    const messageId = contextType === 'payment' ? 'flow_help_payment' : 'flow_help_general';
+    guidance = getSystemMessage(engine, messageId, {
+      flowName,
+      flowPrompt: getFlowPrompt(engine, flowName)
+    });
+
+    // If still no guidance from system messages, try command-based fallback
+    if (!guidance) {
+      // Generate dynamic guidance messages based on enabled commands
+      let availableOptions: string[] = [];
+
+      if (engine.isCommandEnabled('cancel')) {
+        availableOptions.push("'cancel flow'");
+      }
+      if (engine.isCommandEnabled('help')) {
+        availableOptions.push("'help'");
+      }
+      if (engine.isCommandEnabled('status')) {
+        availableOptions.push("'status'");
+      }
 
-    if (typeof aiResponse !== 'string') {
-      throw new Error('AI callback must return a string response');
+      if (availableOptions.length > 0) {
+        guidance = `Type ${availableOptions.join(' or ')} for options.`;
+      }
     }
 
-    logger.debug(`fetchAiResponse completed, response length: ${aiResponse.length}`);
-    return aiResponse.trim();
-
-  } catch (error: any) {
-    logger.warn(`fetchAiResponse error: ${error.message}`);
-    logger.warn(error.stack);
-    throw new Error(`AI communication failed: ${error.message}`);
+    // If no guidance found, leave guidance empty - respect implementer's intent!
+    // DO NOT force "Continue with your response" - that's unwanted prompt injection!
   }
-}
 
-/**
- * Task-oriented AI wrapper: Creates structured prompts for specific tasks
- * @param task - The main task description
- * @param rules - Rules and constraints for the task
- * @param context - Current context information
- * @param userInput - The user's input
- * @param flows - Available flows (optional)
- * @param jsonSchema - Optional JSON schema for structured responses
- * @param aiCallback - User-provided AI communication function
- * @param timeoutMs - Timeout in milliseconds for the AI call
- * @returns AI response as string or parsed JSON object
- */
-async function fetchAiTask(
-  task: string,
-  rules: string,
-  context: string,
-  userInput: string,
-  flows?: FlowDefinition[],
-  jsonSchema?: string,
-  aiCallback?: AiCallbackFunction,
-  timeoutMs: number = 1000
-): Promise<any> {
-  try {
-    if (!aiCallback) {
-      throw new Error('AI callback function is required');
-    }
+  // Apply template interpolation to guidance if needed
+  if (guidance && guidance.includes('{{')) {
+    guidance = guidance.replace(/\{\{([^}]+)\}\}/g, (match, key) => {
+      const context: any = {
+        flowName,
+        flowPrompt: getFlowPrompt(engine, flowName),
+        message
+      };
+      return context[key] || match;
+    });
+  }
 
-    logger.debug(`fetchAiTask called for task: "${task.substring(0, 50)}...", jsonMode: ${!!jsonSchema}`);
+  // If no guidance content, return original message (respect implementer's intent for no prompts)
+  if (!guidance || guidance.trim() === '') {
+    return message;
+  }
 
-    // Create structured system message using markup
-    let systemMessage = `<task>\n${task}\n</task>\n\n`;
-    systemMessage += `<rules>\n${rules}</rules>`;
+  // Apply integration mode
+  switch (config.mode) {
+    case 'none':
+      return message;
 
-    // Add JSON schema instructions if provided
-    // jsonSchema is an OpenAI-compatible response_format wrapper — extract inner schema for prompt
-    // Always pass jsonSchema to aiCallback so the host can validate JSON responses.
-    // The host decides whether to enforce json_mode (response_format) based on the schema name.
-    if (jsonSchema) {
-      let schemaForPrompt = jsonSchema;
-      try {
-        const parsed = JSON.parse(jsonSchema);
-        if (parsed.json_schema?.schema) {
-          schemaForPrompt = JSON.stringify(parsed.json_schema.schema);
-        }
-      } catch { /* use as-is if not parseable */ }
-      systemMessage += `\n\n<json-schema>\n${schemaForPrompt}\n</json-schema>\n\n`;
-      systemMessage += `<instructions>\nRespond ONLY with valid JSON matching the schema above. No additional text or explanation.\n</instructions>`;
-    }
+    case 'prepend':
+      const separator = config.separator || '\n\n';
+      return guidance + separator + message;
 
-    // Create structured user message using markup
-    let userMessage = context ? `<context>\n${context}</context>\n\n` : '';
-    userMessage += `<user-input>\n${sanitizeInput(userInput)}\n</user-input>`;
+    case 'append':
+      const appendSeparator = config.separator || '\n\n';
+      return message + appendSeparator + guidance;
 
-    if (flows && flows.length > 0) {
-      const flowDescriptions = flows.map(flow => {
-        let desc = `${flow.name}: ${flow.description} (Risk: ${flow.metadata?.riskLevel || 'unknown'})`;
-        if (flow.parameters && flow.parameters.length > 0) {
-          const params = flow.parameters.map(p => `${p.name} (${p.type || 'string'}): ${p.description}`).join(', ');
-          desc += `\n   Parameters: ${params}`;
-        }
-        return desc;
-      }).join('\n');
-      userMessage += `\n\n<available-flows>\n${flowDescriptions}\n</available-flows>`;
-    }
+    case 'template':
+      if (config.template) {
+        return config.template
+          .replace(/\{\{message\}\}/g, message)
+          .replace(/\{\{guidance\}\}/g, guidance)
+          .replace(/\{\{flowName\}\}/g, flowName);
+      }
+    // Fall through to append if no template provided
 
-    const aiResponse = await fetchAiResponse(systemMessage, userMessage, aiCallback, timeoutMs, jsonSchema);
+    default:
+      const defaultSeparator = config.separator || '\n\n';
+      return message + defaultSeparator + guidance;
+  }
+}
 
-    // If JSON schema was provided, parse and return JSON
-    if (jsonSchema) {
-      // Clean up common AI response formatting issues
-      let cleanedResponse = aiResponse.replace(/^```(?:json)?\s*\n?/i, '').replace(/\n?```$/i, '');
+function handleSetStep(currentFlowFrame: FlowFrame, engine: Engine): string {
+  // Extract what we need from the currentFlowFrame
+  const step = currentFlowFrame.flowStepsStack.pop()!; // This handler pops its own step
 
-      // Extract JSON from response if it contains extra text
-      const jsonMatch = cleanedResponse.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        cleanedResponse = jsonMatch[0];
-      }
+  if (!step.variable || step.value === undefined) {
+    throw new Error(`SET step requires both 'variable' and 'value' attributes`);
+  }
 
-      try {
-        const parsedResponse = JSON.parse(cleanedResponse);
-        logger.debug(`fetchAiTask completed with JSON parsing successful`);
-        return parsedResponse;
-      } catch (parseError: any) {
-        logger.warn(`JSON parsing failed for response: "${cleanedResponse}"`);
-        logger.info(`Stack trace: ${parseError.stack}`);
-        throw new Error(`Invalid JSON response from AI: ${parseError.message}`);
-      }
-    }
+  // Support interpolation in SET values
+  // Use JavaScript evaluation context for security - strings will be properly quoted
+  const interpolatedValue = typeof step.value === 'string'
+    ? evaluateExpression(step.value, currentFlowFrame?.variables || {}, [], {
+      context: 'javascript-evaluation', // Force JavaScript context for SET values
+      returnType: 'auto'
+    }, engine)
+    : step.value;
 
-    // Return raw string response for non-JSON tasks
-    return aiResponse;
+  // Failed expressions evaluate to an "[error: ...]" marker string - catchable inside TRY blocks
+  if (typeof step.value === 'string' && typeof interpolatedValue === 'string' && interpolatedValue.startsWith('[error: ') && isInsideTry(engine)) {
+    throw new FlowStepError(`SET step expression failed: ${step.value}`, 'expression_error', step.id);
+  }
 
-  } catch (error: any) {
-    logger.error(`fetchAiTask error: ${error.message}`);
-    throw new Error(`AI task processing failed: ${error.message}`);
+  if (currentFlowFrame && currentFlowFrame.variables !== undefined) {
+    currentFlowFrame.variables[step.variable] = interpolatedValue;
+    logger.info(`SET step: stored '${interpolatedValue}' in variable '${step.variable}'`);
   }
-}
 
-export async function getFlowForInput(input: string, engine: Engine): Promise<FlowDefinition | null> {
-  const result = await detectFlowWithParameters(input, engine);
-  return result ? result.flow : null;
+  return `Variable '${step.variable}' set to '${interpolatedValue}'`;
 }
 
-export async function detectFlowWithParameters(input: string, engine: Engine): Promise<{ flow: FlowDefinition, parameters?: Record<string, any> } | null> {
-  // CRITICAL: This function requires AI access via engine.aiCallback
-  // Without AI, the engine cannot detect user intent and activate flows
-  // Sessions would never be activated as no workflows could be triggered
-  // For demo or special use cases we do allow null aiCallback with minimal functionality
-  try {
-    logger.info(`detectFlowWithParameters called with input: "${input}"`);
+async function handleSwitchStep(currentFlowFrame: FlowFrame, engine: Engine): Promise<string> {
+  // Extract what we need from the currentFlowFrame
+  const step = currentFlowFrame.flowStepsStack.pop()!; // This handler pops its own step
 
-    if (!input || typeof input !== 'string') {
-      logger.warn(`detectFlowWithParameters received invalid input: ${typeof input} ${input}`);
-      return null;
-    }
+  if (!step.variable || !step.branches) {
+    throw new Error(`SWITCH step requires both 'variable' and 'branches' attributes`);
+  }
 
-    const flowsMenu = engine.flowsMenu;
-    if (!flowsMenu || flowsMenu.length === 0) {
-      logger.warn("No flows available in the menu");
-      return null;
-    }
+  // Get the variable value to switch on
+  let switchValue = currentFlowFrame.variables ? currentFlowFrame.variables[step.variable] : undefined;
 
-    // Filter to only primary flows for AI intent detection
-    const primaryFlows = flowsMenu.filter(flow => flow.primary === true);
-    const flowsForIntentDetection = primaryFlows.length > 0 ? primaryFlows : flowsMenu;
+  // Handle user input wrapper objects
+  if (isUserInputVariable(switchValue)) {
+    switchValue = (switchValue as Record<string, unknown>).value;
+  }
 
-    logger.debug(`Using ${flowsForIntentDetection.length} flows for intent detection (${primaryFlows.length} primary flows available)`);
+  logger.info(`SWITCH step: evaluating variable '${step.variable}' with value '${switchValue}'`);
 
-    // First try direct name or id matching (case-insensitive) - check all flows
-    const directMatch = flowsMenu.find(flow =>
-      flow.name.toLowerCase() === input.toLowerCase() || (flow.id.toLowerCase() === input.toLowerCase())
-    );
-    if (directMatch) {
-      logger.info(`Direct flow name/id match found: ${directMatch.name} (${directMatch.id})`);
-      return { flow: directMatch };
-    }
+  // Find the matching branch (exact value matching only)
+  let selectedStep: FlowStep | FlowStep[] | null = null;
+  let selectedBranch: string | null = null;
 
-    // If no AI callback, only allow exact id or name match (case-insensitive)
-    if (!engine.aiCallback) {
-      logger.info(`No flow matched for input: "${input}" (no AI)`);
-      return null;
-    }
+  // SWITCH now supports exact value matching for strings, booleans, and numbers
+  // For conditional logic, use the CASE step instead
+  if (switchValue !== undefined && step.branches[String(switchValue)]) {
+    selectedStep = step.branches[String(switchValue)];
+    selectedBranch = String(switchValue);
+    logger.info(`SWITCH: selected exact match branch '${switchValue}' (converted to string key '${String(switchValue)}')`);
+  }
 
-    // If AI callback is present, use AI for intent detection with primary flows only
-    const task = "Considering the chat history when available and applicable, decide if the user input should trigger any available flow. If a flow is triggered, extract any relevant parameters defined in the flow's 'parameters' section.";
+  // If no exact match found, use default
+  if (!selectedStep && step.branches.default) {
+    selectedStep = step.branches.default;
+    selectedBranch = 'default';
+    logger.info(`SWITCH: using default branch (no exact match for '${switchValue}')`);
+  }
 
-    const rules = `- Return the exact flow name if a match is found
-- Return "None" if no workflow applies
-- Consider user intent and the chat context
-- Prioritize the most relevant flow considering all available flows
-- Flows should only be triggered in response to explicit user intent. A user prompt asking about available credit should trigger balance flows when available, but not payment flows. Complaints about a charge must not trigger a payment flow. Imagine the frustration of a user asking any question other than "Can I make a payment?" and being forwarded to a payment flow instead of receiving a direct answer.
-- The "parameters" object is always required in the response. Extract parameter values from the user input when explicitly present. Return an empty object {} when no parameters are found.
-`;
+  // If still no match, throw error
+  if (!selectedStep) {
+    const errorMessage = getSystemMessage(engine, 'switch_no_branch_found', { switchValue });
+    throw new Error(errorMessage);
+  }
 
-    const jsonSchema = JSON.stringify({
-      type: "json_schema",
-      json_schema: {
-        name: "detect_flow",
-        strict: false,
-        schema: {
-          type: "object",
-          properties: {
-            flowName: { type: "string" },
-            parameters: { type: "object" }
-          },
-          required: ["flowName", "parameters"]
-        }
-      }
-    });
+  // Add the branch step(s) to the current flow frame's stack
+  // This integrates properly with the playFlowFrame architecture
+  const branchDescription = pushBranchSteps(currentFlowFrame, selectedStep);
+  logger.info(`SWITCH: added ${branchDescription} from branch '${selectedBranch}' to stack. currentFlowFrame.flowStepsStack.length: ${currentFlowFrame.flowStepsStack.length}`);
+
+  // Return message indicating which branch was selected
+  return `SWITCH executed branch '${selectedBranch}', added ${branchDescription} to flow`;
+}
+
+/**
+ * Pushes a selected SWITCH/CASE branch onto flowStepsStack. A branch is either
+ * a single step or an array of steps; arrays are pushed in reverse so the first
+ * step runs first. Returns a short description for logging.
+ */
+function pushBranchSteps(currentFlowFrame: FlowFrame, branch: FlowStep | FlowStep[]): string {
+  const branchSteps = Array.isArray(branch) ? branch : [branch];
+  for (let i = branchSteps.length - 1; i >= 0; i--) {
+    currentFlowFrame.flowStepsStack.push(branchSteps[i]);
+  }
+  return `step(s) [${branchSteps.map(s => `'${s.id || s.type}'`).join(', ')}]`;
+}
 
-    // Use chat context when not in a flow (this is where lastChatTurn context is relevant)
-    let context = '';
-    if (engine.lastChatTurn && (engine.lastChatTurn.user || engine.lastChatTurn.assistant)) {
-      const chatContext = flattenLastChatTurn(engine.lastChatTurn, true);
-      context = `<chat-history>\n
-       ${chatContext}\n
-       </chat-history>\n\n`;
-    }
+// GOTO step: restarts the current flow from one of its top-level steps, keeping the
+// frame's variables, context and transaction. Pending FOREACH/TRY markers and branch
+// steps are discarded along with the rest of the stack.
+const DEFAULT_MAX_GOTO_JUMPS = 25;
 
-    // Let AI errors (timeout, communication failures) propagate to the host
-    const aiResponse = await fetchAiTask(task, rules, context, input, flowsForIntentDetection, jsonSchema, engine.aiCallback, engine.aiTimeOut);
+function handleGotoStep(currentFlowFrame: FlowFrame, engine: Engine): string {
+  const step = currentFlowFrame.flowStepsStack.pop()!; // This handler pops its own step
+  const target = String(step.value ?? '');
+  const flowPrompt = getFlowPrompt(engine, currentFlowFrame.flowName);
 
-    if (aiResponse && aiResponse.flowName && aiResponse.flowName !== 'None' && aiResponse.flowName !== 'null') {
-      const flow = flowsMenu.find(flow => flow.name.toLowerCase() === aiResponse.flowName.toLowerCase() || flow.id === aiResponse.flowName);
-      if (flow) {
-        // Defensive: strip empty-string keys from AI-generated parameters.
-        // AI occasionally emits { "": value } which would cascade into flow
-        // variables and eventually break DynamoDB persistence on the host.
-        let parameters = aiResponse.parameters;
-        if (parameters && typeof parameters === 'object') {
-          const entries = Object.entries(parameters);
-          const filtered = entries.filter(([k]) => k && k.trim() !== '');
-          if (filtered.length !== entries.length) {
-            logger.warn(`detectFlowWithParameters: stripped ${entries.length - filtered.length} empty-key parameter(s) from AI response for flow "${flow.name}"`);
-            parameters = Object.fromEntries(filtered);
-          }
-        }
-        return { flow, parameters };
-      } else {
-        logger.error(`Flow "${aiResponse.flowName}" not found in flows menu`);
-      }
-    } else {
-      logger.info(`No flow activated for input: "${input}"`);
+  const flowDefinition = engine.flowsMenu.find(f => f.name === currentFlowFrame.flowName);
+  const targetIndex = flowDefinition ? flowDefinition.steps.findIndex(s => s.id === target) : -1;
+  if (targetIndex < 0) {
+    return failFlowStep(currentFlowFrame, engine, getSystemMessage(engine, 'goto_target_not_found', { target, flowPrompt }), 'goto_target_not_found', step.id);
+  }
+
+  const maxJumps = step.maxJumps ?? DEFAULT_MAX_GOTO_JUMPS;
+  const jumps = (currentFlowFrame.gotoJumps || 0) + 1;
+  if (jumps > maxJumps) {
+    logger.warn(`GOTO step "${step.id}" exceeded ${maxJumps} jumps in flow ${currentFlowFrame.flowName}`);
+    return failFlowStep(currentFlowFrame, engine, getSystemMessage(engine, 'goto_limit_exceeded', { target, flowPrompt }), 'goto_limit_exceeded', step.id);
+  }
+
+  currentFlowFrame.gotoJumps = jumps;
+  currentFlowFrame.flowStepsStack = [...flowDefinition!.steps.slice(targetIndex)].reverse();
+  currentFlowFrame.confirmed = false; // Steps run again - their high-risk tools need a new CONFIRM
+  logger.info(`GOTO step "${step.id}" jumped to "${target}" (jump ${jumps} of ${maxJumps})`);
+  return `Jumped to step '${target}'`;
+}
+
+// TRY step: runs `steps`, then `finally`. A marker copy of the TRY step stays
+// beneath the running section; reaching it means the section finished normally.
+// Failures are routed to `catch` by recoverFromStepError() (see playFlowFrame).
+function handleTryStep(currentFlowFrame: FlowFrame, engine: Engine): string {
+  const step = currentFlowFrame.flowStepsStack.pop()!; // This handler pops its own step
+
+  if (!step._try) {
+    currentFlowFrame.flowStepsStack.push({ ...step, _try: { phase: 'try' } });
+    return `TRY step entered, running ${pushBranchSteps(currentFlowFrame, step.steps || [])}`;
+  }
+
+  if (step._try.phase === 'finally') {
+    if (step._try.error) {
+      // Rethrown as it was first raised: an outer TRY may catch it, otherwise it ends
+      // the flow with its message (or reaches the host, for a plain step error)
+      const { message, code, stepId } = step._try.error;
+      logger.info(`TRY step "${step.id}" rethrowing unhandled error after finally: ${message}`);
+      throw code === 'step_error' ? new Error(message) : new FlowStepError(message, code, stepId);
     }
+    return `TRY step completed`;
+  }
 
-    return null;
-  } catch (error: any) {
-    logger.warn(`Error in detectFlowWithParameters: ${error.message}`);
-    logger.info(`Stack trace: ${error.stack}`);
-    throw error;
+  if (hasTrySection(step.finally)) {
+    currentFlowFrame.flowStepsStack.push({ ...step, _try: { phase: 'finally' } });
+    return `TRY step running finally ${pushBranchSteps(currentFlowFrame, step.finally!)}`;
   }
+  return `TRY step completed`;
 }
 
-// === SMART DEFAULT ONFAIL GENERATOR ===
-function generateSmartRetryDefaultOnFail(step: FlowStep, error: Error, currentFlowFrame: FlowFrame): boolean {
-  const toolName = step.tool || 'unknown';
-  const errorMessage = error.message.toLocaleLowerCase() || 'unknown error';
-  const flowName = currentFlowFrame.flowName;
+function hasTrySection(section: FlowStep[] | FlowStep | undefined): boolean {
+  return Array.isArray(section) ? section.length > 0 : !!section;
+}
 
-  logger.info(`Generating smart default onFail for tool ${toolName}, in flow ${flowName} for error: ${errorMessage}`);
+/**
+ * Whether a TRY step on the current stack can still handle a failure - failures
+ * that normally end the flow with a message are thrown instead so TRY can catch
+ * them. A TRY in its finally section (or in catch without finally) has no
+ * handler left.
+ */
+function isInsideTry(engine: Engine): boolean {
+  return getCurrentStack(engine).some(frame => frame.flowStepsStack.some(step => step && canTryStepHandle(step)));
+}
 
-  // Categorize error types for intelligent handling
+function canTryStepHandle(marker: FlowStep): boolean {
+  if (!marker._try) return false;
+  if (marker._try.phase === 'try') return hasTrySection(marker.catch) || hasTrySection(marker.finally);
+  return marker._try.phase === 'catch' && hasTrySection(marker.finally);
+}
 
-  // Provoke retry of the current TOOL step if recoverable
-  const isNetworkError = errorMessage.includes('fetch failed') ||
-    errorMessage.includes('ENOTFOUND') ||
-    errorMessage.includes('timeout') ||
-    errorMessage.includes('ECONNREFUSED') ||
-    errorMessage.includes('network');
+/**
+ * Fail a step with a user-facing message: thrown as a FlowStepError when a TRY can
+ * catch it, otherwise the current flow is cancelled with the message.
+ */
+function failFlowStep(currentFlowFrame: FlowFrame, engine: Engine, message: string, code: string, stepId?: string): string {
+  if (isInsideTry(engine)) {
+    throw new FlowStepError(message, code, stepId);
+  }
+  return cancelFlowWithMessage(currentFlowFrame, engine, message);
+}
 
-  // Provoke retry of the current flow if recoverable
-  const isServerError = errorMessage.includes('408') || // Request Timeout
-    errorMessage.includes('409') || // Conflict
-    errorMessage.includes('500') || // Internal Server Error
-    errorMessage.includes('502') || // Bad Gateway
-    errorMessage.includes('503') || // Service Unavailable
-    errorMessage.includes('504');   // Gateway Timeout
+function cancelFlowWithMessage(currentFlowFrame: FlowFrame, engine: Engine, message: string): string {
+  currentFlowFrame.flowStepsStack = [];
+  engine.addAccumulatedMessage(message);
+  logger.info(`Cancelling flow ${currentFlowFrame.flowName}: ${message}`);
+  return message;
+}
 
-  // Provoke cancelation of the current flow if unrecoverable
-  const isBadRequest = errorMessage.includes('400') ||
-    errorMessage.includes('404') || // Not Found
-    errorMessage.includes('405') || // Method Not Allowed
-    errorMessage.includes('406') || // Not Acceptable
-    errorMessage.includes('410') || // Gone
-    errorMessage.includes('501') || // Not Implemented
-    errorMessage.includes('505') || // HTTP Version Not Supported
-    errorMessage.includes('bad request') ||
-    errorMessage.includes('invalid request') ||
-    errorMessage.includes('malformed request') ||
-    errorMessage.includes('syntax error') ||
-    errorMessage.includes('rate limit');
+/**
+ * Route a step failure to the nearest TRY step on the current stack: its `catch`
+ * section when the failure happened in `steps`, otherwise its `finally` section
+ * (which rethrows afterwards). Steps left in the failed section - and sub-flows
+ * without a TRY of their own - are abandoned. Returns false when no TRY step
+ * handles the failure, which then propagates as before.
+ */
+function recoverFromStepError(engine: Engine, error: any, failedStep: FlowStep | undefined): boolean {
+  if (!isInsideTry(engine)) {
+    return false;
+  }
 
+  const errorInfo: StepErrorInfo = error instanceof FlowStepError
+    ? { message: error.message, code: error.code, stepId: error.stepId ?? failedStep?.id }
+    : { message: error?.message || String(error), code: 'step_error', stepId: failedStep?.id };
 
-  // Provoke cancelation of the current flow if unrecoverable
-  const isAuthError = errorMessage.includes('401') || // Unauthorized
-    errorMessage.includes('402') || // Payment Required
-    errorMessage.includes('403') || // Forbidden
-    errorMessage.includes('407') || // Proxy Authentication Required
-    errorMessage.includes('unauthorized') ||
-    errorMessage.includes('authentication');
+  const stack = getCurrentStack(engine);
+  while (stack.length > 0) {
+    const frame = stack[stack.length - 1];
+    delete frame.pendingVariable;
+    delete frame.pendingVariableContext;
 
-  // Provoke cancelation of the current flow if unrecoverable
-  const isRateLimitError = errorMessage.includes('429') ||
-    errorMessage.includes('rate limit') ||
-    errorMessage.includes('too many requests');
+    for (let i = frame.flowStepsStack.length - 1; i >= 0; i--) {
+      const marker = frame.flowStepsStack[i];
+      if (!marker || !marker._try) continue;
 
-  // Financial operations get special treatment in the future
-  const isCriticalFinancial = toolName.toLowerCase().includes('payment') ||
-    toolName.toLowerCase().includes('account') ||
-    toolName.toLowerCase().includes('transaction') ||
-    flowName.toLowerCase().includes('payment');
+      // Abandon the rest of the failed section
+      frame.flowStepsStack.length = i;
 
-  // Generate context-aware error messages and recovery strategies
-  let message: string, callType = "replace", retryHint = "", doRetry = false, doCancel = false;
+      if (marker._try.phase === 'try' && hasTrySection(marker.catch)) {
+        frame.flowStepsStack.push({ ...marker, _try: { phase: 'catch' } });
+        frame.variables[marker.variable || 'error'] = { ...errorInfo };
+        pushBranchSteps(frame, marker.catch!);
+        logger.info(`TRY step "${marker.id}" caught ${errorInfo.code} from step "${errorInfo.stepId}": ${errorInfo.message}`);
+        return true;
+      }
 
-  if (isNetworkError || isServerError) {
-    doRetry = true;
-  } else if (isBadRequest || isAuthError || isRateLimitError || isCriticalFinancial) {
-    doCancel = true;
-  } else {
-    logger.debug(`Unrecognized error type for tool ${toolName} in flow ${flowName}: ${errorMessage}`);
-    // Default to Cancel for unexpected errors
-    doCancel = true;
+      if (marker._try.phase !== 'finally' && hasTrySection(marker.finally)) {
+        frame.flowStepsStack.push({ ...marker, _try: { phase: 'finally', error: errorInfo } });
+        pushBranchSteps(frame, marker.finally!);
+        logger.info(`TRY step "${marker.id}" running finally before rethrowing: ${errorInfo.message}`);
+        return true;
+      }
+      // No handler left in this TRY step - keep looking further down
+    }
+
+    if (stack.length === 1) {
+      return false;
+    }
+
+    // The failed sub-flow has no TRY of its own - abandon it and look in its caller
+    const abandoned = popFromCurrentStack(engine);
+    TransactionManager.fail(abandoned.transaction, errorInfo.message);
+    logger.info(`Abandoned sub-flow ${abandoned.flowName} after unhandled error: ${errorInfo.message}`);
   }
 
-  /* This used to be generateSmartDefaultOnFail() attempting to generate an onFail step[s] - but it was buggy and not very useful.
-  logger.info(`Generating smart default onFail for tool ${toolName}, error: ${errorMessage}`);
-  
-  // Categorize error types for intelligent handling
-  const isNetworkError = errorMessage.includes('fetch failed') || 
-                        errorMessage.includes('ENOTFOUND') || 
-                        errorMessage.includes('timeout') ||
-                        errorMessage.includes('ECONNREFUSED') ||
-                        errorMessage.includes('network');
-                        
-  const isAuthError = errorMessage.includes('401') || 
-                     errorMessage.includes('403') || 
-                     errorMessage.includes('unauthorized') ||
-                     errorMessage.includes('authentication');
-                     
-  const isRateLimitError = errorMessage.includes('429') || 
-                          errorMessage.includes('rate limit') ||
-                          errorMessage.includes('too many requests');
-                          
-  const isDataError = errorMessage.includes('invalid') || 
-                     errorMessage.includes('validation') ||
-                     errorMessage.includes('bad request') ||
-                     errorMessage.includes('400');
-                     
-  const isCriticalFinancial = toolName.toLowerCase().includes('payment') || 
-                             toolName.toLowerCase().includes('account') ||
-                             toolName.toLowerCase().includes('transaction') ||
-                             flowName.toLowerCase().includes('payment');
-  
-  // Generate context-aware error messages and recovery strategies
-  let message: string, callType = "replace", retryHint = "";
-  
-  if (isCriticalFinancial) {
-    // Financial operations get special treatment
-    message = `🚨 Payment system temporarily unavailable. Your transaction has been logged and will be reviewed.\n\n` +
-              `Error Reference: ${currentFlowFrame.transaction.id.slice(0, 8)}\n` +
-              `Please contact customer support if needed, or try again in a few minutes.`;
-    callType = "replace"; // Don't continue financial flows on error
-    
-  } else if (isNetworkError) {
-    message = `🌐 Network connectivity issue detected. The service "${toolName}" is temporarily unreachable.\n\n` +
-              `This usually resolves quickly. You can:\n` +
-              `• Try again in a moment\n` +
-              `• Check your internet connection\n` +
-              `• Continue with other workflows`;
-    retryHint = " You may retry this operation later.";
-        
-  } else if (isAuthError) {
-    message = `🔐 Authentication required for "${toolName}". Your access permissions may need to be updated.\n\n` +
-              `Please contact your administrator or try logging in again.`;
-              
-  } else if (isRateLimitError) {
-    message = `⏱️ Service "${toolName}" is currently busy (rate limited). Please wait a moment before retrying.\n\n` +
-              `This helps ensure fair access for all users.`;
-    retryHint = " The service will be available again shortly.";
-    
-  } else if (isDataError) {
-    message = `📝 Data validation issue with "${toolName}". The provided information may be incomplete or invalid.\n\n` +
-              `Please check your input and try again with corrected data.`;
-              
-  } else {
-    // Generic intelligent error handling
-    const userFriendlyToolName = toolName.replace(/([A-Z])/g, ' $1').trim();
-    message = `⚠️ The "${userFriendlyToolName}" service encountered an unexpected issue.\n\n` +
-              `Technical details: ${errorMessage}\n\n` +
-              `This has been logged for review. You can continue with other workflows.${retryHint}`;
+  return false;
+}
+
+async function handleCaseStep(currentFlowFrame: FlowFrame, engine: Engine): Promise<string> {
+  // Extract what we need from the currentFlowFrame
+  const step = currentFlowFrame.flowStepsStack.pop()!; // This handler pops its own step
+
+  if (!step.branches) {
+    throw new Error(`CASE step requires 'branches' attribute`);
   }
-  
-  // Add helpful context based on current flow
-  if (flowName.toLowerCase().includes('test') || flowName.toLowerCase().includes('demo')) {
-    message += `\n\n💡 Note: This is a test/demo environment where some failures are expected.`;
+
+  logger.info(`CASE step: evaluating conditions`);
+
+  // Find the matching branch by evaluating conditions
+  let selectedStep: FlowStep | FlowStep[] | null = null;
+  let selectedBranch: string | null = null;
+
+  // Use _branchOrder if available to guarantee correct evaluation order.
+  // DynamoDB Maps are unordered — without _branchOrder, Object.keys/entries
+  // may return branches in arbitrary order after deserialization.
+  const branchKeys = step._branchOrder || Object.keys(step.branches);
+  if (!step._branchOrder) {
+    logger.warn(`CASE step "${step.id}": missing _branchOrder — branch evaluation order may be incorrect after deserialization`);
   }
-  
-  // Add step information for debugging
-  if (step.id) {
-    message += `\n\nStep ID: ${step.id}`;
+
+  // Try condition-based matching (CASE only supports conditions, no variable matching)
+  for (const branchKey of branchKeys) {
+    if (branchKey === 'default') continue; // Skip default, handle later
+
+    const branchStep = step.branches[branchKey];
+    if (!branchStep) {
+      logger.warn(`CASE: _branchOrder references missing branch '${branchKey}' — skipping`);
+      continue;
+    }
+
+    // Check if this is a condition branch
+    if (branchKey.startsWith('condition:')) {
+      const condition = branchKey.slice(10); // Remove 'condition:' prefix
+      logger.info(`CASE: evaluating condition '${condition}'`);
+
+      try {
+        // Evaluate the condition expression
+        const conditionResult = evaluateSafeCondition(condition, currentFlowFrame.variables || {}, engine);
+        logger.info(`CASE: condition '${condition}' evaluated to: ${conditionResult}`);
+
+        if (conditionResult) {
+          selectedStep = branchStep;
+          selectedBranch = branchKey;
+          logger.info(`CASE: selected condition branch '${branchKey}'`);
+          break;
+        }
+      } catch (error: any) {
+        logger.warn(`CASE: condition evaluation failed for '${condition}':`, error.message);
+        continue; // Try next condition
+      }
+    } else {
+      // CASE step only supports condition branches, warn about invalid branches
+      logger.warn(`CASE: ignoring non-condition branch '${branchKey}' - CASE step only supports 'condition:' branches and 'default'`);
+    }
   }
-    
-  return {
-    type: "SAY" as const,
-    value: message,
-    callType: callType as 'call' | 'replace' | 'reboot'
-  };
-  */
 
-  // Can we push a 'cancel' input to the input stack?
-  if (doCancel) {
-    // Remove all remaining steps from the stack
-    currentFlowFrame.flowStepsStack = [];
-    logger.info(`Cancelling flow ${currentFlowFrame.flowName} due to unrecoverable error: ${errorMessage}`);
+  // If no match found, use default
+  if (!selectedStep && step.branches.default) {
+    selectedStep = step.branches.default;
+    selectedBranch = 'default';
+    logger.info(`CASE: using default branch (no conditions matched)`);
   }
 
-  // Return the decision to retry, cancel, or replace the step
-  return doRetry;
-}
+  // If still no match, throw error
+  if (!selectedStep) {
+    throw new Error(`CASE step: no conditions matched and no default branch provided`);
+  }
 
-// === ENHANCED RETRY AND VALIDATION SYSTEM ===
+  // Add the branch step(s) to the current flow frame's stack
+  // This integrates properly with the playFlowFrame architecture
+  const branchDescription = pushBranchSteps(currentFlowFrame, selectedStep);
+  logger.info(`CASE: added ${branchDescription} from branch '${selectedBranch}' to stack. currentFlowFrame.flowStepsStack.length: ${currentFlowFrame.flowStepsStack.length}`);
 
-/**
- * Step-level input validation result
- */
-interface StepValidationResult {
-  isValid: boolean;
-  errors: string[];
-  warnings: string[];
+  // Return message indicating which branch was selected
+  return `CASE executed branch '${selectedBranch}', added ${branchDescription} to flow`;
 }
 
-/**
- * Perform step-level input validation before tool execution
- */
-async function performStepInputValidation(
-  step: FlowStep,
-  currentFlowFrame: FlowFrame,
-  engine: Engine
-): Promise<StepValidationResult> {
-  const result: StepValidationResult = {
-    isValid: true,
-    errors: [],
-    warnings: []
-  };
+function handleReturnStep(currentFlowFrame: FlowFrame, engine: Engine): string {
+  // Extract what we need from the currentFlowFrame
+  const step = currentFlowFrame.flowStepsStack.pop()!; // This handler pops its own step
 
-  // Skip validation if no validation rules defined
-  if (!step.inputValidation) {
-    return result;
+  // Declared outcome (see FlowOutcome) — applies to the flow executing this RETURN;
+  // parent flows it terminates finalize with their own (usually absent) declaration.
+  if (step.outcome !== undefined) {
+    currentFlowFrame.declaredOutcome = {
+      outcome: String(step.outcome),
+      reason: step.reason !== undefined ? String(step.reason) : undefined,
+    };
   }
 
-  // Validate against patterns
-  if (step.inputValidation.patterns) {
-    for (const pattern of step.inputValidation.patterns) {
-      const fieldValue = currentFlowFrame.variables?.[pattern.field];
-      if (fieldValue && typeof fieldValue === 'string') {
-        const regex = new RegExp(pattern.pattern);
-        if (!regex.test(fieldValue)) {
-          result.isValid = false;
-          result.errors.push(pattern.message || `Field ${pattern.field} does not match required pattern`);
-        }
+  // Evaluate the value expression if provided
+  let returnValue: unknown = '';
+  if (step.value !== undefined) {
+    // Use JavaScript evaluation context for expressions (like SET handler)
+    returnValue = typeof step.value === 'string'
+      ? evaluateExpression(step.value, currentFlowFrame?.variables || {}, [], {
+        context: 'javascript-evaluation', // Force JavaScript context for RETURN values
+        returnType: 'auto'
+      }, engine)
+      : step.value;
+    logger.info(`RETURN step: evaluated value expression '${step.value}' to '${returnValue}'`);
+  } else {
+    logger.info(`RETURN step: no value expression provided, returning empty string`);
+  }
+
+  // Terminate all flows by clearing all stacks
+  logger.info(`RETURN step: terminating all flows`);
+  while (engine.flowStacks.length > 0) {
+    const poppedStack = engine.flowStacks.pop();
+    if (poppedStack && poppedStack.length > 0) {
+      for (const flow of poppedStack) {
+        finalizeFlowTransaction(engine, flow, 'return');
+        auditLogger.logFlowExit(flow.flowName, currentFlowFrame.userId, flow.transaction.id, 'return_step');
       }
     }
   }
 
-  // Custom validation function
-  if (step.inputValidation.customValidator && engine.APPROVED_FUNCTIONS) {
-    try {
-      const validator = engine.APPROVED_FUNCTIONS[step.inputValidation.customValidator];
-      if (typeof validator === 'function') {
-        const customResult = await validator(currentFlowFrame.variables, currentFlowFrame) as any;
-        if (customResult && typeof customResult === 'object') {
-          if (customResult.isValid === false) {
-            result.isValid = false;
-            if (Array.isArray(customResult.errors)) {
-              result.errors.push(...customResult.errors);
-            }
-          }
-        }
-      }
-    } catch (error: any) {
-      logger.warn(`Custom validation function failed: ${error.message}`);
-      result.warnings.push('Custom validation could not be performed');
+  // Re-initialize the flow stacks to ensure clean state
+  initializeFlowStacks(engine);
+
+  // Return the evaluated value as string
+  return String(returnValue);
+}
+
+// HANDOFF step: hands the conversation to a human agent. Like RETURN it terminates
+// all flows, but first records an escalation package for the host (see
+// EscalationPackage) and ends the current flow with outcome 'handoff'.
+function handleHandoffStep(currentFlowFrame: FlowFrame, engine: Engine): string {
+  const step = currentFlowFrame.flowStepsStack.pop()!; // This handler pops its own step
+  const lang = engine.getSessionLanguage() || engine.language;
+
+  const reason = step.reason !== undefined
+    ? interpolateMessage(String(step.reason), currentFlowFrame.contextStack, currentFlowFrame.variables, engine)
+    : 'handoff_requested';
+  const template = (lang && step[`value_${lang}`]) || step.value;
+  const message = template
+    ? interpolateMessage(String(template), currentFlowFrame.contextStack, currentFlowFrame.variables, engine)
+    : getSystemMessage(engine, 'handoff_started');
+
+  engine.stampHandoff(buildEscalationPackage(engine, currentFlowFrame, step, reason));
+  currentFlowFrame.declaredOutcome = { outcome: 'handoff', reason };
+
+  // Messages queued earlier this turn are delivered with the handoff message;
+  // the tentative flow_init placeholder is dropped as on flow completion
+  const messages = engine.hasAccumulatedMessages() ? engine.getAndClearAccumulatedMessages() : [];
+  if (engine.getTentativeFlowInit()) {
+    messages.shift();
+    engine.setTentativeFlowInit(false);
+  }
+  messages.push(message);
+
+  // Terminate all flows - the handing-off flow last, so its outcome is the one stamped
+  logger.info(`HANDOFF step: terminating all flows (reason: ${reason})`);
+  while (engine.flowStacks.length > 0) {
+    const poppedStack = engine.flowStacks.pop();
+    for (const flow of poppedStack || []) {
+      if (flow === currentFlowFrame) continue;
+      finalizeFlowTransaction(engine, flow, 'handoff');
+      auditLogger.logFlowExit(flow.flowName, currentFlowFrame.userId, flow.transaction.id, 'handoff');
     }
   }
+  finalizeFlowTransaction(engine, currentFlowFrame, 'handoff');
+  auditLogger.logFlowExit(currentFlowFrame.flowName, currentFlowFrame.userId, currentFlowFrame.transaction.id, 'handoff');
 
-  return result;
+  initializeFlowStacks(engine);
+  return messages.join('\n\n');
 }
 
+// Variable names (split into words: otpCode -> otp, code) that are always redacted
+const HANDOFF_SENSITIVE_WORDS = new Set(['password', 'passcode', 'pin', 'otp', 'token', 'secret', 'ssn', 'cvv', 'cvc', 'signature', 'key']);
+
 /**
- * Handle validation failure with user-friendly retry
+ * Collect the escalation package for a HANDOFF step from all flow stacks.
+ * Sensitive variables are redacted, and their values are also masked in the
+ * transcript so a typed PIN or OTP does not reach the agent desk.
  */
-async function handleValidationFailure(
-  step: FlowStep,
-  validationResult: StepValidationResult,
-  currentFlowFrame: FlowFrame,
-  engine: Engine
-): Promise<string> {
-  const errors = validationResult.errors.join(', ');
-  logger.info(`Input validation failed for step ${step.id}: ${errors}`);
-
-  // Create a smart retry step that goes back to collect valid input
-  const retryStep: FlowStep = {
-    type: 'SAY-GET',
-    value: `❌ ${errors}\n\nPlease provide the correct information:`,
-    variable: step.variable || 'user_input'
+function buildEscalationPackage(engine: Engine, currentFlowFrame: FlowFrame, step: FlowStep, reason: string): EscalationPackage {
+  const activeStack = getCurrentStack(engine);
+  const extraNames = new Set(Array.isArray(step.redact) ? step.redact.map(String) : []);
+  const redactedValues = new Set<string>();
+
+  const isSensitive = (name: string): boolean => extraNames.has(name) ||
+    name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase().split(/[^a-z0-9]+/).some(word => HANDOFF_SENSITIVE_WORDS.has(word));
+
+  const redact = (value: unknown): unknown => {
+    if (isUserInputVariable(value)) {
+      return redact((value as Record<string, unknown>).value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(redact);
+    }
+    if (value && typeof value === 'object') {
+      const result: Record<string, unknown> = {};
+      for (const [name, entry] of Object.entries(value)) {
+        if (isSensitive(name)) {
+          collectRedactedValues(entry, redactedValues);
+          result[name] = '[REDACTED]';
+        } else {
+          result[name] = redact(entry);
+        }
+      }
+      return result;
+    }
+    return value;
   };
 
-  // If we can identify which step collected the invalid input, retry from there
-  const collectStepId = findInputCollectionStep(step, currentFlowFrame);
-  if (collectStepId) {
-    // Go back to the data collection step
-    const originalFlow = engine.flowsMenu?.find(f => f.name === currentFlowFrame.flowName);
-    const collectStep = originalFlow?.steps.find(s => s.id === collectStepId);
-    if (collectStep) {
-      // Modify the message to include validation error
-      retryStep.value = `❌ ${errors}\n\n${collectStep.value || 'Please provide the correct information:'}`;
-      retryStep.variable = collectStep.variable;
-    }
+  // Outer flows first, so a sub-flow's own (isolated) variables win on name clashes
+  const variables: Record<string, unknown> = {};
+  for (const frame of activeStack) {
+    Object.assign(variables, frame.variables);
   }
 
-  // Push retry step and current step back to stack
-  currentFlowFrame.flowStepsStack.push(step); // Put back the tool step for retry
-  currentFlowFrame.flowStepsStack.push(retryStep);
+  const transcriptEntries: ContextEntry[] = [];
+  activeStack.forEach((frame, frameIndex) => {
+    (frame.contextStack || []).forEach((entry, entryIndex) => {
+      // A sub-flow's context starts with the input that called it - skip the repeat
+      const lastUserEntry = [...transcriptEntries].reverse().find(previous => previous.role === 'user');
+      if (frameIndex > 0 && entryIndex === 0 && entry.role === 'user' && lastUserEntry?.content === entry.content) return;
+      transcriptEntries.push(entry);
+    });
+  });
 
-  return `Input validation failed. Asking for corrected input.`;
+  const redactedVariables = redact(variables) as Record<string, unknown>;
+  const maskedEntries = transcriptEntries.map(entry => {
+    if (typeof entry.content !== 'string' || redactedValues.size === 0) return entry;
+    let content = entry.content;
+    for (const secret of redactedValues) {
+      content = content.split(secret).join('[REDACTED]');
+    }
+    return { ...entry, content };
+  });
+
+  const frames = engine.flowStacks.flatMap(stack =>
+    (stack || []).map(frame => ({ frame, interrupted: stack !== activeStack })));
+
+  return {
+    reason,
+    queue: step.queue !== undefined ? String(step.queue) : undefined,
+    flowName: currentFlowFrame.flowName,
+    stepId: step.id,
+    userId: currentFlowFrame.userId,
+    sessionId: engine.sessionId,
+    language: engine.getSessionLanguage() || engine.language || undefined,
+    createdAt: new Date().toISOString(),
+    flowStack: frames.map(({ frame, interrupted }) => ({
+      flowName: frame.flowName,
+      flowId: frame.flowId,
+      transactionId: frame.transaction.id,
+      nextStepId: frame.flowStepsStack[frame.flowStepsStack.length - 1]?.id,
+      interrupted
+    })),
+    variables: redactedVariables,
+    transcript: exportConversationHistory(maskedEntries, step.transcriptFormat || 'openai'),
+    transactionIds: frames.map(({ frame }) => frame.transaction.id)
+  };
 }
 
-/**
- * Find the step that collected input for a failed tool step
- */
-function findInputCollectionStep(toolStep: FlowStep, currentFlowFrame: FlowFrame): string | null {
-  // Look for a variable that the tool step depends on
-  const toolVariable = toolStep.variable;
-  if (!toolVariable) return null;
+function collectRedactedValues(value: unknown, values: Set<string>): void {
+  if (isUserInputVariable(value)) {
+    collectRedactedValues((value as Record<string, unknown>).value, values);
+  } else if (typeof value === 'string' || typeof value === 'number') {
+    // Very short values (e.g. "1") would mask unrelated text
+    if (String(value).length >= 3) values.add(String(value));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(entry => collectRedactedValues(entry, values));
+  }
+}
 
-  // Find the step that set this variable (likely a SAY-GET step)
-  const contextEntries = currentFlowFrame.contextStack.filter(entry => entry.stepId);
-  for (let i = contextEntries.length - 1; i >= 0; i--) {
-    const entry = contextEntries[i];
-    if (entry.stepId && entry.role === 'user') {
-      // This might be the input collection step
-      return entry.stepId;
-    }
+function handleEndStep(currentFlowFrame: FlowFrame, engine: Engine): string {
+  // END = return from the CURRENT flow only (a functional `return`), in contrast
+  // to RETURN which terminates ALL flows (effectively an EXIT). Clearing this
+  // frame's remaining steps lets the playFlowFrame loop's normal completion path
+  // pop the frame, flush any pending accumulated messages (and drop the tentative
+  // flow_init), and resume the parent flow if there is one. So END inherits all
+  // of that behavior for free.
+  //
+  // An END with a `value` also evaluates it (like RETURN) and hands the result
+  // to the caller's FLOW step `variable` when the frame completes (see
+  // deliverFlowOutput). Without a value, variables are shared with the parent
+  // flow (or returned via the flow's declared `outputs`).
+  const step = currentFlowFrame.flowStepsStack[currentFlowFrame.flowStepsStack.length - 1];
+  const flowName = currentFlowFrame.flowName;
+
+  if (step && step.value !== undefined) {
+    currentFlowFrame.returnValue = typeof step.value === 'string'
+      ? evaluateExpression(step.value, currentFlowFrame.variables || {}, [], {
+        context: 'javascript-evaluation', // Preserve objects for the caller
+        returnType: 'auto'
+      }, engine)
+      : step.value;
+    logger.info(`END step: flow '${flowName}' returns value of '${step.value}' to its caller`);
   }
 
-  return null;
+  currentFlowFrame.flowStepsStack.length = 0;
+  logger.info(`END step: ending flow '${flowName}', returning control to the parent flow (if any).`);
+  return `Flow '${flowName}' ended`;
 }
 
 /**
- * Determine if a step should be retried based on error and retry configuration
+ * Hands a completed sub-flow's output to its caller. The output is the value of
+ * an END step with a `value`, otherwise the flow's declared `outputs` collected
+ * from its variables. It is stored in the caller's FLOW step `variable`, so
+ * nothing happens for flows called without one.
  */
-async function shouldRetryStep(
-  step: FlowStep,
-  error: Error,
-  currentFlowFrame: FlowFrame,
-  engine: Engine
-): Promise<boolean> {
-  const currentRetryCount = step.retryCount || 0;
-  const maxRetries = step.maxRetries || 0;
-
-  // Don't retry if we've exceeded max retries
-  if (currentRetryCount >= maxRetries) {
-    logger.info(`Max retries (${maxRetries}) reached for step ${step.id}`);
-    return false;
-  }
-
-  // Check retry conditions if defined
-  if (step.retryOnConditions) {
-    for (const condition of step.retryOnConditions) {
-      const regex = new RegExp(condition.errorPattern, 'i');
-      if (regex.test(error.message)) {
-        switch (condition.action) {
-          case 'retry':
-            return true;
-          case 'skip':
-          case 'fallback':
-            return false;
-          default:
-            logger.warn(`Unknown retry action "${condition.action}" for step ${step.id}`);
-            return false;
+function deliverFlowOutput(engine: Engine, completedFlow: FlowFrame): void {
+  if (!completedFlow.returnVariable || getCurrentStackLength(engine) === 0) {
+    return;
+  }
+
+  let output = completedFlow.returnValue;
+  if (output === undefined) {
+    const flowDef = engine.flowsMenu?.find(f => f.id === completedFlow.flowId || f.name === completedFlow.flowName);
+    if (flowDef?.outputs) {
+      const collected: Record<string, unknown> = {};
+      for (const name of Object.keys(flowDef.outputs)) {
+        let value = completedFlow.variables[name];
+        if (isUserInputVariable(value)) {
+          value = (value as Record<string, unknown>).value;
         }
+        collected[name] = value;
       }
+      output = collected;
     }
   }
 
-  // Default retry logic for common error types
-  const errorMessage = error.message.toLowerCase();
-  const isNetworkError = errorMessage.includes('fetch failed') ||
-    errorMessage.includes('timeout') ||
-    errorMessage.includes('econnrefused');
-  const isTemporaryError = errorMessage.includes('rate limit') ||
-    errorMessage.includes('503') ||
-    errorMessage.includes('502');
+  if (output === undefined) {
+    logger.debug(`Flow ${completedFlow.flowName} completed without an output for '${completedFlow.returnVariable}'`);
+    return;
+  }
 
-  return maxRetries > 0 && (isNetworkError || isTemporaryError);
+  const parentFlowFrame = getCurrentFlowFrame(engine);
+  parentFlowFrame.variables[completedFlow.returnVariable] = output;
+  logger.info(`Flow ${completedFlow.flowName} returned output to '${completedFlow.returnVariable}' in flow ${parentFlowFrame.flowName}`);
 }
 
-/**
- * Retry the current step with enhanced logic
- */
-async function retryCurrentStep(
-  step: FlowStep,
-  error: Error,
-  currentFlowFrame: FlowFrame,
-  engine: Engine
-): Promise<string> {
-  const currentRetryCount = step.retryCount || 0;
-  step.retryCount = currentRetryCount + 1;
-
-  logger.info(`Retrying step ${step.id}, attempt ${step.retryCount}`);
+// FOREACH step: runs its `do` body once per item of `items`. Each pass pushes a
+// continuation copy of the step (carrying ForeachState) followed by the body
+// steps, so playFlowFrame drives the loop like any other step sequence and a
+// SAY-GET inside the body can pause the loop across turns.
+function handleForeachStep(currentFlowFrame: FlowFrame, engine: Engine): string {
+  const step = currentFlowFrame.flowStepsStack.pop()!; // This handler pops its own step
 
-  // Apply retry delay if specified
-  if (step.retryDelay && step.retryDelay > 0) {
-    await new Promise(resolve => setTimeout(resolve, step.retryDelay));
+  if (!step.as || step.items === undefined || step.do === undefined) {
+    throw new Error(`FOREACH step requires 'items', 'as' and 'do' attributes`);
   }
 
-  // Apply exponential backoff for network errors
-  if (step.retryStrategy === 'exponential') {
-    const delay = Math.min(1000 * Math.pow(2, currentRetryCount), 30000); // Max 30 seconds
-    await new Promise(resolve => setTimeout(resolve, delay));
+  const variables = currentFlowFrame.variables;
+  const loopVariables = [step.as, step.index].filter((name): name is string => typeof name === 'string' && name.length > 0);
+
+  let state = step._foreach;
+  if (!state) {
+    const items = resolveStepItems(step, currentFlowFrame, engine);
+
+    // Remember any pre-existing values so the loop variables don't leak into
+    // (or clobber) the surrounding flow once the loop is done
+    const saved: Record<string, unknown> = {};
+    for (const name of loopVariables) {
+      if (name in variables) {
+        saved[name] = variables[name];
+      }
+    }
+
+    state = { items, position: 0, saved };
+    logger.info(`FOREACH step "${step.id}": starting loop over ${items.length} item(s) as '${step.as}'`);
   }
 
-  // Put the step back on the stack for retry
-  currentFlowFrame.flowStepsStack.push(step);
+  if (state.position >= state.items.length) {
+    for (const name of loopVariables) {
+      if (name in state.saved) {
+        variables[name] = state.saved[name];
+      } else {
+        delete variables[name];
+      }
+    }
+    logger.info(`FOREACH step "${step.id}": loop completed after ${state.items.length} iteration(s)`);
+    return `FOREACH completed ${state.items.length} iteration(s)`;
+  }
 
-  return `Retrying ${step.tool} (attempt ${step.retryCount})...`;
-}
+  const position = state.position;
+  variables[step.as] = state.items[position];
+  if (step.index) {
+    variables[step.index] = position;
+  }
 
-/**
- * Generate progressive help messages for repeated failures
- */
-function generateProgressiveHelpMessage(step: FlowStep, error: Error, retryCount: number): string {
-  const toolName = step.tool || 'tool';
-  let message = `💡 **Retry Help** (Attempt ${retryCount}):\n\n`;
+  // Continuation goes underneath the body so it runs once the body is done
+  currentFlowFrame.flowStepsStack.push({ ...step, _foreach: { ...state, position: position + 1 } });
 
-  if (retryCount === 2) {
-    message += `The "${toolName}" operation failed again. Here are some things to check:\n`;
-    message += `• Make sure your input data is complete and valid\n`;
-    message += `• Check that all required fields are provided\n`;
-    message += `• Verify the format matches what's expected\n\n`;
-  } else if (retryCount === 3) {
-    message += `We're seeing repeated issues with "${toolName}". Additional troubleshooting:\n`;
-    message += `• Try using simpler or different input values\n`;
-    message += `• Check if there are any special characters causing issues\n`;
-    message += `• Consider contacting support if this persists\n\n`;
-    message += `**Error details:** ${error.message}\n\n`;
-  } else if (retryCount >= 4) {
-    message += `This is attempt ${retryCount} for "${toolName}". Consider:\n`;
-    message += `• Canceling this operation and trying a different approach\n`;
-    message += `• Contacting technical support for assistance\n`;
-    message += `• Checking system status or trying again later\n\n`;
+  const body = getForeachBody(step);
+  for (let i = body.length - 1; i >= 0; i--) {
+    currentFlowFrame.flowStepsStack.push(body[i]);
   }
 
-  return message;
+  logger.info(`FOREACH step "${step.id}": iteration ${position + 1}/${state.items.length}, pushed ${body.length} body step(s)`);
+  return `FOREACH iteration ${position + 1}/${state.items.length}`;
 }
 
-// === ENHANCED STEP HANDLERS ===
-async function handleToolStep(currentFlowFrame: FlowFrame, engine: Engine): Promise<string> {
-  // Extract what we need from the currentFlowFrame
-  const step = currentFlowFrame.flowStepsStack.pop()!; // This handler pops its own step
-  const contextStack = currentFlowFrame.contextStack;
-  const inputStack = currentFlowFrame.inputStack;
-  const input = inputStack[inputStack.length - 1];
-  const flowsMenu = engine.flowsMenu; // Access the global flows menu
+/**
+ * Resolves a FOREACH `items` attribute to an array. Strings are evaluated as
+ * expressions (like SET values) so both `cart.lines` and `{{cart.lines}}` work.
+ */
+function resolveStepItems(step: FlowStep, currentFlowFrame: FlowFrame, engine: Engine): unknown[] {
+  let items: unknown = typeof step.items === 'string'
+    ? evaluateExpression(step.items, currentFlowFrame.variables || {}, [], {
+      context: 'javascript-evaluation', // Preserve arrays/objects
+      returnType: 'auto'
+    }, engine)
+    : step.items;
 
-  const startTime = Date.now();
+  if (isUserInputVariable(items)) {
+    items = (items as Record<string, unknown>).value;
+  }
 
-  // Initialize retry count if not present
-  if (step.retryCount === undefined) {
-    step.retryCount = 0;
+  // Tool results are sometimes stored as JSON text
+  if (typeof items === 'string') {
+    try {
+      items = JSON.parse(items);
+    } catch {
+      // Not JSON - reported below
+    }
   }
 
-  // Perform input validation before tool execution
-  const validationResult = await performStepInputValidation(step, currentFlowFrame, engine);
-  if (!validationResult.isValid) {
-    // Handle validation failure with user-friendly retry
-    return await handleValidationFailure(step, validationResult, currentFlowFrame, engine);
+  if (items === undefined || items === null) {
+    logger.warn(`${step.type} step "${step.id}": 'items' resolved to ${items}, treating it as empty`);
+    return [];
   }
 
-  try {
-    logger.info(`Executing tool ${step.tool} (attempt ${step.retryCount + 1})`);
+  if (!Array.isArray(items)) {
+    throw new Error(`${step.type} step "${step.id}": 'items' must resolve to an array (got ${typeof items})`);
+  }
 
-    // Rate limiting check
-    checkRateLimit(engine, currentFlowFrame.userId, step.tool || '');
+  return items;
+}
 
-    const result = await generateToolCallAndResponse(engine, step.tool!, input, contextStack, currentFlowFrame.userId, currentFlowFrame.transaction.id, currentFlowFrame, step.args);
-    const duration = Date.now() - startTime;
+/**
+ * Normalizes a FOREACH `do` attribute into a list of steps. A string names a
+ * sub-flow, which is called once per item.
+ */
+function getForeachBody(step: FlowStep): FlowStep[] {
+  if (typeof step.do === 'string') {
+    return [{ id: `${step.id || 'foreach'}-do`, type: 'FLOW', value: step.do }];
+  }
+  if (Array.isArray(step.do)) {
+    return step.do;
+  }
+  return step.do ? [step.do] : [];
+}
 
-    // Log successful tool execution
-    auditLogger.logToolExecution(step.tool!, input, result, duration, currentFlowFrame.userId, currentFlowFrame.transaction.id);
+async function handleSubFlowStep(currentFlowFrame: FlowFrame, engine: Engine): Promise<string> {
+  try {
+    logger.info(`Handling sub-flow step in flow: ${currentFlowFrame.flowName}`);
 
-    // Add result to enhanced context stack with role information
-    addToContextStack(
-      contextStack,
-      'tool',
-      result,
-      step.id,
-      step.tool,
-      { duration, status: 'success' }
-    );
-    inputStack.push(result);
+    // Extract what we need from the currentFlowFrame
+    const step = currentFlowFrame.flowStepsStack.pop()!; // This handler pops its own step
+    const input = currentFlowFrame.inputStack[currentFlowFrame.inputStack.length - 1];
+    const flowsMenu = engine.flowsMenu; // Access the global flows menu
 
-    // Store result in named variable if specified
-    if (step.variable && currentFlowFrame.variables !== undefined) {
-      currentFlowFrame.variables[step.variable] = result;
-      logger.info(`Stored tool result in variable '${step.variable}': ${typeof result === 'object' ? JSON.stringify(result) : result}`);
-    }
+    // Get raw flow name, then interpolate if it contains template syntax
+    const rawFlowName = step.value || step.name;
+    const subFlowName = rawFlowName && rawFlowName.includes('{{')
+      ? interpolateMessage(rawFlowName, currentFlowFrame.contextStack, currentFlowFrame.variables, engine)
+      : rawFlowName;
 
-    // Tools always auto-proceed - return result and let flow continue naturally
-    logger.info(`Tool completed successfully, continuing to next step`);
-    return typeof result === 'string' ? result : `Tool ${step.tool} executed successfully.`;
+    logger.debug(`Sub-flow name resolution: raw="${rawFlowName}" -> interpolated="${subFlowName}"`);
 
-  } catch (error: any) {
-    const duration = Date.now() - startTime;
-    logger.warn(`Error executing tool ${step.tool}:`, error);
-    logger.info(`Stack trace: ${error.stack}`);
+    const subFlow = flowsMenu?.find(f => f.name === subFlowName || f.id === subFlowName);
 
-    // Set the right most instance of 'Failed ...' in the tool's variable
-    if (step.variable && currentFlowFrame.variables !== undefined) {
-      // Find the right most instance of 'Failed ...' in the error message
-      const errorMessage = error.message || 'Error: Unknown error';
-      const rightIndex = errorMessage.lastIndexOf('Failed ');
-      let errorMatch = null;
-      if (rightIndex !== -1) {
-        // Extract the error last instance of 'Failed ' occurrence including the 'Failed '
-        errorMatch = errorMessage.substring(rightIndex);
-      }
-      if (errorMatch) {
-        currentFlowFrame.variables[step.variable] = errorMatch;
-      } else {
-        currentFlowFrame.variables[step.variable] = errorMessage;
+    if (!subFlow) {
+      logger.warn(`Sub-flow not found: ${subFlowName}`);
+      if (isInsideTry(engine)) {
+        throw new FlowStepError(getSystemMessage(engine, 'subflow_not_found', { subFlowName }), 'subflow_not_found', step.id);
       }
-      logger.info(`Stored tool error in variable '${step.variable}': ${currentFlowFrame.variables[step.variable]}`);
+      return getSystemMessage(engine, 'subflow_not_found', { subFlowName });
     }
 
-    // Log tool error
-    auditLogger.logToolError(step.tool!, input, error, duration, currentFlowFrame.userId, currentFlowFrame.transaction.id);
+    const callType = step.callType || "call"; // Default to normal sub-flow call
 
-    // Enhanced retry logic: check if we should retry this step
-    const shouldRetry = await shouldRetryStep(step, error, currentFlowFrame, engine) || (!step.onFail && generateSmartRetryDefaultOnFail(step, error, currentFlowFrame));
-    // Default to 2 retries for a total of 3 attempts
-    if (shouldRetry && step.retryCount < (step.maxRetries || 2)) {
-      return await retryCurrentStep(step, error, currentFlowFrame, engine);
+    // === PARAMETER HANDLING ===
+    // Extract parameters from the step definition
+    let flowParameters: Record<string, unknown> = {};
+    if (step.parameters && typeof step.parameters === 'object') {
+      logger.info(`Processing parameters for sub-flow ${subFlow.name}:`, step.parameters);
+      
+      // Interpolate parameters using current context
+      const combinedVariables = {
+        ...currentFlowFrame.variables,
+        ...getEngineSessionVariables(engine, currentFlowFrame.contextStack)
+      };
+      
+      flowParameters = interpolateStepValue(step.parameters, combinedVariables, engine) as Record<string, unknown>;
+      logger.debug(`Interpolated flow parameters:`, flowParameters);
     }
 
-    // Enhanced error handling: Check for explicit onFail or use smart default
-    const effectiveOnFail = step.onFail; /*|| generateSmartDefaultOnFail(step, error, currentFlowFrame)*/
-
-    if (effectiveOnFail) {
-      logger.info(`Executing ${step.onFail ? 'explicit' : 'smart default'} onFail step for tool ${step.tool}`);
+    logger.info(`Starting sub-flow ${subFlow.name} with callType: ${callType}, input: ${input}`);
 
-      // Handle array of onFail steps
-      const onFailStep = Array.isArray(effectiveOnFail) ? effectiveOnFail[0] : effectiveOnFail;
-      const callType = onFailStep.callType || (onFailStep.type === "FLOW" ? "replace" : undefined); // Default to replace for FLOW onFail
+    if (callType === "reboot") {
+      // Clear ALL flows across ALL stacks and start completely fresh
+      logger.info(`Rebooting system with flow: ${subFlow.name}`);
 
-      // Extract parameters from the onFailStep definition (just like handleSubFlowStep)
-      let flowParameters: Record<string, unknown> = {};
-      if (onFailStep.parameters && typeof onFailStep.parameters === 'object') {
-        const combinedVariables = {
-          ...currentFlowFrame.variables,
-          ...getEngineSessionVariables(engine, currentFlowFrame.contextStack)
-        };
-        // Interpolate parameters using current context
-        flowParameters = interpolateObject(onFailStep.parameters, combinedVariables, {}, engine) as Record<string, unknown>;
-        logger.debug(`Interpolated onFail flow parameters:`, flowParameters);
+      // Clean up ALL existing flows across ALL stacks (using proven user exit pattern)
+      const exitedFlows: string[] = [];
+      while (engine.flowStacks.length > 0) {
+        const poppedStack = engine.flowStacks.pop();
+        if (!poppedStack || poppedStack.length === 0) {
+          continue;
+        }
+        // Process all flows in this stack
+        for (const flow of poppedStack) {
+          TransactionManager.fail(flow.transaction, `System rebooted to flow ${subFlow.name}`);
+          exitedFlows.push(flow.flowName);
+          auditLogger.logFlowExit(flow.flowName, currentFlowFrame.userId, flow.transaction.id, 'system_reboot');
+        }
       }
 
-      if (callType === "reboot") {
-        // Clear ALL flows across ALL stacks and start completely fresh with the onFail flow
-        logger.info(`Rebooted due to 'reboot' type of onFail step: ${onFailStep.id || onFailStep.name} in flow ${currentFlowFrame.flowName} for tool ${step.tool}`);
+      // Also fail the current flow frame that initiated the reboot
+      TransactionManager.fail(currentFlowFrame.transaction, `System rebooted to flow ${subFlow.name}`);
+      exitedFlows.push(currentFlowFrame.flowName);
+      auditLogger.logFlowExit(currentFlowFrame.flowName, currentFlowFrame.userId, currentFlowFrame.transaction.id, 'system_reboot');
 
-        // Clean up ALL existing flows across ALL stacks (using proven user exit pattern)
-        const exitedFlows: string[] = [];
-        while (engine.flowStacks.length > 0) {
-          const poppedStack = engine.flowStacks.pop();
-          if (!poppedStack || poppedStack.length === 0) {
-            continue;
-          }
-          // Process all flows in this stack
-          for (const flow of poppedStack) {
-            TransactionManager.fail(flow.transaction, `Popped: ${flow?.flowName} due to 'reboot' type of onFail step: ${onFailStep.id || onFailStep.name} in flow ${flow?.flowName} for tool ${step.tool}`);
-            exitedFlows.push(flow.flowName);
-            auditLogger.logFlowExit(flow.flowName, currentFlowFrame.userId, flow.transaction.id, 'onFail_reboot');
-          }
-        }
+      // Reset the stacks only — NOT the accumulated message buffer. Any SAY
+      // emitted before this reboot (e.g. "our live agent team isn't available
+      // right now") must carry into the reboot target and be delivered with its
+      // output. The free initializeFlowStacks(engine) ALSO calls
+      // getAndClearAccumulatedMessages(), which silently dropped those pending
+      // user-facing messages.
+      engine.initializeFlowStacks();
 
-        // Reset the stacks only — NOT the accumulated message buffer, so any
-        // user-facing SAY emitted before the failure carries into the onFail
-        // reboot target and is delivered with its output (same as the FLOW-step
-        // reboot). The free initializeFlowStacks(engine) would also clear the
-        // buffer via getAndClearAccumulatedMessages().
-        engine.initializeFlowStacks();
+      // Start the reboot flow as the only flow in the system
+      const transaction = TransactionManager.create(subFlow.name, 'reboot', currentFlowFrame.userId);
 
-        // Start the onFail flow as a new root flow
-        if (onFailStep.type === "FLOW") {
-          const rebootFlow = flowsMenu?.find(f => f.name === onFailStep.value || f.id === onFailStep.value);
-          if (rebootFlow) {
-            const transaction = TransactionManager.create(rebootFlow.name, 'reboot-recovery', currentFlowFrame.userId);
+      const variables = getInitialVariables(engine, subFlow);
+      Object.assign(variables, flowParameters); // Inject parameters
 
-            const variables = getInitialVariables(engine, rebootFlow);
-            Object.assign(variables, flowParameters); // Inject interpolated parameters
+      pushToCurrentStack(engine, {
+        flowName: subFlow.name,
+        flowId: subFlow.id,
+        flowVersion: subFlow.version,
+        flowStepsStack: [...subFlow.steps].reverse(),
+        contextStack: [{ role: 'user', content: input, timestamp: Date.now() }],
+        inputStack: [input],
+        variables, // Fresh variables for reboot flow
+        transaction,
+        userId: currentFlowFrame.userId,
+        startTime: Date.now()
+      });
 
-            pushToCurrentStack(engine, {
-              flowName: rebootFlow.name,
-              flowId: rebootFlow.id,
-              flowVersion: rebootFlow.version,
-              flowStepsStack: [...rebootFlow.steps].reverse(),
-              contextStack: [{ role: 'user', content: input, timestamp: Date.now() }],
-              inputStack: [input],
-              variables: variables, // Fresh variables for reboot flow (with injected params)
-              transaction,
-              userId: currentFlowFrame.userId,
-              startTime: Date.now()
-            });
-            auditLogger.logFlowStart(rebootFlow.name, input, currentFlowFrame.userId, transaction.id);
-          } else {
-            logger.error(`Reboot flow ${onFailStep.value} in onFail: ${onFailStep.id || onFailStep.name} not found in flows menu`);
-          }
-        } else {
-          // Handle non-FLOW onFail steps in reboot mode
-          currentFlowFrame.flowStepsStack = [onFailStep];
-        }
+      auditLogger.logFlowStart(subFlow.name, input, currentFlowFrame.userId, transaction.id);
+      logger.info(`System completely rebooted to flow ${subFlow.name}. Exited flows: ${exitedFlows.join(', ')}`);
+      return `System rebooted to flow ${subFlow.name}`;
 
-        logger.info(`System completely rebooted due to onFail step for tool ${step.tool}. Exited flows: ${exitedFlows.join(', ')}`);
-        return `System rebooted due to onFail step for tool ${step.tool}. Starting recovery flow ${onFailStep.name}`;
+    } else if (callType === "replace") {
+      // Replace current flow's steps with the sub-flow's steps
+      logger.info(`Replacing current flow ${currentFlowFrame.flowName} with ${subFlow.name}`);
+      logger.debug(`Current flowStepsStack length before replace: ${currentFlowFrame.flowStepsStack.length}`);
 
-      } else if (callType === "replace") {
-        logger.info(`Replacing current flow steps with onFail step(s) for tool ${step.tool}`);
+      // Update current frame to become the new flow
+      currentFlowFrame.flowName = subFlow.name;
+      currentFlowFrame.flowId = subFlow.id;
+      currentFlowFrame.flowVersion = subFlow.version;
+      currentFlowFrame.flowStepsStack = [...subFlow.steps].reverse();
+      addToContextStack(currentFlowFrame.contextStack, 'user', input);
+      currentFlowFrame.inputStack.push(input);
 
-        // Current behavior - replace remaining steps in current flow
-        if (Array.isArray(effectiveOnFail)) {
-          currentFlowFrame.flowStepsStack = effectiveOnFail;
-        } else {
-          currentFlowFrame.flowStepsStack = [effectiveOnFail];
-        }
+      // Inject parameters into current variables
+      if (Object.keys(flowParameters).length > 0) {
+         logger.info(`Injecting parameters into variables for flow ${subFlow.name}`, flowParameters);
+         Object.assign(currentFlowFrame.variables, flowParameters);
+         logger.info(`Variables after injection:`, currentFlowFrame.variables);
+      }
 
-        // Inject parameters into current variables
-        if (Object.keys(flowParameters).length > 0) {
-          Object.assign(currentFlowFrame.variables, flowParameters);
-        }
+      // Update transaction
+      TransactionManager.fail(currentFlowFrame.transaction, `Replaced by flow ${subFlow.name}`);
+      currentFlowFrame.transaction = TransactionManager.create(subFlow.name, 'replacement', currentFlowFrame.userId);
 
-        return `Tool ${step.tool} failed, executing onFail step`;
+      auditLogger.logFlowStart(subFlow.name, input, currentFlowFrame.userId, currentFlowFrame.transaction.id);
+      logger.debug(`About to return from handleSubFlowStep replacement, flowStepsStack length: ${currentFlowFrame.flowStepsStack.length}`);
+      return `Flow replaced with ${subFlow.name}`;
 
-      } else if (callType === "call") {
-        logger.info(`Calling onFail step as sub-flow for tool ${step.tool}`);
+    } else { // callType === "call" (default)
+      // Normal sub-flow call - create new transaction for sub-flow
+      const subTransaction = TransactionManager.create(subFlow.name, 'sub-flow', currentFlowFrame.userId);
 
-        // New behavior - call onFail as sub-flow (preserves current flow)
-        if (onFailStep.type === "FLOW") {
-          // Push onFail flow as sub-flow
-          const onFailFlow = flowsMenu?.find(f => f.name === onFailStep.name);
-          if (onFailFlow) {
-            const transaction = TransactionManager.create(onFailFlow.name, 'onFail-recovery', currentFlowFrame.userId);
+      // Isolated sub-flows start from globals + their own definition, like a root
+      // flow; parameters are their only input and END/outputs their only output
+      const isolate = step.isolateVariables !== undefined ? step.isolateVariables === true : subFlow.isolateVariables === true;
+      const variables = isolate
+        ? getInitialVariables(engine, subFlow)
+        : getInitialVariables(engine, subFlow, currentFlowFrame.variables);
+      Object.assign(variables, flowParameters); // Inject parameters
 
-            const variables = { ...currentFlowFrame.variables }; // Inherit variables
-            Object.assign(variables, flowParameters); // Inject interpolated parameters
+      // Push sub-flow onto stack - INHERIT parent's variables for unified scope (unless isolated)
+      pushToCurrentStack(engine, {
+        flowName: subFlow.name,
+        flowId: subFlow.id,
+        flowVersion: subFlow.version,
+        flowStepsStack: [...subFlow.steps].reverse(),
+        contextStack: [{ role: 'user', content: input, timestamp: Date.now() }],
+        inputStack: [input],
+        variables, // Inherit + merge flow definition variables
+        transaction: subTransaction,
+        userId: currentFlowFrame.userId,
+        startTime: Date.now(),
+        parentTransaction: currentFlowFrame.transaction.id,
+        ...(isolate ? { isolatedVariables: true } : {}),
+        ...(step.variable ? { returnVariable: step.variable } : {})
+      });
 
-            pushToCurrentStack(engine, {
-              flowName: onFailFlow.name,
-              flowId: onFailFlow.id,
-              flowVersion: onFailFlow.version,
-              flowStepsStack: [...onFailFlow.steps].reverse(),
-              contextStack: [...currentFlowFrame.contextStack], // Inherit context
-              inputStack: [...currentFlowFrame.inputStack],
-              variables: variables,
-              transaction,
-              userId: currentFlowFrame.userId,
-              startTime: Date.now()
-            });
-            auditLogger.logFlowStart(onFailFlow.name, input, currentFlowFrame.userId, transaction.id);
-            return `Tool ${step.tool} failed, calling recovery flow ${onFailFlow.name}`;
-          }
-        } else {
-          // Handle non-FLOW onFail steps as immediate execution
-          currentFlowFrame.flowStepsStack.unshift(onFailStep);
-          return `Tool ${step.tool} failed, executing onFail step`;
-        }
-      } else {
-        logger.info(`Adding non FLOW onFail step: ${onFailStep.id || onFailStep.name} to current flow stack for tool ${step.tool}`);
-        // Handle non-FLOW onFail steps as immediate execution
-        currentFlowFrame.flowStepsStack.unshift(onFailStep);
-        return `Tool ${step.tool} failed, executing onFail step`;
-      }
-    }
+      auditLogger.logFlowStart(subFlow.name, input, currentFlowFrame.userId, subTransaction.id);
 
-    // CANCEL remaining steps if no effective onFail handler is available and tool failed
-    if (!effectiveOnFail) {
-      // Remove all remaining steps from the stack
-      currentFlowFrame.flowStepsStack = [];
-      logger.info(`Cancelling flow ${currentFlowFrame.flowName} due to unrecoverable error: ${error.message}`);
+      // Sub-flow has been pushed to stack - let playFlowFrame's loop handle it
+      logger.info(`Sub-flow ${subFlow.name} pushed to stack, will be processed by main loop`);
+      return `Sub-flow ${subFlow.name} started`;
     }
-
-    // No onFail handler available - use default error message
-    const defaultMessage = getSystemMessage(engine, 'tool_failed', {
-      toolName: step.tool,
-      errorMessage: error.message
-    });
-    return defaultMessage;
+  } catch (error: any) {
+    if (error instanceof FlowStepError) throw error; // Reaches the enclosing TRY unchanged
+    logger.error(`Error handling sub-flow step: ${error.message}`);
+    logger.info(`Stack trace: ${error.stack}`);
+    throw new Error(`Failed to handle sub-flow step: ${error.message}`);
   }
 }
 
-function handleSayStep(currentFlowFrame: FlowFrame, engine: Engine): null {
-  // Extract what we need from the currentFlowFrame
-  const step = currentFlowFrame.flowStepsStack.pop()!; // This handler pops its own step
-  const contextStack = currentFlowFrame.contextStack;
-
-  // Check for session language first, then fallback to engine language
-  let lang = engine.language;
-  lang = engine.getSessionLanguage() || lang;
+// === TOOL CALLING AND ARGUMENT GENERATION SYSTEM ===
+async function generateToolCallAndResponse(
+  engine: Engine,
+  toolName: string,
+  input: unknown,
+  contextStack: ContextEntry[] = [],
+  userId: string = 'anonymous',
+  transactionId: string | null = null,
+  flowFrame: FlowFrame,
+  explicitArgs?: Record<string, unknown>,
+  signal?: AbortSignal // Cancels the call (PARALLEL branches that lost the race)
+): Promise<unknown> {
+  try {
+    const toolsRegistry = engine.toolsRegistry;
+    if (!toolsRegistry) {
+      throw new Error('Tools registry not found in engine');
+    }
+    const tool = toolsRegistry.find((t: any) => t.id === toolName);
+    if (!tool) {
+      throw new Error(`Tool ${toolName} not found in registry`);
+    }
 
-  const message = (lang && step[`value_${lang}`]) || step.value || '';
-  const interpolated = interpolateMessage(String(message), contextStack, currentFlowFrame?.variables, engine || undefined);
-  logger.info(`SAY step executed (non-blocking): "${interpolated}"`);
+    // Use explicit args if provided, otherwise generate them
+    let rawArgs: any;
+    if (explicitArgs && Object.keys(explicitArgs).length > 0) {
+      logger.info('Using explicit args from step definition:', explicitArgs);
+      rawArgs = explicitArgs;
+    } else {
+      // Generate and validate arguments with conversation context
+      rawArgs = await generateToolArgs(tool.schema || tool.parameters, input, contextStack, flowFrame, engine);
+    }
 
-  // Add assistant message to context stack
-  addToContextStack(contextStack, 'assistant', interpolated, step.id);
+    // === TEMPLATE INTERPOLATION FOR ARGS ===
+    // Interpolate {{variable}} templates in the args using current flow variables
+    if (flowFrame && rawArgs && typeof rawArgs === 'object') {
+      try {
+        const variables = flowFrame.variables || {};
+        const contextStack = flowFrame.contextStack || [];
 
-  // Use global accumulation when engine is available
-  if (engine && typeof engine.addAccumulatedMessage === 'function') {
-    engine.addAccumulatedMessage(interpolated);
-    logger.info(`SAY message globally accumulated.`);
-    logger.debug(`Current globally accumulated messages: ${JSON.stringify(engine.globalAccumulatedMessages)}`);
-  } else {
-    // This case should ideally not happen in the main engine, but is a fallback.
-    logger.warn(`Engine not available for SAY step. Message may be lost: "${interpolated}"`);
-  }
+        logger.debug(`Interpolating args templates:`, rawArgs);
 
-  // Non-blocking: return null to continue processing next step
-  return null;
-}
+        // Combine flow variables with session cargo for template interpolation
+        const combinedVariables = {
+          ...variables,
+          ...getEngineSessionVariables(engine, contextStack)
+        };
 
-// SAY-GET step: outputs all accumulated messages + waits for user input
-function handleSayGetStep(currentFlowFrame: FlowFrame, engine: Engine): string | null {
-  // IMPORTANT: Don't pop the step yet! We need to defer the pop until after user input is processed
-  // This prevents the SAY-GET step from being lost during flow interruption/resumption
-  const step = currentFlowFrame.flowStepsStack[currentFlowFrame.flowStepsStack.length - 1]; // Peek at step without popping
-  const contextStack = currentFlowFrame.contextStack;
+        logger.debug(`Combined variables for interpolation: ${JSON.stringify(combinedVariables)}`);
 
-  // Check for session language first, then fallback to engine language
-  let lang = engine.language;
-  lang = engine.getSessionLanguage() || lang;
+        rawArgs = interpolateStepValue(rawArgs, combinedVariables, engine);
 
-  const message = (lang && step[`value_${lang}`]) || step.value || '';
-  const interpolated = interpolateMessage(String(message), contextStack, currentFlowFrame?.variables, engine || undefined);
-  logger.info(`SAY-GET step executed (blocking): "${interpolated}"`);
+        // SAFETY: Convert null values to appropriate defaults for schema-typed fields
+        // This handles production environments where default values get converted to null during config processing
+        const schema = tool.schema || tool.parameters;
+        logger.debug(`SAFETY CHECK CONDITIONS: schema: ${JSON.stringify(schema)} rawArgs=${!!rawArgs}, typeof=${typeof rawArgs}, schema=${!!schema}, schema.properties=${!!schema?.properties}`);
 
-  // Combine accumulated messages with current message
-  let finalMessage = interpolated;
+        if (rawArgs && typeof rawArgs === 'object' && schema?.properties) {
+          for (const [key, value] of Object.entries(rawArgs)) {
+            const schemaType = schema.properties[key]?.type as string;
 
-  // Use global accumulated messages (simplified - no local fallback)
-  if (engine.hasAccumulatedMessages()) {
-    const globalMessages = engine.getAndClearAccumulatedMessages!();
-    logger.info(`SAY-GET retrieved ${globalMessages.length} globally accumulated messages.`);
+            // Convert null values to appropriate defaults for schema-typed fields
+            const isNullValue = value === null || value === undefined;
 
-    // Check if we have a tentative flow_init that should be dropped
-    const hasTentativeFlowInit = engine.getTentativeFlowInit();
 
-    if (hasTentativeFlowInit) {
-      logger.info(`SAY-GET detected tentative flow_init, replacing with current message.`);
+            if (isNullValue && schemaType) {
+              logger.debug(`SAFETY CHECK: ${key} = ${JSON.stringify(value)}, isNull=${isNullValue}, schemaType=${schemaType}`);
+              switch (schemaType) {
+                case 'string':
+                  (rawArgs as any)[key] = '';
+                  logger.debug(`Converted null/empty object to empty string for ${key} (string field)`);
+                  break;
+                case 'number':
+                case 'integer':
+                  (rawArgs as any)[key] = 0;
+                  logger.debug(`Converted null/empty object to 0 for ${key} (${schemaType} field)`);
+                  break;
+                case 'boolean':
+                  (rawArgs as any)[key] = false;
+                  logger.debug(`Converted null/empty object to false for ${key} (boolean field)`);
+                  break;
+                case 'array':
+                  (rawArgs as any)[key] = [];
+                  logger.debug(`Converted null/empty object to empty array for ${key} (array field)`);
+                  break;
+                case 'object':
+                  (rawArgs as any)[key] = {};
+                  logger.debug(`Converted null/empty object to empty object for ${key} (object field)`);
+                  break;
+                default:
+                  logger.warn(`No conversion rule for null value of type ${schemaType} for key ${key}`);
+              }
+            }
+          }
+        }
 
-      // Clear the flag
-      engine.setTentativeFlowInit(false);
-      logger.debug(`SAY-GET cleared tentative flow_init flag.`);
+        logger.debug(`Interpolated args:`, rawArgs);
 
-      // Replace tentative flow_init with SAY messages only (guidance will be added by addFlowContextGuidance)
-      if (globalMessages.length > 1) {
-        // Drop the first message (tentative flow_init) and keep the rest (SAY messages)
-        finalMessage = `${globalMessages.slice(1).join('\n\n')}\n\n${interpolated}`;
-        logger.info(`SAY-GET combined ${globalMessages.length} messages, dropping tentative flow_init.`);
-      } else {
-        finalMessage = interpolated; // Only had flow_init, so just use current message
-        logger.info(`SAY-GET replaced tentative flow_init with current message.`);
+        // Debug each property specifically to see what's happening
+        if (rawArgs && typeof rawArgs === 'object') {
+          for (const [key, value] of Object.entries(rawArgs)) {
+            logger.debug(`Interpolated args - ${key}: ${JSON.stringify(value)} (type: ${typeof value})`);
+          }
+        }
+      } catch (error: any) {
+        if (error instanceof FlowStepError) throw error; // Unresolved template in strict mode
+        logger.warn(`Failed to interpolate args templates: ${error.message}`);
+        // Continue with original args if interpolation fails
       }
-    } else {
-      finalMessage = `${globalMessages.join('\n\n')}\n\n${interpolated}`;
-      logger.info(`SAY-GET combined ${globalMessages.length + 1} messages globally`);
     }
-  }
 
-  // Store the final message for future context pairing
-  if (currentFlowFrame) {
-    currentFlowFrame.lastSayMessage = finalMessage;
+    const validatedArgs = validateToolArgs(tool, rawArgs);
 
-    // Add assistant message to context stack
-    addToContextStack(contextStack, 'assistant', finalMessage, step.id);
+    const result = await callTool(engine, tool, validatedArgs, userId, transactionId, signal);
+    return validateToolOutput(tool, result);
+  } catch (error: any) {
+    logger.info(`Error generating tool call for ${toolName}: ${error.message}`);
+    throw error;
+  }
+}
 
-    // If this step has a variable attribute, it expects user input to be stored in that variable
-    if (step.variable) {
-      currentFlowFrame.pendingVariable = step.variable;
-      currentFlowFrame.pendingVariableContext = finalMessage; // Store question context for AI voice cleanup
-      logger.info(`SAY-GET step will store next user input in variable '${step.variable}' (step will be popped after input)`);
+async function generateToolArgs(schema: any, input: any, contextStack: ContextEntry[] = [], flowFrame: FlowFrame, engine: Engine): Promise<any> {
+  try {
+    if (!schema || typeof schema !== 'object') {
+      logger.warn(`Invalid schema provided for argument generation: ${schema}`);
+      return {};
+    }
 
-      // Expose digits setting to sessionContext.cargo for Twilio ConversationRelay integration
-      if (step.digits && engine.cargo) {
-        engine.cargo.digits = step.digits;
-        logger.info(`SAY-GET step exposed digits setting to cargo: ${JSON.stringify(step.digits)}`);
-      }
+    logger.info(`Generating tool arguments for schema: ${schema.name || schema.title || 'unknown'}`);
 
-      // Enhanced user guidance: Add contextual help to SAY-GET messages that expect input
-      const contextualMessage = addFlowContextGuidance(finalMessage, currentFlowFrame, engine);
-      currentFlowFrame.lastSayMessage = contextualMessage;
-      return contextualMessage;
-    } else {
-      // No variable to collect, pop the step now
-      currentFlowFrame.flowStepsStack.pop();
+    if (typeof input === 'object') {
+      logger.warn(`Using input object directly for args:`, input);
+      return input;
     }
-  }
-
-  return finalMessage;
-}
 
-// Add contextual guidance to SAY messages when user input is expected
-function addFlowContextGuidance(message: string, flowFrame: FlowFrame, engine: Engine): string {
-  // Check if guidance is disabled OR commands are disabled
-  if (!engine.guidanceConfig?.enabled || engine.getEnabledCommands().length === 0) {
-    return message;
-  }
+    logger.info(`Generating args for schema with input: "${input}"`);
 
-  // Check if this flow frame was just resumed - if so, skip regular guidance since
-  // consolidated resumption guidance was already provided
-  if (flowFrame.justResumed === true) {
-    flowFrame.justResumed = false; // Clear the flag after first use
-    return message;
-  }
+    if (schema && schema.properties && Object.keys(schema.properties).length > 0) {
+      const args = generateEnhancedFallbackArgs(schema, input, flowFrame);
+      logger.info(`Generated args:`, args);
 
-  const config = engine.guidanceConfig;
+      if (Object.keys(args).length > 0) {
+        return args;
+      }
 
-  // Use root flow name for guidance context (first flow in stack)
-  const currentStack = getCurrentStack(engine);
-  const rootFlow = currentStack && currentStack.length > 0 ? currentStack[0] : null;
-  const flowName = rootFlow?.flowName || flowFrame.flowName; // Fallback to current if no root
+      // Fallback to AI argument generation
+      logger.info('Enhanced fallback failed, trying AI argument generation...');
+      try {
+        const aiArgs = await generateArgsWithAI(schema, input, contextStack, flowFrame, engine);
+        if (Object.keys(aiArgs).length > 0) {
+          logger.info('AI argument generation succeeded:', aiArgs);
+          return aiArgs;
+        }
+      } catch (error: any) {
+        logger.warn('AI argument generation failed:', error.message);
+      }
+    }
 
-  // Determine context type
-  let contextType: 'general' | 'payment';
-  if (config.contextSelector === 'auto') {
-    const isFinancialFlow = flowName.toLowerCase().includes('payment') ||
-      flowName.toLowerCase().includes('transfer') ||
-      flowName.toLowerCase().includes('financial');
-    contextType = isFinancialFlow ? 'payment' : 'general';
-  } else {
-    contextType = config.contextSelector || 'general';
+    // Final fallback to generic mapping
+    return { userInput: input };
+  } catch (error: any) {
+    logger.error(`Error generating tool arguments: ${error.message}`);
+    logger.info(`Stack trace: ${error.stack}`);
+    throw new Error(`Failed to generate tool arguments: ${error.message}`);
   }
+}
 
-  let guidance = '';
+async function generateArgsWithAI(schema: any, input: any, contextStack: ContextEntry[], flowFrame: FlowFrame, engine: Engine): Promise<any> {
+  const properties = schema.properties || {};
+  const required = schema.required || [];
 
-  // Get guidance message
-  if (config.guidanceMessages) {
-    // Check if it's multi-language format (has language keys like 'en', 'es')
-    // Check for session language first, then fallback to engine language
-    let language = engine.language || 'en';
-    language = engine.getSessionLanguage() || language;
+  const schemaDescription = Object.entries(properties)
+    .map(([key, prop]: [string, any]) => {
+      const req = required.includes(key) ? ' (required)' : ' (optional)';
+      const desc = prop.description || '';
+      const pattern = prop.pattern ? ` Pattern: ${prop.pattern}` : '';
+      const range = prop.minimum !== undefined && prop.maximum !== undefined
+        ? ` Range: ${prop.minimum}-${prop.maximum}` : '';
+      return `${key}: ${prop.type}${req} - ${desc}${pattern}${range}`;
+    })
+    .join('\n');
 
-    // Check if guidanceMessages has language properties (multi-language format)
-    if (typeof config.guidanceMessages === 'object' &&
-      (config.guidanceMessages as any)[language] &&
-      typeof (config.guidanceMessages as any)[language] === 'object') {
-      // Multi-language format: { en: { general: "...", payment: "..." }, es: { ... } }
-      const languageMessages = (config.guidanceMessages as MessageRegistry)[language];
-      guidance = languageMessages?.[contextType] || '';
-    } else if (typeof config.guidanceMessages === 'object' &&
-      (config.guidanceMessages as any)[contextType] &&
-      typeof (config.guidanceMessages as any)[contextType] === 'string') {
-      // Single-language format: { general: "...", payment: "..." }
-      guidance = (config.guidanceMessages as any)[contextType];
-    }
-  }
+  // Build variables context for intelligent argument generation
+  let variablesContext = '';
+  if (flowFrame && flowFrame.variables && Object.keys(flowFrame.variables).length > 0) {
+    variablesContext = '<variables-context>:\n' +
+      Object.entries(flowFrame.variables)
+        .map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+        .join('\n');
 
-  // Fallback to centralized messaging system if no custom guidance found
-  if (!guidance) {
-    // Try centralized messaging system first
-    const messageId = contextType === 'payment' ? 'flow_help_payment' : 'flow_help_general';
-    guidance = getSystemMessage(engine, messageId, {
-      flowName,
-      flowPrompt: getFlowPrompt(engine, flowName)
-    });
+    variablesContext += '\n</variables-context>';
+  }
 
-    // If still no guidance from system messages, try command-based fallback
-    if (!guidance) {
-      // Generate dynamic guidance messages based on enabled commands
-      let availableOptions: string[] = [];
+  // Use the enhanced fetchAiTask worker with JSON schema
+  const task = "You are a tool argument generator. Extract arguments from the current context based on the schema.";
 
-      if (engine.isCommandEnabled('cancel')) {
-        availableOptions.push("'cancel flow'");
-      }
-      if (engine.isCommandEnabled('help')) {
-        availableOptions.push("'help'");
-      }
-      if (engine.isCommandEnabled('status')) {
-        availableOptions.push("'status'");
-      }
+  const rules = `Instructions:
+1. PRIORITIZE available variables - use them to auto-fill required parameters
+2. Extract remaining fields from the current context data
+3. Return ONLY a valid JSON object with the schema fields
+4. If a required field cannot be determined, use reasonable defaults or null
 
-      if (availableOptions.length > 0) {
-        guidance = `Type ${availableOptions.join(' or ')} for options.`;
-      }
-    }
+Variable Usage Priority:
+- accountNumber: Use variables like "accountNumber", "accountInfo.accountId", etc.
+- amount: Use variables like "amount", "paymentAmount", etc.
+- Other fields: Check for exact variable name matches first
 
-    // If no guidance found, leave guidance empty - respect implementer's intent!
-    // DO NOT force "Continue with your response" - that's unwanted prompt injection!
-  }
+Context Extraction Examples:
+- For accountNumber: extract numbers from context like "my account is 123456" → "123456"
+- For amount: extract currency amounts like "$50.00" or "50 dollars" → 50.00  
+- For city: use location names directly like "London" → "London"`;
 
-  // Apply template interpolation to guidance if needed
-  if (guidance && guidance.includes('{{')) {
-    guidance = guidance.replace(/\{\{([^}]+)\}\}/g, (match, key) => {
-      const context: any = {
-        flowName,
-        flowPrompt: getFlowPrompt(engine, flowName),
-        message
-      };
-      return context[key] || match;
-    });
+  // Flatten the chat context for AI processing using enhanced role-aware formatting
+  let chatContext = '';
+  if (contextStack && contextStack.length > 0) {
+    // Use the new enhanced flattening with role information
+    chatContext = flattenContextStack(contextStack, true);
+  } else {
+    chatContext = 'No previous context available';
   }
 
-  // If no guidance content, return original message (respect implementer's intent for no prompts)
-  if (!guidance || guidance.trim() === '') {
-    return message;
-  }
+  // Wrap the chat context for AI processing
+  chatContext = '<chat-context>:\n' +
+    chatContext + '\n' +
+    '</chat-context>';
 
-  // Apply integration mode
-  switch (config.mode) {
-    case 'none':
-      return message;
+  const context = variablesContext || 'No variables available';
 
-    case 'prepend':
-      const separator = config.separator || '\n\n';
-      return guidance + separator + message;
+  try {
+    const aiResponse = await fetchAiTask(task, rules, context, String(input), [], schemaDescription, engine.aiCallback, engine.aiTimeOut);
 
-    case 'append':
-      const appendSeparator = config.separator || '\n\n';
-      return message + appendSeparator + guidance;
+    // When we expect JSON args, the response should be parsed as an object
+    const args = typeof aiResponse === 'string' ? JSON.parse(aiResponse) : aiResponse;
 
-    case 'template':
-      if (config.template) {
-        return config.template
-          .replace(/\{\{message\}\}/g, message)
-          .replace(/\{\{guidance\}\}/g, guidance)
-          .replace(/\{\{flowName\}\}/g, flowName);
+    // Type coercion and validation
+    const validatedArgs: Record<string, unknown> = {};
+    for (const [key, prop] of Object.entries(properties) as [string, PropertySchema][]) {
+      if (args && typeof args === 'object' && key in args) {
+        const argValue = (args as Record<string, unknown>)[key];
+        if (argValue !== undefined && argValue !== null) {
+          if (prop.type === 'number' && typeof argValue === 'string') {
+            const num = parseFloat(argValue);
+            if (!isNaN(num)) {
+              validatedArgs[key] = num;
+            }
+          } else if (prop.type === 'string') {
+            validatedArgs[key] = String(argValue);
+          } else if (typeof argValue === prop.type) {
+            validatedArgs[key] = argValue;
+          }
+        }
       }
-    // Fall through to append if no template provided
+    }
 
-    default:
-      const defaultSeparator = config.separator || '\n\n';
-      return message + defaultSeparator + guidance;
+    return validatedArgs;
+  } catch (error: any) {
+    logger.warn(`Error in AI argument generation: ${error.message}`);
+    logger.info(`Stack trace: ${error.stack}`);
+    return {}; // Return empty object on failure
   }
 }
 
-function handleSetStep(currentFlowFrame: FlowFrame, engine: Engine): string {
-  // Extract what we need from the currentFlowFrame
-  const step = currentFlowFrame.flowStepsStack.pop()!; // This handler pops its own step
-
-  if (!step.variable || step.value === undefined) {
-    throw new Error(`SET step requires both 'variable' and 'value' attributes`);
-  }
+// Enhanced pattern-based fallback that uses variables and input parsing
+function generateEnhancedFallbackArgs(schema: any, input: any, flowFrame: FlowFrame): any {
+  const properties = schema.properties || {};
+  const required = schema.required || [];
+  const args: any = {};
 
-  // Support interpolation in SET values
-  // Use JavaScript evaluation context for security - strings will be properly quoted
-  const interpolatedValue = typeof step.value === 'string'
-    ? evaluateExpression(step.value, currentFlowFrame?.variables || {}, [], {
-      securityLevel: 'basic',
-      context: 'javascript-evaluation', // Force JavaScript context for SET values
-      returnType: 'auto'
-    }, engine)
-    : step.value;
+  // First priority - try to extract from unified variables
+  if (flowFrame && flowFrame.variables && Object.keys(flowFrame.variables).length > 0) {
+    for (const [key, prop] of Object.entries(properties) as [string, any][]) {
+      if (args[key]) continue; // Already found this property
 
-  if (currentFlowFrame && currentFlowFrame.variables !== undefined) {
-    currentFlowFrame.variables[step.variable] = interpolatedValue;
-    logger.info(`SET step: stored '${interpolatedValue}' in variable '${step.variable}'`);
-  }
+      // Direct variable match
+      if (flowFrame.variables[key] !== undefined) {
+        let value: any = flowFrame.variables[key];
 
-  return `Variable '${step.variable}' set to '${interpolatedValue}'`;
-}
+        // Handle user input wrapper objects
+        if (isUserInputVariable(value)) {
+          const userInputObj = value as Record<string, unknown>;
+          value = userInputObj.value;
+        }
 
-async function handleSwitchStep(currentFlowFrame: FlowFrame, engine: Engine): Promise<string> {
-  // Extract what we need from the currentFlowFrame
-  const step = currentFlowFrame.flowStepsStack.pop()!; // This handler pops its own step
+        // Type conversion if needed
+        if (prop.type === 'number' && typeof value === 'string') {
+          const num = parseFloat(value);
+          if (!isNaN(num)) {
+            value = num;
+          }
+        }
+        args[key] = value;
+        continue;
+      }
 
-  if (!step.variable || !step.branches) {
-    throw new Error(`SWITCH step requires both 'variable' and 'branches' attributes`);
+    }
   }
 
-  // Get the variable value to switch on
-  let switchValue = currentFlowFrame.variables ? currentFlowFrame.variables[step.variable] : undefined;
-
-  // Handle user input wrapper objects
-  if (isUserInputVariable(switchValue)) {
-    switchValue = (switchValue as Record<string, unknown>).value;
+  // If enhanced fallback didn't find anything useful, try simple pattern matching
+  if (Object.keys(args).length === 0) {
+    const simpleArgs = generateSimpleFallbackArgs(schema, input);
+    Object.assign(args, simpleArgs);
   }
 
-  logger.info(`SWITCH step: evaluating variable '${step.variable}' with value '${switchValue}'`);
+  logger.info(`Enhanced fallback generated args:`, args);
+  return args;
+}
 
-  // Find the matching branch (exact value matching only)
-  let selectedStep: FlowStep | null = null;
-  let selectedBranch: string | null = null;
+// Simple pattern-based fallback for common cases
+function generateSimpleFallbackArgs(schema: any, input: any): any {
+  const properties = schema.properties || {};
+  const required = schema.required || [];
+  const args: any = {};
 
-  // SWITCH now supports exact value matching for strings, booleans, and numbers
-  // For conditional logic, use the CASE step instead
-  if (switchValue !== undefined && step.branches[String(switchValue)]) {
-    selectedStep = step.branches[String(switchValue)];
-    selectedBranch = String(switchValue);
-    logger.info(`SWITCH: selected exact match branch '${switchValue}' (converted to string key '${String(switchValue)}')`);
+  // Look for common patterns
+  for (const [key, prop] of Object.entries(properties) as [string, any][]) {
+    if (prop.type === 'string') {
+      // For city/location queries
+      if (key === 'q' || key.includes('city') || key.includes('location')) {
+        args[key] = String(input).trim();
+        break;
+      }
+      // For account numbers
+      if (key.includes('account') && /^\d+$/.test(input.trim())) {
+        args[key] = input.trim();
+        break;
+      }
+    } else if (prop.type === 'number') {
+      // For amounts
+      if (key.includes('amount') || key.includes('price')) {
+        const match = input.match(/[\d.]+/);
+        if (match) {
+          const num = parseFloat(match[0]);
+          if (!isNaN(num)) {
+            args[key] = num;
+            break;
+          }
+        }
+      }
+    }
   }
 
-  // If no exact match found, use default
-  if (!selectedStep && step.branches.default) {
-    selectedStep = step.branches.default;
-    selectedBranch = 'default';
-    logger.info(`SWITCH: using default branch (no exact match for '${switchValue}')`);
+  // If no specific pattern matched, use the first required property
+  if (Object.keys(args).length === 0 && required.length > 0) {
+    const firstRequired = required[0];
+    const prop = properties[firstRequired];
+    if (prop.type === 'string') {
+      args[firstRequired] = String(input).trim();
+    }
   }
 
-  // If still no match, throw error
-  if (!selectedStep) {
-    const errorMessage = getSystemMessage(engine, 'switch_no_branch_found', { switchValue });
-    throw new Error(errorMessage);
+  return args;
+}
+
+// Cancelled calls (a PARALLEL branch that lost the race) stop before starting another attempt
+function throwIfCancelled(signal: AbortSignal | undefined, toolName: string): void {
+  if (signal?.aborted) {
+    throw new Error(`Tool ${toolName} cancelled`);
   }
+}
 
-  // SWITCH branches must contain exactly ONE step, not arrays
-  // If multiple steps are needed, use a FLOW step that references a sub-flow
-  logger.info(`SWITCH: executing step ${selectedStep.id || selectedStep.type} in branch '${selectedBranch}'`);
+async function callTool(engine: Engine, tool: any, args: any, userId: string = 'anonymous', transactionId: string | null = null, signal?: AbortSignal): Promise<any> {
+  try {
+    logger.info(`Calling tool ${tool.name} with args:`, args);
+    throwIfCancelled(signal, tool.name);
 
-  // Add the branch step to the current flow frame's stack
-  // This integrates properly with the playFlowFrame architecture
-  currentFlowFrame.flowStepsStack.push(selectedStep);
+    const APPROVED_FUNCTIONS = engine.APPROVED_FUNCTIONS;
+    // === SECURE LOCAL FUNCTION MODE ===
+    if (tool.implementation?.type === 'local' && tool.implementation?.function) {
+      if (!APPROVED_FUNCTIONS) {
+        throw new Error(`Approved functions registry not available`);
+      }
+      const fn = APPROVED_FUNCTIONS[tool.implementation.function];
+      if (!fn) {
+        throw new Error(`Function "${tool.implementation.function}" not found in approved functions registry`);
+      }
 
-  logger.info(`SWITCH: added branch step to stack. currentFlowFrame.flowStepsStack.length: ${currentFlowFrame.flowStepsStack.length}`);
+      // Apply timeout if configured
+      const timeout = tool.implementation.timeout || 5000;
+      let timeoutId: NodeJS.Timeout | undefined;
+      const timeoutPromise = new Promise((_, reject) => {
+        timeoutId = setTimeout(() => reject(new Error(`Tool execution timeout after ${timeout}ms - ${tool.implementation.function}`)), timeout);
+        signal?.addEventListener('abort', () => reject(new Error(`Tool ${tool.name} cancelled`)), { once: true });
+      });
 
-  // Return message indicating which branch was selected
-  return `SWITCH executed branch '${selectedBranch}', added step '${selectedStep.id || selectedStep.type}' to flow`;
-}
+      try {
+        // Determine how to call the function based on its signature and tool schema
+        let result;
 
-async function handleCaseStep(currentFlowFrame: FlowFrame, engine: Engine): Promise<string> {
-  // Extract what we need from the currentFlowFrame
-  const step = currentFlowFrame.flowStepsStack.pop()!; // This handler pops its own step
+        // Check if the tool schema indicates individual parameters vs object parameter
+        const toolSchema = tool.schema || tool.parameters || tool;
 
-  if (!step.branches) {
-    throw new Error(`CASE step requires 'branches' attribute`);
-  }
+        // Handle different schema formats:
+        // Format 1: JSONSchema with type="object" -> single object parameter
+        // Format 2: Direct parameters object -> individual parameters
+        let schemaProperties: Record<string, any> = {};
+        let useObjectParameter = false;
 
-  logger.info(`CASE step: evaluating conditions`);
+        if (tool.parameters?.type === "object" && tool.parameters?.properties) {
+          // Format 1: JSONSchema format { type: "object", properties: {...} }
+          // Function expects single object parameter
+          schemaProperties = tool.parameters.properties;
+          useObjectParameter = true;
+          logger.debug(`Detected JSONSchema format (type: object) - will use object parameter`);
+        } else if (tool.parameters && typeof tool.parameters === 'object' && !tool.parameters.type) {
+          // Format 2: Direct parameters { param1: {...}, param2: {...} }
+          // Function expects individual parameters
+          schemaProperties = tool.parameters;
+          useObjectParameter = false;
+          logger.debug(`Detected direct parameters format - will use individual parameters`);
+        } else if (toolSchema?.properties) {
+          // Fallback: Standard JSONSchema format
+          schemaProperties = toolSchema.properties;
+          useObjectParameter = toolSchema.type === "object";
+          logger.debug(`Detected schema.properties format - object parameter: ${useObjectParameter}`);
+        }
 
-  // Find the matching branch by evaluating conditions
-  let selectedStep: FlowStep | null = null;
-  let selectedBranch: string | null = null;
+        const propertyNames = Object.keys(schemaProperties);
 
-  // Use _branchOrder if available to guarantee correct evaluation order.
-  // DynamoDB Maps are unordered — without _branchOrder, Object.keys/entries
-  // may return branches in arbitrary order after deserialization.
-  const branchKeys = step._branchOrder || Object.keys(step.branches);
-  if (!step._branchOrder) {
-    logger.warn(`CASE step "${step.id}": missing _branchOrder — branch evaluation order may be incorrect after deserialization`);
-  }
+        // Get function parameter count
+        const fnParamCount = fn.length;
 
-  // Try condition-based matching (CASE only supports conditions, no variable matching)
-  for (const branchKey of branchKeys) {
-    if (branchKey === 'default') continue; // Skip default, handle later
+        logger.debug(`Function ${tool.implementation.function} parameter count: ${fnParamCount}`);
+        logger.debug(`Schema properties count: ${propertyNames.length}`);
+        logger.debug(`Schema properties: ${propertyNames.join(', ')}`);
+        logger.debug(`Use object parameter: ${useObjectParameter}`);
 
-    const branchStep = step.branches[branchKey];
-    if (!branchStep) {
-      logger.warn(`CASE: _branchOrder references missing branch '${branchKey}' — skipping`);
-      continue;
-    }
+        // Strategy 1: Schema explicitly indicates object parameter (JSONSchema format with type: "object")
+        if (useObjectParameter) {
+          logger.debug(`Calling function with single object parameter`);
+          result = await Promise.race([fn(args), timeoutPromise]);
+        }
+        // Strategy 2: Flat schema format OR multiple params - use individual parameters
+        // Note: function.length only counts params WITHOUT defaults, so we rely on schema properties count
+        else if (propertyNames.length > 0) {
+          logger.debug(`Calling function with individual parameters (schema has ${propertyNames.length} properties)`);
 
-    // Check if this is a condition branch
-    if (branchKey.startsWith('condition:')) {
-      const condition = branchKey.slice(10); // Remove 'condition:' prefix
-      logger.info(`CASE: evaluating condition '${condition}'`);
+          // For tools with 'parameters' property, use the required array or property order
+          let orderedParamNames: string[];
+          if (tool.required && Array.isArray(tool.required)) {
+            // Use required array order first, then add any optional parameters
+            const optionalParams = propertyNames.filter(name => !tool.required.includes(name));
+            orderedParamNames = [...tool.required, ...optionalParams];
+          } else {
+            // Fall back to property definition order (note: this may not be reliable in all JS engines)
+            orderedParamNames = propertyNames;
+          }
 
-      try {
-        // Evaluate the condition expression
-        const conditionResult = evaluateSafeCondition(condition, currentFlowFrame.variables || {}, engine);
-        logger.info(`CASE: condition '${condition}' evaluated to: ${conditionResult}`);
+          logger.debug(`Parameter order: ${orderedParamNames.join(', ')}`);
+          const orderedArgs = orderedParamNames.map(propName => {
+            const value = args[propName];
+            logger.debug(`Parameter ${propName}: ${JSON.stringify(value)}`);
+            return value;
+          });
+
+          logger.debug(`Calling ${tool.implementation.function}(${orderedArgs.map(arg => typeof arg === 'object' ? '[object]' : arg).join(', ')})`);
+          result = await Promise.race([fn(...orderedArgs), timeoutPromise]);
+        }
+        // Strategy 3: Function expects 0 parameters, call without arguments
+        else if (fnParamCount === 0) {
+          logger.debug(`Calling function with no parameters`);
+          result = await Promise.race([fn(), timeoutPromise]);
+        }
+        // Fallback: Use object approach
+        else {
+          logger.debug(`Calling function with object parameter (fallback)`);
+          result = await Promise.race([fn(args), timeoutPromise]);
+        }
 
-        if (conditionResult) {
-          selectedStep = branchStep;
-          selectedBranch = branchKey;
-          logger.info(`CASE: selected condition branch '${branchKey}'`);
-          break;
+        // Clear the timeout since function completed successfully
+        if (timeoutId) {
+          clearTimeout(timeoutId);
         }
+        return result;
       } catch (error: any) {
-        logger.warn(`CASE: condition evaluation failed for '${condition}':`, error.message);
-        continue; // Try next condition
+        // Clear the timeout on error as well
+        if (timeoutId) {
+          clearTimeout(timeoutId);
+        }
+
+        // Unconditional Retry logic for local functions
+        const retries = tool.implementation.retries || 0;
+        if (retries > 0 && !signal?.aborted) {
+          logger.info(`Retrying tool ${tool.name}, attempts remaining: ${retries}`);
+          const retryTool = { ...tool, implementation: { ...tool.implementation, retries: retries - 1 } };
+          return await callTool(engine, retryTool, args, userId, transactionId, signal);
+        }
+        throw error;
       }
-    } else {
-      // CASE step only supports condition branches, warn about invalid branches
-      logger.warn(`CASE: ignoring non-condition branch '${branchKey}' - CASE step only supports 'condition:' branches and 'default'`);
     }
-  }
-
-  // If no match found, use default
-  if (!selectedStep && step.branches.default) {
-    selectedStep = step.branches.default;
-    selectedBranch = 'default';
-    logger.info(`CASE: using default branch (no conditions matched)`);
-  }
 
-  // If still no match, throw error
-  if (!selectedStep) {
-    throw new Error(`CASE step: no conditions matched and no default branch provided`);
-  }
+    // === GRAPHQL TOOL CALL MODE ===
+    if (tool.implementation?.type === 'graphql') {
+      return await callGraphQLTool(tool, args, userId, transactionId, engine, signal);
+    }
 
-  // CASE branches must contain exactly ONE step, not arrays
-  // If multiple steps are needed, use a FLOW step that references a sub-flow
-  logger.info(`CASE: executing step ${selectedStep.id || selectedStep.type} in branch '${selectedBranch}'`);
+    // === MCP TOOL CALL MODE ===
+    if (tool.implementation?.type === 'mcp') {
+      return await callMcpTool(tool, args, engine, signal);
+    }
 
-  // Add the branch step to the current flow frame's stack
-  // This integrates properly with the playFlowFrame architecture
-  currentFlowFrame.flowStepsStack.push(selectedStep);
+    // === ENHANCED HTTP TOOL CALL MODE ===
+    return await callHttpTool(tool, args, userId, transactionId, engine, signal);
+  } catch (error: any) {
+    logger.info(`Error calling tool ${tool.name}: ${error.message}`);
+    logger.info(`Stack trace: ${error.stack}`);
+    throw error; // Re-throw to propagate error
+  }
+}
 
-  logger.info(`CASE: added branch step to stack. currentFlowFrame.flowStepsStack.length: ${currentFlowFrame.flowStepsStack.length}`);
+/**
+ * Resolve GraphQL variables from tool args: "$args.path" strings (at any depth) read the
+ * tool arguments and every other value is sent as-is. Without a variables map, the tool
+ * args themselves are the variables.
+ */
+function buildGraphQLVariables(variables: unknown, args: Record<string, unknown>): Record<string, unknown> {
+  if (variables === undefined || variables === null) {
+    return { ...args };
+  }
 
-  // Return message indicating which branch was selected
-  return `CASE executed branch '${selectedBranch}', added step '${selectedStep.id || selectedStep.type}' to flow`;
+  const resolve = (value: unknown): unknown => {
+    if (typeof value === 'string' && value.startsWith('$args.')) {
+      return extractByPath(args, value.slice(6)) ?? undefined; // Missing args are left out of the request
+    }
+    if (Array.isArray(value)) {
+      return value.map(resolve);
+    }
+    if (isPathTraversableObject(value)) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolve(item)]));
+    }
+    return value;
+  };
+  return resolve(variables) as Record<string, unknown>;
 }
 
-function handleReturnStep(currentFlowFrame: FlowFrame, engine: Engine): string {
-  // Extract what we need from the currentFlowFrame
-  const step = currentFlowFrame.flowStepsStack.pop()!; // This handler pops its own step
+/**
+ * Call a GraphQL tool: POST { query, operationName, variables } through callHttpTool (URL
+ * templates, headers, authentication, timeout and retries), turn a non-empty errors[] into
+ * a tool failure and apply responseMapping to data
+ */
+async function callGraphQLTool(tool: any, args: any, userId: string = 'anonymous', transactionId: string | null = null, engine: Engine, signal?: AbortSignal): Promise<any> {
+  const implementation = tool.implementation;
+  const operation = implementation.operationName || tool.name;
+  if (typeof implementation.query !== 'string' || !implementation.query.trim()) {
+    throw new Error(`No query specified for GraphQL tool ${tool.name}`);
+  }
+
+  // {param} placeholders in the URL (e.g. a shop subdomain) are filled from the args and not sent as
+  // variables; {{variable}} templates are left for callHttpTool
+  const variableArgs: Record<string, unknown> = { ...args };
+  const url = String(implementation.url || tool.url || '').replace(/(?<!\{)\{(\w+)\}(?!\})/g, (match: string, paramName: string) => {
+    if (args[paramName] === undefined) {
+      throw new Error(`Missing required path parameter: ${paramName}`);
+    }
+    delete variableArgs[paramName];
+    return encodeURIComponent(String(args[paramName]));
+  });
 
-  // Declared outcome (see FlowOutcome) — applies to the flow executing this RETURN;
-  // parent flows it terminates finalize with their own (usually absent) declaration.
-  if (step.outcome !== undefined) {
-    currentFlowFrame.declaredOutcome = {
-      outcome: String(step.outcome),
-      reason: step.reason !== undefined ? String(step.reason) : undefined,
-    };
-  }
+  const request = {
+    query: implementation.query,
+    ...(implementation.operationName && { operationName: implementation.operationName }),
+    variables: buildGraphQLVariables(implementation.variables, variableArgs)
+  };
+  logger.info(`Calling GraphQL tool ${tool.name} (${operation}) with variables: ${JSON.stringify(request.variables)}`);
+
+  const transportTool = {
+    ...tool,
+    url,
+    implementation: {
+      ...implementation,
+      type: 'http',
+      url,
+      method: 'POST',
+      contentType: 'application/json',
+      pathParams: undefined,
+      queryParams: undefined,
+      useQueryParams: false,
+      responseMapping: undefined // Applied to data below, once errors[] has been checked
+    }
+  };
+  const body = await callHttpTool(transportTool, request, userId, transactionId, engine, signal);
 
-  // Evaluate the value expression if provided
-  let returnValue: unknown = '';
-  if (step.value !== undefined) {
-    // Use JavaScript evaluation context for expressions (like SET handler)
-    returnValue = typeof step.value === 'string'
-      ? evaluateExpression(step.value, currentFlowFrame?.variables || {}, [], {
-        securityLevel: 'basic',
-        context: 'javascript-evaluation', // Force JavaScript context for RETURN values
-        returnType: 'auto'
-      }, engine)
-      : step.value;
-    logger.info(`RETURN step: evaluated value expression '${step.value}' to '${returnValue}'`);
-  } else {
-    logger.info(`RETURN step: no value expression provided, returning empty string`);
+  if (!body || typeof body !== 'object') {
+    throw new Error(`Failed ${operation}: GraphQL response is not a JSON object`);
+  }
+  if (Array.isArray(body.errors) && body.errors.length > 0) {
+    const messages = body.errors.map((graphQLError: any) => graphQLError?.message || JSON.stringify(graphQLError)).join('; ');
+    const error = new Error(`Failed ${operation}: ${messages}`) as any;
+    error.graphQLErrors = body.errors;
+    error.data = body.data;
+    throw error;
   }
 
-  // Terminate all flows by clearing all stacks
-  logger.info(`RETURN step: terminating all flows`);
-  while (engine.flowStacks.length > 0) {
-    const poppedStack = engine.flowStacks.pop();
-    if (poppedStack && poppedStack.length > 0) {
-      for (const flow of poppedStack) {
-        finalizeFlowTransaction(engine, flow, 'return');
-        auditLogger.logFlowExit(flow.flowName, currentFlowFrame.userId, flow.transaction.id, 'return_step');
-      }
+  const data = body.data ?? null;
+  if (implementation.responseMapping && data !== null) {
+    try {
+      return applyResponseMapping(data, implementation.responseMapping, args, engine);
+    } catch (error: any) {
+      logger.error(`Response mapping failed:`, error.message);
+      return data; // Fall back to the unmapped data
     }
   }
-
-  // Re-initialize the flow stacks to ensure clean state
-  initializeFlowStacks(engine);
-
-  // Return the evaluated value as string
-  return String(returnValue);
-}
-
-function handleEndStep(currentFlowFrame: FlowFrame): string {
-  // END = return from the CURRENT flow only (a functional `return`), in contrast
-  // to RETURN which terminates ALL flows (effectively an EXIT). Clearing this
-  // frame's remaining steps lets the playFlowFrame loop's normal completion path
-  // pop the frame, flush any pending accumulated messages (and drop the tentative
-  // flow_init), and resume the parent flow if there is one. So END inherits all
-  // of that behavior for free. No value is evaluated — variables are already
-  // shared with the parent flow.
-  const flowName = currentFlowFrame.flowName;
-  currentFlowFrame.flowStepsStack.length = 0;
-  logger.info(`END step: ending flow '${flowName}', returning control to the parent flow (if any).`);
-  return `Flow '${flowName}' ended`;
+  return data;
 }
 
-async function handleSubFlowStep(currentFlowFrame: FlowFrame, engine: Engine): Promise<string> {
+async function callHttpTool(tool: any, args: any, userId: string = 'anonymous', transactionId: string | null = null, engine: Engine, signal?: AbortSignal): Promise<any> {
   try {
-    logger.info(`Handling sub-flow step in flow: ${currentFlowFrame.flowName}`);
+    logger.info(`Calling HTTP tool ${tool.name} with args: ${JSON.stringify(args)}`);
 
-    // Extract what we need from the currentFlowFrame
-    const step = currentFlowFrame.flowStepsStack.pop()!; // This handler pops its own step
-    const input = currentFlowFrame.inputStack[currentFlowFrame.inputStack.length - 1];
-    const flowsMenu = engine.flowsMenu; // Access the global flows menu
+    const implementation = tool.implementation;
 
-    // Get raw flow name, then interpolate if it contains template syntax
-    const rawFlowName = step.value || step.name;
-    const subFlowName = rawFlowName && rawFlowName.includes('{{')
-      ? interpolateMessage(rawFlowName, currentFlowFrame.contextStack, currentFlowFrame.variables, engine)
-      : rawFlowName;
+    // === MOCK RESPONSE SUPPORT FOR TESTING ===
+    if (implementation.type === 'mock' && implementation.mockResponse) {
+      logger.info(`[MOCK] Simulating HTTP call for tool ${tool.name}`);
 
-    logger.debug(`Sub-flow name resolution: raw="${rawFlowName}" -> interpolated="${subFlowName}"`);
+      // Simulate API delay
+      await new Promise(resolve => setTimeout(resolve, 100));
 
-    const subFlow = flowsMenu?.find(f => f.name === subFlowName || f.id === subFlowName);
+      let mockData = implementation.mockResponse;
 
-    if (!subFlow) {
-      logger.warn(`Sub-flow not found: ${subFlowName}`);
-      return getSystemMessage(engine, 'subflow_not_found', { subFlowName });
+      // Handle conditional mock responses based on args
+      if (args.testType && typeof mockData === 'object' && mockData[args.testType]) {
+        mockData = mockData[args.testType];
+      }
+
+      // Apply response mapping if configured
+      if (implementation.responseMapping) {
+        try {
+          const mappedResult = applyResponseMapping(mockData, implementation.responseMapping, args, engine);
+          logger.info(`[MOCK] Response mapping applied for ${tool.name}`);
+          return mappedResult;
+        } catch (error: any) {
+          logger.error(`[MOCK] Response mapping failed for ${tool.name}:`, error.message);
+          return mockData; // Fallback to raw mock data
+        }
+      }
+
+      return mockData;
     }
 
-    const callType = step.callType || "call"; // Default to normal sub-flow call
+    const method = (tool.method || implementation.method || 'POST').toUpperCase();
+    let baseUrl = implementation.url || tool.url;
 
-    // === PARAMETER HANDLING ===
-    // Extract parameters from the step definition
-    let flowParameters: Record<string, unknown> = {};
-    if (step.parameters && typeof step.parameters === 'object') {
-      logger.info(`Processing parameters for sub-flow ${subFlow.name}:`, step.parameters);
-      
-      // Interpolate parameters using current context
-      const combinedVariables = {
-        ...currentFlowFrame.variables,
-        ...getEngineSessionVariables(engine, currentFlowFrame.contextStack)
-      };
-      
-      flowParameters = interpolateObject(step.parameters, combinedVariables, {}, engine) as Record<string, unknown>;
-      logger.debug(`Interpolated flow parameters:`, flowParameters);
+    if (!baseUrl) {
+      throw new Error(`No URL specified for HTTP tool ${tool.name}`);
     }
 
-    logger.info(`Starting sub-flow ${subFlow.name} with callType: ${callType}, input: ${input}`);
+    // === TEMPLATE INTERPOLATION FOR URL ===
+    // Interpolate {{variable}} templates in the URL using current flow variables
+    if (engine && baseUrl.includes('{{')) {
+      try {
+        const currentFlowFrame = getCurrentFlowFrame(engine);
+        const variables = currentFlowFrame?.variables || {};
+        const contextStack = currentFlowFrame?.contextStack || [];
 
-    if (callType === "reboot") {
-      // Clear ALL flows across ALL stacks and start completely fresh
-      logger.info(`Rebooting system with flow: ${subFlow.name}`);
+        logger.debug(`Interpolating URL template: ${baseUrl}`);
+        logger.debug(`Available variables:`, variables);
 
-      // Clean up ALL existing flows across ALL stacks (using proven user exit pattern)
-      const exitedFlows: string[] = [];
-      while (engine.flowStacks.length > 0) {
-        const poppedStack = engine.flowStacks.pop();
-        if (!poppedStack || poppedStack.length === 0) {
-          continue;
-        }
-        // Process all flows in this stack
-        for (const flow of poppedStack) {
-          TransactionManager.fail(flow.transaction, `System rebooted to flow ${subFlow.name}`);
-          exitedFlows.push(flow.flowName);
-          auditLogger.logFlowExit(flow.flowName, currentFlowFrame.userId, flow.transaction.id, 'system_reboot');
-        }
+        baseUrl = interpolateMessage(baseUrl, contextStack, variables, engine);
+        logger.debug(`Interpolated URL: ${baseUrl}`);
+      } catch (error: any) {
+        logger.warn(`Failed to interpolate URL template: ${error.message}`);
+        // Continue with original URL if interpolation fails
       }
+    }
 
-      // Also fail the current flow frame that initiated the reboot
-      TransactionManager.fail(currentFlowFrame.transaction, `System rebooted to flow ${subFlow.name}`);
-      exitedFlows.push(currentFlowFrame.flowName);
-      auditLogger.logFlowExit(currentFlowFrame.flowName, currentFlowFrame.userId, currentFlowFrame.transaction.id, 'system_reboot');
+    // === COMPREHENSIVE HEADER HANDLING ===
+    const headers: Record<string, string> = {
+      'User-Agent': implementation.userAgent || 'WorkflowEngine/1.0',
+      ...implementation.defaultHeaders || {}
+    };
 
-      // Reset the stacks only — NOT the accumulated message buffer. Any SAY
-      // emitted before this reboot (e.g. "our live agent team isn't available
-      // right now") must carry into the reboot target and be delivered with its
-      // output. The free initializeFlowStacks(engine) ALSO calls
-      // getAndClearAccumulatedMessages(), which silently dropped those pending
-      // user-facing messages.
-      engine.initializeFlowStacks();
+    // Content-Type handling based on data format
+    const contentType = implementation.contentType || 'application/json';
+    if (method !== 'GET' && method !== 'HEAD') {
+      headers['Content-Type'] = contentType;
+    }
+
+    // === AUTHENTICATION HANDLING ===
+    // Bearer Token Authentication
+    if (tool.apiKey) {
+      headers['Authorization'] = `Bearer ${tool.apiKey}`;
+    }
+
+    // Basic Authentication
+    if (implementation.basicAuth) {
+      const credentials = btoa(`${implementation.basicAuth.username}:${implementation.basicAuth.password}`);
+      headers['Authorization'] = `Basic ${credentials}`;
+    }
+
+    // API Key in Header
+    if (implementation.apiKeyHeader) {
+      headers[implementation.apiKeyHeader.name] = implementation.apiKeyHeader.value;
+    }
+
+    // Custom Headers
+    if (implementation.headers) {
+      Object.assign(headers, implementation.headers);
+    }
+
+    // === HMAC/HASH AUTHENTICATION ===
+    if (tool.hashAuth || implementation.hashAuth) {
+      const hashConfig = tool.hashAuth || implementation.hashAuth;
+      const hash = await generateHash(hashConfig, args);
 
-      // Start the reboot flow as the only flow in the system
-      const transaction = TransactionManager.create(subFlow.name, 'reboot', currentFlowFrame.userId);
+      if (hashConfig.location === 'header') {
+        headers[hashConfig.keyName] = hash;
+      } else {
+        args[hashConfig.keyName] = hash;
+      }
+    }
 
-      const variables = getInitialVariables(engine, subFlow);
-      Object.assign(variables, flowParameters); // Inject parameters
+    // === URL CONSTRUCTION WITH PATH PARAMETERS ===
+    let finalUrl = baseUrl;
 
-      pushToCurrentStack(engine, {
-        flowName: subFlow.name,
-        flowId: subFlow.id,
-        flowVersion: subFlow.version,
-        flowStepsStack: [...subFlow.steps].reverse(),
-        contextStack: [{ role: 'user', content: input, timestamp: Date.now() }],
-        inputStack: [input],
-        variables, // Fresh variables for reboot flow
-        transaction,
-        userId: currentFlowFrame.userId,
-        startTime: Date.now()
+    // We may need another pass later
+    const argsCopy = { ...args }; // Copy args for request body
+    const mappingArgs = { ...args }; // Preserve original args for response mapping
+
+    // Handle path parameters (e.g., /users/{userId}/posts/{postId})
+    if (finalUrl.includes('{')) {
+      logger.info(`Processing path parameters in URL: ${finalUrl}`);
+      const pathParams = implementation.pathParams || [];
+      pathParams.forEach((paramName: string) => {
+        logger.debug(`Checking path parameter: ${paramName}`);
+        if (args[paramName] !== undefined) {
+          finalUrl = finalUrl.replace(`{${paramName}}`, encodeURIComponent(args[paramName]));
+          delete args[paramName]; // Remove from body/query params
+          logger.debug(`Resolved path parameter: ${paramName} = ${finalUrl}`);
+        } else {
+          logger.warn(`Missing path parameter: ${paramName}`);
+        }
       });
 
-      auditLogger.logFlowStart(subFlow.name, input, currentFlowFrame.userId, transaction.id);
-      logger.info(`System completely rebooted to flow ${subFlow.name}. Exited flows: ${exitedFlows.join(', ')}`);
-      return `System rebooted to flow ${subFlow.name}`;
+      // Handle any remaining placeholders in URL
+      finalUrl = finalUrl.replace(/\{([^}]+)\}/g, function (match: string, paramName: string): string {
+        if (args[paramName] !== undefined) {
+          const value = args[paramName];
+          delete args[paramName];
+          return encodeURIComponent(value);
+        }
+        throw new Error(`Missing required path parameter: ${paramName}`);
+      });
+    }
 
-    } else if (callType === "replace") {
-      // Replace current flow's steps with the sub-flow's steps
-      logger.info(`Replacing current flow ${currentFlowFrame.flowName} with ${subFlow.name}`);
-      logger.debug(`Current flowStepsStack length before replace: ${currentFlowFrame.flowStepsStack.length}`);
+    // === QUERY PARAMETERS ===
+    const queryParams = new URLSearchParams();
 
-      // Update current frame to become the new flow
-      currentFlowFrame.flowName = subFlow.name;
-      currentFlowFrame.flowId = subFlow.id;
-      currentFlowFrame.flowVersion = subFlow.version;
-      currentFlowFrame.flowStepsStack = [...subFlow.steps].reverse();
-      addToContextStack(currentFlowFrame.contextStack, 'user', input);
-      currentFlowFrame.inputStack.push(input);
+    // Handle different parameter placement strategies
+    if (method === 'GET' || method === 'HEAD' || implementation.useQueryParams) {
+      // For GET requests or when explicitly specified, all args go to query params
+      Object.entries(args).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) {
+          if (Array.isArray(value)) {
+            // Handle array parameters (e.g., tags=red&tags=blue or tags=red,blue)
+            if (implementation.arrayFormat === 'comma') {
+              queryParams.append(key, value.join(','));
+            } else {
+              value.forEach((v: any) => queryParams.append(key, v));
+            }
+          } else {
+            queryParams.append(key, String(value));
+          }
+        }
+      });
 
-      // Inject parameters into current variables
-      if (Object.keys(flowParameters).length > 0) {
-         logger.info(`Injecting parameters into variables for flow ${subFlow.name}`, flowParameters);
-         Object.assign(currentFlowFrame.variables, flowParameters);
-         logger.info(`Variables after injection:`, currentFlowFrame.variables);
+      // Add query params to URL
+      if (queryParams.toString()) {
+        finalUrl += (finalUrl.includes('?') ? '&' : '?') + queryParams.toString();
       }
+    } else {
+      // For POST/PUT/PATCH, some params might still go to query string
+      if (implementation.queryParams) {
+        implementation.queryParams.forEach((paramName: string) => {
+          if (args[paramName] !== undefined) {
+            queryParams.append(paramName, String(args[paramName]));
+            delete args[paramName];
+          }
+        });
 
-      // Update transaction
-      TransactionManager.fail(currentFlowFrame.transaction, `Replaced by flow ${subFlow.name}`);
-      currentFlowFrame.transaction = TransactionManager.create(subFlow.name, 'replacement', currentFlowFrame.userId);
+        if (queryParams.toString()) {
+          finalUrl += (finalUrl.includes('?') ? '&' : '?') + queryParams.toString();
+        }
+      }
+    }
+    logger.info(`After query parameter processing, final URL is: ${finalUrl}`);
 
-      auditLogger.logFlowStart(subFlow.name, input, currentFlowFrame.userId, currentFlowFrame.transaction.id);
-      logger.debug(`About to return from handleSubFlowStep replacement, flowStepsStack length: ${currentFlowFrame.flowStepsStack.length}`);
-      return `Flow replaced with ${subFlow.name}`;
+    // === REQUEST BODY CONSTRUCTION ===
+    let requestBody: any;
 
-    } else { // callType === "call" (default)
-      // Normal sub-flow call - create new transaction for sub-flow
-      const subTransaction = TransactionManager.create(subFlow.name, 'sub-flow', currentFlowFrame.userId);
+    if (method !== 'GET' && method !== 'HEAD' && Object.keys(args).length > 0) {
+      switch (contentType.toLowerCase()) {
+        case 'application/json':
+          requestBody = JSON.stringify(args);
+          break;
 
-      const variables = getInitialVariables(engine, subFlow, currentFlowFrame.variables);
-      Object.assign(variables, flowParameters); // Inject parameters
+        case 'application/x-www-form-urlencoded':
+          const formData = new URLSearchParams();
+          Object.entries(args).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) {
+              formData.append(key, String(value));
+            }
+          });
+          requestBody = formData.toString();
+          break;
 
-      // Push sub-flow onto stack - INHERIT parent's variables for unified scope
-      pushToCurrentStack(engine, {
-        flowName: subFlow.name,
-        flowId: subFlow.id,
-        flowVersion: subFlow.version,
-        flowStepsStack: [...subFlow.steps].reverse(),
-        contextStack: [{ role: 'user', content: input, timestamp: Date.now() }],
-        inputStack: [input],
-        variables, // Inherit + merge flow definition variables
-        transaction: subTransaction,
-        userId: currentFlowFrame.userId,
-        startTime: Date.now(),
-        parentTransaction: currentFlowFrame.transaction.id
-      });
+        case 'multipart/form-data':
+          const formDataMultipart = new FormData();
+          Object.entries(args).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) {
+              if (value instanceof File || value instanceof Blob) {
+                formDataMultipart.append(key, value);
+              } else {
+                formDataMultipart.append(key, String(value));
+              }
+            }
+          });
+          requestBody = formDataMultipart;
+          // Remove Content-Type header to let browser set it with boundary
+          delete headers['Content-Type'];
+          break;
 
-      auditLogger.logFlowStart(subFlow.name, input, currentFlowFrame.userId, subTransaction.id);
+        case 'text/plain':
+        case 'text/xml':
+        case 'application/xml':
+          // For text/XML, assume args contain a 'body' or 'data' field
+          requestBody = args.body || args.data || JSON.stringify(args);
+          break;
 
-      // Sub-flow has been pushed to stack - let playFlowFrame's loop handle it
-      logger.info(`Sub-flow ${subFlow.name} pushed to stack, will be processed by main loop`);
-      return `Sub-flow ${subFlow.name} started`;
+        default:
+          // Default to JSON for unknown content types
+          requestBody = JSON.stringify(args);
+      }
     }
-  } catch (error: any) {
-    logger.error(`Error handling sub-flow step: ${error.message}`);
-    logger.info(`Stack trace: ${error.stack}`);
-    throw new Error(`Failed to handle sub-flow step: ${error.message}`);
-  }
-}
 
-// === TOOL CALLING AND ARGUMENT GENERATION SYSTEM ===
-async function generateToolCallAndResponse(
-  engine: Engine,
-  toolName: string,
-  input: unknown,
-  contextStack: ContextEntry[] = [],
-  userId: string = 'anonymous',
-  transactionId: string | null = null,
-  flowFrame: FlowFrame,
-  explicitArgs?: Record<string, unknown>
-): Promise<unknown> {
-  try {
-    const toolsRegistry = engine.toolsRegistry;
-    if (!toolsRegistry) {
-      throw new Error('Tools registry not found in engine');
-    }
-    const tool = toolsRegistry.find((t: any) => t.id === toolName);
-    if (!tool) {
-      throw new Error(`Tool ${toolName} not found in registry`);
+    // === ADD CUSTOM QUERY STRING ===
+    if (implementation.customQuery) {
+      finalUrl += (finalUrl.includes('?') ? '&' : '?') + implementation.customQuery;
+      logger.info(`Added custom query string to URL: ${finalUrl}`);
     }
 
-    // Use explicit args if provided, otherwise generate them
-    let rawArgs: any;
-    if (explicitArgs && Object.keys(explicitArgs).length > 0) {
-      logger.info('Using explicit args from step definition:', explicitArgs);
-      rawArgs = explicitArgs;
-    } else {
-      // Generate and validate arguments with conversation context
-      rawArgs = await generateToolArgs(tool.schema || tool.parameters, input, contextStack, flowFrame, engine);
-    }
+    // Restore args from copy after processing URL
+    Object.assign(args, argsCopy);
 
-    // === TEMPLATE INTERPOLATION FOR ARGS ===
-    // Interpolate {{variable}} templates in the args using current flow variables
-    if (flowFrame && rawArgs && typeof rawArgs === 'object') {
-      try {
-        const variables = flowFrame.variables || {};
-        const contextStack = flowFrame.contextStack || [];
+    // Handle query parameters in URL if they are still present
+    if (finalUrl.includes('{')) {
+      logger.info(`Processing query parameters in URL: ${finalUrl}`);
 
-        logger.debug(`Interpolating args templates:`, rawArgs);
+      const pathParams = implementation.pathParams || [];
+      pathParams.forEach((paramName: string) => {
+        logger.debug(`Checking path parameter: ${paramName}`);
+        if (args[paramName] !== undefined) {
+          const paramValue = args[paramName];
+          finalUrl = finalUrl.replace(`{${paramName}}`, encodeURIComponent(paramValue));
+          delete args[paramName]; // Remove from body/query params
+          logger.debug(`Resolved path parameter: ${paramName} = ${paramValue}`);
+        } else {
+          logger.warn(`Missing path parameter: ${paramName}`);
+        }
+      });
 
-        // Combine flow variables with session cargo for template interpolation
-        const combinedVariables = {
-          ...variables,
-          ...getEngineSessionVariables(engine, contextStack)
-        };
+      // Handle any remaining placeholders in URL
+      finalUrl = finalUrl.replace(/\{([^}]+)\}/g, function (match: string, paramName: string): string {
+        if (args[paramName] !== undefined) {
+          const value = args[paramName];
+          delete args[paramName];
+          return encodeURIComponent(value);
+        }
+        throw new Error(`Missing required path parameter: ${paramName}`);
+      });
+    } else {
+      logger.info(`No query parameters to process in URL: ${finalUrl}`);
+    }
+
+    // === EXECUTE REQUEST WITH TIMEOUT AND RETRIES ===
+    const timeout = implementation.timeout || 20000;
+    const maxRetries = implementation.retries || 0;
 
-        logger.debug(`Combined variables for interpolation: ${JSON.stringify(combinedVariables)}`);
+    // Unconditional retry logic
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      try {
+        throwIfCancelled(signal, tool.name);
+        logger.info(`HTTP ${method} ${finalUrl} (attempt ${attempt + 1}/${maxRetries + 1})`);
 
-        rawArgs = interpolateObject(rawArgs, combinedVariables, {}, engine);
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeout);
+        signal?.addEventListener('abort', () => controller.abort(), { once: true });
 
-        // SAFETY: Convert null values to appropriate defaults for schema-typed fields
-        // This handles production environments where default values get converted to null during config processing
-        const schema = tool.schema || tool.parameters;
-        logger.debug(`SAFETY CHECK CONDITIONS: schema: ${JSON.stringify(schema)} rawArgs=${!!rawArgs}, typeof=${typeof rawArgs}, schema=${!!schema}, schema.properties=${!!schema?.properties}`);
+        const fetchOptions: RequestInit = {
+          method,
+          headers,
+          signal: controller.signal,
+          ...(requestBody && { body: requestBody })
+        };
 
-        if (rawArgs && typeof rawArgs === 'object' && schema?.properties) {
-          for (const [key, value] of Object.entries(rawArgs)) {
-            const schemaType = schema.properties[key]?.type as string;
+        // Remove undefined headers
+        Object.keys(fetchOptions.headers as Record<string, any>).forEach(key => {
+          if ((fetchOptions.headers as Record<string, any>)[key] === undefined) {
+            delete (fetchOptions.headers as Record<string, any>)[key];
+          }
+        });
 
-            // Convert null values to appropriate defaults for schema-typed fields
-            const isNullValue = value === null || value === undefined;
+        const response = await fetch(finalUrl, fetchOptions);
+        clearTimeout(timeoutId);
+        logger.info(`HTTP ${method} ${finalUrl} completed with status ${response.status}`);
 
+        // === RESPONSE HANDLING ===
+        if (!response.ok) {
+          const errorText = await response.text();
+          const error = new Error(`HTTP ${response.status} ${response.statusText}: ${errorText}`) as any;
+          error.status = response.status;
+          error.statusText = response.statusText;
+          error.response = response;
 
-            if (isNullValue && schemaType) {
-              logger.debug(`SAFETY CHECK: ${key} = ${JSON.stringify(value)}, isNull=${isNullValue}, schemaType=${schemaType}`);
-              switch (schemaType) {
-                case 'string':
-                  (rawArgs as any)[key] = '';
-                  logger.debug(`Converted null/empty object to empty string for ${key} (string field)`);
-                  break;
-                case 'number':
-                case 'integer':
-                  (rawArgs as any)[key] = 0;
-                  logger.debug(`Converted null/empty object to 0 for ${key} (${schemaType} field)`);
-                  break;
-                case 'boolean':
-                  (rawArgs as any)[key] = false;
-                  logger.debug(`Converted null/empty object to false for ${key} (boolean field)`);
-                  break;
-                case 'array':
-                  (rawArgs as any)[key] = [];
-                  logger.debug(`Converted null/empty object to empty array for ${key} (array field)`);
-                  break;
-                case 'object':
-                  (rawArgs as any)[key] = {};
-                  logger.debug(`Converted null/empty object to empty object for ${key} (object field)`);
-                  break;
-                default:
-                  logger.warn(`No conversion rule for null value of type ${schemaType} for key ${key}`);
-              }
-            }
+          // Don't retry on 4xx client errors (except 429 rate limit)
+          if (response.status >= 400 && response.status < 500 && response.status !== 429) {
+            throw error;
           }
-        }
-
-        logger.debug(`Interpolated args:`, rawArgs);
 
-        // Debug each property specifically to see what's happening
-        if (rawArgs && typeof rawArgs === 'object') {
-          for (const [key, value] of Object.entries(rawArgs)) {
-            logger.debug(`Interpolated args - ${key}: ${JSON.stringify(value)} (type: ${typeof value})`);
+          // Retry on 5xx server errors and 429 rate limit
+          if (attempt < maxRetries) {
+            const delay = implementation.retryDelay || Math.pow(2, attempt) * 1000; // Exponential backoff
+            logger.info(`Retrying after ${delay}ms...`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+            continue;
           }
+
+          throw error;
         }
-      } catch (error: any) {
-        logger.warn(`Failed to interpolate args templates: ${error.message}`);
-        // Continue with original args if interpolation fails
-      }
-    }
 
-    const validatedArgs = validateToolArgs(tool, rawArgs);
+        // === RESPONSE PARSING ===
+        const responseContentType = response.headers.get('content-type') || '';
 
-    return await callTool(engine, tool, validatedArgs, userId, transactionId);
-  } catch (error: any) {
-    logger.info(`Error generating tool call for ${toolName}: ${error.message}`);
-    throw error;
-  }
-}
+        if (responseContentType.includes('application/json')) {
+          const data = await response.json();
+          logger.info(`Received JSON response from ${tool.name} Response: ${JSON.stringify(data)}`);
 
-async function generateToolArgs(schema: any, input: any, contextStack: ContextEntry[] = [], flowFrame: FlowFrame, engine: Engine): Promise<any> {
-  try {
-    if (!schema || typeof schema !== 'object') {
-      logger.warn(`Invalid schema provided for argument generation: ${schema}`);
-      return {};
-    }
+          // Apply declarative response mapping if configured (preferred)
+          if (implementation.responseMapping) {
+            try {
+              return applyResponseMapping(data, implementation.responseMapping, mappingArgs, engine);
+            } catch (error: any) {
+              logger.error(`Response mapping failed:`, error.message);
+              return data; // Fall back to original response
+            }
+          }
 
-    logger.info(`Generating tool arguments for schema: ${schema.name || schema.title || 'unknown'}`);
+          return data;
+        } else if (/[/+]xml\b/.test(responseContentType)) {
+          // application/xml, text/xml and +xml types such as application/soap+xml
+          const text = await response.text();
+          logger.info(`Received XML response from ${tool.name} Response: ${text}`);
 
-    if (typeof input === 'object') {
-      logger.warn(`Using input object directly for args:`, input);
-      return input;
-    }
+          let data: Record<string, unknown>;
+          try {
+            data = parseXml(text);
+          } catch (error: any) {
+            logger.warn(`Could not parse XML response from ${tool.name}: ${error.message}`);
+            return text;
+          }
 
-    logger.info(`Generating args for schema with input: "${input}"`);
+          if (implementation.responseMapping) {
+            try {
+              return applyResponseMapping(data, implementation.responseMapping, mappingArgs, engine);
+            } catch (error: any) {
+              logger.error(`Response mapping failed:`, error.message);
+              return data; // Fall back to parsed response
+            }
+          }
 
-    if (schema && schema.properties && Object.keys(schema.properties).length > 0) {
-      const args = generateEnhancedFallbackArgs(schema, input, flowFrame);
-      logger.info(`Generated args:`, args);
+          return data;
+        } else if (responseContentType.includes('text/')) {
+          logger.info(`Received text response from ${tool.name}`);
+          return await response.text();
+        } else {
+          logger.info(`Received response from ${tool.name} with content type: ${responseContentType}`);
+          // For other content types, try to parse as JSON first, then fallback to text
+          try {
+            return await response.json();
+          } catch {
+            return await response.text();
+          }
+        }
 
-      if (Object.keys(args).length > 0) {
-        return args;
-      }
+      } catch (error: any) {
+        if (signal?.aborted) {
+          throw new Error(`Tool ${tool.name} cancelled`);
+        }
+        if (error.name === 'AbortError') {
+          // Create new error with timeout message instead of modifying existing
+          const timeoutError = new Error(`Request timeout after ${timeout}ms`);
+          timeoutError.name = 'AbortError';
+          error = timeoutError;
+        }
 
-      // Fallback to AI argument generation
-      logger.info('Enhanced fallback failed, trying AI argument generation...');
-      try {
-        const aiArgs = await generateArgsWithAI(schema, input, contextStack, flowFrame, engine);
-        if (Object.keys(aiArgs).length > 0) {
-          logger.info('AI argument generation succeeded:', aiArgs);
-          return aiArgs;
+        if (attempt < maxRetries && error.status !== 401 && error.status !== 403) {
+          const delay = implementation.retryDelay || Math.pow(2, attempt) * 1000;
+          logger.info(`Request failed: ${error.message}. Retrying after ${delay}ms...`);
+          await new Promise(resolve => setTimeout(resolve, delay));
+          continue;
         }
-      } catch (error: any) {
-        logger.warn('AI argument generation failed:', error.message);
+
+        throw error;
       }
     }
-
-    // Final fallback to generic mapping
-    return { userInput: input };
   } catch (error: any) {
-    logger.error(`Error generating tool arguments: ${error.message}`);
+    logger.info(`Error calling HTTP tool ${tool.name}: ${error.message}`);
     logger.info(`Stack trace: ${error.stack}`);
-    throw new Error(`Failed to generate tool arguments: ${error.message}`);
+    throw error; // Re-throw to propagate error
   }
 }
 
-async function generateArgsWithAI(schema: any, input: any, contextStack: ContextEntry[], flowFrame: FlowFrame, engine: Engine): Promise<any> {
-  const properties = schema.properties || {};
-  const required = schema.required || [];
-
-  const schemaDescription = Object.entries(properties)
-    .map(([key, prop]: [string, any]) => {
-      const req = required.includes(key) ? ' (required)' : ' (optional)';
-      const desc = prop.description || '';
-      const pattern = prop.pattern ? ` Pattern: ${prop.pattern}` : '';
-      const range = prop.minimum !== undefined && prop.maximum !== undefined
-        ? ` Range: ${prop.minimum}-${prop.maximum}` : '';
-      return `${key}: ${prop.type}${req} - ${desc}${pattern}${range}`;
-    })
-    .join('\n');
-
-  // Build variables context for intelligent argument generation
-  let variablesContext = '';
-  if (flowFrame && flowFrame.variables && Object.keys(flowFrame.variables).length > 0) {
-    variablesContext = '<variables-context>:\n' +
-      Object.entries(flowFrame.variables)
-        .map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`)
-        .join('\n');
+// === AUTH HELPERS ===
+async function generateHash(hashConfig: any, args: any): Promise<string> {
+  const { secret, fields, algorithm = 'sha256', encoding = 'hex' } = hashConfig;
 
-    variablesContext += '\n</variables-context>';
+  if (!secret || !fields) {
+    throw new Error('Hash authentication requires secret and fields configuration');
   }
 
-  // Use the enhanced fetchAiTask worker with JSON schema
-  const task = "You are a tool argument generator. Extract arguments from the current context based on the schema.";
+  // Build the raw string from specified fields
+  const raw = fields.map((field: string) => {
+    const value = field.split('.').reduce((obj: any, part: string) => obj?.[part], args);
+    return value ?? '';
+  }).join('|');
 
-  const rules = `Instructions:
-1. PRIORITIZE available variables - use them to auto-fill required parameters
-2. Extract remaining fields from the current context data
-3. Return ONLY a valid JSON object with the schema fields
-4. If a required field cannot be determined, use reasonable defaults or null
+  // Generate HMAC using Web Crypto API (host-agnostic: Node.js 19+, browser, CF Worker)
+  const subtle = globalThis.crypto?.subtle;
+  if (!subtle) throw new Error('No crypto.subtle available in this environment');
 
-Variable Usage Priority:
-- accountNumber: Use variables like "accountNumber", "accountInfo.accountId", etc.
-- amount: Use variables like "amount", "paymentAmount", etc.
-- Other fields: Check for exact variable name matches first
+  const enc = new TextEncoder();
+  const algoMap: Record<string, string> = { 'sha256': 'SHA-256', 'sha512': 'SHA-512', 'sha1': 'SHA-1' };
+  const algoName = algoMap[algorithm.toLowerCase().replace('-', '')] || 'SHA-256';
 
-Context Extraction Examples:
-- For accountNumber: extract numbers from context like "my account is 123456" → "123456"
-- For amount: extract currency amounts like "$50.00" or "50 dollars" → 50.00  
-- For city: use location names directly like "London" → "London"`;
+  const key = await subtle.importKey('raw', enc.encode(secret), { name: 'HMAC', hash: { name: algoName } }, false, ['sign']);
+  const sig = await subtle.sign('HMAC', key, enc.encode(raw));
+  const bytes = new Uint8Array(sig);
 
-  // Flatten the chat context for AI processing using enhanced role-aware formatting
-  let chatContext = '';
-  if (contextStack && contextStack.length > 0) {
-    // Use the new enhanced flattening with role information
-    chatContext = flattenContextStack(contextStack, true);
-  } else {
-    chatContext = 'No previous context available';
+  if (encoding === 'base64') {
+    return btoa(String.fromCharCode(...bytes));
   }
+  return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
 
-  // Wrap the chat context for AI processing
-  chatContext = '<chat-context>:\n' +
-    chatContext + '\n' +
-    '</chat-context>';
+// === OPENAPI TOOL IMPORT ===
+// Generates toolsRegistry entries from an OpenAPI 3.x document so HTTP tools can be
+// regenerated from the spec instead of maintained by hand.
 
-  const context = variablesContext || 'No variables available';
+/**
+ * Credentials for one security scheme: a token or API key string, or a username/password
+ * pair for HTTP basic authentication
+ */
+export type OpenApiCredential = string | { username: string; password: string };
 
-  try {
-    const aiResponse = await fetchAiTask(task, rules, context, String(input), [], schemaDescription, engine.aiCallback, engine.aiTimeOut);
+export interface OpenApiImportOptions {
+  baseUrl?: string; // Overrides the spec's servers (required when the server URL is relative)
+  operationIds?: string[]; // Only import these operations
+  tags?: string[]; // Only import operations with one of these tags
+  credentials?: Record<string, OpenApiCredential>; // Keyed by securitySchemes name
+  defaults?: Record<string, unknown>; // Merged into every implementation, e.g. { timeout: 5000, retries: 2 }
+}
 
-    // When we expect JSON args, the response should be parsed as an object
-    const args = typeof aiResponse === 'string' ? JSON.parse(aiResponse) : aiResponse;
+const OPENAPI_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+const OPENAPI_CONTENT_TYPES = ['application/json', 'application/x-www-form-urlencoded', 'multipart/form-data', 'application/xml', 'text/xml', 'text/plain'];
+const OPENAPI_SCHEMA_ANNOTATIONS = ['example', 'examples', 'xml', 'externalDocs', 'discriminator', 'deprecated', 'readOnly', 'writeOnly'];
 
-    // Type coercion and validation
-    const validatedArgs: Record<string, unknown> = {};
-    for (const [key, prop] of Object.entries(properties) as [string, PropertySchema][]) {
-      if (args && typeof args === 'object' && key in args) {
-        const argValue = (args as Record<string, unknown>)[key];
-        if (argValue !== undefined && argValue !== null) {
-          if (prop.type === 'number' && typeof argValue === 'string') {
-            const num = parseFloat(argValue);
-            if (!isNaN(num)) {
-              validatedArgs[key] = num;
-            }
-          } else if (prop.type === 'string') {
-            validatedArgs[key] = String(argValue);
-          } else if (typeof argValue === prop.type) {
-            validatedArgs[key] = argValue;
-          }
-        }
+function resolveOpenApiRef(spec: any, value: any, seen: Set<string> = new Set()): any {
+  if (!value || typeof value !== 'object' || typeof value.$ref !== 'string') return value;
+  const ref: string = value.$ref;
+  if (!ref.startsWith('#/')) {
+    throw new Error(`External reference "${ref}" is not supported`);
+  }
+  if (seen.has(ref)) {
+    throw new Error(`Circular reference "${ref}"`);
+  }
+  const target = ref.slice(2).split('/')
+    .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node: any, part) => node?.[part], spec);
+  if (target === undefined) {
+    throw new Error(`Unresolved reference "${ref}"`);
+  }
+  return resolveOpenApiRef(spec, target, new Set(seen).add(ref));
+}
+
+/**
+ * Convert an OpenAPI schema object to plain JSON Schema for ajv: inlines $refs (recursive
+ * schemas stop at an unconstrained schema), turns nullable into a "null" type and drops
+ * readOnly properties, which never belong in a request
+ */
+function toToolSchema(spec: any, schema: any, seen: Set<string> = new Set()): any {
+  if (!schema || typeof schema !== 'object') return schema;
+  if (Array.isArray(schema)) return schema.map(item => toToolSchema(spec, item, seen));
+  if (typeof schema.$ref === 'string') {
+    if (seen.has(schema.$ref)) return {};
+    return toToolSchema(spec, resolveOpenApiRef(spec, schema), new Set(seen).add(schema.$ref));
+  }
+
+  const result: Record<string, any> = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === 'nullable' || OPENAPI_SCHEMA_ANNOTATIONS.includes(key) || key.startsWith('x-')) continue;
+    if (key === 'properties' && value && typeof value === 'object') {
+      result.properties = {};
+      for (const [name, property] of Object.entries<any>(value)) {
+        const resolved = resolveOpenApiRef(spec, property);
+        if (resolved?.readOnly) continue;
+        result.properties[name] = toToolSchema(spec, property, seen);
       }
+    } else {
+      result[key] = toToolSchema(spec, value, seen);
     }
+  }
+  if (Array.isArray(result.required) && result.properties) {
+    result.required = result.required.filter((name: string) => name in result.properties);
+  }
+  if (schema.nullable === true && typeof result.type === 'string') {
+    result.type = [result.type, 'null'];
+  }
+  return result;
+}
 
-    return validatedArgs;
-  } catch (error: any) {
-    logger.warn(`Error in AI argument generation: ${error.message}`);
-    logger.info(`Stack trace: ${error.stack}`);
-    return {}; // Return empty object on failure
+function getOpenApiServerUrl(server: any): string | undefined {
+  if (!server?.url) return undefined;
+  return String(server.url).replace(/\{([^}]+)\}/g, (match: string, name: string) =>
+    server.variables?.[name]?.default !== undefined ? String(server.variables[name].default) : match);
+}
+
+function getOpenApiToolId(operation: any, method: string, path: string): string {
+  if (typeof operation.operationId === 'string' && operation.operationId.trim()) {
+    return operation.operationId.trim();
   }
+  // e.g. GET /users/{userId}/orders -> get_users_userId_orders
+  return `${method}_${path}`.replace(/[^A-Za-z0-9]+/g, '_').replace(/_+$/, '');
 }
 
-// Enhanced pattern-based fallback that uses variables and input parsing
-function generateEnhancedFallbackArgs(schema: any, input: any, flowFrame: FlowFrame): any {
-  const properties = schema.properties || {};
-  const required = schema.required || [];
-  const args: any = {};
+/**
+ * Map the first satisfiable security requirement onto the engine's authentication fields:
+ * bearer/OAuth2/OpenID tokens become tool.apiKey, basic auth becomes implementation.basicAuth,
+ * and API keys go into a header (implementation.apiKeyHeader), the query string
+ * (implementation.customQuery) or a Cookie header
+ */
+function applyOpenApiSecurity(tool: any, requirements: any[], spec: any, credentials: Record<string, OpenApiCredential>): void {
+  if (requirements.length === 0 || requirements.some(requirement => Object.keys(requirement || {}).length === 0)) {
+    return; // No auth, or auth is optional
+  }
+
+  const schemes = spec.components?.securitySchemes || {};
+  const requirement = requirements.find(candidate => Object.keys(candidate).every(name => credentials[name] !== undefined));
+  if (!requirement) {
+    logger.warn(`importOpenApiTools: no credentials for ${tool.id} - provide options.credentials for one of: ${requirements.map(candidate => Object.keys(candidate).join(' + ')).join(', ')}`);
+    return;
+  }
+
+  const implementation = tool.implementation;
+  for (const name of Object.keys(requirement)) {
+    const scheme = resolveOpenApiRef(spec, schemes[name]);
+    const credential = credentials[name];
+    const secret = typeof credential === 'string' ? credential : '';
+    const httpScheme = String(scheme?.scheme || '').toLowerCase();
+
+    if ((scheme?.type === 'http' && httpScheme === 'bearer') || scheme?.type === 'oauth2' || scheme?.type === 'openIdConnect') {
+      tool.apiKey = secret;
+    } else if (scheme?.type === 'http' && httpScheme === 'basic') {
+      if (typeof credential !== 'object') {
+        throw new Error(`Credentials for basic auth scheme "${name}" must be { username, password }`);
+      }
+      implementation.basicAuth = { username: credential.username, password: credential.password };
+    } else if (scheme?.type === 'apiKey' && scheme.in === 'header') {
+      if (implementation.apiKeyHeader) {
+        implementation.headers = { ...implementation.headers, [scheme.name]: secret };
+      } else {
+        implementation.apiKeyHeader = { name: scheme.name, value: secret };
+      }
+    } else if (scheme?.type === 'apiKey' && scheme.in === 'query') {
+      const pair = `${encodeURIComponent(scheme.name)}=${encodeURIComponent(secret)}`;
+      implementation.customQuery = implementation.customQuery ? `${implementation.customQuery}&${pair}` : pair;
+    } else if (scheme?.type === 'apiKey' && scheme.in === 'cookie') {
+      const cookie = `${scheme.name}=${secret}`;
+      const existing = implementation.headers?.Cookie;
+      implementation.headers = { ...implementation.headers, Cookie: existing ? `${existing}; ${cookie}` : cookie };
+    } else {
+      logger.warn(`importOpenApiTools: security scheme "${name}" (${scheme?.type}${httpScheme ? ` ${httpScheme}` : ''}) used by ${tool.id} is not supported`);
+    }
+  }
+}
 
-  // First priority - try to extract from unified variables
-  if (flowFrame && flowFrame.variables && Object.keys(flowFrame.variables).length > 0) {
-    for (const [key, prop] of Object.entries(properties) as [string, any][]) {
-      if (args[key]) continue; // Already found this property
+/**
+ * Generate tool definitions from an OpenAPI 3.x document
+ *
+ * Each operation becomes an HTTP tool: the id is the operationId (or method and path), path
+ * and query parameters plus the JSON/form request body properties make up the parameters
+ * schema, and pathParams, queryParams, method, contentType and authentication are filled in
+ * from the spec. Header and cookie parameters are not supported and are skipped.
+ *
+ * @param spec - OpenAPI document, parsed or as a JSON string
+ * @param options - Base URL override, operation filters, credentials and implementation defaults
+ * @returns Tool definitions ready for the tools registry
+ *
+ * @example
+ * ```typescript
+ * const tools = importOpenApiTools(petstoreSpec, {
+ *   tags: ['orders'],
+ *   credentials: { bearerAuth: process.env.API_TOKEN },
+ *   defaults: { timeout: 5000, retries: 2 }
+ * });
+ * const engine = new WorkflowEngine(logger, aiCallback, flows, [...handWrittenTools, ...tools]);
+ * ```
+ */
+export function importOpenApiTools(spec: string | Record<string, any>, options: OpenApiImportOptions = {}): ToolDefinition[] {
+  const document: any = typeof spec === 'string' ? JSON.parse(spec) : spec;
+  if (!document || typeof document !== 'object' || !/^3\./.test(String(document.openapi ?? ''))) {
+    throw new Error('importOpenApiTools expects an OpenAPI 3.x document');
+  }
 
-      // Direct variable match
-      if (flowFrame.variables[key] !== undefined) {
-        let value: any = flowFrame.variables[key];
+  const credentials = options.credentials || {};
+  const tools: ToolDefinition[] = [];
 
-        // Handle user input wrapper objects
-        if (isUserInputVariable(value)) {
-          const userInputObj = value as Record<string, unknown>;
-          value = userInputObj.value;
+  for (const [path, rawPathItem] of Object.entries<any>(document.paths || {})) {
+    const pathItem = resolveOpenApiRef(document, rawPathItem) || {};
+
+    for (const method of OPENAPI_METHODS) {
+      const operation = pathItem[method];
+      if (!operation) continue;
+
+      const id = getOpenApiToolId(operation, method, path);
+      if (options.operationIds && !options.operationIds.includes(id)) continue;
+      if (options.tags && !(operation.tags || []).some((tag: string) => options.tags!.includes(tag))) continue;
+
+      const serverUrl = options.baseUrl ?? getOpenApiServerUrl(operation.servers?.[0] ?? pathItem.servers?.[0] ?? document.servers?.[0]) ?? '';
+      if (!/^[a-z][a-z0-9+.-]*:/i.test(serverUrl)) {
+        logger.warn(`importOpenApiTools: ${id} has no absolute server URL - set options.baseUrl`);
+      }
+
+      const properties: Record<string, any> = {};
+      const required = new Set<string>();
+      const pathParams: string[] = [];
+      const queryParams: string[] = [];
+
+      // Operation parameters override path-level ones with the same name and location
+      const parameters = new Map<string, any>();
+      for (const rawParameter of [...(pathItem.parameters || []), ...(operation.parameters || [])]) {
+        const parameter = resolveOpenApiRef(document, rawParameter);
+        parameters.set(`${parameter.in}:${parameter.name}`, parameter);
+      }
+      for (const parameter of parameters.values()) {
+        if (parameter.in !== 'path' && parameter.in !== 'query') {
+          logger.debug(`importOpenApiTools: skipping ${parameter.in} parameter "${parameter.name}" of ${id}`);
+          continue;
+        }
+        properties[parameter.name] = {
+          ...toToolSchema(document, parameter.schema || { type: 'string' }),
+          ...(parameter.description && { description: parameter.description })
+        };
+        if (parameter.in === 'path') {
+          pathParams.push(parameter.name);
+          required.add(parameter.name);
+        } else {
+          queryParams.push(parameter.name);
+          if (parameter.required) required.add(parameter.name);
         }
+      }
 
-        // Type conversion if needed
-        if (prop.type === 'number' && typeof value === 'string') {
-          const num = parseFloat(value);
-          if (!isNaN(num)) {
-            value = num;
+      let contentType: string | undefined;
+      const requestBody = resolveOpenApiRef(document, operation.requestBody);
+      if (requestBody?.content) {
+        contentType = OPENAPI_CONTENT_TYPES.find(type => requestBody.content[type]) ??
+          Object.keys(requestBody.content).find(type => /[/+]json\b/.test(type));
+        const bodySchema = contentType ? toToolSchema(document, requestBody.content[contentType].schema) : undefined;
+
+        if (!contentType) {
+          logger.warn(`importOpenApiTools: ${id} request body type ${Object.keys(requestBody.content).join(', ')} is not supported`);
+        } else if (bodySchema?.properties) {
+          // Body properties become top-level tool arguments - the engine sends the remaining args as the body
+          for (const [name, schema] of Object.entries(bodySchema.properties)) {
+            if (properties[name]) {
+              logger.warn(`importOpenApiTools: ${id} body property "${name}" clashes with a parameter of the same name and is skipped`);
+              continue;
+            }
+            properties[name] = schema;
+            if (requestBody.required && bodySchema.required?.includes(name)) required.add(name);
           }
+        } else if (/xml|text\/plain/.test(contentType)) {
+          properties.body = { type: 'string', description: requestBody.description || `${contentType} request body` };
+          if (requestBody.required) required.add('body');
+        } else {
+          logger.warn(`importOpenApiTools: ${id} request body is not an object schema and is skipped`);
         }
-        args[key] = value;
-        continue;
       }
 
+      const tool: any = {
+        id,
+        name: operation.summary || id,
+        description: operation.description || operation.summary || `${method.toUpperCase()} ${path}`,
+        version: String(document.info?.version ?? '1.0.0'),
+        parameters: {
+          type: 'object',
+          properties,
+          required: [...required],
+          additionalProperties: false
+        },
+        implementation: {
+          type: 'http',
+          url: `${serverUrl.replace(/\/+$/, '')}${path}`,
+          method: method.toUpperCase(),
+          ...(contentType && { contentType }),
+          ...(pathParams.length > 0 && { pathParams }),
+          ...(queryParams.length > 0 && { queryParams }),
+          ...options.defaults
+        },
+        ...(operation.tags?.[0] && { category: operation.tags[0] })
+      };
+
+      applyOpenApiSecurity(tool, operation.security ?? document.security ?? [], document, credentials);
+      tools.push(tool);
     }
   }
 
-  // If enhanced fallback didn't find anything useful, try simple pattern matching
-  if (Object.keys(args).length === 0) {
-    const simpleArgs = generateSimpleFallbackArgs(schema, input);
-    Object.assign(args, simpleArgs);
+  const ids = new Set<string>();
+  for (const tool of tools) {
+    if (ids.has(tool.id)) logger.warn(`importOpenApiTools: duplicate tool id "${tool.id}"`);
+    ids.add(tool.id);
   }
+  logger.info(`importOpenApiTools: generated ${tools.length} tools`);
+  return tools;
+}
 
-  logger.info(`Enhanced fallback generated args:`, args);
-  return args;
+// === MCP TOOL PROVIDER ===
+// Model Context Protocol client: connects to an MCP server over stdio or Streamable HTTP,
+// lists its tools for the toolsRegistry and runs them with tools/call.
+
+export interface McpServerConfig {
+  name: string; // Referenced by the generated tools as implementation.server
+  transport: 'stdio' | 'http';
+  command?: string; // stdio: executable that starts the server
+  args?: string[];
+  env?: Record<string, string>; // stdio: added to the current environment
+  cwd?: string;
+  url?: string; // http: the server's MCP endpoint
+  headers?: Record<string, string>; // http: sent with every request, e.g. Authorization
+  timeout?: number; // Per-request timeout in ms (default 30000)
+  toolPrefix?: string; // Prepended to tool ids to avoid clashes, e.g. "crm_"
+  tools?: string[]; // Only register these server tools
 }
 
-// Simple pattern-based fallback for common cases
-function generateSimpleFallbackArgs(schema: any, input: any): any {
-  const properties = schema.properties || {};
-  const required = schema.required || [];
-  const args: any = {};
+export interface McpToolInfo {
+  name: string;
+  title?: string;
+  description?: string;
+  inputSchema?: Record<string, unknown>;
+  outputSchema?: Record<string, unknown>;
+  annotations?: Record<string, unknown>;
+}
 
-  // Look for common patterns
-  for (const [key, prop] of Object.entries(properties) as [string, any][]) {
-    if (prop.type === 'string') {
-      // For city/location queries
-      if (key === 'q' || key.includes('city') || key.includes('location')) {
-        args[key] = String(input).trim();
-        break;
-      }
-      // For account numbers
-      if (key.includes('account') && /^\d+$/.test(input.trim())) {
-        args[key] = input.trim();
-        break;
-      }
-    } else if (prop.type === 'number') {
-      // For amounts
-      if (key.includes('amount') || key.includes('price')) {
-        const match = input.match(/[\d.]+/);
-        if (match) {
-          const num = parseFloat(match[0]);
-          if (!isNaN(num)) {
-            args[key] = num;
-            break;
-          }
-        }
-      }
+const MCP_PROTOCOL_VERSION = '2025-06-18';
+const MCP_DEFAULT_TIMEOUT = 30000;
+const CHILD_PROCESS_MODULE = 'node:child_process'; // Not a literal import so browser bundles don't try to resolve it
+
+/**
+ * JSON-RPC client for one MCP server. WorkflowEngine.registerMcpServer() creates and
+ * connects these; use the class directly only to talk to a server outside the engine.
+ */
+export class McpClient {
+  public readonly config: McpServerConfig;
+  public serverInfo?: { name: string; version?: string };
+  private nextId = 1;
+  private sessionId?: string;
+  private protocolVersion = MCP_PROTOCOL_VERSION;
+  private child?: any;
+  private buffer = '';
+  private pending = new Map<number, { resolve: (message: any) => void; reject: (error: Error) => void; timer: NodeJS.Timeout }>();
+
+  constructor(config: McpServerConfig) {
+    if (!config?.name) {
+      throw new Error('MCP server config needs a name');
+    }
+    if (config.transport === 'stdio' && !config.command) {
+      throw new Error(`MCP server "${config.name}" uses the stdio transport but has no command`);
     }
+    if (config.transport === 'http' && !config.url) {
+      throw new Error(`MCP server "${config.name}" uses the http transport but has no url`);
+    }
+    if (config.transport !== 'stdio' && config.transport !== 'http') {
+      throw new Error(`MCP server "${config.name}" has unsupported transport "${config.transport}"`);
+    }
+    this.config = config;
   }
 
-  // If no specific pattern matched, use the first required property
-  if (Object.keys(args).length === 0 && required.length > 0) {
-    const firstRequired = required[0];
-    const prop = properties[firstRequired];
-    if (prop.type === 'string') {
-      args[firstRequired] = String(input).trim();
+  // Start the server (stdio) and run the initialize handshake
+  async connect(): Promise<void> {
+    if (this.config.transport === 'stdio') {
+      await this.spawnServer();
+    }
+    const result = await this.request('initialize', {
+      protocolVersion: MCP_PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: { name: 'jsfe', version: '1.0.0' }
+    });
+    this.protocolVersion = result?.protocolVersion || MCP_PROTOCOL_VERSION;
+    this.serverInfo = result?.serverInfo;
+    await this.notify('notifications/initialized');
+    logger.info(`MCP server ${this.config.name} connected (${this.serverInfo?.name || 'unknown'}, protocol ${this.protocolVersion})`);
+  }
+
+  // All tools the server offers, following nextCursor pagination
+  async listTools(): Promise<McpToolInfo[]> {
+    const tools: McpToolInfo[] = [];
+    let cursor: string | undefined;
+    do {
+      const result = await this.request('tools/list', cursor ? { cursor } : {});
+      tools.push(...(Array.isArray(result?.tools) ? result.tools : []));
+      cursor = result?.nextCursor || undefined;
+    } while (cursor);
+    return tools;
+  }
+
+  // Raw tools/call result: { content, structuredContent?, isError? }
+  async callTool(name: string, args: Record<string, unknown>, timeout?: number, signal?: AbortSignal): Promise<any> {
+    return this.request('tools/call', { name, arguments: args ?? {} }, timeout, signal);
+  }
+
+  async close(): Promise<void> {
+    this.rejectPending(new Error(`MCP server ${this.config.name} connection closed`));
+    if (this.child) {
+      const child = this.child;
+      this.child = undefined;
+      child.stdin?.end();
+      child.kill();
+    } else if (this.config.transport === 'http' && this.sessionId) {
+      // Ends the server-side session; servers that don't support it answer 405, which is fine
+      await fetch(this.config.url!, { method: 'DELETE', headers: { ...this.config.headers, 'Mcp-Session-Id': this.sessionId } }).catch(() => undefined);
+      this.sessionId = undefined;
+    }
+  }
+
+  private async request(method: string, params: Record<string, unknown>, timeout?: number, signal?: AbortSignal): Promise<any> {
+    const message = { jsonrpc: '2.0', id: this.nextId++, method, params };
+    if (signal?.aborted) {
+      throw new Error(`MCP ${method} cancelled on ${this.config.name}`);
+    }
+    // An aborted request is dropped locally and the server is told to stop working on it
+    const cancel = () => {
+      const entry = this.pending.get(message.id);
+      if (entry) {
+        clearTimeout(entry.timer);
+        this.pending.delete(message.id);
+        entry.reject(new Error(`MCP ${method} cancelled on ${this.config.name}`));
+      }
+      this.notify('notifications/cancelled', { requestId: message.id, reason: 'Cancelled by client' }).catch(() => undefined);
+    };
+    signal?.addEventListener('abort', cancel, { once: true });
+    let reply: any;
+    try {
+      reply = this.config.transport === 'stdio'
+        ? await this.sendStdio(message, timeout)
+        : await this.sendHttp(message, timeout, signal);
+    } finally {
+      signal?.removeEventListener('abort', cancel);
+    }
+    if (reply.error) {
+      const error = new Error(`MCP ${method} failed on ${this.config.name}: ${reply.error.message || JSON.stringify(reply.error)}`) as any;
+      error.code = reply.error.code;
+      error.data = reply.error.data;
+      throw error;
     }
+    return reply.result;
   }
 
-  return args;
-}
-
-async function callTool(engine: Engine, tool: any, args: any, userId: string = 'anonymous', transactionId: string | null = null): Promise<any> {
-  try {
-    logger.info(`Calling tool ${tool.name} with args:`, args);
-
-    const APPROVED_FUNCTIONS = engine.APPROVED_FUNCTIONS;
-    // === SECURE LOCAL FUNCTION MODE ===
-    if (tool.implementation?.type === 'local' && tool.implementation?.function) {
-      if (!APPROVED_FUNCTIONS) {
-        throw new Error(`Approved functions registry not available`);
-      }
-      const fn = APPROVED_FUNCTIONS[tool.implementation.function];
-      if (!fn) {
-        throw new Error(`Function "${tool.implementation.function}" not found in approved functions registry`);
-      }
+  private async notify(method: string, params?: Record<string, unknown>): Promise<void> {
+    const message = { jsonrpc: '2.0', method, ...(params && { params }) };
+    if (this.config.transport === 'stdio') {
+      this.write(message);
+    } else {
+      await this.sendHttp(message);
+    }
+  }
 
-      // Apply timeout if configured
-      const timeout = tool.implementation.timeout || 5000;
-      let timeoutId: NodeJS.Timeout | undefined;
-      const timeoutPromise = new Promise((_, reject) => {
-        timeoutId = setTimeout(() => reject(new Error(`Tool execution timeout after ${timeout}ms - ${tool.implementation.function}`)), timeout);
-      });
+  // === STDIO TRANSPORT === newline-delimited JSON-RPC on the child's stdin/stdout
+  private async spawnServer(): Promise<void> {
+    const { spawn } = await import(CHILD_PROCESS_MODULE);
+    const child = spawn(this.config.command, this.config.args || [], {
+      cwd: this.config.cwd,
+      env: { ...process.env, ...this.config.env },
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', (chunk: string) => this.receive(chunk));
+    child.stderr.on('data', (chunk: Buffer) => logger.debug(`[MCP ${this.config.name}] ${String(chunk).trimEnd()}`));
+    child.on('error', (error: Error) => this.rejectPending(new Error(`MCP server ${this.config.name} failed to start: ${error.message}`)));
+    // A write after the server died (a cancel notification, a ping reply) fails with EPIPE here, not at write()
+    child.stdin.on('error', (error: Error) => this.rejectPending(new Error(`MCP server ${this.config.name} stdin closed: ${error.message}`)));
+    child.on('exit', (code: number | null) => {
+      if (this.child === child) this.child = undefined;
+      this.rejectPending(new Error(`MCP server ${this.config.name} exited with code ${code}`));
+    });
 
-      try {
-        // Determine how to call the function based on its signature and tool schema
-        let result;
+    // Don't keep the host process alive for an idle server - pending requests hold their own timers
+    child.unref();
+    for (const stream of [child.stdin, child.stdout, child.stderr]) stream?.unref?.();
+    this.child = child;
+  }
 
-        // Check if the tool schema indicates individual parameters vs object parameter
-        const toolSchema = tool.schema || tool.parameters || tool;
+  private sendStdio(message: { id: number; method: string }, timeout?: number): Promise<any> {
+    if (!this.child) {
+      return Promise.reject(new Error(`MCP server ${this.config.name} is not running`));
+    }
+    const ms = timeout || this.config.timeout || MCP_DEFAULT_TIMEOUT;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(message.id);
+        reject(new Error(`MCP ${message.method} timed out after ${ms}ms on ${this.config.name}`));
+      }, ms);
+      this.pending.set(message.id, { resolve, reject, timer });
+      this.write(message);
+    });
+  }
 
-        // Handle different schema formats:
-        // Format 1: JSONSchema with type="object" -> single object parameter
-        // Format 2: Direct parameters object -> individual parameters
-        let schemaProperties: Record<string, any> = {};
-        let useObjectParameter = false;
+  private write(message: Record<string, unknown>): void {
+    this.child?.stdin.write(JSON.stringify(message) + '\n');
+  }
 
-        if (tool.parameters?.type === "object" && tool.parameters?.properties) {
-          // Format 1: JSONSchema format { type: "object", properties: {...} }
-          // Function expects single object parameter
-          schemaProperties = tool.parameters.properties;
-          useObjectParameter = true;
-          logger.debug(`Detected JSONSchema format (type: object) - will use object parameter`);
-        } else if (tool.parameters && typeof tool.parameters === 'object' && !tool.parameters.type) {
-          // Format 2: Direct parameters { param1: {...}, param2: {...} }
-          // Function expects individual parameters
-          schemaProperties = tool.parameters;
-          useObjectParameter = false;
-          logger.debug(`Detected direct parameters format - will use individual parameters`);
-        } else if (toolSchema?.properties) {
-          // Fallback: Standard JSONSchema format
-          schemaProperties = toolSchema.properties;
-          useObjectParameter = toolSchema.type === "object";
-          logger.debug(`Detected schema.properties format - object parameter: ${useObjectParameter}`);
-        }
+  private receive(chunk: string): void {
+    this.buffer += chunk;
+    let newline: number;
+    while ((newline = this.buffer.indexOf('\n')) >= 0) {
+      const line = this.buffer.slice(0, newline).trim();
+      this.buffer = this.buffer.slice(newline + 1);
+      if (!line) continue;
+      let message: any;
+      try {
+        message = JSON.parse(line);
+      } catch {
+        logger.debug(`[MCP ${this.config.name}] ignoring non-JSON output: ${line}`);
+        continue;
+      }
+      this.handleMessage(message);
+    }
+  }
 
-        const propertyNames = Object.keys(schemaProperties);
+  private handleMessage(message: any): void {
+    if (message.method && message.id !== undefined) {
+      // Server-to-client request: answer ping, decline capabilities we didn't advertise
+      this.write(message.method === 'ping'
+        ? { jsonrpc: '2.0', id: message.id, result: {} }
+        : { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } });
+      return;
+    }
+    const entry = message.id !== undefined ? this.pending.get(message.id) : undefined;
+    if (entry) {
+      clearTimeout(entry.timer);
+      this.pending.delete(message.id);
+      entry.resolve(message);
+    }
+    // Notifications (progress, logging, list_changed) are ignored
+  }
 
-        // Get function parameter count
-        const fnParamCount = fn.length;
+  private rejectPending(error: Error): void {
+    for (const entry of this.pending.values()) {
+      clearTimeout(entry.timer);
+      entry.reject(error);
+    }
+    this.pending.clear();
+  }
 
-        logger.debug(`Function ${tool.implementation.function} parameter count: ${fnParamCount}`);
-        logger.debug(`Schema properties count: ${propertyNames.length}`);
-        logger.debug(`Schema properties: ${propertyNames.join(', ')}`);
-        logger.debug(`Use object parameter: ${useObjectParameter}`);
+  // === STREAMABLE HTTP TRANSPORT === one POST per message, answered with JSON or an SSE stream
+  private async sendHttp(message: Record<string, any>, timeout?: number, signal?: AbortSignal): Promise<any> {
+    const ms = timeout || this.config.timeout || MCP_DEFAULT_TIMEOUT;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), ms);
+    signal?.addEventListener('abort', () => controller.abort(), { once: true });
+    try {
+      const response = await fetch(this.config.url!, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json, text/event-stream',
+          ...(message.method !== 'initialize' && { 'MCP-Protocol-Version': this.protocolVersion }),
+          ...(this.sessionId && { 'Mcp-Session-Id': this.sessionId }),
+          ...this.config.headers
+        },
+        body: JSON.stringify(message),
+        signal: controller.signal
+      });
+      const sessionId = response.headers.get('mcp-session-id');
+      if (sessionId) this.sessionId = sessionId;
+      if (!response.ok) {
+        throw new Error(`MCP server ${this.config.name} returned HTTP ${response.status}: ${await response.text().catch(() => '')}`);
+      }
+      if (message.id === undefined) {
+        return undefined; // Notifications are answered with 202 and no body
+      }
 
-        // Strategy 1: Schema explicitly indicates object parameter (JSONSchema format with type: "object")
-        if (useObjectParameter) {
-          logger.debug(`Calling function with single object parameter`);
-          result = await Promise.race([fn(args), timeoutPromise]);
-        }
-        // Strategy 2: Flat schema format OR multiple params - use individual parameters
-        // Note: function.length only counts params WITHOUT defaults, so we rely on schema properties count
-        else if (propertyNames.length > 0) {
-          logger.debug(`Calling function with individual parameters (schema has ${propertyNames.length} properties)`);
+      const contentType = response.headers.get('content-type') || '';
+      const text = await response.text();
+      const messages = contentType.includes('text/event-stream') ? parseSseMessages(text) : [].concat(JSON.parse(text));
+      const reply = messages.find((candidate: any) => candidate?.id === message.id);
+      if (!reply) {
+        throw new Error(`MCP server ${this.config.name} sent no response to ${message.method}`);
+      }
+      return reply;
+    } catch (error: any) {
+      if (signal?.aborted) {
+        throw new Error(`MCP ${message.method} cancelled on ${this.config.name}`);
+      }
+      if (error.name === 'AbortError') {
+        throw new Error(`MCP ${message.method} timed out after ${ms}ms on ${this.config.name}`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
 
-          // For tools with 'parameters' property, use the required array or property order
-          let orderedParamNames: string[];
-          if (tool.required && Array.isArray(tool.required)) {
-            // Use required array order first, then add any optional parameters
-            const optionalParams = propertyNames.filter(name => !tool.required.includes(name));
-            orderedParamNames = [...tool.required, ...optionalParams];
-          } else {
-            // Fall back to property definition order (note: this may not be reliable in all JS engines)
-            orderedParamNames = propertyNames;
-          }
+// JSON payloads of the data: lines in a text/event-stream body, one per event
+function parseSseMessages(text: string): any[] {
+  const messages: any[] = [];
+  for (const event of text.split(/\r?\n\r?\n/)) {
+    const data = event.split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).replace(/^ /, ''))
+      .join('\n');
+    if (!data) continue;
+    try {
+      messages.push(JSON.parse(data));
+    } catch {
+      logger.debug(`Ignoring non-JSON SSE event: ${data}`);
+    }
+  }
+  return messages;
+}
 
-          logger.debug(`Parameter order: ${orderedParamNames.join(', ')}`);
-          const orderedArgs = orderedParamNames.map(propName => {
-            const value = args[propName];
-            logger.debug(`Parameter ${propName}: ${JSON.stringify(value)}`);
-            return value;
-          });
+// A copy of a server schema without its $schema dialect - the engine validates with its own
+function withoutSchemaDialect(schema: unknown): Record<string, any> {
+  const copy = { ...((schema || {}) as Record<string, any>) };
+  delete copy.$schema;
+  return copy;
+}
 
-          logger.debug(`Calling ${tool.implementation.function}(${orderedArgs.map(arg => typeof arg === 'object' ? '[object]' : arg).join(', ')})`);
-          result = await Promise.race([fn(...orderedArgs), timeoutPromise]);
-        }
-        // Strategy 3: Function expects 0 parameters, call without arguments
-        else if (fnParamCount === 0) {
-          logger.debug(`Calling function with no parameters`);
-          result = await Promise.race([fn(), timeoutPromise]);
-        }
-        // Fallback: Use object approach
-        else {
-          logger.debug(`Calling function with object parameter (fallback)`);
-          result = await Promise.race([fn(args), timeoutPromise]);
-        }
+// toolsRegistry entry for an MCP server tool; the input schema is used as-is for argument generation
+function toMcpToolDefinition(config: McpServerConfig, info: McpToolInfo): ToolDefinition {
+  const inputSchema = withoutSchemaDialect(info.inputSchema);
+  const outputSchema = withoutSchemaDialect(info.outputSchema);
+  return {
+    id: `${config.toolPrefix || ''}${info.name}`,
+    name: info.title || (info.annotations?.title as string) || info.name,
+    description: info.description || info.title || info.name,
+    parameters: { ...inputSchema, type: 'object', properties: inputSchema.properties || {}, required: inputSchema.required || [] },
+    ...(info.outputSchema && { outputSchema }), // structuredContent is checked against it
+    implementation: { type: 'mcp', server: config.name, tool: info.name }
+  } as ToolDefinition;
+}
 
-        // Clear the timeout since function completed successfully
-        if (timeoutId) {
-          clearTimeout(timeoutId);
-        }
-        return result;
-      } catch (error: any) {
-        // Clear the timeout on error as well
-        if (timeoutId) {
-          clearTimeout(timeoutId);
-        }
+/**
+ * The value a tools/call result stores in step.variable: structuredContent when the server
+ * sends it, otherwise the content items - a single text item is parsed when it holds JSON,
+ * several text items are joined with newlines and anything else is kept as an array.
+ */
+function getMcpResultValue(result: any): unknown {
+  if (result?.structuredContent !== undefined) {
+    return result.structuredContent;
+  }
+  const items = (Array.isArray(result?.content) ? result.content : []).map((item: any) => {
+    switch (item?.type) {
+      case 'text':
+        return item.text;
+      case 'resource':
+        return item.resource?.text ?? item.resource;
+      default:
+        return item; // image, audio and resource_link items keep their MCP shape
+    }
+  });
 
-        // Unconditional Retry logic for local functions
-        const retries = tool.implementation.retries || 0;
-        if (retries > 0) {
-          logger.info(`Retrying tool ${tool.name}, attempts remaining: ${retries}`);
-          const retryTool = { ...tool, implementation: { ...tool.implementation, retries: retries - 1 } };
-          return await callTool(engine, retryTool, args, userId, transactionId);
-        }
-        throw error;
+  if (items.length === 0) {
+    return null;
+  }
+  if (items.every((item: unknown) => typeof item === 'string')) {
+    const text = items.join('\n');
+    if (items.length === 1 && /^\s*[[{]/.test(text)) {
+      try {
+        return JSON.parse(text);
+      } catch {
+        return text;
       }
     }
+    return text;
+  }
+  return items.length === 1 ? items[0] : items;
+}
 
-    // === ENHANCED HTTP TOOL CALL MODE ===
-    return await callHttpTool(tool, args, userId, transactionId, engine);
-  } catch (error: any) {
-    logger.info(`Error calling tool ${tool.name}: ${error.message}`);
-    logger.info(`Stack trace: ${error.stack}`);
-    throw error; // Re-throw to propagate error
+/**
+ * Call an MCP tool with tools/call on its registered server. A result flagged isError is a
+ * tool failure (so CALL-TOOL retry/onFail apply); otherwise the mapped content is returned.
+ */
+async function callMcpTool(tool: any, args: any, engine: Engine, signal?: AbortSignal): Promise<any> {
+  const implementation = tool.implementation;
+  const client = engine.mcpServers[implementation.server];
+  if (!client) {
+    throw new Error(`MCP server "${implementation.server}" for tool ${tool.name} is not registered - call engine.registerMcpServer()`);
+  }
+
+  const result = await client.callTool(implementation.tool || tool.id, args, implementation.timeout, signal);
+  if (result?.isError) {
+    const message = (Array.isArray(result.content) ? result.content : [])
+      .filter((item: any) => item?.type === 'text')
+      .map((item: any) => item.text)
+      .join(' ') || 'tool reported an error';
+    throw new Error(`Failed ${tool.name}: ${message}`);
+  }
+
+  const value = getMcpResultValue(result);
+  if (implementation.responseMapping && value !== null) {
+    try {
+      return applyResponseMapping(value as PathTraversableObject, implementation.responseMapping, args, engine);
+    } catch (error: any) {
+      logger.error(`Response mapping failed:`, error.message);
+      return value; // Fall back to the unmapped value
+    }
   }
+  return value;
 }
 
-async function callHttpTool(tool: any, args: any, userId: string = 'anonymous', transactionId: string | null = null, engine: Engine): Promise<any> {
-  try {
-    logger.info(`Calling HTTP tool ${tool.name} with args: ${JSON.stringify(args)}`);
+// === UTILITIES ===
+// ===============================================
+// TWO-PHASE EXPRESSION EVALUATOR
+// ===============================================
 
-    const implementation = tool.implementation;
+/**
+ * Security configuration for expression evaluation
+ */
+interface SecurityConfig {
+  readonly allowedMethods: Readonly<Record<'string' | 'array' | 'object' | 'number' | 'boolean' | 'date' | 'regexp', readonly string[]>>;
+  readonly blockedPatterns: readonly RegExp[];
+  readonly maxExpressionLength: number;
+}
 
-    // === MOCK RESPONSE SUPPORT FOR TESTING ===
-    if (implementation.type === 'mock' && implementation.mockResponse) {
-      logger.info(`[MOCK] Simulating HTTP call for tool ${tool.name}`);
+/**
+ * Enforced by the sandboxed interpreter: methods are looked up per receiver type and
+ * anything not listed is unreachable. Arrays expose no mutating methods - flow default
+ * variables are shared between sessions. blockedPatterns guard the legacy (compat) path,
+ * which still runs the expression as JavaScript.
+ */
+const EXPRESSION_SECURITY: SecurityConfig = {
+  allowedMethods: {
+    string: [
+      'at', 'charAt', 'charCodeAt', 'codePointAt', 'concat', 'endsWith', 'includes', 'indexOf', 'lastIndexOf',
+      'localeCompare', 'match', 'normalize', 'padEnd', 'padStart', 'repeat', 'replace', 'replaceAll', 'search',
+      'slice', 'split', 'startsWith', 'substr', 'substring', 'toLocaleLowerCase', 'toLocaleUpperCase',
+      'toLowerCase', 'toString', 'toUpperCase', 'trim', 'trimEnd', 'trimStart', 'valueOf'
+    ],
+    array: [
+      'at', 'concat', 'every', 'filter', 'find', 'findIndex', 'findLast', 'findLastIndex', 'flat', 'flatMap',
+      'forEach', 'includes', 'indexOf', 'join', 'lastIndexOf', 'map', 'reduce', 'reduceRight', 'slice', 'some',
+      'toString'
+    ],
+    object: ['hasOwnProperty', 'toString', 'valueOf'],
+    number: ['toExponential', 'toFixed', 'toLocaleString', 'toPrecision', 'toString', 'valueOf'],
+    boolean: ['toString', 'valueOf'],
+    date: [
+      'getDate', 'getDay', 'getFullYear', 'getHours', 'getMilliseconds', 'getMinutes', 'getMonth', 'getSeconds',
+      'getTime', 'getTimezoneOffset', 'getUTCDate', 'getUTCDay', 'getUTCFullYear', 'getUTCHours',
+      'getUTCMilliseconds', 'getUTCMinutes', 'getUTCMonth', 'getUTCSeconds', 'toDateString', 'toISOString',
+      'toJSON', 'toLocaleDateString', 'toLocaleString', 'toLocaleTimeString', 'toString', 'toTimeString',
+      'toUTCString', 'valueOf'
+    ],
+    regexp: ['exec', 'test', 'toString']
+  },
+  blockedPatterns: [
+    /(?<![\w$.])(?:eval|Function|globalThis|window|process|require|import|setTimeout|setInterval|setImmediate|fetch)\b/,
+    /\b(?:constructor|prototype|__proto__|__defineGetter__|__defineSetter__|__lookupGetter__|__lookupSetter__)\b/,
+    /\b(?:Reflect|Proxy|getOwnPropertyDescriptors?|getOwnPropertyNames|getOwnPropertySymbols|getPrototypeOf|setPrototypeOf|defineProperty|defineProperties)\b/
+  ],
+  maxExpressionLength: 4000
+};
 
-      // Simulate API delay
-      await new Promise(resolve => setTimeout(resolve, 100));
+/**
+ * Options for expression evaluation
+ */
+interface ExpressionOptions {
+  allowLogicalOperators?: boolean;
+  allowMathOperators?: boolean;
+  allowComparisons?: boolean;
+  allowTernary?: boolean;
+  context?: string; // For logging/debugging
+  returnType?: 'string' | 'boolean' | 'auto';
+  strict?: boolean; // Throw 'template_unresolved' for placeholders that fail or have no value (default: strictTemplates)
+}
 
-      let mockData = implementation.mockResponse;
+/**
+ * Security validation result
+ */
+interface SecurityValidationResult {
+  readonly isValid: boolean;
+  readonly reason?: string;
+}
 
-      // Handle conditional mock responses based on args
-      if (args.testType && typeof mockData === 'object' && mockData[args.testType]) {
-        mockData = mockData[args.testType];
+
+/**
+ * Resolve variable path like "cargo.callerId" or "user.profile.name"
+ * Supports variables, context stack, engine session variables, and global variables
+ */
+function resolveVariablePath(
+  path: string,
+  variables: Record<string, unknown>,
+  contextStack: ContextEntry[],
+  engine: Engine
+): unknown {
+  const parts = path.split('.');
+  const rootVar = parts[0];
+
+  // 1. Try to find in flow variables first
+  let rootValue = variables[rootVar];
+
+  // Handle user input variables as pure literals
+  if (rootValue && typeof rootValue === 'object' && rootValue !== null) {
+    const userInputObj = rootValue as Record<string, unknown>;
+    if (userInputObj.__userInput === true && userInputObj.__literal === true) {
+      // Extract the literal value and treat it as a normal variable
+      // This allows normal property access like userInput.length
+      rootValue = userInputObj.value;
+    } else {
+      logger.debug(`resolveVariablePath - Found user input object, but not a literal: ${JSON.stringify(userInputObj)}`);
+    }
+  }
+
+  // 2. If not found in variables, try context stack
+  if (rootValue === undefined && contextStack.length > 0) {
+    for (const context of contextStack) {
+      if (context && typeof context === 'object' && rootVar in context) {
+        rootValue = (context as unknown as Record<string, unknown>)[rootVar];
+        break;
       }
+    }
+  }
 
-      // Apply response mapping if configured
-      if (implementation.responseMapping) {
-        try {
-          const mappedResult = applyResponseMapping(mockData, implementation.responseMapping, args, engine);
-          logger.info(`[MOCK] Response mapping applied for ${tool.name}`);
-          return mappedResult;
-        } catch (error: any) {
-          logger.error(`[MOCK] Response mapping failed for ${tool.name}:`, error.message);
-          return mockData; // Fallback to raw mock data
-        }
+  // 3. If not found and engine available, try engine session variables
+  if (rootValue === undefined && engine) {
+    // Use the centralized session variable logic
+    const sessionVars = getEngineSessionVariables(engine, contextStack);
+
+    // Handle property access (e.g., cargo.someVar)
+    if (path.includes('.')) {
+      const parts = path.split('.');
+      const baseVariable = parts[0];
+      const propertyPath = parts.slice(1).join('.');
+
+      // Get the base session variable
+      const baseValue = sessionVars[baseVariable];
+
+      // If we found a base value, navigate the remaining path
+      if (baseValue !== undefined) {
+        return resolveVariablePath(propertyPath, { root: baseValue }, [], engine);
       }
+    } else {
+      // Handle direct variable access (no dots)
+      rootValue = sessionVars[path];
+    }
+  }
 
-      return mockData;
+  // 4. If not found and engine available, try global variables
+  if (rootValue === undefined && engine?.globalVariables) {
+    rootValue = engine.globalVariables[rootVar];
+  }
+
+  // If still not found, return undefined
+  if (rootValue === undefined) {
+    return undefined;
+  }
+
+  // Navigate the remaining path safely
+  let current: unknown = rootValue;
+  for (let i = 1; i < parts.length; i++) {
+    if (current === null || current === undefined) {
+      return undefined;
+    }
+    if (typeof current === 'object' && current !== null) {
+      current = (current as Record<string, unknown>)[parts[i]];
+    } else {
+      return undefined;
     }
+  }
 
-    const method = (tool.method || implementation.method || 'POST').toUpperCase();
-    let baseUrl = implementation.url || tool.url;
+  return current;
+}
+
+/**
+ * Check if a variable value is marked as user input (literal data)
+ * User input should never be evaluated as code for security
+ */
+function isUserInputVariable(value: unknown): boolean {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    (value as Record<string, unknown>).__userInput === true &&
+    (value as Record<string, unknown>).__literal === true
+  );
+}
+
+/**
+ * Input sanitization for user-provided values
+ * Escapes special characters that could break expression syntax
+ * NOTE: This is secondary defense - primary security is treating user input as literal data
+ */
+function sanitizeUserInput(input: unknown): string {
+  if (typeof input !== 'string') {
+    return String(input);
+  }
+
+  // Escape special characters that could break expression syntax
+  return input
+    .replace(/\\/g, '\\\\')   // Escape backslashes
+    .replace(/'/g, "\\'")     // Escape single quotes  
+    .replace(/"/g, '\\"')     // Escape double quotes
+    .replace(/\n/g, '\\n')    // Escape newlines
+    .replace(/\r/g, '\\r')    // Escape carriage returns
+    .replace(/\t/g, '\\t');   // Escape tabs
+}
 
-    if (!baseUrl) {
-      throw new Error(`No URL specified for HTTP tool ${tool.name}`);
-    }
+// ===============================================
+// SANDBOXED EXPRESSION INTERPRETER
+// ===============================================
+// Flow expressions are parsed into a small AST and interpreted - never handed to the
+// JavaScript compiler. Identifiers resolve only to the evaluation context and a fixed set
+// of safe globals, property reads are limited to own data properties plus the per-type
+// method allowlist in EXPRESSION_SECURITY, and prototype/constructor names are unreachable.
+// Reads are null-safe like template dot-paths: a variable that is not set, or a property
+// of null/undefined, is undefined rather than an error.
+
+type ExprNode =
+  | { type: 'Literal'; value: unknown }
+  | { type: 'Identifier'; name: string }
+  | { type: 'Template'; quasis: string[]; expressions: ExprNode[] }
+  | { type: 'RegExp'; pattern: string; flags: string }
+  | { type: 'Array'; elements: ExprNode[] }
+  | { type: 'Object'; properties: Array<{ key: string | ExprNode; value: ExprNode } | { spread: ExprNode }> }
+  | { type: 'Spread'; argument: ExprNode }
+  | { type: 'Member'; object: ExprNode; property: string | ExprNode; optional: boolean }
+  | { type: 'Call'; callee: ExprNode; args: ExprNode[]; optional: boolean }
+  | { type: 'New'; callee: ExprNode; args: ExprNode[] }
+  | { type: 'Chain'; expression: ExprNode }
+  | { type: 'Unary'; operator: string; argument: ExprNode }
+  | { type: 'Binary'; operator: string; left: ExprNode; right: ExprNode }
+  | { type: 'Logical'; operator: string; left: ExprNode; right: ExprNode }
+  | { type: 'Conditional'; test: ExprNode; consequent: ExprNode; alternate: ExprNode }
+  | { type: 'Arrow'; params: string[]; body: ExprNode }
+  | { type: 'Assign'; target: ExprNode; value: ExprNode }
+  | { type: 'Sequence'; expressions: ExprNode[] }
+  | { type: 'Filter'; input: ExprNode; name: string; args: ExprNode[] };
+
+type ExprFeature = 'logical' | 'math' | 'comparison' | 'ternary';
+
+interface ExprToken {
+  type: 'num' | 'str' | 'template' | 'regex' | 'name' | 'punc' | 'eof';
+  value: string;
+  pos: number;
+  number?: number;
+  quasis?: string[]; // Template literal text parts (cooked)
+  sources?: string[]; // Template literal ${...} sources
+  flags?: string; // Regex flags
+}
+
+interface CompiledExpression {
+  ast?: ExprNode;
+  features: Set<ExprFeature>;
+  error?: Error;
+}
 
-    // === TEMPLATE INTERPOLATION FOR URL ===
-    // Interpolate {{variable}} templates in the URL using current flow variables
-    if (engine && baseUrl.includes('{{')) {
-      try {
-        const currentFlowFrame = getCurrentFlowFrame(engine);
-        const variables = currentFlowFrame?.variables || {};
-        const contextStack = currentFlowFrame?.contextStack || [];
+/**
+ * Raised for syntax the sandbox does not support. In compat mode these expressions fall
+ * back to legacy evaluation; a syntax error never indicates a security violation.
+ */
+class ExpressionSyntaxError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ExpressionSyntaxError';
+  }
+}
 
-        logger.debug(`Interpolating URL template: ${baseUrl}`);
-        logger.debug(`Available variables:`, variables);
+const EXPRESSION_CACHE_LIMIT = 1000;
+const expressionCache = new Map<string, CompiledExpression>();
+const legacyExpressionWarnings = new Set<string>();
 
-        baseUrl = interpolateMessage(baseUrl, contextStack, variables, engine);
-        logger.debug(`Interpolated URL: ${baseUrl}`);
-      } catch (error: any) {
-        logger.warn(`Failed to interpolate URL template: ${error.message}`);
-        // Continue with original URL if interpolation fails
-      }
-    }
+const BLOCKED_PROPERTY_NAMES = new Set([
+  'constructor', 'prototype', '__proto__', '__defineGetter__', '__defineSetter__', '__lookupGetter__', '__lookupSetter__'
+]);
 
-    // === COMPREHENSIVE HEADER HANDLING ===
-    const headers: Record<string, string> = {
-      'User-Agent': implementation.userAgent || 'WorkflowEngine/1.0',
-      ...implementation.defaultHeaders || {}
-    };
+// Reserved words with no meaning in the sandbox - reported as unsupported syntax
+const UNSUPPORTED_KEYWORDS = new Set([
+  'function', 'class', 'var', 'let', 'const', 'return', 'this', 'delete', 'in', 'instanceof', 'yield', 'await',
+  'async', 'import', 'export', 'if', 'else', 'for', 'while', 'do', 'switch', 'try', 'catch', 'throw', 'with', 'super'
+]);
 
-    // Content-Type handling based on data format
-    const contentType = implementation.contentType || 'application/json';
-    if (method !== 'GET' && method !== 'HEAD') {
-      headers['Content-Type'] = contentType;
-    }
+const EXPR_PUNCTUATORS = [
+  '===', '!==', '...', '**', '?.', '??', '==', '!=', '<=', '>=', '&&', '||', '=>',
+  '+', '-', '*', '/', '%', '<', '>', '!', '?', ':', '.', ',', '(', ')', '[', ']', '{', '}', '=', ';', '|'
+];
 
-    // === AUTHENTICATION HANDLING ===
-    // Bearer Token Authentication
-    if (tool.apiKey) {
-      headers['Authorization'] = `Bearer ${tool.apiKey}`;
-    }
+const BINARY_PRECEDENCE: Record<string, number> = {
+  '??': 1, '||': 2, '&&': 3,
+  '==': 6, '!=': 6, '===': 6, '!==': 6,
+  '<': 7, '>': 7, '<=': 7, '>=': 7,
+  '+': 9, '-': 9,
+  '*': 10, '/': 10, '%': 10,
+  '**': 11
+};
 
-    // Basic Authentication
-    if (implementation.basicAuth) {
-      const credentials = btoa(`${implementation.basicAuth.username}:${implementation.basicAuth.password}`);
-      headers['Authorization'] = `Basic ${credentials}`;
+function decodeEscape(source: string, index: number): { value: string; next: number } {
+  if (index >= source.length) throw new ExpressionSyntaxError('Unterminated escape sequence');
+  const ch = source[index];
+  const simple: Record<string, string> = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', '0': '\0' };
+  if (ch in simple && !(ch === '0' && /\d/.test(source[index + 1] || ''))) {
+    return { value: simple[ch], next: index + 1 };
+  }
+  if (ch === 'x') {
+    const hex = source.slice(index + 1, index + 3);
+    if (!/^[0-9a-fA-F]{2}$/.test(hex)) throw new ExpressionSyntaxError('Invalid hexadecimal escape sequence');
+    return { value: String.fromCharCode(parseInt(hex, 16)), next: index + 3 };
+  }
+  if (ch === 'u') {
+    if (source[index + 1] === '{') {
+      const close = source.indexOf('}', index);
+      const hex = source.slice(index + 2, close);
+      if (close < 0 || !/^[0-9a-fA-F]{1,6}$/.test(hex)) throw new ExpressionSyntaxError('Invalid Unicode escape sequence');
+      return { value: String.fromCodePoint(parseInt(hex, 16)), next: close + 1 };
     }
+    const hex = source.slice(index + 1, index + 5);
+    if (!/^[0-9a-fA-F]{4}$/.test(hex)) throw new ExpressionSyntaxError('Invalid Unicode escape sequence');
+    return { value: String.fromCharCode(parseInt(hex, 16)), next: index + 5 };
+  }
+  if (ch === '\r' && source[index + 1] === '\n') return { value: '', next: index + 2 }; // Line continuation
+  if (ch === '\n' || ch === '\r') return { value: '', next: index + 1 };
+  return { value: ch, next: index + 1 };
+}
 
-    // API Key in Header
-    if (implementation.apiKeyHeader) {
-      headers[implementation.apiKeyHeader.name] = implementation.apiKeyHeader.value;
-    }
+/**
+ * Split an expression into tokens. Template literals keep their ${...} sources, which the
+ * parser compiles separately; a '/' starts a regex literal wherever a value is expected.
+ */
+function tokenizeExpression(source: string): ExprToken[] {
+  const tokens: ExprToken[] = [];
+  let i = 0;
+
+  const expectsValue = (): boolean => {
+    const last = tokens[tokens.length - 1];
+    if (!last) return true;
+    if (last.type === 'punc') return ![')', ']', '}'].includes(last.value);
+    return last.type === 'name' && ['typeof', 'void', 'new'].includes(last.value);
+  };
 
-    // Custom Headers
-    if (implementation.headers) {
-      Object.assign(headers, implementation.headers);
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
     }
 
-    // === HMAC/HASH AUTHENTICATION ===
-    if (tool.hashAuth || implementation.hashAuth) {
-      const hashConfig = tool.hashAuth || implementation.hashAuth;
-      const hash = await generateHash(hashConfig, args);
+    const start = i;
 
-      if (hashConfig.location === 'header') {
-        headers[hashConfig.keyName] = hash;
-      } else {
-        args[hashConfig.keyName] = hash;
-      }
+    // Numbers (decimal, hex, binary, octal)
+    if (/\d/.test(ch) || (ch === '.' && /\d/.test(source[i + 1] || ''))) {
+      const match = /^(?:0[xX][0-9a-fA-F]+|0[bB][01]+|0[oO][0-7]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/.exec(source.slice(i));
+      const text = match![0];
+      i += text.length;
+      if (/[\w$]/.test(source[i] || '')) throw new ExpressionSyntaxError(`Invalid number at position ${start}`);
+      tokens.push({ type: 'num', value: text, number: Number(text), pos: start });
+      continue;
     }
 
-    // === URL CONSTRUCTION WITH PATH PARAMETERS ===
-    let finalUrl = baseUrl;
-
-    // We may need another pass later
-    const argsCopy = { ...args }; // Copy args for request body
-    const mappingArgs = { ...args }; // Preserve original args for response mapping
+    // Identifiers and keywords
+    if (/[A-Za-z_$]/.test(ch)) {
+      const match = /^[A-Za-z_$][\w$]*/.exec(source.slice(i));
+      i += match![0].length;
+      tokens.push({ type: 'name', value: match![0], pos: start });
+      continue;
+    }
 
-    // Handle path parameters (e.g., /users/{userId}/posts/{postId})
-    if (finalUrl.includes('{')) {
-      logger.info(`Processing path parameters in URL: ${finalUrl}`);
-      const pathParams = implementation.pathParams || [];
-      pathParams.forEach((paramName: string) => {
-        logger.debug(`Checking path parameter: ${paramName}`);
-        if (args[paramName] !== undefined) {
-          finalUrl = finalUrl.replace(`{${paramName}}`, encodeURIComponent(args[paramName]));
-          delete args[paramName]; // Remove from body/query params
-          logger.debug(`Resolved path parameter: ${paramName} = ${finalUrl}`);
+    // Quoted strings
+    if (ch === '"' || ch === "'") {
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== ch) {
+        if (source[i] === '\\') {
+          const escape = decodeEscape(source, i + 1);
+          value += escape.value;
+          i = escape.next;
+        } else if (source[i] === '\n') {
+          throw new ExpressionSyntaxError('Unterminated string literal');
         } else {
-          logger.warn(`Missing path parameter: ${paramName}`);
-        }
-      });
-
-      // Handle any remaining placeholders in URL
-      finalUrl = finalUrl.replace(/\{([^}]+)\}/g, function (match: string, paramName: string): string {
-        if (args[paramName] !== undefined) {
-          const value = args[paramName];
-          delete args[paramName];
-          return encodeURIComponent(value);
+          value += source[i++];
         }
-        throw new Error(`Missing required path parameter: ${paramName}`);
-      });
+      }
+      if (i >= source.length) throw new ExpressionSyntaxError('Unterminated string literal');
+      i++;
+      tokens.push({ type: 'str', value, pos: start });
+      continue;
     }
 
-    // === QUERY PARAMETERS ===
-    const queryParams = new URLSearchParams();
-
-    // Handle different parameter placement strategies
-    if (method === 'GET' || method === 'HEAD' || implementation.useQueryParams) {
-      // For GET requests or when explicitly specified, all args go to query params
-      Object.entries(args).forEach(([key, value]) => {
-        if (value !== undefined && value !== null) {
-          if (Array.isArray(value)) {
-            // Handle array parameters (e.g., tags=red&tags=blue or tags=red,blue)
-            if (implementation.arrayFormat === 'comma') {
-              queryParams.append(key, value.join(','));
-            } else {
-              value.forEach((v: any) => queryParams.append(key, v));
+    // Template literals
+    if (ch === '`') {
+      const quasis: string[] = [];
+      const sources: string[] = [];
+      let text = '';
+      i++;
+      while (i < source.length && source[i] !== '`') {
+        if (source[i] === '\\') {
+          const escape = decodeEscape(source, i + 1);
+          text += escape.value;
+          i = escape.next;
+        } else if (source[i] === '$' && source[i + 1] === '{') {
+          quasis.push(text);
+          text = '';
+          i += 2;
+          const exprStart = i;
+          let depth = 0;
+          let quote: string | null = null;
+          while (i < source.length) {
+            const c = source[i];
+            if (quote) {
+              if (c === '\\') i++;
+              else if (c === quote) quote = null;
+            } else if (c === '"' || c === "'" || c === '`') {
+              quote = c;
+            } else if (c === '{') {
+              depth++;
+            } else if (c === '}') {
+              if (depth === 0) break;
+              depth--;
             }
-          } else {
-            queryParams.append(key, String(value));
-          }
-        }
-      });
-
-      // Add query params to URL
-      if (queryParams.toString()) {
-        finalUrl += (finalUrl.includes('?') ? '&' : '?') + queryParams.toString();
-      }
-    } else {
-      // For POST/PUT/PATCH, some params might still go to query string
-      if (implementation.queryParams) {
-        implementation.queryParams.forEach((paramName: string) => {
-          if (args[paramName] !== undefined) {
-            queryParams.append(paramName, String(args[paramName]));
-            delete args[paramName];
+            i++;
           }
-        });
-
-        if (queryParams.toString()) {
-          finalUrl += (finalUrl.includes('?') ? '&' : '?') + queryParams.toString();
+          if (i >= source.length) throw new ExpressionSyntaxError('Unterminated template literal');
+          sources.push(source.slice(exprStart, i));
+          i++;
+        } else {
+          text += source[i++];
         }
       }
+      if (i >= source.length) throw new ExpressionSyntaxError('Unterminated template literal');
+      i++;
+      quasis.push(text);
+      tokens.push({ type: 'template', value: '`', quasis, sources, pos: start });
+      continue;
     }
-    logger.info(`After query parameter processing, final URL is: ${finalUrl}`);
-
-    // === REQUEST BODY CONSTRUCTION ===
-    let requestBody: any;
-
-    if (method !== 'GET' && method !== 'HEAD' && Object.keys(args).length > 0) {
-      switch (contentType.toLowerCase()) {
-        case 'application/json':
-          requestBody = JSON.stringify(args);
-          break;
-
-        case 'application/x-www-form-urlencoded':
-          const formData = new URLSearchParams();
-          Object.entries(args).forEach(([key, value]) => {
-            if (value !== undefined && value !== null) {
-              formData.append(key, String(value));
-            }
-          });
-          requestBody = formData.toString();
-          break;
-
-        case 'multipart/form-data':
-          const formDataMultipart = new FormData();
-          Object.entries(args).forEach(([key, value]) => {
-            if (value !== undefined && value !== null) {
-              if (value instanceof File || value instanceof Blob) {
-                formDataMultipart.append(key, value);
-              } else {
-                formDataMultipart.append(key, String(value));
-              }
-            }
-          });
-          requestBody = formDataMultipart;
-          // Remove Content-Type header to let browser set it with boundary
-          delete headers['Content-Type'];
-          break;
-
-        case 'text/plain':
-        case 'text/xml':
-        case 'application/xml':
-          // For text/XML, assume args contain a 'body' or 'data' field
-          requestBody = args.body || args.data || JSON.stringify(args);
-          break;
 
-        default:
-          // Default to JSON for unknown content types
-          requestBody = JSON.stringify(args);
+    // Regex literals
+    if (ch === '/' && expectsValue()) {
+      let inClass = false;
+      i++;
+      while (i < source.length && (source[i] !== '/' || inClass)) {
+        if (source[i] === '\\') i++;
+        else if (source[i] === '[') inClass = true;
+        else if (source[i] === ']') inClass = false;
+        else if (source[i] === '\n') break;
+        i++;
+      }
+      if (source[i] !== '/') throw new ExpressionSyntaxError('Unterminated regular expression');
+      const pattern = source.slice(start + 1, i);
+      i++;
+      const flags = /^[a-z]*/.exec(source.slice(i))![0];
+      i += flags.length;
+      try {
+        new RegExp(pattern, flags);
+      } catch (error: any) {
+        throw new ExpressionSyntaxError(error.message);
       }
+      tokens.push({ type: 'regex', value: pattern, flags, pos: start });
+      continue;
     }
 
-    // === ADD CUSTOM QUERY STRING ===
-    if (implementation.customQuery) {
-      finalUrl += (finalUrl.includes('?') ? '&' : '?') + implementation.customQuery;
-      logger.info(`Added custom query string to URL: ${finalUrl}`);
+    const punctuator = EXPR_PUNCTUATORS.find(p => source.startsWith(p, i));
+    if (!punctuator) {
+      throw new ExpressionSyntaxError(`Unsupported character "${ch}" at position ${i}`);
     }
-
-    // Restore args from copy after processing URL
-    Object.assign(args, argsCopy);
-
-    // Handle query parameters in URL if they are still present
-    if (finalUrl.includes('{')) {
-      logger.info(`Processing query parameters in URL: ${finalUrl}`);
-
-      const pathParams = implementation.pathParams || [];
-      pathParams.forEach((paramName: string) => {
-        logger.debug(`Checking path parameter: ${paramName}`);
-        if (args[paramName] !== undefined) {
-          const paramValue = args[paramName];
-          finalUrl = finalUrl.replace(`{${paramName}}`, encodeURIComponent(paramValue));
-          delete args[paramName]; // Remove from body/query params
-          logger.debug(`Resolved path parameter: ${paramName} = ${paramValue}`);
-        } else {
-          logger.warn(`Missing path parameter: ${paramName}`);
-        }
-      });
-
-      // Handle any remaining placeholders in URL
-      finalUrl = finalUrl.replace(/\{([^}]+)\}/g, function (match: string, paramName: string): string {
-        if (args[paramName] !== undefined) {
-          const value = args[paramName];
-          delete args[paramName];
-          return encodeURIComponent(value);
-        }
-        throw new Error(`Missing required path parameter: ${paramName}`);
-      });
-    } else {
-      logger.info(`No query parameters to process in URL: ${finalUrl}`);
+    // "a?.5:1" is a ternary, not optional chaining
+    if (punctuator === '?.' && /\d/.test(source[i + 2] || '')) {
+      tokens.push({ type: 'punc', value: '?', pos: start });
+      i++;
+      continue;
     }
+    i += punctuator.length;
+    tokens.push({ type: 'punc', value: punctuator, pos: start });
+  }
 
-    // === EXECUTE REQUEST WITH TIMEOUT AND RETRIES ===
-    const timeout = implementation.timeout || 20000;
-    const maxRetries = implementation.retries || 0;
+  tokens.push({ type: 'eof', value: '', pos: source.length });
+  return tokens;
+}
 
-    // Unconditional retry logic
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
-      try {
-        logger.info(`HTTP ${method} ${finalUrl} (attempt ${attempt + 1}/${maxRetries + 1})`);
+/**
+ * Recursive-descent parser producing the sandbox AST. Features (logical, math, comparison,
+ * ternary) are recorded so ExpressionOptions can restrict them without re-parsing.
+ */
+function parseExpressionSource(source: string, features: Set<ExprFeature>): ExprNode {
+  const tokens = tokenizeExpression(source);
+  let index = 0;
+
+  const peek = (offset: number = 0): ExprToken => tokens[Math.min(index + offset, tokens.length - 1)];
+  const next = (): ExprToken => tokens[index++];
+  const isPunc = (value: string, offset: number = 0): boolean => peek(offset).type === 'punc' && peek(offset).value === value;
+  const expect = (value: string): void => {
+    const token = next();
+    if (token.type !== 'punc' || token.value !== value) {
+      throw new ExpressionSyntaxError(`Expected "${value}" but found "${token.value || 'end of expression'}" at position ${token.pos}`);
+    }
+  };
+  const unexpected = (token: ExprToken): never => {
+    if (token.type === 'eof') throw new ExpressionSyntaxError('Unexpected end of expression');
+    if (token.type === 'name' && UNSUPPORTED_KEYWORDS.has(token.value)) {
+      throw new ExpressionSyntaxError(`"${token.value}" is not supported in expressions`);
+    }
+    throw new ExpressionSyntaxError(`Unexpected "${token.value}" at position ${token.pos}`);
+  };
 
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), timeout);
+  const checkPropertyName = (name: string): string => {
+    if (BLOCKED_PROPERTY_NAMES.has(name)) {
+      throw new ExpressionSecurityError(`Access to "${name}" is not allowed in expressions`, source);
+    }
+    return name;
+  };
 
-        const fetchOptions: RequestInit = {
-          method,
-          headers,
-          signal: controller.signal,
-          ...(requestBody && { body: requestBody })
-        };
+  const isArrowStart = (): boolean => {
+    if (peek().type === 'name' && isPunc('=>', 1)) return true;
+    if (!isPunc('(')) return false;
+    // (a, b) => ... - only plain parameter names are supported
+    let offset = 1;
+    if (isPunc(')', offset)) return isPunc('=>', offset + 1);
+    while (peek(offset).type === 'name') {
+      offset++;
+      if (isPunc(')', offset)) return isPunc('=>', offset + 1);
+      if (!isPunc(',', offset)) return false;
+      offset++;
+    }
+    return false;
+  };
 
-        // Remove undefined headers
-        Object.keys(fetchOptions.headers as Record<string, any>).forEach(key => {
-          if ((fetchOptions.headers as Record<string, any>)[key] === undefined) {
-            delete (fetchOptions.headers as Record<string, any>)[key];
-          }
-        });
+  const parseArrow = (): ExprNode => {
+    const params: string[] = [];
+    if (peek().type === 'name') {
+      params.push(next().value);
+    } else {
+      expect('(');
+      while (!isPunc(')')) {
+        params.push(next().value);
+        if (!isPunc(')')) expect(',');
+      }
+      expect(')');
+    }
+    expect('=>');
+    for (const param of params) {
+      if (UNSUPPORTED_KEYWORDS.has(param)) unexpected({ type: 'name', value: param, pos: 0 });
+    }
+    if (isPunc('{')) {
+      throw new ExpressionSyntaxError('Arrow functions with a block body are not supported in expressions');
+    }
+    return { type: 'Arrow', params, body: parseAssignment() };
+  };
 
-        const response = await fetch(finalUrl, fetchOptions);
-        clearTimeout(timeoutId);
-        logger.info(`HTTP ${method} ${finalUrl} completed with status ${response.status}`);
+  const parseSequence = (): ExprNode => {
+    const first = parseAssignment();
+    if (!isPunc(',')) return first;
+    const expressions = [first];
+    while (isPunc(',')) {
+      next();
+      expressions.push(parseAssignment());
+    }
+    return { type: 'Sequence', expressions };
+  };
 
-        // === RESPONSE HANDLING ===
-        if (!response.ok) {
-          const errorText = await response.text();
-          const error = new Error(`HTTP ${response.status} ${response.statusText}: ${errorText}`) as any;
-          error.status = response.status;
-          error.statusText = response.statusText;
-          error.response = response;
+  const parseAssignment = (): ExprNode => {
+    if (isArrowStart()) return parseArrow();
+    const target = parseConditional();
+    if (isPunc('=')) {
+      if (target.type !== 'Member') {
+        throw new ExpressionSyntaxError('Only object properties can be assigned in expressions');
+      }
+      next();
+      return { type: 'Assign', target, value: parseAssignment() };
+    }
+    return target;
+  };
 
-          // Don't retry on 4xx client errors (except 429 rate limit)
-          if (response.status >= 400 && response.status < 500 && response.status !== 429) {
-            throw error;
-          }
+  const parseConditional = (): ExprNode => {
+    const test = parseBinary(0);
+    if (!isPunc('?')) return test;
+    features.add('ternary');
+    next();
+    const consequent = parseAssignment();
+    expect(':');
+    const alternate = parseAssignment();
+    return { type: 'Conditional', test, consequent, alternate };
+  };
 
-          // Retry on 5xx server errors and 429 rate limit
-          if (attempt < maxRetries) {
-            const delay = implementation.retryDelay || Math.pow(2, attempt) * 1000; // Exponential backoff
-            logger.info(`Retrying after ${delay}ms...`);
-            await new Promise(resolve => setTimeout(resolve, delay));
-            continue;
-          }
+  const parseBinary = (minPrecedence: number): ExprNode => {
+    let left = parseUnary();
+    for (;;) {
+      const token = peek();
+      const precedence = token.type === 'punc' ? BINARY_PRECEDENCE[token.value] : undefined;
+      if (precedence === undefined || precedence <= minPrecedence) break;
+      next();
+      const operator = token.value;
+      const right = parseBinary(operator === '**' ? precedence - 1 : precedence); // ** is right-associative
+      if (['&&', '||', '??'].includes(operator)) {
+        features.add('logical');
+        left = { type: 'Logical', operator, left, right };
+      } else {
+        features.add(precedence >= 9 ? 'math' : 'comparison');
+        left = { type: 'Binary', operator, left, right };
+      }
+    }
+    return left;
+  };
 
-          throw error;
-        }
+  const parseUnary = (): ExprNode => {
+    const token = peek();
+    if (token.type === 'punc' && ['!', '-', '+'].includes(token.value)) {
+      next();
+      features.add(token.value === '!' ? 'logical' : 'math');
+      return { type: 'Unary', operator: token.value, argument: parseUnary() };
+    }
+    if (token.type === 'name' && (token.value === 'typeof' || token.value === 'void')) {
+      next();
+      return { type: 'Unary', operator: token.value, argument: parseUnary() };
+    }
+    return parsePostfix();
+  };
 
-        // === RESPONSE PARSING ===
-        const responseContentType = response.headers.get('content-type') || '';
+  const parseArguments = (): ExprNode[] => {
+    const args: ExprNode[] = [];
+    expect('(');
+    while (!isPunc(')')) {
+      if (isPunc('...')) {
+        next();
+        args.push({ type: 'Spread', argument: parseAssignment() });
+      } else {
+        args.push(parseAssignment());
+      }
+      if (!isPunc(')')) expect(',');
+    }
+    expect(')');
+    return args;
+  };
 
-        if (responseContentType.includes('application/json')) {
-          const data = await response.json();
-          logger.info(`Received JSON response from ${tool.name} Response: ${JSON.stringify(data)}`);
+  const parsePostfix = (): ExprNode => {
+    let node: ExprNode;
+    if (peek().type === 'name' && peek().value === 'new') {
+      next();
+      let callee: ExprNode = parsePrimary();
+      while (isPunc('.')) {
+        next();
+        const name = next();
+        if (name.type !== 'name') unexpected(name);
+        callee = { type: 'Member', object: callee, property: checkPropertyName(name.value), optional: false };
+      }
+      node = { type: 'New', callee, args: isPunc('(') ? parseArguments() : [] };
+    } else {
+      node = parsePrimary();
+    }
+
+    let chained = false;
+    for (;;) {
+      if (isPunc('.')) {
+        next();
+        const name = next();
+        if (name.type !== 'name') unexpected(name);
+        node = { type: 'Member', object: node, property: checkPropertyName(name.value), optional: false };
+      } else if (isPunc('?.')) {
+        next();
+        chained = true;
+        if (isPunc('(')) {
+          node = { type: 'Call', callee: node, args: parseArguments(), optional: true };
+        } else if (isPunc('[')) {
+          next();
+          const property = parseSequence();
+          expect(']');
+          node = { type: 'Member', object: node, property, optional: true };
+        } else {
+          const name = next();
+          if (name.type !== 'name') unexpected(name);
+          node = { type: 'Member', object: node, property: checkPropertyName(name.value), optional: true };
+        }
+      } else if (isPunc('[')) {
+        next();
+        const property = parseSequence();
+        expect(']');
+        node = {
+          type: 'Member', object: node, optional: false,
+          property: property.type === 'Literal' && typeof property.value === 'string' ? checkPropertyName(property.value) : property
+        };
+      } else if (isPunc('(')) {
+        node = { type: 'Call', callee: node, args: parseArguments(), optional: false };
+      } else if (peek().type === 'template') {
+        throw new ExpressionSyntaxError('Tagged templates are not supported in expressions');
+      } else {
+        break;
+      }
+    }
+    return chained ? { type: 'Chain', expression: node } : node;
+  };
 
-          // Apply declarative response mapping if configured (preferred)
-          if (implementation.responseMapping) {
-            try {
-              return applyResponseMapping(data, implementation.responseMapping, mappingArgs, engine);
-            } catch (error: any) {
-              logger.error(`Response mapping failed:`, error.message);
-              return data; // Fall back to original response
+  const parsePrimary = (): ExprNode => {
+    const token = next();
+    switch (token.type) {
+      case 'num':
+        return { type: 'Literal', value: token.number };
+      case 'str':
+        return { type: 'Literal', value: token.value };
+      case 'regex':
+        return { type: 'RegExp', pattern: token.value, flags: token.flags || '' };
+      case 'template':
+        return {
+          type: 'Template',
+          quasis: token.quasis!,
+          expressions: token.sources!.map(inner => parseExpressionSource(inner, features))
+        };
+      case 'name':
+        switch (token.value) {
+          case 'true': return { type: 'Literal', value: true };
+          case 'false': return { type: 'Literal', value: false };
+          case 'null': return { type: 'Literal', value: null };
+        }
+        if (UNSUPPORTED_KEYWORDS.has(token.value) || token.value === 'new') unexpected(token);
+        return { type: 'Identifier', name: checkPropertyName(token.value) };
+      case 'punc':
+        if (token.value === '(') {
+          const inner = parseSequence();
+          expect(')');
+          return inner;
+        }
+        if (token.value === '[') {
+          const elements: ExprNode[] = [];
+          while (!isPunc(']')) {
+            if (isPunc('...')) {
+              next();
+              elements.push({ type: 'Spread', argument: parseAssignment() });
+            } else {
+              elements.push(parseAssignment());
             }
+            if (!isPunc(']')) expect(',');
           }
-
-          return data;
-        } else if (responseContentType.includes('text/')) {
-          logger.info(`Received text response from ${tool.name}`);
-          return await response.text();
-        } else if (responseContentType.includes('application/xml') || responseContentType.includes('text/xml')) {
-          logger.info(`Received XML response from ${tool.name} Response: ${await response.text()}`);
-          return await response.text(); // Return XML as text for now
-        } else {
-          logger.info(`Received response from ${tool.name} with content type: ${responseContentType}`);
-          // For other content types, try to parse as JSON first, then fallback to text
-          try {
-            return await response.json();
-          } catch {
-            return await response.text();
+          expect(']');
+          return { type: 'Array', elements };
+        }
+        if (token.value === '{') {
+          const properties: Array<{ key: string | ExprNode; value: ExprNode } | { spread: ExprNode }> = [];
+          while (!isPunc('}')) {
+            if (isPunc('...')) {
+              next();
+              properties.push({ spread: parseAssignment() });
+            } else {
+              const keyToken = next();
+              let key: string | ExprNode;
+              if (keyToken.type === 'name' || keyToken.type === 'str') {
+                key = checkPropertyName(keyToken.value);
+              } else if (keyToken.type === 'num') {
+                key = String(keyToken.number);
+              } else if (keyToken.type === 'punc' && keyToken.value === '[') {
+                key = parseAssignment();
+                expect(']');
+              } else {
+                return unexpected(keyToken);
+              }
+              if (typeof key === 'string' && keyToken.type === 'name' && (isPunc(',') || isPunc('}'))) {
+                properties.push({ key, value: { type: 'Identifier', name: key } }); // Shorthand { name }
+              } else {
+                if (isPunc('(')) throw new ExpressionSyntaxError('Object methods are not supported in expressions');
+                expect(':');
+                properties.push({ key, value: parseAssignment() });
+              }
+            }
+            if (!isPunc('}')) expect(',');
           }
+          expect('}');
+          return { type: 'Object', properties };
         }
+        return unexpected(token);
+      default:
+        return unexpected(token);
+    }
+  };
 
-      } catch (error: any) {
-        if (error.name === 'AbortError') {
-          // Create new error with timeout message instead of modifying existing
-          const timeoutError = new Error(`Request timeout after ${timeout}ms`);
-          timeoutError.name = 'AbortError';
-          error = timeoutError;
-        }
+  // Template filters: `value | name:arg:arg | name` - the lowest precedence, top level only.
+  // Arguments are binary expressions so ':' stays unambiguous.
+  const parseFilters = (): ExprNode => {
+    let input = parseSequence();
+    while (isPunc('|')) {
+      next();
+      const nameToken = next();
+      if (nameToken.type !== 'name') unexpected(nameToken);
+      const args: ExprNode[] = [];
+      while (isPunc(':')) {
+        next();
+        args.push(parseBinary(0));
+      }
+      input = { type: 'Filter', input, name: nameToken.value, args };
+    }
+    return input;
+  };
 
-        if (attempt < maxRetries && error.status !== 401 && error.status !== 403) {
-          const delay = implementation.retryDelay || Math.pow(2, attempt) * 1000;
-          logger.info(`Request failed: ${error.message}. Retrying after ${delay}ms...`);
-          await new Promise(resolve => setTimeout(resolve, delay));
-          continue;
-        }
+  const ast = parseFilters();
+  if (peek().type !== 'eof') unexpected(peek());
+  return ast;
+}
 
-        throw error;
-      }
+/**
+ * Parse an expression once and cache the AST (or the parse error) per expression string.
+ */
+function compileExpression(expression: string): CompiledExpression {
+  let compiled = expressionCache.get(expression);
+  if (compiled) {
+    return compiled;
+  }
+
+  const features = new Set<ExprFeature>();
+  try {
+    compiled = { ast: parseExpressionSource(expression, features), features };
+  } catch (error: unknown) {
+    compiled = { features, error: error instanceof Error ? error : new ExpressionSyntaxError(String(error)) };
+  }
+
+  if (expressionCache.size >= EXPRESSION_CACHE_LIMIT) {
+    expressionCache.delete(expressionCache.keys().next().value!); // Drop the oldest entry
+  }
+  expressionCache.set(expression, compiled);
+  return compiled;
+}
+
+// Callable globals that expose static members (Number.isInteger, Object.keys, Date.now...)
+const SANDBOX_NAMESPACE_MEMBERS = new Map<Function, Record<string, unknown>>();
+
+function sandboxNamespace<T extends Function>(fn: T, members: Record<string, unknown>): T {
+  SANDBOX_NAMESPACE_MEMBERS.set(fn, Object.freeze(Object.assign(Object.create(null), members)));
+  return fn;
+}
+
+const SandboxDate = sandboxNamespace(
+  function SandboxDate(): string { return new Date().toString(); },
+  { now: Date.now, parse: Date.parse, UTC: Date.UTC }
+);
+
+const SANDBOX_GLOBALS: Record<string, unknown> = Object.freeze(Object.assign(Object.create(null), {
+  undefined,
+  NaN,
+  Infinity,
+  Math: Object.freeze(Object.assign(Object.create(null), Object.fromEntries(
+    Object.getOwnPropertyNames(Math).map(name => [name, (Math as any)[name]])
+  ))),
+  JSON: Object.freeze(Object.assign(Object.create(null), {
+    parse: (text: string) => JSON.parse(text),
+    stringify: (value: unknown, replacer?: any, space?: string | number) => JSON.stringify(value, replacer, space)
+  })),
+  Number: sandboxNamespace((value: unknown) => Number(value), {
+    isInteger: Number.isInteger, isFinite: Number.isFinite, isNaN: Number.isNaN, isSafeInteger: Number.isSafeInteger,
+    parseFloat: Number.parseFloat, parseInt: Number.parseInt,
+    MAX_SAFE_INTEGER: Number.MAX_SAFE_INTEGER, MIN_SAFE_INTEGER: Number.MIN_SAFE_INTEGER, EPSILON: Number.EPSILON
+  }),
+  String: sandboxNamespace((value: unknown) => String(value), { fromCharCode: String.fromCharCode }),
+  Boolean: sandboxNamespace((value: unknown) => Boolean(value), {}),
+  Array: sandboxNamespace((...items: unknown[]) => items, {
+    isArray: Array.isArray,
+    of: (...items: unknown[]) => items,
+    from: (source: unknown, mapFn?: (value: unknown, index: number) => unknown) =>
+      mapFn ? Array.from(source as ArrayLike<unknown>, mapFn) : Array.from(source as ArrayLike<unknown>)
+  }),
+  Object: sandboxNamespace((value: unknown) => value, {
+    keys: (obj: object) => Object.keys(obj),
+    values: (obj: object) => Object.values(obj),
+    entries: (obj: object) => Object.entries(obj),
+    fromEntries: (entries: Iterable<readonly [PropertyKey, unknown]>) => Object.fromEntries(entries),
+    assign: (target: object, ...sources: object[]) => {
+      assertSandboxWritable(target);
+      return Object.assign(target, ...sources);
+    }
+  }),
+  Date: SandboxDate,
+  parseInt,
+  parseFloat,
+  isNaN,
+  isFinite,
+  encodeURIComponent,
+  decodeURIComponent,
+  encodeURI,
+  decodeURI
+}));
+
+function isBlankFilterValue(value: unknown): boolean {
+  return value === null || value === undefined || value === '';
+}
+
+// Built-in template filters. Filters pass null/undefined through (so strict templates still
+// flag them) except `default`, whose job is to replace them.
+const BUILTIN_TEMPLATE_FILTERS: Record<string, TemplateFilter> = Object.freeze(Object.assign(Object.create(null), {
+  currency: (value: unknown, [currency = 'USD']: unknown[], { locale }: { locale: string }) =>
+    formatLocaleNumber(value, locale, { style: 'currency', currency: String(currency) }),
+  date: (value: unknown, [style = 'medium']: unknown[], { locale }: { locale: string }) => {
+    if (isBlankFilterValue(value)) return value;
+    return formatLocaleDate(value, locale, { style: String(style) });
+  },
+  join: (value: unknown, [separator = ', ']: unknown[]) => Array.isArray(value) ? value.join(String(separator)) : value,
+  default: (value: unknown, [fallback = '']: unknown[]) => isBlankFilterValue(value) ? fallback : value,
+  plural: (value: unknown, [singular, plural]: unknown[], { locale }: { locale: string }) => {
+    if (singular === undefined) {
+      throw new Error('The plural filter needs a singular form, e.g. plural:\'item\':\'items\'');
     }
-  } catch (error: any) {
-    logger.info(`Error calling HTTP tool ${tool.name}: ${error.message}`);
-    logger.info(`Stack trace: ${error.stack}`);
-    throw error; // Re-throw to propagate error
+    const count = Number(value);
+    const form = new Intl.PluralRules(locale).select(count) === 'one' ? singular : (plural ?? `${singular}s`);
+    return String(form).replace(/#/g, String(value)); // '# items' includes the count
   }
+}));
+
+function findTemplateFilter(custom: TemplateFilters, name: string): TemplateFilter | undefined {
+  if (Object.prototype.hasOwnProperty.call(custom, name) && typeof custom[name] === 'function') return custom[name];
+  return BUILTIN_TEMPLATE_FILTERS[name];
 }
 
-// === AUTH HELPERS ===
-async function generateHash(hashConfig: any, args: any): Promise<string> {
-  const { secret, fields, algorithm = 'sha256', encoding = 'hex' } = hashConfig;
+const SANDBOX_SHORT_CIRCUIT = Symbol('short-circuit');
 
-  if (!secret || !fields) {
-    throw new Error('Hash authentication requires secret and fields configuration');
+interface TemplateFilterScope {
+  custom: TemplateFilters; // engine.templateFilters - checked before the built-ins
+  locale: string;
+}
+
+interface SandboxScope {
+  context: Record<string, unknown>;
+  locals: Record<string, unknown> | null; // Arrow function parameters
+  filters: TemplateFilterScope;
+}
+
+function unwrapUserInput(value: unknown): unknown {
+  return isUserInputVariable(value) ? (value as Record<string, unknown>).value : value;
+}
+
+function assertSandboxWritable(target: unknown): void {
+  if (target === null || typeof target !== 'object' || Object.isFrozen(target) || target instanceof RegExp || target instanceof Date) {
+    throw new ExpressionSecurityError('Only plain objects and arrays can be modified in expressions');
   }
+}
 
-  // Build the raw string from specified fields
-  const raw = fields.map((field: string) => {
-    const value = field.split('.').reduce((obj: any, part: string) => obj?.[part], args);
-    return value ?? '';
-  }).join('|');
+function toPropertyName(key: unknown): string {
+  if (typeof key === 'symbol') {
+    throw new ExpressionSecurityError('Symbol properties are not accessible in expressions');
+  }
+  const name = String(key);
+  if (BLOCKED_PROPERTY_NAMES.has(name)) {
+    throw new ExpressionSecurityError(`Access to "${name}" is not allowed in expressions`);
+  }
+  return name;
+}
 
-  // Generate HMAC using Web Crypto API (host-agnostic: Node.js 19+, browser, CF Worker)
-  const subtle = globalThis.crypto?.subtle;
-  if (!subtle) throw new Error('No crypto.subtle available in this environment');
+/**
+ * Read a property the way the sandbox allows: own data of objects and arrays, string and
+ * array indexes/length, and allowlisted methods bound to their receiver. Reading from
+ * null or undefined gives undefined, so `a.b.c` walks like a template dot-path.
+ */
+// Allowlisted methods are only handed out to be called (forCall) - read as a value,
+// the bound wrapper would print engine source into messages
+function getSandboxMember(object: unknown, key: unknown, forCall = false): unknown {
+  const name = toPropertyName(key);
+  if (object === null || object === undefined) {
+    return undefined;
+  }
 
-  const enc = new TextEncoder();
-  const algoMap: Record<string, string> = { 'sha256': 'SHA-256', 'sha512': 'SHA-512', 'sha1': 'SHA-1' };
-  const algoName = algoMap[algorithm.toLowerCase().replace('-', '')] || 'SHA-256';
+  const allowedMethod = (kind: keyof SecurityConfig['allowedMethods']): unknown => {
+    if (EXPRESSION_SECURITY.allowedMethods[kind].includes(name)) {
+      const method = (object as any)[name];
+      if (typeof method === 'function') {
+        if (!forCall) {
+          throw new ExpressionSecurityError(`${kind} method "${name}" can only be called in expressions, not read as a value`);
+        }
+        return (...args: unknown[]) => method.apply(object, args);
+      }
+    }
+    if (name in Object(object)) {
+      throw new ExpressionSecurityError(`${kind} method "${name}" is not allowed in expressions`);
+    }
+    return undefined;
+  };
 
-  const key = await subtle.importKey('raw', enc.encode(secret), { name: 'HMAC', hash: { name: algoName } }, false, ['sign']);
-  const sig = await subtle.sign('HMAC', key, enc.encode(raw));
-  const bytes = new Uint8Array(sig);
+  if (typeof object === 'string') {
+    if (name === 'length') return object.length;
+    if (/^\d+$/.test(name)) return object[Number(name)];
+    return allowedMethod('string');
+  }
+  if (typeof object === 'number') return allowedMethod('number');
+  if (typeof object === 'boolean') return allowedMethod('boolean');
+  if (typeof object === 'function') {
+    const members = SANDBOX_NAMESPACE_MEMBERS.get(object);
+    if (!members) {
+      throw new ExpressionSecurityError(`Properties of functions are not accessible in expressions (reading '${name}')`);
+    }
+    return members[name];
+  }
+  if (typeof object !== 'object') return undefined;
 
-  if (encoding === 'base64') {
-    return btoa(String.fromCharCode(...bytes));
+  if (Array.isArray(object)) {
+    if (name === 'length' || /^\d+$/.test(name) || Object.prototype.hasOwnProperty.call(object, name)) return (object as any)[name];
+    return allowedMethod('array');
   }
-  return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+  if (object instanceof Date) return allowedMethod('date');
+  if (object instanceof RegExp) {
+    if (['source', 'flags', 'global', 'ignoreCase', 'multiline', 'lastIndex'].includes(name)) return (object as any)[name];
+    return allowedMethod('regexp');
+  }
+  return Object.prototype.hasOwnProperty.call(object, name) ? (object as any)[name] : allowedMethod('object');
 }
 
+function setSandboxMember(object: unknown, key: unknown, value: unknown): unknown {
+  const name = toPropertyName(key);
+  if (object === null || object === undefined) {
+    throw new TypeError(`Cannot set properties of ${object} (setting '${name}')`);
+  }
+  assertSandboxWritable(object); // Also rejects the frozen built-ins (Math, JSON)
+  (object as Record<string, unknown>)[name] = value;
+  return value;
+}
 
-// === UTILITIES ===
-// ===============================================
-// TWO-PHASE EXPRESSION EVALUATOR
-// ===============================================
-
-/**
- * Security configuration for expression evaluation
- */
-interface SecurityConfig {
-  readonly allowedMethods: readonly string[];
-  readonly blockedPatterns: readonly RegExp[];
-  readonly maxExpressionLength: number;
-  readonly sanitizeUserInput: boolean;
+function describeCallee(node: ExprNode): string {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'Member') {
+    return `${describeCallee(node.object)}.${typeof node.property === 'string' ? node.property : '[...]'}`;
+  }
+  return 'expression';
 }
 
-/**
- * Options for expression evaluation
- */
-interface ExpressionOptions {
-  securityLevel?: 'basic' | 'none'; // Simplified: 'basic' for minimal protection, 'none' for templates
-  allowLogicalOperators?: boolean;
-  allowMathOperators?: boolean;
-  allowComparisons?: boolean;
-  allowTernary?: boolean;
-  context?: string; // For logging/debugging
-  returnType?: 'string' | 'boolean' | 'auto';
+function evaluateSandboxNodes(nodes: ExprNode[], scope: SandboxScope): unknown[] {
+  const values: unknown[] = [];
+  for (const node of nodes) {
+    if (node.type === 'Spread') {
+      const spread = evaluateSandboxNode(node.argument, scope);
+      if (!Array.isArray(spread) && typeof spread !== 'string') {
+        throw new TypeError(`${describeCallee(node.argument)} is not iterable`);
+      }
+      values.push(...spread);
+    } else {
+      values.push(evaluateSandboxNode(node, scope));
+    }
+  }
+  return values;
 }
 
 /**
- * Security validation result
+ * Evaluate a node, turning an optional-chain short circuit into undefined.
  */
-interface SecurityValidationResult {
-  readonly isValid: boolean;
-  readonly reason?: string;
+function evaluateSandboxNode(node: ExprNode, scope: SandboxScope): unknown {
+  const value = evaluateSandboxChainPart(node, scope);
+  return value === SANDBOX_SHORT_CIRCUIT ? undefined : value;
 }
 
+function evaluateSandboxChainPart(node: ExprNode, scope: SandboxScope): unknown {
+  switch (node.type) {
+    case 'Literal':
+      return node.value;
 
-/**
- * Resolve variable path like "cargo.callerId" or "user.profile.name"
- * Supports variables, context stack, engine session variables, and global variables
- */
-function resolveVariablePath(
-  path: string,
-  variables: Record<string, unknown>,
-  contextStack: ContextEntry[],
-  engine: Engine
-): unknown {
-  const parts = path.split('.');
-  const rootVar = parts[0];
+    case 'Identifier': {
+      const { locals, context } = scope;
+      if (locals && Object.prototype.hasOwnProperty.call(locals, node.name)) return locals[node.name];
+      if (node.name in SANDBOX_GLOBALS) return SANDBOX_GLOBALS[node.name];
+      if (Object.prototype.hasOwnProperty.call(context, node.name)) return unwrapUserInput(context[node.name]);
+      return undefined; // Variables that are not set yet read as undefined, like missing properties
+    }
 
-  // 1. Try to find in flow variables first
-  let rootValue = variables[rootVar];
+    case 'Template': {
+      let text = node.quasis[0];
+      node.expressions.forEach((expression, i) => {
+        text += String(evaluateSandboxNode(expression, scope)) + node.quasis[i + 1];
+      });
+      return text;
+    }
 
-  // Handle user input variables as pure literals
-  if (rootValue && typeof rootValue === 'object' && rootValue !== null) {
-    const userInputObj = rootValue as Record<string, unknown>;
-    if (userInputObj.__userInput === true && userInputObj.__literal === true) {
-      // Extract the literal value and treat it as a normal variable
-      // This allows normal property access like userInput.length
-      rootValue = userInputObj.value;
-    } else {
-      logger.debug(`resolveVariablePath - Found user input object, but not a literal: ${JSON.stringify(userInputObj)}`);
+    case 'RegExp':
+      return new RegExp(node.pattern, node.flags);
+
+    case 'Array':
+      return evaluateSandboxNodes(node.elements, scope);
+
+    case 'Object': {
+      const result: Record<string, unknown> = {};
+      for (const property of node.properties) {
+        if ('spread' in property) {
+          const source = evaluateSandboxNode(property.spread, scope);
+          if (source !== null && source !== undefined) {
+            for (const [key, value] of Object.entries(source as object)) {
+              Object.defineProperty(result, toPropertyName(key), { value, enumerable: true, writable: true, configurable: true });
+            }
+          }
+        } else {
+          const key = typeof property.key === 'string' ? property.key : toPropertyName(evaluateSandboxNode(property.key, scope));
+          Object.defineProperty(result, key, {
+            value: evaluateSandboxNode(property.value, scope), enumerable: true, writable: true, configurable: true
+          });
+        }
+      }
+      return result;
+    }
+
+    case 'Chain':
+      return evaluateSandboxNode(node.expression, scope);
+
+    case 'Member': {
+      const object = evaluateSandboxChainPart(node.object, scope);
+      if (object === SANDBOX_SHORT_CIRCUIT) return object;
+      if (node.optional && (object === null || object === undefined)) return SANDBOX_SHORT_CIRCUIT;
+      const key = typeof node.property === 'string' ? node.property : evaluateSandboxNode(node.property, scope);
+      return getSandboxMember(object, key);
+    }
+
+    case 'Call': {
+      let fn: unknown;
+      let receiver: unknown;
+      if (node.callee.type === 'Member') {
+        receiver = evaluateSandboxChainPart(node.callee.object, scope);
+        if (receiver === SANDBOX_SHORT_CIRCUIT) return receiver;
+        if (node.callee.optional && (receiver === null || receiver === undefined)) return SANDBOX_SHORT_CIRCUIT;
+        const key = typeof node.callee.property === 'string' ? node.callee.property : evaluateSandboxNode(node.callee.property, scope);
+        fn = getSandboxMember(receiver, key, true);
+      } else {
+        fn = evaluateSandboxChainPart(node.callee, scope);
+        if (fn === SANDBOX_SHORT_CIRCUIT) return fn;
+      }
+      if (node.optional && (fn === null || fn === undefined)) return SANDBOX_SHORT_CIRCUIT;
+      if (typeof fn !== 'function') {
+        throw new TypeError(`${describeCallee(node.callee)} is not a function`);
+      }
+      const args = evaluateSandboxNodes(node.args, scope);
+      // Allowlisted methods come back already bound; host functions on plain objects keep their receiver
+      return fn.apply(receiver !== null && typeof receiver === 'object' && !Array.isArray(receiver) ? receiver : undefined, args);
+    }
+
+    case 'New': {
+      const callee = evaluateSandboxNode(node.callee, scope);
+      if (callee !== SandboxDate) {
+        throw new ExpressionSecurityError(`"new" is only supported for Date in expressions (${describeCallee(node.callee)})`);
+      }
+      return new (Date as any)(...evaluateSandboxNodes(node.args, scope));
+    }
+
+    case 'Unary': {
+      if (node.operator === 'typeof') {
+        return typeof evaluateSandboxNode(node.argument, scope);
+      }
+      const value = evaluateSandboxNode(node.argument, scope) as any;
+      switch (node.operator) {
+        case '!': return !value;
+        case '-': return -value;
+        case '+': return +value;
+        case 'void': return undefined;
+      }
+      throw new ExpressionSyntaxError(`Unsupported operator "${node.operator}"`);
     }
-  }
 
-  // 2. If not found in variables, try context stack
-  if (rootValue === undefined && contextStack.length > 0) {
-    for (const context of contextStack) {
-      if (context && typeof context === 'object' && rootVar in context) {
-        rootValue = (context as unknown as Record<string, unknown>)[rootVar];
-        break;
+    case 'Binary': {
+      const left = evaluateSandboxNode(node.left, scope) as any;
+      const right = evaluateSandboxNode(node.right, scope) as any;
+      switch (node.operator) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        case '%': return left % right;
+        case '**': return left ** right;
+        case '==': return left == right;
+        case '!=': return left != right;
+        case '===': return left === right;
+        case '!==': return left !== right;
+        case '<': return left < right;
+        case '>': return left > right;
+        case '<=': return left <= right;
+        case '>=': return left >= right;
       }
+      throw new ExpressionSyntaxError(`Unsupported operator "${node.operator}"`);
     }
-  }
 
-  // 3. If not found and engine available, try engine session variables
-  if (rootValue === undefined && engine) {
-    // Use the centralized session variable logic
-    const sessionVars = getEngineSessionVariables(engine, contextStack);
+    case 'Logical': {
+      const left = evaluateSandboxNode(node.left, scope);
+      switch (node.operator) {
+        case '&&': return left ? evaluateSandboxNode(node.right, scope) : left;
+        case '||': return left ? left : evaluateSandboxNode(node.right, scope);
+        default: return left ?? evaluateSandboxNode(node.right, scope);
+      }
+    }
 
-    // Handle property access (e.g., cargo.someVar)
-    if (path.includes('.')) {
-      const parts = path.split('.');
-      const baseVariable = parts[0];
-      const propertyPath = parts.slice(1).join('.');
+    case 'Conditional':
+      return evaluateSandboxNode(node.test, scope)
+        ? evaluateSandboxNode(node.consequent, scope)
+        : evaluateSandboxNode(node.alternate, scope);
 
-      // Get the base session variable
-      const baseValue = sessionVars[baseVariable];
+    case 'Arrow':
+      return (...args: unknown[]) => {
+        const locals: Record<string, unknown> = Object.assign(Object.create(null), scope.locals);
+        node.params.forEach((param, i) => { locals[param] = args[i]; });
+        return evaluateSandboxNode(node.body, { ...scope, locals });
+      };
 
-      // If we found a base value, navigate the remaining path
-      if (baseValue !== undefined) {
-        return resolveVariablePath(propertyPath, { root: baseValue }, [], engine);
+    case 'Filter': {
+      const filter = findTemplateFilter(scope.filters.custom, node.name);
+      if (!filter) {
+        throw new Error(`Unknown template filter "${node.name}"`);
       }
-    } else {
-      // Handle direct variable access (no dots)
-      rootValue = sessionVars[path];
+      const input = evaluateSandboxNode(node.input, scope);
+      return filter(input, evaluateSandboxNodes(node.args, scope), { locale: scope.filters.locale });
+    }
+
+    case 'Assign': {
+      const target = node.target as Extract<ExprNode, { type: 'Member' }>;
+      const object = evaluateSandboxNode(target.object, scope);
+      const key = typeof target.property === 'string' ? target.property : evaluateSandboxNode(target.property, scope);
+      return setSandboxMember(object, key, evaluateSandboxNode(node.value, scope));
     }
+
+    case 'Sequence': {
+      let result: unknown;
+      for (const expression of node.expressions) {
+        result = evaluateSandboxNode(expression, scope);
+      }
+      return result;
+    }
+
+    case 'Spread':
+      throw new ExpressionSyntaxError('Unexpected spread');
   }
+}
 
-  // 4. If not found and engine available, try global variables
-  if (rootValue === undefined && engine?.globalVariables) {
-    rootValue = engine.globalVariables[rootVar];
+// Keywords after which JavaScript reads "/" as the start of a regex literal
+const REGEX_PREFIX_KEYWORDS = new Set([
+  'await', 'case', 'delete', 'do', 'else', 'in', 'instanceof', 'new', 'of', 'return', 'throw', 'typeof', 'void', 'yield'
+]);
+
+/**
+ * Check an expression against the blocked patterns guarding legacy evaluation. The
+ * expression is tokenized first, so quoted text is data ("Unable to process" must not
+ * trip the process pattern). Syntax that could build a blocked name at runtime
+ * (x['constr' + 'uctor']), or that JavaScript could read differently from the tokenizer
+ * and so hide code inside what looks like a string, is rejected.
+ */
+function validateExpressionSecurity(expression: string): SecurityValidationResult {
+  if (expression.length > EXPRESSION_SECURITY.maxExpressionLength) {
+    return { isValid: false, reason: `expression exceeds ${EXPRESSION_SECURITY.maxExpressionLength} characters` };
   }
 
-  // If still not found, return undefined
-  if (rootValue === undefined) {
-    return undefined;
+  let tokens: ExprToken[];
+  try {
+    tokens = tokenizeExpression(expression);
+  } catch (error) {
+    return { isValid: false, reason: `expression cannot be checked: ${error instanceof Error ? error.message : String(error)}` };
   }
 
-  // Navigate the remaining path safely
-  let current: unknown = rootValue;
-  for (let i = 1; i < parts.length; i++) {
-    if (current === null || current === undefined) {
-      return undefined;
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const previous = tokens[i - 1];
+    if (token.type === 'punc' && token.value === '[') {
+      return { isValid: false, reason: 'square brackets are not allowed in legacy expressions' };
     }
-    if (typeof current === 'object' && current !== null) {
-      current = (current as Record<string, unknown>)[parts[i]];
-    } else {
-      return undefined;
+    if (token.type === 'template' || token.type === 'regex') {
+      return { isValid: false, reason: `${token.type} literals are not allowed in legacy expressions` };
+    }
+    if (token.type === 'punc' && token.value === '/') {
+      const divides = previous && (previous.type === 'num' || previous.type === 'str' ||
+        (previous.type === 'name' && !REGEX_PREFIX_KEYWORDS.has(previous.value)));
+      if (!divides || ['/', '*'].includes(expression[token.pos + 1])) {
+        return { isValid: false, reason: `"/" at position ${token.pos} could start a regex literal or comment` };
+      }
     }
   }
 
-  return current;
+  // Member access stays attached (x.process is a property, not the process global)
+  const code = tokens.reduce((text, token, i) => {
+    const isDot = (t?: ExprToken) => t?.type === 'punc' && (t.value === '.' || t.value === '?.');
+    const attached = isDot(tokens[i - 1]) || isDot(token);
+    return text + (attached ? '' : ' ') + (token.type === 'str' ? "''" : token.value);
+  }, '');
+  const blocked = EXPRESSION_SECURITY.blockedPatterns.find(pattern => pattern.test(code));
+  if (blocked) {
+    return { isValid: false, reason: `expression matches blocked pattern ${blocked}` };
+  }
+  return { isValid: true };
 }
 
 /**
- * Check if a variable value is marked as user input (literal data)
- * User input should never be evaluated as code for security
+ * Legacy evaluation through the Function constructor, kept for compat mode only.
  */
-function isUserInputVariable(value: unknown): boolean {
-  return (
-    value !== null &&
-    typeof value === 'object' &&
-    (value as Record<string, unknown>).__userInput === true &&
-    (value as Record<string, unknown>).__literal === true
+function evaluateLegacyExpression(expression: string, context: Record<string, unknown>, preserveObjects: boolean): unknown {
+  // Filter to only valid JavaScript identifiers (root variables only)
+  const validParamNames = Object.keys(context).filter(key =>
+    /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(key)
   );
-}
 
-/**
- * Input sanitization for user-provided values
- * Escapes special characters that could break expression syntax
- * NOTE: This is secondary defense - primary security is treating user input as literal data
- */
-function sanitizeUserInput(input: unknown): string {
-  if (typeof input !== 'string') {
-    return String(input);
-  }
+  // Unwrap user input variables before passing to function
+  const paramValues = validParamNames.map(name => unwrapUserInput(context[name]));
 
-  // Escape special characters that could break expression syntax
-  return input
-    .replace(/\\/g, '\\\\')   // Escape backslashes
-    .replace(/'/g, "\\'")     // Escape single quotes  
-    .replace(/"/g, '\\"')     // Escape double quotes
-    .replace(/\n/g, '\\n')    // Escape newlines
-    .replace(/\r/g, '\\r')    // Escape carriage returns
-    .replace(/\t/g, '\\t');   // Escape tabs
+  // Build function body that evaluates the expression
+  // When preserveObjects is true (e.g., SET steps), don't auto-stringify objects
+  const functionBody = preserveObjects ? `
+    "use strict";
+    try {
+      return (${expression});
+    } catch (e) {
+      throw new Error('Expression evaluation failed: ' + e.message);
+    }
+  ` : `
+    "use strict";
+    try {
+      const result = (${expression});
+      // Auto-stringify complex data structures when used in string contexts
+      if (typeof result === 'object' && result !== null &&
+          !(result.__userInput === true && result.__literal === true)) {
+        return JSON.stringify(result);
+      }
+      return result;
+    } catch (e) {
+      throw new Error('Expression evaluation failed: ' + e.message);
+    }
+  `;
+
+  // Create and execute function with only valid parameter names
+  const evaluatorFunction = new Function(...validParamNames, functionBody);
+  return evaluatorFunction(...paramValues);
 }
 
 /**
  * Simplified Expression Evaluator 
- * Replaced complex two-phase parser with regex + JavaScript evaluation for 100% reliability
+ * Finds {{expression}} placeholders with a regex and runs each one through the sandboxed interpreter
  */
 function evaluateExpression(
   expression: string,
@@ -5666,13 +11097,13 @@ function evaluateExpression(
   engine: Engine
 ): unknown {
   const opts: Required<ExpressionOptions> = {
-    securityLevel: 'basic',
     allowLogicalOperators: true,
     allowMathOperators: true,
     allowComparisons: true,
     allowTernary: true,
     context: 'template',
     returnType: 'auto',
+    strict: isStrictTemplates(engine),
     ...options
   };
 
@@ -5691,9 +11122,15 @@ function evaluateExpression(
 
     // Create evaluation context by merging all available variables
     const context = createSimplifiedEvaluationContext(variables, contextStack, engine);
+    const filters: TemplateFilterScope = {
+      custom: engine?.templateFilters || {},
+      locale: getFormattingLocale(engine)
+    };
 
-    // Check if the entire expression is a single interpolation
-    let singleExpressionMatch = expression.startsWith('{{') && expression.endsWith('}}') ? expression.slice(2, -2).trim() : null;
+    // Check if the entire expression is a single interpolation - "{{a}} - {{b}}" also
+    // starts and ends with braces but holds two
+    const isSingleInterpolation = expression.startsWith('{{') && expression.endsWith('}}') && !expression.slice(2, -2).includes('}}');
+    let singleExpressionMatch = isSingleInterpolation ? expression.slice(2, -2).trim() : null;
     if (singleExpressionMatch || !expression.includes('{{')) {
 
       // If no brackets (e.g. CASE condition:) then the whole expression is a single expression - as-if it was {{expression}}
@@ -5703,15 +11140,32 @@ function evaluateExpression(
 
       // Single expression - return the evaluated result directly to preserve type
       try {
-        // Preserve objects for SET steps (javascript-evaluation context) so flow variables can hold objects
+        // Preserve objects for SET steps (javascript-evaluation context) so flow variables can hold objects,
+        // and for CALL-TOOL args / FLOW parameters (argument-interpolation context)
         // RETURN steps also use this context but String() is applied later in handleReturnStep
-        const preserveObjects = opts.context === 'javascript-evaluation';
-        const evaluationResult = evaluateJavaScriptExpression(singleExpressionMatch.trim(), context, preserveObjects);
+        const preserveObjects = opts.context === 'javascript-evaluation' || opts.context === 'argument-interpolation';
+        const evaluationResult = evaluateJavaScriptExpression(singleExpressionMatch.trim(), context, preserveObjects, getExpressionMode(engine), opts, filters);
         logger.debug(`Simplified evaluation complete (single): ${expression} -> ${evaluationResult}`);
+
+        // A {{template}} that stands for text or an argument must have a value; bare SET/CASE/RETURN
+        // expressions may legitimately be null or undefined
+        if (evaluationResult === null || evaluationResult === undefined) {
+          const isTemplateValue = isSingleInterpolation && (opts.returnType === 'string' || opts.context === 'argument-interpolation');
+          if (opts.strict && isTemplateValue) {
+            throw unresolvedTemplateError(engine, expression);
+          }
+          if (opts.returnType === 'string') {
+            return '';
+          }
+        }
         return convertReturnType(evaluationResult, opts.returnType);
       } catch (error: unknown) {
+        if (error instanceof FlowStepError) throw error;
         const errorMessage = error instanceof Error ? error.message : 'Unknown error';
         logger.warn(`Single expression evaluation failed: ${singleExpressionMatch} - ${errorMessage}`);
+        if (opts.strict) {
+          throw unresolvedTemplateError(engine, expression);
+        }
         return opts.returnType === 'boolean' ? false : `[error: ${expression}]`;
       }
     }
@@ -5721,12 +11175,22 @@ function evaluateExpression(
       try {
         // Direct JavaScript evaluation with injected variables
         logger.debug(`Evaluating expression: ${expr.trim()}`);
-        const evaluationResult = evaluateJavaScriptExpression(expr.trim(), context);
+        const evaluationResult = evaluateJavaScriptExpression(expr.trim(), context, false, getExpressionMode(engine), opts, filters);
         logger.debug(`Expression evaluated: ${expr.trim()} -> ${evaluationResult}`);
+        if (evaluationResult === null || evaluationResult === undefined) {
+          if (opts.strict) {
+            throw unresolvedTemplateError(engine, match);
+          }
+          return ''; // Missing values read as empty text, like a null-safe dot-path
+        }
         return String(evaluationResult);
       } catch (error: unknown) {
+        if (error instanceof FlowStepError) throw error;
         const errorMessage = error instanceof Error ? error.message : 'Unknown error';
         logger.warn(`Expression evaluation failed: ${expr} - ${errorMessage}`);
+        if (opts.strict) {
+          throw unresolvedTemplateError(engine, match);
+        }
         return match; // Return original if evaluation fails
       }
     });
@@ -5735,12 +11199,54 @@ function evaluateExpression(
     return convertReturnType(result, opts.returnType);
 
   } catch (error: unknown) {
+    if (error instanceof FlowStepError) throw error; // Unresolved template in strict mode
     const errorMessage = error instanceof Error ? error.message : 'Unknown error';
     logger.warn(`Simplified evaluation error: ${errorMessage}`);
     return opts.returnType === 'boolean' ? false : `[error: ${expression}]`;
   }
 }
 
+/**
+ * Whether {{...}} placeholders that fail or have no value are errors: the current
+ * flow's strictTemplates setting, otherwise the engine's.
+ */
+function isStrictTemplates(engine: Engine): boolean {
+  if (!engine) {
+    return false;
+  }
+  let flowSetting: boolean | undefined;
+  try {
+    const flowName = getCurrentFlowFrame(engine).flowName;
+    flowSetting = engine.flowsMenu?.find(f => f.name === flowName)?.strictTemplates;
+  } catch (error) {
+    // No active flow - the engine setting applies
+  }
+  return flowSetting ?? engine.strictTemplates;
+}
+
+/**
+ * How expressions the sandbox cannot parse are handled: the current flow's
+ * expressionMode, otherwise the engine's.
+ */
+function getExpressionMode(engine: Engine): ExpressionMode {
+  if (!engine) {
+    return 'sandbox';
+  }
+  let flowSetting: ExpressionMode | undefined;
+  try {
+    const flowName = getCurrentFlowFrame(engine).flowName;
+    flowSetting = engine.flowsMenu?.find(f => f.name === flowName)?.expressionMode;
+  } catch (error) {
+    // No active flow - the engine setting applies
+  }
+  return flowSetting ?? engine.expressionMode;
+}
+
+function unresolvedTemplateError(engine: Engine, template: string): FlowStepError {
+  logger.warn(`Unresolved template in strict mode: ${template}`);
+  return new FlowStepError(getSystemMessage(engine, 'template_unresolved', { template }), 'template_unresolved');
+}
+
 /**
  * Convert result to requested return type
  * Enhanced version with better type handling
@@ -5830,7 +11336,8 @@ function createSimplifiedEvaluationContext(
     // Include approved functions so they can be called in expressions
     ...engine.APPROVED_FUNCTIONS,
 
-    // Utility objects available in expressions
+    // Utility objects available in expressions (legacy evaluation only - the sandbox
+    // resolves these names to its own restricted versions)
     Object,
     Date,
     Math,
@@ -5845,53 +11352,76 @@ function createSimplifiedEvaluationContext(
 }
 
 /**
- * Safely evaluate JavaScript expression with injected context
+ * Evaluate a single expression with injected context. Every expression the sandboxed
+ * interpreter can parse runs there; in compat mode the remaining ones fall back to legacy
+ * evaluation, provided they pass the blocked patterns.
  */
-function evaluateJavaScriptExpression(expression: string, context: Record<string, unknown>, preserveObjects: boolean = false): unknown {
-  // Filter to only valid JavaScript identifiers (root variables only)
-  const validParamNames = Object.keys(context).filter(key =>
-    /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(key)
-  );
+function evaluateJavaScriptExpression(
+  expression: string,
+  context: Record<string, unknown>,
+  preserveObjects: boolean = false,
+  mode: ExpressionMode = 'sandbox',
+  options: ExpressionOptions = {},
+  filters: TemplateFilterScope = { custom: {}, locale: 'en' }
+): unknown {
+  if (expression.length > EXPRESSION_SECURITY.maxExpressionLength) {
+    throw new ExpressionSecurityError(`Expression exceeds ${EXPRESSION_SECURITY.maxExpressionLength} characters`, expression);
+  }
 
-  // Unwrap user input variables before passing to function
-  const paramValues = validParamNames.map(name => {
-    const value = context[name];
-    // Unwrap user input wrapper objects
-    if (value && typeof value === 'object' &&
-      (value as any).__userInput === true &&
-      (value as any).__literal === true) {
-      return (value as any).value;
+  const compiled = compileExpression(expression);
+  if (compiled.error) {
+    if (!(compiled.error instanceof ExpressionSyntaxError) || mode !== 'compat') {
+      throw compiled.error;
     }
-    return value;
-  });
-
-  // Build function body that evaluates the expression
-  // When preserveObjects is true (e.g., SET steps), don't auto-stringify objects
-  const functionBody = preserveObjects ? `
-    "use strict";
-    try {
-      return (${expression});
-    } catch (e) {
-      throw new Error('Expression evaluation failed: ' + e.message);
+    const security = validateExpressionSecurity(expression);
+    if (!security.isValid) {
+      throw new ExpressionSecurityError(`Expression blocked: ${security.reason}`, expression);
     }
-  ` : `
-    "use strict";
-    try {
-      const result = (${expression});
-      // Auto-stringify complex data structures when used in string contexts
-      if (typeof result === 'object' && result !== null &&
-          !(result.__userInput === true && result.__literal === true)) {
-        return JSON.stringify(result);
-      }
-      return result;
-    } catch (e) {
-      throw new Error('Expression evaluation failed: ' + e.message);
+    if (!legacyExpressionWarnings.has(expression)) {
+      if (legacyExpressionWarnings.size >= EXPRESSION_CACHE_LIMIT) legacyExpressionWarnings.clear();
+      legacyExpressionWarnings.add(expression);
+      logger.warn(`Expression uses syntax outside the sandbox (${compiled.error.message}) - evaluating in compat mode: ${expression}`);
     }
-  `;
+    return evaluateLegacyExpression(expression, context, preserveObjects);
+  }
 
-  // Create and execute function with only valid parameter names
-  const evaluatorFunction = new Function(...validParamNames, functionBody);
-  return evaluatorFunction(...paramValues);
+  const restrictions: Array<[ExprFeature, boolean | undefined, string]> = [
+    ['logical', options.allowLogicalOperators, 'Logical operators'],
+    ['math', options.allowMathOperators, 'Math operators'],
+    ['comparison', options.allowComparisons, 'Comparisons'],
+    ['ternary', options.allowTernary, 'Ternary operators']
+  ];
+  for (const [feature, allowed, label] of restrictions) {
+    if (allowed === false && compiled.features.has(feature)) {
+      throw new ExpressionSecurityError(`${label} are not allowed in ${options.context || 'this'} expression`, expression);
+    }
+  }
+
+  const result = evaluateSandboxNode(compiled.ast!, { context, locals: null, filters });
+
+  // Auto-stringify complex data structures when used in string contexts
+  if (!preserveObjects && typeof result === 'object' && result !== null && !isUserInputVariable(result)) {
+    return JSON.stringify(result);
+  }
+  return result;
+}
+
+/**
+ * Apply AI-powered voice cleanup if voice input is detected and AI is available
+ */
+async function applyVoiceCleanup(value: unknown, engine: Engine, questionContext?: string): Promise<unknown> {
+  if (typeof value !== 'string' || !engine.cargo?.voice || !questionContext) {
+    return value;
+  }
+
+  try {
+    const cleaned = await cleanVoiceInput(value, questionContext, engine);
+    logger.info(`Voice input processed: "${value}" → "${cleaned}"`);
+    return cleaned;
+  } catch (error: any) {
+    logger.warn(`Voice cleanup failed, using original value: ${error.message}`);
+    return value;
+  }
 }
 
 /**
@@ -5906,18 +11436,7 @@ async function setUserInputVariable(
   engine: Engine,
   questionContext?: string
 ): Promise<void> {
-  let processedValue = value;
-
-  // Apply AI-powered voice cleanup if voice input is detected and AI is available
-  if (sanitize && typeof value === 'string' && engine.cargo?.voice && questionContext) {
-    try {
-      processedValue = await cleanVoiceInput(value, questionContext, engine);
-      logger.info(`Voice input processed: "${value}" → "${processedValue}"`);
-    } catch (error: any) {
-      logger.warn(`Voice cleanup failed, using original value: ${error.message}`);
-      processedValue = value;
-    }
-  }
+  const processedValue = sanitize ? await applyVoiceCleanup(value, engine, questionContext) : value;
 
   // Mark user input as static literal data that should never be evaluated as code
   variables[key] = {
@@ -5953,19 +11472,110 @@ function interpolateMessage(
     return template; // No interpolation needed
   }
 
-  // For template interpolation, we should NOT apply security restrictions
-  // Templates are developer-controlled, not user input
-  const result = evaluateExpression(template, variables, contextStack, {
-    securityLevel: 'none', // No security restrictions for templates
-    allowLogicalOperators: true,
-    allowMathOperators: true,
-    allowComparisons: true,
-    allowTernary: true,
-    context: 'template-interpolation',
-    returnType: 'string'
-  }, engine);
-
-  return String(result);
+  if (HANDLEBARS_BLOCK_PATTERN.test(template)) {
+    try {
+      return renderMessageBlocks(template, contextStack, variables, engine);
+    } catch (error) {
+      if (error instanceof FlowStepError) throw error;
+      logger.warn(`Invalid block template, interpolating as plain text: ${(error as Error).message}`);
+    }
+  }
+
+  // Templates are developer-controlled, not user input - they run in the same expression sandbox
+  const result = evaluateExpression(template, variables, contextStack, {
+    allowLogicalOperators: true,
+    allowMathOperators: true,
+    allowComparisons: true,
+    allowTernary: true,
+    context: 'template-interpolation',
+    returnType: 'string'
+  }, engine);
+
+  return String(result);
+}
+
+/**
+ * Render a SAY/SAY-GET message that uses block helpers. Handlebars paths resolve against the
+ * flow variables and the current block; anything else ({{total > 100}}, {{price | currency}},
+ * fields missing from the block) is evaluated as a flow expression with the enclosing block
+ * objects layered over the variables.
+ */
+function renderMessageBlocks(
+  template: string,
+  contextStack: ContextEntry[],
+  variables: Record<string, unknown>,
+  engine: Engine
+): string {
+  const root: Record<string, unknown> = {};
+  for (const [name, value] of Object.entries(createSimplifiedEvaluationContext(variables, contextStack, engine))) {
+    root[name] = isUserInputVariable(value) ? (value as { value: unknown }).value : value;
+  }
+
+  return processHandlebarsTemplate(template, root, root, {
+    evaluate: (expression, frame, kind) => {
+      const blocks: unknown[] = [];
+      for (let current: HandlebarsFrame | null = frame; current?.parent; current = current.parent) {
+        blocks.unshift(current.context);
+      }
+      const scope: Record<string, unknown> = { ...variables };
+      for (const block of blocks) {
+        if (block !== null && typeof block === 'object' && !Array.isArray(block)) {
+          Object.assign(scope, block);
+        }
+      }
+
+      const source = `{{${expression}}}`;
+      const result = evaluateExpression(source, scope, contextStack, kind === 'param'
+        ? { context: 'javascript-evaluation', returnType: 'auto' }
+        : { context: 'template-interpolation', returnType: 'string' }, engine);
+      return result === `[error: ${source}]` ? source : result;
+    }
+  });
+}
+
+/**
+ * Interpolate CALL-TOOL args, FLOW parameters and EMIT payloads with the evaluator used by
+ * SAY, SET, CASE and RETURN. Arrays and objects (keys included) are walked recursively. A
+ * string that is a single {{template}} keeps the type of its value, with null/undefined
+ * giving ""; mixed text is stringified. Templates that fail keep their original text
+ * unless strict templates are on.
+ */
+function interpolateStepValue(value: unknown, variables: Record<string, unknown>, engine: Engine): unknown {
+  if (typeof value === 'string') {
+    if (!value.includes('{{')) {
+      return value;
+    }
+
+    const result = evaluateExpression(value, variables, [], {
+      context: 'argument-interpolation',
+      returnType: 'auto'
+    }, engine);
+    if (result === `[error: ${value}]`) {
+      return value; // Keep the template text
+    }
+    return result ?? '';
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => interpolateStepValue(item, variables, engine));
+  }
+
+  if (typeof value === 'object' && value !== null) {
+    const result: Record<string, unknown> = {};
+    for (const [key, item] of Object.entries(value)) {
+      const newKey = key.includes('{{') ? String(interpolateStepValue(key, variables, engine)) : key;
+      // Keys from templates without a value would be empty - skip them (empty attribute
+      // names break persistence, e.g. DynamoDB's "Empty attribute name")
+      if (newKey.trim() === '') {
+        logger.warn(`interpolateStepValue: skipping empty key (original="${key}")`);
+        continue;
+      }
+      result[newKey] = interpolateStepValue(item, variables, engine);
+    }
+    return result;
+  }
+
+  return value;
 }
 
 /**
@@ -5980,7 +11590,6 @@ function evaluateSafeCondition(
   logger.debug(`Evaluating safe condition: ${condition} with variables: ${JSON.stringify(variables)}`);
 
   const result = evaluateExpression(condition, variables, [], {
-    securityLevel: 'basic',
     context: 'condition-evaluation',
     returnType: 'boolean',
     allowComparisons: true,
@@ -6041,9 +11650,7 @@ function handleFlowHelp(currentFlowFrame: FlowFrame, engine: Engine): string | n
   }
 
   const flowName = currentFlowFrame.flowName;
-  const isFinancialFlow = flowName.toLowerCase().includes('payment') ||
-    flowName.toLowerCase().includes('transfer') ||
-    flowName.toLowerCase().includes('financial');
+  const isFinancialFlow = isHighRiskFlow(engine, flowName);
 
   const helpTitle = getSystemMessage(engine, 'cmd_help_title', { flowName });
   const availableCommands = getSystemMessage(engine, 'cmd_help_available_commands');
@@ -6566,6 +12173,9 @@ export class WorkflowEngine implements Engine {
   public flowsMenu: FlowDefinition[];
   public toolsRegistry: ToolDefinition[];
   public APPROVED_FUNCTIONS: ApprovedFunctions;
+  public templateFilters: TemplateFilters = {}; // Custom `{{ value | name:arg }}` filters, checked before the built-ins
+  public customTransforms: CustomTransforms = {}; // Response mapping transforms referenced as { type: 'custom', name }
+  public mcpServers: Record<string, McpClient> = {}; // Connected MCP servers by name, see registerMcpServer()
   public sessionId: string;
   public createdAt: Date;
   public lastActivity: Date;
@@ -6575,6 +12185,9 @@ export class WorkflowEngine implements Engine {
   public globalVariables?: Record<string, unknown>;
   public aiCallback: AiCallbackFunction;
   public aiTimeOut: number;
+  public expressionMode: ExpressionMode = 'sandbox'; // Set to 'compat' to run expressions the sandboxed interpreter cannot parse as legacy JavaScript
+  public strictTemplates = false; // Set to true to fail steps whose {{...}} placeholders error or have no value, instead of emitting ""
+  public requireConfirmation = true; // Set to false to let high-risk tools run without a CONFIRM answered yes
 
   // Command management for different application types (chat vs voice vs automation)
   private enabledCommands: Set<string>;
@@ -6582,6 +12195,7 @@ export class WorkflowEngine implements Engine {
 
   // Private session context - engine works directly with session data (no copying!)
   private sessionContext: EngineSessionContext | null = null;
+  private eventHandlers = new Map<string, FlowEventHandler[]>(); // engine.on() subscriptions by event name ('*' = all)
 
   set logger(value: Logger) {
     logger = value;
@@ -6739,6 +12353,8 @@ export class WorkflowEngine implements Engine {
       // the flow terminated — drop any stale stamp from a prior turn before
       // processing (finalizeFlowTransaction re-stamps if a flow ends this turn).
       delete this.sessionContext.lastFlowOutcome;
+      delete this.sessionContext.lastHandoff;
+      delete this.sessionContext.events;
 
       // DIAGNOSTIC: Log flowStepsStack state from loaded session (before any processing)
       if (engineSessionContext.flowStacks) {
@@ -6841,24 +12457,7 @@ export class WorkflowEngine implements Engine {
           engineSessionContext.response = responseOrNull; // Store the response from flow processing
 
           // Extract and store completed transactions for host access
-          const newCompletedTransactions: TransactionData[] = [];
-          for (const stack of this.flowStacks) {
-            for (const frame of stack) {
-              if (frame.transaction && (frame.transaction.state === 'completed' || frame.transaction.state === 'failed')) {
-                newCompletedTransactions.push(frame.transaction);
-              }
-            }
-          }
-          if (!engineSessionContext.completedTransactions) {
-            engineSessionContext.completedTransactions = [];
-          }
-          // Add any new completed transactions
-          for (const transaction of newCompletedTransactions) {
-            const existingTransaction = engineSessionContext.completedTransactions.find(t => t.id === transaction.id);
-            if (!existingTransaction) {
-              engineSessionContext.completedTransactions.push(transaction);
-            }
-          }
+          this._collectCompletedTransactions(engineSessionContext);
         }
 
         // DIAGNOSTIC: Log flowStepsStack state BEFORE returning (data will be saved to DynamoDB)
@@ -6896,24 +12495,7 @@ export class WorkflowEngine implements Engine {
           engineSessionContext.response = null; // No response for assistant turns
 
           // Extract and store completed transactions for host access
-          const newCompletedTransactions: TransactionData[] = [];
-          for (const stack of this.flowStacks) {
-            for (const frame of stack) {
-              if (frame.transaction && (frame.transaction.state === 'completed' || frame.transaction.state === 'failed')) {
-                newCompletedTransactions.push(frame.transaction);
-              }
-            }
-          }
-          if (!engineSessionContext.completedTransactions) {
-            engineSessionContext.completedTransactions = [];
-          }
-          // Add any new completed transactions
-          for (const transaction of newCompletedTransactions) {
-            const existingTransaction = engineSessionContext.completedTransactions.find(t => t.id === transaction.id);
-            if (!existingTransaction) {
-              engineSessionContext.completedTransactions.push(transaction);
-            }
-          }
+          this._collectCompletedTransactions(engineSessionContext);
         }
 
         return engineSessionContext;
@@ -6931,6 +12513,95 @@ export class WorkflowEngine implements Engine {
     }
   }
 
+  /**
+   * Advance a session whose pending question has timed out. Hosts call this
+   * periodically (or from a timer) for idle sessions: when the current flow waits
+   * on a SAY-GET, CHOICE, FORM or CONFIRM step with `timeoutMs` and more than that has passed
+   * since `lastActivity`, the step's `onTimeout` step runs (or the flow stops) and
+   * the resulting messages are returned in `response`.
+   *
+   * @param engineSessionContext - Session context previously returned by the engine
+   * @param now - Current time (defaults to the system clock)
+   * @returns The session context; `response` is null when nothing was due
+   *
+   * @example
+   *   setInterval(async () => {
+   *     session = await engine.tick(session);
+   *     if (session.response) await sendToUser(session.response);
+   *   }, 5000);
+   */
+  async tick(engineSessionContext: EngineSessionContext, now: Date = new Date()): Promise<EngineSessionContext> {
+    this.cargo = engineSessionContext.cargo || {};
+    this.sessionId = engineSessionContext.sessionId;
+    this.createdAt = engineSessionContext.createdAt;
+    this.sessionContext = engineSessionContext;
+    delete this.sessionContext.lastFlowOutcome;
+    delete this.sessionContext.lastHandoff;
+    delete this.sessionContext.events;
+    engineSessionContext.response = null;
+
+    if (!Array.isArray(engineSessionContext.flowStacks) || getCurrentStackLength(this) === 0) {
+      return engineSessionContext;
+    }
+    this.reconstructVariableReferences();
+
+    const currentFlowFrame = getCurrentFlowFrame(this);
+    const step = currentFlowFrame.flowStepsStack[currentFlowFrame.flowStepsStack.length - 1];
+    if (!currentFlowFrame.pendingVariable || !step?.timeoutMs) {
+      return engineSessionContext;
+    }
+
+    // lastActivity is a string after the host round-trips the session through JSON
+    const deadline = new Date(engineSessionContext.lastActivity).getTime() + step.timeoutMs;
+    if (now.getTime() < deadline) {
+      return engineSessionContext;
+    }
+
+    expirePendingInput(currentFlowFrame, step, this);
+    this.lastActivity = now;
+    engineSessionContext.lastActivity = now;
+
+    try {
+      engineSessionContext.response = await playFlowFrame(this);
+    } catch (error: any) {
+      logger.error(`Flow execution error after timeout: ${error.message}`);
+
+      // Clean up failed flow
+      if (getCurrentStackLength(this) > 0) {
+        const failedFrame = popFromCurrentStack(this)!;
+        TransactionManager.fail(failedFrame.transaction, error.message);
+      }
+      throw new JSFEExecutionError(error.message, error);
+    }
+
+    this._collectCompletedTransactions(engineSessionContext);
+    return engineSessionContext;
+  }
+
+  /**
+   * Copy transactions of flows that completed or failed into the session context
+   */
+  private _collectCompletedTransactions(engineSessionContext: EngineSessionContext): void {
+    const newCompletedTransactions: TransactionData[] = [];
+    for (const stack of this.flowStacks) {
+      for (const frame of stack) {
+        if (frame.transaction && (frame.transaction.state === 'completed' || frame.transaction.state === 'failed')) {
+          newCompletedTransactions.push(frame.transaction);
+        }
+      }
+    }
+    if (!engineSessionContext.completedTransactions) {
+      engineSessionContext.completedTransactions = [];
+    }
+    // Add any new completed transactions
+    for (const transaction of newCompletedTransactions) {
+      const existingTransaction = engineSessionContext.completedTransactions.find(t => t.id === transaction.id);
+      if (!existingTransaction) {
+        engineSessionContext.completedTransactions.push(transaction);
+      }
+    }
+  }
+
   /**
    * Enable specific system commands or all commands if none specified.
    * Useful for voice applications that want to limit command availability.
@@ -7070,8 +12741,8 @@ export class WorkflowEngine implements Engine {
         const flowFrame = stack[flowIndex];
         if (!flowFrame) continue;
 
-        if (flowIndex === 0) {
-          // First flow sets the shared variables
+        if (flowIndex === 0 || flowFrame.isolatedVariables || !sharedVariables) {
+          // First flow (or an isolated sub-flow) starts a new shared variables scope
           sharedVariables = flowFrame.variables || {};
           flowFrame.variables = sharedVariables;
         } else {
@@ -7138,6 +12809,126 @@ export class WorkflowEngine implements Engine {
     }
   }
 
+  // Record the escalation package of a HANDOFF step for the host (one-shot, like lastFlowOutcome)
+  stampHandoff(handoff: EscalationPackage): void {
+    if (this.sessionContext) {
+      this.sessionContext.lastHandoff = handoff;
+    } else {
+      logger.warn(`stampHandoff: no sessionContext for flow ${handoff.flowName}`);
+    }
+  }
+
+  /**
+   * Register a custom value transform for response mapping, referenced from a
+   * ValueTransformConfig as { type: 'custom', name, options }. Register transforms before
+   * flows are validated - construct with validateOnInit false and call
+   * performInitializationValidation() afterwards, or re-run validateAllFlows().
+   */
+  registerTransform(name: string, definition: CustomTransform): void {
+    if (!/^[A-Za-z_$][\w$-]*$/.test(name)) {
+      throw new Error(`Invalid custom transform name "${name}"`);
+    }
+    if (!definition || typeof definition.transform !== 'function') {
+      throw new Error(`Custom transform "${name}" needs a transform function`);
+    }
+    if (definition.options && ajv) {
+      customTransformValidators.set(definition.options, ajv.compile(definition.options)); // Fails fast on invalid schemas
+    }
+    this.customTransforms[name] = definition;
+  }
+
+  /**
+   * Connect to an MCP server, list its tools and add them to toolsRegistry as
+   * implementation.type 'mcp' tools that CALL-TOOL steps run with tools/call.
+   * Register servers before flows are validated - await this before the first
+   * updateActivity(), or re-run validateAllFlows(). Returns the registered tools.
+   *
+   * @example
+   *   await engine.registerMcpServer({ name: 'crm', transport: 'stdio', command: 'node', args: ['crm-server.js'] });
+   *   await engine.registerMcpServer({ name: 'docs', transport: 'http', url: 'https://mcp.example.com/mcp', toolPrefix: 'docs_' });
+   */
+  async registerMcpServer(config: McpServerConfig): Promise<ToolDefinition[]> {
+    if (this.mcpServers[config?.name]) {
+      throw new Error(`MCP server "${config.name}" is already registered`);
+    }
+    const client = new McpClient(config);
+    try {
+      await client.connect();
+      const tools = (await client.listTools())
+        .filter(info => !config.tools || config.tools.includes(info.name))
+        .map(info => toMcpToolDefinition(config, info));
+      const clash = tools.find(tool => this.toolsRegistry.some(existing => existing.id === tool.id));
+      if (clash) {
+        throw new Error(`Tool id "${clash.id}" from MCP server "${config.name}" is already registered - set a toolPrefix`);
+      }
+
+      this.mcpServers[config.name] = client;
+      this.toolsRegistry.push(...tools);
+      logger.info(`Registered ${tools.length} tools from MCP server ${config.name}: ${tools.map(tool => tool.id).join(', ')}`);
+      return tools;
+    } catch (error) {
+      await client.close();
+      throw error;
+    }
+  }
+
+  // Disconnect MCP servers (all by default) and remove their tools from toolsRegistry
+  async closeMcpServers(names: string[] = Object.keys(this.mcpServers)): Promise<void> {
+    await Promise.all(names.map(name => this.mcpServers[name]?.close()));
+    for (const name of names) delete this.mcpServers[name];
+    for (let i = this.toolsRegistry.length - 1; i >= 0; i--) { // In place - the host may hold the same array
+      const implementation = this.toolsRegistry[i].implementation;
+      if (implementation?.type === 'mcp' && names.includes(implementation.server as string)) {
+        this.toolsRegistry.splice(i, 1);
+      }
+    }
+  }
+
+  /**
+   * Subscribe to events published by EMIT steps ('*' receives every event).
+   * Handlers run in subscription order, and are awaited, before the flow
+   * continues; a handler that throws is logged and does not fail the flow.
+   * Returns a function that removes the subscription.
+   *
+   * @example
+   *   engine.on('otp_verified', async (event) => {
+   *     await crm.markVerified(event.userId, event.payload);
+   *   });
+   */
+  on(eventName: string, handler: FlowEventHandler): () => void {
+    const handlers = this.eventHandlers.get(eventName) || [];
+    this.eventHandlers.set(eventName, [...handlers, handler]);
+    return () => this.off(eventName, handler);
+  }
+
+  // Remove a subscription made with on()
+  off(eventName: string, handler: FlowEventHandler): void {
+    const handlers = (this.eventHandlers.get(eventName) || []).filter(h => h !== handler);
+    if (handlers.length > 0) {
+      this.eventHandlers.set(eventName, handlers);
+    } else {
+      this.eventHandlers.delete(eventName);
+    }
+  }
+
+  // Queue an EMIT step's event for the host (one-shot sessionContext.events) and run its subscribers
+  async emitEvent(event: FlowEvent): Promise<void> {
+    if (this.sessionContext) {
+      this.sessionContext.events = [...(this.sessionContext.events || []), event];
+    } else {
+      logger.warn(`emitEvent: no sessionContext for event ${event.name}`);
+    }
+
+    const handlers = [...(this.eventHandlers.get(event.name) || []), ...(this.eventHandlers.get('*') || [])];
+    for (const handler of handlers) {
+      try {
+        await handler(event);
+      } catch (error: any) {
+        logger.warn(`Event handler for '${event.name}' failed: ${error?.message || error}`);
+      }
+    }
+  }
+
   // Get tentative flow_init flag
   getTentativeFlowInit(): boolean {
     return this.sessionContext?.hasTentativeFlowInit || false;
@@ -7258,23 +13049,61 @@ export class WorkflowEngine implements Engine {
    * after adding flows to flowsMenu post-construction (e.g. flowsMenu.unshift(...systemFlows)).
    */
   ensureBranchOrder(): void {
-    const setBranchOrder = (step: FlowStep): void => {
+    const setBranchOrder = (step: FlowStep | FlowStep[]): void => {
       if (!step || typeof step !== 'object') return;
 
+      // Multi-step branches (and FOREACH bodies) are plain step arrays
+      if (Array.isArray(step)) {
+        step.forEach(setBranchOrder);
+        return;
+      }
+
       // Set _branchOrder on CASE or SWITCH steps that have branches
       if ((step.type === 'CASE' || step.type === 'SWITCH') && step.branches && typeof step.branches === 'object') {
         step._branchOrder = Object.keys(step.branches);
 
-        // Recurse into each branch step (branches may themselves contain CASE/SWITCH)
+        // Recurse into each branch (branches may themselves contain CASE/SWITCH)
         for (const branchStep of Object.values(step.branches)) {
-          setBranchOrder(branchStep as FlowStep);
+          setBranchOrder(branchStep);
+        }
+      }
+
+      // Recurse into FOREACH bodies
+      if (step.type === 'FOREACH' && step.do && typeof step.do === 'object') {
+        setBranchOrder(step.do);
+      }
+
+      // Recurse into PARALLEL branches (their onFail steps may branch)
+      if (step.type === 'PARALLEL' && Array.isArray(step.steps)) {
+        for (const branch of step.steps) {
+          setBranchOrder(branch);
+        }
+      }
+
+      // Recurse into TRY sections
+      if (step.type === 'TRY') {
+        for (const section of [step.steps, step.catch, step.finally]) {
+          if (section) setBranchOrder(section);
+        }
+      }
+
+      // Recurse into CONFIRM answers
+      if (step.type === 'CONFIRM') {
+        for (const branch of [step.onYes, step.onNo]) {
+          if (branch) setBranchOrder(branch);
         }
       }
 
-      // Also recurse into onFail steps
+      // Also recurse into onFail steps (and onExhausted/onTimeout of SAY-GET, CHOICE, FORM and CONFIRM)
       if (step.onFail) {
         setBranchOrder(step.onFail);
       }
+      if (step.onExhausted) {
+        setBranchOrder(step.onExhausted);
+      }
+      if (step.onTimeout) {
+        setBranchOrder(step.onTimeout);
+      }
     };
 
     for (const flow of this.flowsMenu) {
@@ -7313,7 +13142,8 @@ export class WorkflowEngine implements Engine {
       currentDepth: 0,
       variableScopes: new Map<string, Set<string>>(),
       toolRegistry: new Set(this.toolsRegistry.map((t: any) => t.id)),
-      flowCallStack: [] as string[]  // Track parent flow chain for variable inheritance
+      flowCallStack: [] as string[],  // Track parent flow chain for variable inheritance
+      isolatedCalls: new Map<string, boolean>()  // "caller>callee" -> every FLOW step call isolates the callee's variables
     };
 
     try {
@@ -7430,12 +13260,75 @@ export class WorkflowEngine implements Engine {
       state.warnings.push(`Flow "${flowDef.name}" missing description field`);
     }
 
+    // Validate declared outputs - each should be a flow variable or set by a step
+    if (flowDef.outputs !== undefined) {
+      if (typeof flowDef.outputs !== 'object' || flowDef.outputs === null || Array.isArray(flowDef.outputs)) {
+        state.errors.push(`Flow "${flowDef.name}" has invalid "outputs" - expected an object keyed by variable name`);
+      } else {
+        const assigned = new Set<string>(Object.keys(flowDef.variables || {}));
+        this._forEachNestedStep(flowDef.steps, (step: any) => this._addStepVariablesToScope(step, assigned));
+        for (const [outputName, outputDef] of Object.entries(flowDef.outputs)) {
+          const def = outputDef as any;
+          if (def && def.type && !['string', 'number', 'boolean', 'object', 'array'].includes(def.type)) {
+            state.warnings.push(`Output "${outputName}" in flow "${flowDef.name}" has invalid type: ${def.type}`);
+          }
+          if (!assigned.has(outputName)) {
+            state.warnings.push(`Output "${outputName}" in flow "${flowDef.name}" is never defined or set by any step`);
+          }
+        }
+      }
+    }
+
     // Validate metadata structure if present
     if (flowDef.metadata) {
       if (flowDef.metadata.riskLevel && !['low', 'medium', 'high', 'critical'].includes(flowDef.metadata.riskLevel)) {
         state.warnings.push(`Flow "${flowDef.name}" has invalid riskLevel: ${flowDef.metadata.riskLevel}`);
       }
     }
+
+    // Validate declared events - each should be emitted by an EMIT step
+    if (flowDef.events !== undefined) {
+      if (typeof flowDef.events !== 'object' || flowDef.events === null || Array.isArray(flowDef.events)) {
+        state.errors.push(`Flow "${flowDef.name}" has invalid "events" - expected an object keyed by event name`);
+      } else {
+        const emitted = new Set<string>();
+        this._forEachNestedStep(flowDef.steps, (step: any) => {
+          if (step.type === 'EMIT' && typeof step.event === 'string') emitted.add(step.event);
+        });
+        for (const [eventName, eventDef] of Object.entries(flowDef.events)) {
+          const def = eventDef as any;
+          if (!EVENT_NAME_PATTERN.test(eventName)) {
+            state.errors.push(`Event "${eventName}" in flow "${flowDef.name}" has an invalid name - use letters, digits, '_', '.', ':' or '-'`);
+          }
+          if (def && def.payload !== undefined && (typeof def.payload !== 'object' || def.payload === null || Array.isArray(def.payload))) {
+            state.errors.push(`Event "${eventName}" in flow "${flowDef.name}" has invalid "payload" - expected an object keyed by field name`);
+          }
+          if (!emitted.has(eventName)) {
+            state.warnings.push(`Event "${eventName}" in flow "${flowDef.name}" is declared but never emitted by an EMIT step`);
+          }
+        }
+      }
+    }
+
+    // With requireConfirmation, high-risk tools (or any tool of a high-risk flow) only run after a CONFIRM was answered yes
+    if (!isConfirmationRequired(this, flowDef)) {
+      return;
+    }
+    const toolNames: string[] = [];
+    let hasConfirm = false;
+    this._forEachNestedStep(flowDef.steps, (step: any) => {
+      if (step.type === 'CONFIRM') hasConfirm = true;
+      if (step.type === 'CALL-TOOL' && step.tool) toolNames.push(step.tool);
+      if (step.type === 'PARALLEL' && Array.isArray(step.steps)) {
+        toolNames.push(...step.steps.filter((branch: any) => branch?.tool).map((branch: any) => branch.tool));
+      }
+    });
+    const guarded = isHighRiskLevel(flowDef.metadata?.riskLevel)
+      ? toolNames
+      : toolNames.filter(name => isHighRiskLevel(this.toolsRegistry.find((t: any) => t.id === name)?.riskLevel));
+    if (guarded.length > 0 && !hasConfirm) {
+      state.warnings.push(`Flow "${flowDef.name}" calls high-risk tool(s) ${[...new Set(guarded)].join(', ')} without a CONFIRM step - the flow ends there unless a calling flow confirmed`);
+    }
   }
 
   /**
@@ -7486,7 +13379,7 @@ export class WorkflowEngine implements Engine {
     }
 
     // Validate step type
-    const validStepTypes = ['SAY', 'SAY-GET', 'SET', 'SWITCH', 'CASE', 'CALL-TOOL', 'FLOW', 'RETURN', 'END'];
+    const validStepTypes = ['SAY', 'SAY-GET', 'SET', 'SWITCH', 'CASE', 'CALL-TOOL', 'FLOW', 'RETURN', 'END', 'FOREACH', 'PARALLEL', 'CHOICE', 'TRY', 'GOTO', 'HANDOFF', 'FORM', 'CONFIRM', 'EMIT'];
     if (!validStepTypes.includes(step.type)) {
       state.errors.push(`Step "${step.id}" in flow "${flowDef.name}" has invalid type: ${step.type}`);
       return;
@@ -7516,6 +13409,39 @@ export class WorkflowEngine implements Engine {
       case 'FLOW':
         this._validateSubFlowStep(step, flowDef, state, opts, currentScope);
         break;
+      case 'FOREACH':
+        this._validateForeachStep(step, flowDef, state, opts, currentScope);
+        break;
+      case 'PARALLEL':
+        this._validateParallelStep(step, flowDef, state, opts, currentScope);
+        break;
+      case 'CHOICE':
+        this._validateChoiceStep(step, flowDef, state, opts, currentScope);
+        break;
+      case 'FORM':
+        this._validateFormStep(step, flowDef, state, opts, currentScope);
+        break;
+      case 'CONFIRM':
+        this._validateConfirmStep(step, flowDef, state, opts, currentScope);
+        break;
+      case 'EMIT':
+        this._validateEmitStep(step, flowDef, state, opts, currentScope);
+        break;
+      case 'TRY':
+        this._validateTryStep(step, flowDef, state, opts, currentScope);
+        break;
+      case 'GOTO':
+        this._validateGotoStep(step, flowDef, state);
+        break;
+      case 'HANDOFF':
+        this._validateHandoffStep(step, flowDef, state, opts, currentScope);
+        break;
+      case 'END':
+        // END may hand a value back to the calling FLOW step
+        if (step.value !== undefined && typeof step.value === 'string' && opts.checkVariables) {
+          this._validateVariableReferences({ value: step.value }, step, flowDef, state, 'END step value', currentScope);
+        }
+        break;
     }
 
     // Update scope with variables created by this step
@@ -7563,6 +13489,127 @@ export class WorkflowEngine implements Engine {
     if (step.name && step.type !== 'SAY-GET') {
       state.warnings.push(`SAY step "${step.id}" in flow "${flowDef.name}" has "name" attribute which is typically for FLOW steps`);
     }
+
+    if (step.type === 'SAY-GET') {
+      this._validateTypedInput(step, flowDef, state, opts, scope);
+      this._validateInputTimeout(step, flowDef, state, opts, scope);
+    } else if (step.timeoutMs !== undefined || step.onTimeout) {
+      state.warnings.push(`SAY step "${step.id}" in flow "${flowDef.name}" has "timeoutMs"/"onTimeout" which only apply to SAY-GET, CHOICE, FORM and CONFIRM steps`);
+    }
+  }
+
+  /**
+   * Validates typed SAY-GET input settings (inputType, bounds, options, attempts)
+   */
+  private _validateTypedInput(step: any, flowDef: any, state: any, opts: any, scope?: Set<string>): void {
+    const typedAttributes = ['min', 'max', 'pattern', 'options', 'maxAttempts', 'invalidMessage', 'onExhausted'];
+    if (!step.inputType) {
+      const unused = typedAttributes.filter(attr => step[attr] !== undefined);
+      if (unused.length > 0) {
+        state.warnings.push(`SAY-GET step "${step.id}" in flow "${flowDef.name}" has ${unused.join(', ')} but no "inputType" - they are ignored`);
+      }
+      return;
+    }
+
+    const validInputTypes = ['number', 'integer', 'email', 'phone', 'date', 'yes_no', 'choice', 'regex'];
+    if (!validInputTypes.includes(step.inputType)) {
+      state.errors.push(`SAY-GET step "${step.id}" in flow "${flowDef.name}" has invalid inputType: ${step.inputType}. Valid types: ${validInputTypes.join(', ')}`);
+      return;
+    }
+
+    if (step.inputType === 'choice' && (!Array.isArray(step.options) || step.options.length === 0)) {
+      state.errors.push(`SAY-GET step "${step.id}" in flow "${flowDef.name}" with inputType "choice" requires a non-empty "options" array`);
+    } else if (step.inputType === 'choice' && step.options.some((option: unknown) => typeof option !== 'string')) {
+      state.errors.push(`SAY-GET step "${step.id}" in flow "${flowDef.name}" with inputType "choice" only supports string options - use a CHOICE step for option objects`);
+    }
+
+    if (step.inputType === 'regex') {
+      if (!step.pattern || typeof step.pattern !== 'string') {
+        state.errors.push(`SAY-GET step "${step.id}" in flow "${flowDef.name}" with inputType "regex" requires a "pattern" string`);
+      } else {
+        try {
+          new RegExp(step.pattern);
+        } catch (error: any) {
+          state.errors.push(`SAY-GET step "${step.id}" in flow "${flowDef.name}" has invalid pattern: ${error.message}`);
+        }
+      }
+    }
+
+    // Bounds only apply to numbers and dates
+    if (step.min !== undefined || step.max !== undefined) {
+      if (step.inputType === 'number' || step.inputType === 'integer') {
+        for (const bound of ['min', 'max']) {
+          if (step[bound] !== undefined && !Number.isFinite(Number(step[bound]))) {
+            state.errors.push(`SAY-GET step "${step.id}" in flow "${flowDef.name}" has non-numeric "${bound}": ${step[bound]}`);
+          }
+        }
+        if (step.min !== undefined && step.max !== undefined && Number(step.min) > Number(step.max)) {
+          state.errors.push(`SAY-GET step "${step.id}" in flow "${flowDef.name}" has "min" greater than "max"`);
+        }
+      } else if (step.inputType === 'date') {
+        for (const bound of ['min', 'max']) {
+          if (step[bound] !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(String(step[bound]))) {
+            state.errors.push(`SAY-GET step "${step.id}" in flow "${flowDef.name}" has "${bound}" that is not an ISO date (YYYY-MM-DD): ${step[bound]}`);
+          }
+        }
+      } else {
+        state.warnings.push(`SAY-GET step "${step.id}" in flow "${flowDef.name}" has "min"/"max" which only apply to number, integer and date inputs`);
+      }
+    }
+
+    this._validateInputAttempts(step, flowDef, state, opts, scope);
+  }
+
+  /**
+   * Validates the re-prompt settings shared by typed SAY-GET, CHOICE, FORM and CONFIRM steps
+   * (maxAttempts, invalidMessage, onExhausted)
+   */
+  private _validateInputAttempts(step: any, flowDef: any, state: any, opts: any, scope?: Set<string>): void {
+    if (step.maxAttempts !== undefined && (!Number.isInteger(step.maxAttempts) || step.maxAttempts < 1)) {
+      state.errors.push(`${step.type} step "${step.id}" in flow "${flowDef.name}" has invalid maxAttempts: ${step.maxAttempts} - expected a positive integer`);
+    }
+    if (step.onExhausted && step.maxAttempts === undefined) {
+      state.warnings.push(`${step.type} step "${step.id}" in flow "${flowDef.name}" has "onExhausted" but no "maxAttempts" - it never runs`);
+    }
+
+    for (const [key, value] of Object.entries(step)) {
+      if ((key === 'invalidMessage' || key.startsWith('invalidMessage_')) && typeof value === 'string' && opts.checkVariables) {
+        this._validateVariableReferences({ [key]: value }, step, flowDef, state, `${step.type} step ${key}`, scope);
+      }
+    }
+
+    if (step.onExhausted) {
+      if (!step.onExhausted.type) {
+        state.errors.push(`onExhausted handler for step "${step.id}" in flow "${flowDef.name}" missing required "type" field`);
+      } else {
+        this._validateFlowStep(step.onExhausted, flowDef, state, opts, scope);
+      }
+    }
+  }
+
+  /**
+   * Validates the reply deadline shared by SAY-GET, CHOICE, FORM and CONFIRM steps (timeoutMs, onTimeout)
+   */
+  private _validateInputTimeout(step: any, flowDef: any, state: any, opts: any, scope?: Set<string>): void {
+    if (step.timeoutMs !== undefined && (typeof step.timeoutMs !== 'number' || !(step.timeoutMs > 0))) {
+      state.errors.push(`${step.type} step "${step.id}" in flow "${flowDef.name}" has invalid timeoutMs: ${step.timeoutMs} - expected a positive number of milliseconds`);
+    }
+    if (step.onTimeout && step.timeoutMs === undefined) {
+      state.warnings.push(`${step.type} step "${step.id}" in flow "${flowDef.name}" has "onTimeout" but no "timeoutMs" - it never runs`);
+    }
+
+    if (step.onTimeout) {
+      if (!step.onTimeout.type) {
+        state.errors.push(`onTimeout handler for step "${step.id}" in flow "${flowDef.name}" missing required "type" field`);
+      } else {
+        // A re-prompt is the only onTimeout that continues the flow - it must collect the same variable
+        const reprompts = ['SAY-GET', 'CHOICE', 'FORM', 'CONFIRM'].includes(step.onTimeout.type);
+        if (reprompts && step.variable && step.onTimeout.variable && step.onTimeout.variable !== step.variable) {
+          state.warnings.push(`onTimeout handler for step "${step.id}" in flow "${flowDef.name}" stores "${step.onTimeout.variable}" instead of "${step.variable}" - the flow continues without "${step.variable}"`);
+        }
+        this._validateFlowStep(step.onTimeout, flowDef, state, opts, scope);
+      }
+    }
   }
 
   /**
@@ -7580,6 +13627,9 @@ export class WorkflowEngine implements Engine {
     if (step.value && opts.checkVariables) {
       this._validateVariableReferences({ value: step.value }, step, flowDef, state, 'SET step value', scope);
     }
+    if (typeof step.value === 'string') {
+      this._validateExpressionSyntax(step.value, step, flowDef, state, 'SET step value');
+    }
 
     // Invalid attributes for SET steps
     if (step.callType) {
@@ -7609,9 +13659,7 @@ export class WorkflowEngine implements Engine {
 
     // Validate each branch
     for (const [branchKey, branchStep] of Object.entries(step.branches)) {
-      if (typeof branchStep === 'object' && branchStep !== null) {
-        this._validateFlowStep(branchStep, flowDef, state, opts, scope);
-      }
+      this._validateBranchSteps(branchStep, step, branchKey, flowDef, state, opts, scope);
 
       // SWITCH steps now only support exact value matching - use CASE for conditions
       if (branchKey.startsWith('condition:')) {
@@ -7629,9 +13677,119 @@ export class WorkflowEngine implements Engine {
       state.warnings.push(`SWITCH step "${step.id}" in flow "${flowDef.name}" missing "default" branch - recommended for error handling`);
     }
 
-    // Snapshot branch key order for consistency (SWITCH uses exact lookup so order
-    // doesn't affect correctness, but this ensures consistent serialization behavior).
-    step._branchOrder = Object.keys(step.branches);
+    // Snapshot branch key order for consistency (SWITCH uses exact lookup so order
+    // doesn't affect correctness, but this ensures consistent serialization behavior).
+    step._branchOrder = Object.keys(step.branches);
+  }
+
+  /**
+   * Validates the step(s) of a single SWITCH/CASE branch. Multi-step branches
+   * run in order, so each step sees the variables created by the ones before it.
+   */
+  private _validateBranchSteps(branch: any, parentStep: any, branchKey: string, flowDef: any, state: any, opts: any, scope?: Set<string>): void {
+    if (Array.isArray(branch)) {
+      const branchScope = new Set<string>(scope || []);
+      for (const branchStep of branch) {
+        if (typeof branchStep === 'object' && branchStep !== null && !Array.isArray(branchStep)) {
+          this._validateFlowStep(branchStep, flowDef, state, opts, branchScope);
+          this._addStepVariablesToScope(branchStep, branchScope);
+        } else {
+          state.errors.push(`${parentStep.type} step "${parentStep.id}" in flow "${flowDef.name}" branch "${branchKey}" contains an invalid step`);
+        }
+      }
+    } else if (typeof branch === 'object' && branch !== null) {
+      this._validateFlowStep(branch, flowDef, state, opts, scope);
+    } else {
+      state.errors.push(`${parentStep.type} step "${parentStep.id}" in flow "${flowDef.name}" branch "${branchKey}" must be a step or an array of steps`);
+    }
+  }
+
+  /**
+   * Validates TRY steps - `steps` plus at least one of `catch` and `finally`
+   */
+  private _validateTryStep(step: any, flowDef: any, state: any, opts: any, scope?: Set<string>): void {
+    if (!Array.isArray(step.steps) || step.steps.length === 0) {
+      state.errors.push(`TRY step "${step.id}" in flow "${flowDef.name}" requires a non-empty "steps" array`);
+    } else {
+      this._validateBranchSteps(step.steps, step, 'steps', flowDef, state, opts, scope);
+    }
+
+    if (step.catch === undefined && step.finally === undefined) {
+      state.errors.push(`TRY step "${step.id}" in flow "${flowDef.name}" needs a "catch" or "finally" section`);
+    }
+    if (step.onFail) {
+      state.warnings.push(`TRY step "${step.id}" in flow "${flowDef.name}" has "onFail" - use its "catch" section instead`);
+    }
+
+    // Any protected step may have run before the failure
+    const sectionScope = new Set<string>(scope || []);
+    for (const tryStep of Array.isArray(step.steps) ? step.steps : []) {
+      if (tryStep && typeof tryStep === 'object') {
+        this._addStepVariablesToScope(tryStep, sectionScope);
+      }
+    }
+
+    if (step.catch !== undefined) {
+      const catchScope = new Set<string>(sectionScope);
+      catchScope.add(step.variable || 'error');
+      this._validateBranchSteps(step.catch, step, 'catch', flowDef, state, opts, catchScope);
+    }
+    if (step.finally !== undefined) {
+      const finallyScope = new Set<string>(sectionScope);
+      if (step.catch !== undefined) {
+        finallyScope.add(step.variable || 'error');
+      }
+      this._validateBranchSteps(step.finally, step, 'finally', flowDef, state, opts, finallyScope);
+    }
+  }
+
+  /**
+   * Validates GOTO steps - the target must be a top-level step of the same flow
+   */
+  private _validateGotoStep(step: any, flowDef: any, state: any): void {
+    if (!step.value || typeof step.value !== 'string') {
+      state.errors.push(`GOTO step "${step.id}" in flow "${flowDef.name}" missing required "value" field (target step id)`);
+    } else if (!(flowDef.steps || []).some((s: any) => s?.id === step.value)) {
+      let nested = false;
+      this._forEachNestedStep(flowDef.steps, (s: any) => {
+        if (s.id === step.value) nested = true;
+      });
+      state.errors.push(nested
+        ? `GOTO step "${step.id}" in flow "${flowDef.name}" targets nested step "${step.value}" - GOTO can only jump to top-level steps`
+        : `GOTO step "${step.id}" in flow "${flowDef.name}" targets unknown step "${step.value}"`);
+    } else if (step.value === step.id) {
+      state.warnings.push(`GOTO step "${step.id}" in flow "${flowDef.name}" targets itself - it loops until "maxJumps" is reached`);
+    }
+
+    if (step.maxJumps !== undefined && (!Number.isInteger(step.maxJumps) || step.maxJumps < 1)) {
+      state.errors.push(`GOTO step "${step.id}" in flow "${flowDef.name}" has invalid maxJumps: ${step.maxJumps} - expected a positive integer`);
+    }
+  }
+
+  /**
+   * Validates HANDOFF steps
+   */
+  private _validateHandoffStep(step: any, flowDef: any, state: any, opts: any, scope?: Set<string>): void {
+    if (opts.checkVariables) {
+      for (const [key, value] of Object.entries(step)) {
+        if ((key === 'value' || key.startsWith('value_') || key === 'reason') && typeof value === 'string') {
+          this._validateVariableReferences({ [key]: value }, step, flowDef, state, `HANDOFF step ${key}`, scope);
+        }
+      }
+    }
+
+    if (step.redact !== undefined && (!Array.isArray(step.redact) || step.redact.some((name: unknown) => typeof name !== 'string'))) {
+      state.errors.push(`HANDOFF step "${step.id}" in flow "${flowDef.name}" has invalid "redact" - expected an array of variable names`);
+    }
+
+    const validFormats = ['openai', 'anthropic', 'simple'];
+    if (step.transcriptFormat !== undefined && !validFormats.includes(step.transcriptFormat)) {
+      state.errors.push(`HANDOFF step "${step.id}" in flow "${flowDef.name}" has invalid transcriptFormat: ${step.transcriptFormat}. Valid formats: ${validFormats.join(', ')}`);
+    }
+
+    if (step.outcome !== undefined) {
+      state.warnings.push(`HANDOFF step "${step.id}" in flow "${flowDef.name}" has "outcome" which is ignored - HANDOFF always ends with outcome "handoff"`);
+    }
   }
 
   /**
@@ -7648,9 +13806,7 @@ export class WorkflowEngine implements Engine {
 
     // Validate each branch
     for (const [branchKey, branchStep] of Object.entries(step.branches)) {
-      if (typeof branchStep === 'object' && branchStep !== null) {
-        this._validateFlowStep(branchStep, flowDef, state, opts, scope);
-      }
+      this._validateBranchSteps(branchStep, step, branchKey, flowDef, state, opts, scope);
 
       // CASE steps only support condition branches and default
       if (branchKey === 'default') {
@@ -7664,6 +13820,7 @@ export class WorkflowEngine implements Engine {
         if (opts.checkVariables) {
           this._validateVariableReferences({ condition }, step, flowDef, state, 'CASE condition', scope);
         }
+        this._validateExpressionSyntax(condition, step, flowDef, state, 'CASE condition');
       } else {
         // CASE doesn't support exact value matching - that's SWITCH's job
         state.errors.push(`CASE step "${step.id}" in flow "${flowDef.name}" has invalid branch "${branchKey}" - CASE only supports "condition:" branches and "default"`);
@@ -7686,6 +13843,28 @@ export class WorkflowEngine implements Engine {
     step._branchOrder = Object.keys(step.branches);
   }
 
+  /**
+   * Validates expressions against the expression sandbox: syntax only the legacy evaluator
+   * understands is a warning (it fails with expressionMode 'sandbox'), blocked access an error
+   */
+  private _validateExpressionSyntax(value: string, step: any, flowDef: any, state: any, context: string): void {
+    const expressions = value.includes('{{')
+      ? [...value.matchAll(/\{\{([\s\S]*?)\}\}/g)].map(match => match[1].trim())
+      : [value.trim()];
+
+    for (const expression of expressions) {
+      const { error } = compileExpression(expression);
+      if (!error) continue;
+
+      const security = validateExpressionSecurity(expression);
+      if (error instanceof ExpressionSecurityError || !security.isValid) {
+        state.errors.push(`${context} in step "${step.id}" in flow "${flowDef.name}" is not allowed: ${error instanceof ExpressionSecurityError ? error.message : security.reason}`);
+      } else {
+        state.warnings.push(`${context} in step "${step.id}" in flow "${flowDef.name}" uses syntax outside the expression sandbox (${error.message}) - it only runs with expressionMode 'compat'`);
+      }
+    }
+  }
+
   /**
    * Validates CALL-TOOL steps
    */
@@ -7700,6 +13879,28 @@ export class WorkflowEngine implements Engine {
       state.errors.push(`CALL-TOOL step "${step.id}" in flow "${flowDef.name}" references unknown tool: ${step.tool}`);
     }
 
+    // Validate custom transforms in the tool's own response mapping
+    if (opts.validateTools) {
+      const tool = this.toolsRegistry.find((t: any) => t.id === step.tool);
+      if (tool?.implementation?.responseMapping) {
+        this._validateMappingTransforms(tool.implementation.responseMapping, step, flowDef, state, `Tool "${step.tool}" response mapping`);
+      }
+      if (tool?.implementation?.type === 'graphql') {
+        if (typeof tool.implementation.query !== 'string' || !tool.implementation.query.trim()) {
+          state.errors.push(`GraphQL tool "${step.tool}" used in step "${step.id}" in flow "${flowDef.name}" has no "query"`);
+        }
+        if (!tool.implementation.url && !(tool as any).url) {
+          state.errors.push(`GraphQL tool "${step.tool}" used in step "${step.id}" in flow "${flowDef.name}" has no "url"`);
+        }
+      }
+      if (tool?.outputSchema !== undefined) {
+        this._validateToolOutputSchema(tool, step, flowDef, state);
+      }
+      if (tool?.implementation?.type === 'mcp' && !this.mcpServers[tool.implementation.server as string]) {
+        state.warnings.push(`MCP tool "${step.tool}" used in step "${step.id}" in flow "${flowDef.name}" belongs to server "${tool.implementation.server}", which is not connected`);
+      }
+    }
+
     // Validate tool arguments if present
     if (step.args && opts.validateTools) {
       this._validateToolArguments(step.args, step, flowDef, state, opts);
@@ -7745,6 +13946,13 @@ export class WorkflowEngine implements Engine {
       logger.debug(`📞 Added flow "${targetFlowId}" to call graph for "${flowDef.id}"`);
     }
 
+    // Track variable isolation per call - a step-level isolateVariables overrides the sub-flow's own
+    if (targetFlow) {
+      const callKey = `${flowDef.id}>${targetFlowId}`;
+      const isolate = step.isolateVariables !== undefined ? step.isolateVariables === true : targetFlow.isolateVariables === true;
+      state.isolatedCalls?.set(callKey, (state.isolatedCalls.get(callKey) ?? true) && isolate);
+    }
+
     // Validate callType if present
     if (step.callType && !['call', 'replace', 'reboot'].includes(step.callType)) {
       state.errors.push(`FLOW step "${step.id}" in flow "${flowDef.name}" has invalid callType: ${step.callType}. Valid values are: call, replace, reboot`);
@@ -7755,12 +13963,306 @@ export class WorkflowEngine implements Engine {
       this._validateVariableReferences(step.args, step, flowDef, state, 'sub-flow arguments', scope);
     }
 
+    // A FLOW step `variable` receives the sub-flow's output - warn when an isolated sub-flow has none
+    // (a shared-scope sub-flow can hand back results through the variables it sets)
+    const isolatedCall = step.isolateVariables !== undefined ? step.isolateVariables === true : targetFlow?.isolateVariables === true;
+    if (step.variable && targetFlow && isolatedCall && (step.callType || 'call') === 'call') {
+      let returnsValue = !!targetFlow.outputs && Object.keys(targetFlow.outputs).length > 0;
+      if (!returnsValue) {
+        this._forEachNestedStep(targetFlow.steps, (nested: any) => {
+          if (nested.type === 'END' && nested.value !== undefined) {
+            returnsValue = true;
+          }
+        });
+      }
+      if (!returnsValue) {
+        state.warnings.push(`FLOW step "${step.id}" in flow "${flowDef.name}" stores output in "${step.variable}" but flow "${targetFlow.name}" declares no "outputs" and has no END step with a value`);
+      }
+    }
+    if (step.variable && step.callType && step.callType !== 'call') {
+      state.warnings.push(`FLOW step "${step.id}" in flow "${flowDef.name}" has "variable" with callType "${step.callType}" - sub-flow output is only returned for callType "call"`);
+    }
+
     // Invalid attributes for FLOW steps
     if (step.tool) {
       state.errors.push(`FLOW step "${step.id}" in flow "${flowDef.name}" has invalid attribute "tool" - only CALL-TOOL steps support tool`);
     }
   }
 
+  /**
+   * Validates FOREACH steps, including the loop body with `as`/`index` in scope
+   */
+  private _validateForeachStep(step: any, flowDef: any, state: any, opts: any, scope?: Set<string>): void {
+    if (step.items === undefined || step.items === null || step.items === '') {
+      state.errors.push(`FOREACH step "${step.id}" in flow "${flowDef.name}" missing required "items" field`);
+    }
+    if (!step.as) {
+      state.errors.push(`FOREACH step "${step.id}" in flow "${flowDef.name}" missing required "as" field`);
+    }
+    if (step.index && step.index === step.as) {
+      state.errors.push(`FOREACH step "${step.id}" in flow "${flowDef.name}" uses the same variable "${step.as}" for "as" and "index"`);
+    }
+
+    // Validate variable references in items expression
+    if (typeof step.items === 'string' && opts.checkVariables) {
+      this._validateVariableReferences({ items: step.items }, step, flowDef, state, 'FOREACH items', scope);
+    }
+
+    if (step.do === undefined || step.do === null) {
+      state.errors.push(`FOREACH step "${step.id}" in flow "${flowDef.name}" missing required "do" field`);
+      return;
+    }
+
+    // Loop variables are only visible inside the body
+    const bodyScope = new Set<string>(scope || []);
+    if (step.as) bodyScope.add(step.as);
+    if (step.index) bodyScope.add(step.index);
+
+    if (typeof step.do === 'string') {
+      // Sub-flow body - validate as a FLOW call so it joins the call graph
+      this._validateSubFlowStep({ id: step.id, type: 'FLOW', value: step.do }, flowDef, state, opts, bodyScope);
+      return;
+    }
+
+    const body = Array.isArray(step.do) ? step.do : [step.do];
+    if (body.length === 0) {
+      state.warnings.push(`FOREACH step "${step.id}" in flow "${flowDef.name}" has an empty "do" body`);
+    }
+    for (const bodyStep of body) {
+      if (typeof bodyStep === 'object' && bodyStep !== null) {
+        this._validateFlowStep(bodyStep, flowDef, state, opts, bodyScope);
+        this._addStepVariablesToScope(bodyStep, bodyScope);
+      }
+    }
+  }
+
+  /**
+   * Validates CHOICE steps - static options or an items expression with a label template
+   */
+  private _validateChoiceStep(step: any, flowDef: any, state: any, opts: any, scope?: Set<string>): void {
+    if (!step.variable) {
+      state.errors.push(`CHOICE step "${step.id}" in flow "${flowDef.name}" missing required "variable" field`);
+    }
+    if (step.value && opts.checkVariables) {
+      this._validateVariableReferences({ value: step.value }, step, flowDef, state, 'CHOICE step value', scope);
+    }
+
+    const hasOptions = step.options !== undefined;
+    const hasItems = step.items !== undefined && step.items !== null && step.items !== '';
+    if (hasOptions === hasItems) {
+      state.errors.push(`CHOICE step "${step.id}" in flow "${flowDef.name}" needs either "options" or "items" (not both)`);
+    }
+
+    if (hasOptions) {
+      if (!Array.isArray(step.options) || step.options.length === 0) {
+        state.errors.push(`CHOICE step "${step.id}" in flow "${flowDef.name}" has invalid "options" - expected a non-empty array`);
+      } else {
+        step.options.forEach((option: any, index: number) => {
+          const isObject = option && typeof option === 'object' && !Array.isArray(option);
+          if (typeof option !== 'string' && !(isObject && (option.label !== undefined || option.value !== undefined))) {
+            state.errors.push(`CHOICE step "${step.id}" in flow "${flowDef.name}" option ${index + 1} must be a string or an object with "label" or "value"`);
+          } else if (isObject && option.synonyms !== undefined && !Array.isArray(option.synonyms)) {
+            state.errors.push(`CHOICE step "${step.id}" in flow "${flowDef.name}" option ${index + 1} has invalid "synonyms" - expected an array`);
+          }
+        });
+      }
+    }
+
+    if (hasItems) {
+      if (typeof step.items === 'string' && opts.checkVariables) {
+        this._validateVariableReferences({ items: step.items }, step, flowDef, state, 'CHOICE items', scope);
+      }
+      if (!step.label) {
+        state.warnings.push(`CHOICE step "${step.id}" in flow "${flowDef.name}" has "items" but no "label" template - items are shown by their label/name/title`);
+      }
+
+      // The item (and index) are only visible to the label template
+      const labelScope = new Set<string>(scope || []);
+      labelScope.add(step.as || 'item');
+      if (step.index) labelScope.add(step.index);
+      for (const [key, value] of Object.entries(step)) {
+        if ((key === 'label' || key.startsWith('label_')) && typeof value === 'string' && opts.checkVariables) {
+          this._validateVariableReferences({ [key]: value }, step, flowDef, state, `CHOICE step ${key}`, labelScope);
+        }
+      }
+    }
+
+    this._validateInputAttempts(step, flowDef, state, opts, scope);
+    this._validateInputTimeout(step, flowDef, state, opts, scope);
+  }
+
+  /**
+   * Validates EMIT steps - the event must be declared in the flow's `events`, and
+   * an object payload should carry the declared payload fields
+   */
+  private _validateEmitStep(step: any, flowDef: any, state: any, opts: any, scope?: Set<string>): void {
+    if (!step.event || typeof step.event !== 'string') {
+      state.errors.push(`EMIT step "${step.id}" in flow "${flowDef.name}" missing required "event" field`);
+      return;
+    }
+    if (!EVENT_NAME_PATTERN.test(step.event)) {
+      state.errors.push(`EMIT step "${step.id}" in flow "${flowDef.name}" has invalid event name "${step.event}" - use letters, digits, '_', '.', ':' or '-'`);
+    }
+
+    const declared = flowDef.events && typeof flowDef.events === 'object' ? flowDef.events[step.event] : undefined;
+    if (!flowDef.events) {
+      state.warnings.push(`EMIT step "${step.id}" in flow "${flowDef.name}" emits "${step.event}" but the flow declares no "events"`);
+    } else if (!declared) {
+      state.errors.push(`EMIT step "${step.id}" in flow "${flowDef.name}" emits undeclared event "${step.event}" - declared events: ${Object.keys(flowDef.events).join(', ') || 'none'}`);
+    }
+
+    const payload = step.payload;
+    const isObjectPayload = payload && typeof payload === 'object' && !Array.isArray(payload);
+    if (declared?.payload && isObjectPayload) {
+      const missing = Object.keys(declared.payload).filter(key => !(key in payload));
+      const unknown = Object.keys(payload).filter(key => !(key in declared.payload));
+      if (missing.length > 0) {
+        state.warnings.push(`EMIT step "${step.id}" in flow "${flowDef.name}" payload is missing declared field(s) of "${step.event}": ${missing.join(', ')}`);
+      }
+      if (unknown.length > 0) {
+        state.warnings.push(`EMIT step "${step.id}" in flow "${flowDef.name}" payload has field(s) not declared for "${step.event}": ${unknown.join(', ')}`);
+      }
+    }
+
+    if (opts.checkVariables) {
+      const templates: string[] = [];
+      const collect = (value: unknown): void => {
+        if (typeof value === 'string') templates.push(value);
+        else if (Array.isArray(value)) value.forEach(collect);
+        else if (value && typeof value === 'object') Object.values(value).forEach(collect);
+      };
+      collect(payload);
+      for (const template of templates) {
+        this._validateVariableReferences({ payload: template }, step, flowDef, state, 'EMIT payload', scope);
+      }
+    }
+  }
+
+  /**
+   * Validates CONFIRM steps - the question, the onYes/onNo answers and re-prompt settings
+   */
+  private _validateConfirmStep(step: any, flowDef: any, state: any, opts: any, scope?: Set<string>): void {
+    for (const [key, value] of Object.entries(step)) {
+      if ((key === 'value' || key.startsWith('value_')) && typeof value === 'string' && opts.checkVariables) {
+        this._validateVariableReferences({ [key]: value }, step, flowDef, state, `CONFIRM step ${key}`, scope);
+      }
+    }
+    if (!step.value) {
+      state.warnings.push(`CONFIRM step "${step.id}" in flow "${flowDef.name}" has no "value" - a generic question is asked instead of a summary`);
+    }
+
+    // The answers see the confirmation variable
+    const answerScope = new Set<string>(scope || []);
+    answerScope.add(step.variable || DEFAULT_CONFIRM_VARIABLE);
+    for (const key of ['onYes', 'onNo']) {
+      if (step[key] !== undefined) {
+        this._validateBranchSteps(step[key], step, key, flowDef, state, opts, answerScope);
+      }
+    }
+
+    this._validateInputAttempts(step, flowDef, state, opts, scope);
+    this._validateInputTimeout(step, flowDef, state, opts, scope);
+  }
+
+  /**
+   * Validates FORM steps - slot definitions, prompts and re-prompt settings
+   */
+  private _validateFormStep(step: any, flowDef: any, state: any, opts: any, scope?: Set<string>): void {
+    if (!step.variable) {
+      state.errors.push(`FORM step "${step.id}" in flow "${flowDef.name}" missing required "variable" field`);
+    }
+    for (const [key, value] of Object.entries(step)) {
+      if ((key === 'value' || key.startsWith('value_')) && typeof value === 'string' && opts.checkVariables) {
+        this._validateVariableReferences({ [key]: value }, step, flowDef, state, `FORM step ${key}`, scope);
+      }
+    }
+    if (step.confirm !== undefined && typeof step.confirm !== 'boolean') {
+      state.errors.push(`FORM step "${step.id}" in flow "${flowDef.name}" has invalid "confirm" - expected true or false`);
+    }
+
+    if (!Array.isArray(step.slots) || step.slots.length === 0) {
+      state.errors.push(`FORM step "${step.id}" in flow "${flowDef.name}" requires a non-empty "slots" array`);
+    } else {
+      const validSlotTypes = ['string', 'number', 'integer', 'email', 'phone', 'date', 'yes_no', 'choice', 'regex'];
+      const names = new Set<string>();
+      step.slots.forEach((slot: any, index: number) => {
+        const where = `FORM step "${step.id}" in flow "${flowDef.name}" slot ${index + 1}`;
+        if (!slot || typeof slot !== 'object' || typeof slot.name !== 'string' || !slot.name) {
+          state.errors.push(`${where} must be an object with a "name"`);
+          return;
+        }
+        if (names.has(slot.name)) {
+          state.errors.push(`${where} has duplicate name "${slot.name}"`);
+        }
+        names.add(slot.name);
+
+        const type = slot.type ?? 'string';
+        if (!validSlotTypes.includes(type)) {
+          state.errors.push(`${where} ("${slot.name}") has invalid type: ${type}. Valid types: ${validSlotTypes.join(', ')}`);
+        } else if (type === 'choice' && (!Array.isArray(slot.options) || slot.options.length === 0 || slot.options.some((option: unknown) => typeof option !== 'string'))) {
+          state.errors.push(`${where} ("${slot.name}") with type "choice" requires a non-empty "options" array of strings`);
+        } else if (type === 'regex') {
+          try {
+            if (typeof slot.pattern !== 'string' || !slot.pattern) throw new Error('missing "pattern" string');
+            new RegExp(slot.pattern);
+          } catch (error: any) {
+            state.errors.push(`${where} ("${slot.name}") with type "regex" has invalid pattern: ${error.message}`);
+          }
+        }
+
+        for (const [key, value] of Object.entries(slot)) {
+          if ((key === 'prompt' || key.startsWith('prompt_')) && typeof value === 'string' && opts.checkVariables) {
+            this._validateVariableReferences({ [key]: value }, step, flowDef, state, `FORM slot "${slot.name}" ${key}`, scope);
+          }
+        }
+      });
+      if (step.slots.every((slot: any) => slot?.required === false)) {
+        state.warnings.push(`FORM step "${step.id}" in flow "${flowDef.name}" has no required slots - it only asks for confirmation`);
+      }
+    }
+
+    this._validateInputAttempts(step, flowDef, state, opts, scope);
+    this._validateInputTimeout(step, flowDef, state, opts, scope);
+  }
+
+  /**
+   * Validates PARALLEL steps - each branch is validated as a CALL-TOOL step
+   */
+  private _validateParallelStep(step: any, flowDef: any, state: any, opts: any, scope?: Set<string>): void {
+    if (!Array.isArray(step.steps) || step.steps.length === 0) {
+      state.errors.push(`PARALLEL step "${step.id}" in flow "${flowDef.name}" missing required non-empty "steps" array`);
+      return;
+    }
+
+    if (step.mode !== undefined && !['all', 'any', 'allSettled'].includes(step.mode)) {
+      state.errors.push(`PARALLEL step "${step.id}" in flow "${flowDef.name}" has invalid mode: ${step.mode}. Valid values are: all, any, allSettled`);
+    }
+    if (step.timeout !== undefined && (typeof step.timeout !== 'number' || step.timeout < 0)) {
+      state.errors.push(`PARALLEL step "${step.id}" in flow "${flowDef.name}" has invalid timeout: ${step.timeout}`);
+    }
+
+    // Branches run concurrently, so none of them can see another branch's variable
+    const branchVariables = new Set<string>();
+    for (const branch of step.steps) {
+      if (!branch || typeof branch !== 'object') {
+        state.errors.push(`PARALLEL step "${step.id}" in flow "${flowDef.name}" has an invalid branch`);
+        continue;
+      }
+      if (branch.type && branch.type !== 'CALL-TOOL') {
+        state.errors.push(`PARALLEL step "${step.id}" in flow "${flowDef.name}" branch "${branch.id}" has type ${branch.type} - only CALL-TOOL branches are supported`);
+        continue;
+      }
+      this._validateFlowStep({ ...branch, type: 'CALL-TOOL' }, flowDef, state, opts, scope);
+
+      if (branch.variable) {
+        if (branchVariables.has(branch.variable)) {
+          state.warnings.push(`PARALLEL step "${step.id}" in flow "${flowDef.name}" stores more than one branch result in variable "${branch.variable}"`);
+        }
+        branchVariables.add(branch.variable);
+      }
+    }
+  }
+
   /**
    * Validates onFail handlers
    */
@@ -7843,27 +14345,13 @@ export class WorkflowEngine implements Engine {
     logger.info('🔍 Phase 1: Building sub-flow reference map...');
 
     for (const flow of this.flowsMenu) {
-      // Quick scan for FLOW steps to identify sub-flows
+      // Quick scan for FLOW steps (including nested ones) to identify sub-flows
       if (flow.steps) {
-        for (const step of flow.steps) {
+        this._forEachNestedStep(flow.steps, (step: any) => {
           if (step.type === 'FLOW' && step.value) {
             referencedSubFlows.add(step.value);
           }
-          // Check SWITCH branches for FLOW steps
-          else if (step.type === 'SWITCH' && step.branches) {
-            for (const [branchKey, branchStep] of Object.entries(step.branches)) {
-              const branch = branchStep as any;
-              if (branch && branch.type === 'FLOW' && branch.value) {
-                referencedSubFlows.add(branch.value);
-              }
-            }
-          }
-
-          // Check onFail handlers for FLOW steps (onFail is a single step)
-          if (step.onFail && !Array.isArray(step.onFail) && step.onFail.type === 'FLOW' && step.onFail.value) {
-            referencedSubFlows.add(step.onFail.value);
-          }
-        }
+        });
       }
     }
 
@@ -7934,8 +14422,68 @@ export class WorkflowEngine implements Engine {
     return results;
   }
 
+  /**
+   * Visits every step in a step list, including nested ones: SWITCH/CASE branches
+   * (single steps or step arrays), FOREACH bodies (a string body is visited as the
+   * FLOW call it stands for), PARALLEL branches, TRY sections, CONFIRM answers and
+   * onFail/onExhausted/onTimeout handlers.
+   */
+  private _forEachNestedStep(steps: unknown, visit: (step: any) => void): void {
+    if (!steps || typeof steps !== 'object') return;
+    if (Array.isArray(steps)) {
+      for (const step of steps) {
+        this._forEachNestedStep(step, visit);
+      }
+      return;
+    }
+
+    const step = steps as any;
+    visit(step);
+
+    if ((step.type === 'SWITCH' || step.type === 'CASE') && step.branches && typeof step.branches === 'object') {
+      for (const branch of Object.values(step.branches)) {
+        this._forEachNestedStep(branch, visit);
+      }
+    }
+    if (step.type === 'FOREACH' && step.do) {
+      this._forEachNestedStep(typeof step.do === 'string' ? { type: 'FLOW', value: step.do } : step.do, visit);
+    }
+    if ((step.type === 'PARALLEL' || step.type === 'TRY') && Array.isArray(step.steps)) {
+      this._forEachNestedStep(step.steps, visit);
+    }
+    if (step.type === 'TRY') {
+      this._forEachNestedStep(step.catch, visit);
+      this._forEachNestedStep(step.finally, visit);
+    }
+    if (step.type === 'CONFIRM') {
+      this._forEachNestedStep(step.onYes, visit);
+      this._forEachNestedStep(step.onNo, visit);
+    }
+    if (step.onFail) {
+      this._forEachNestedStep(step.onFail, visit);
+    }
+    if (step.onExhausted) {
+      this._forEachNestedStep(step.onExhausted, visit);
+    }
+    if (step.onTimeout) {
+      this._forEachNestedStep(step.onTimeout, visit);
+    }
+  }
+
   // === ENHANCED VARIABLE SCOPE TRACKING ===
 
+  /**
+   * Whether the flow being validated runs with isolated variables when called by its
+   * parent in the call stack - the calling FLOW steps' isolateVariables override the
+   * flow's own setting
+   */
+  private _isIsolatedCall(flowDef: any, state: any): boolean {
+    const callerName = state.flowCallStack.length > 1 ? state.flowCallStack[state.flowCallStack.length - 2] : undefined;
+    const callerDef = callerName && this.flowsMenu.find((f: any) => f.id === callerName || f.name === callerName);
+    const isolated = callerDef ? state.isolatedCalls?.get(`${callerDef.id}>${flowDef.id}`) : undefined;
+    return isolated !== undefined ? isolated : flowDef.isolateVariables === true;
+  }
+
   /**
    * Gets the current variable scope available at a specific step
    * This includes variables defined in flow definition + variables created by previous steps + parent flow variables
@@ -7943,8 +14491,9 @@ export class WorkflowEngine implements Engine {
   private _getCurrentStepScope(flowDef: any, stepIndex: number, state: any): Set<string> {
     const scope = new Set<string>();
 
-    // Add parent flow variables (variable inheritance from call stack)
-    if (state.flowCallStack && state.flowCallStack.length > 0) {
+    // Add parent flow variables (variable inheritance from call stack) - isolated
+    // flows don't inherit anything from their callers
+    if (state.flowCallStack && state.flowCallStack.length > 0 && !this._isIsolatedCall(flowDef, state)) {
       // Iterate through parent flows in the call stack (excluding current flow)
       for (let i = 0; i < state.flowCallStack.length - 1; i++) {
         const parentFlowName = state.flowCallStack[i];
@@ -7964,6 +14513,15 @@ export class WorkflowEngine implements Engine {
       }
     }
 
+    // Add declared flow parameters (extracted at activation or passed by the calling FLOW step)
+    if (Array.isArray(flowDef.parameters)) {
+      for (const param of flowDef.parameters) {
+        if (param && typeof param.name === 'string') {
+          scope.add(param.name);
+        }
+      }
+    }
+
     // Add common runtime variables available during template interpolation
     // These are resolved by resolveEngineSessionVariable() during execution
     const runtimeVariables = [
@@ -8024,8 +14582,8 @@ export class WorkflowEngine implements Engine {
    * Determines what variables a step creates/defines
    */
   private _addStepVariablesToScope(step: any, scope: Set<string>): void {
-    // SAY-GET steps create variables from user input
-    if (step.type === 'SAY-GET' && step.variable) {
+    // SAY-GET and FORM steps create variables from user input
+    if ((step.type === 'SAY-GET' || step.type === 'FORM') && step.variable) {
       scope.add(step.variable);
     }
 
@@ -8034,6 +14592,38 @@ export class WorkflowEngine implements Engine {
       scope.add(step.variable);
     }
 
+    // TRY steps - any section may create variables, and catch receives the error variable
+    if (step.type === 'TRY') {
+      for (const section of [step.steps, step.catch, step.finally]) {
+        for (const sectionStep of Array.isArray(section) ? section : section ? [section] : []) {
+          if (sectionStep && typeof sectionStep === 'object') {
+            this._addStepVariablesToScope(sectionStep, scope);
+          }
+        }
+      }
+      if (step.catch !== undefined) {
+        scope.add(step.variable || 'error');
+      }
+    }
+
+    // CONFIRM steps store the answer, and either answer may create variables
+    if (step.type === 'CONFIRM') {
+      scope.add(step.variable || DEFAULT_CONFIRM_VARIABLE);
+      for (const branch of [step.onYes, step.onNo]) {
+        for (const branchStep of Array.isArray(branch) ? branch : branch ? [branch] : []) {
+          if (branchStep && typeof branchStep === 'object') {
+            this._addStepVariablesToScope(branchStep, scope);
+          }
+        }
+      }
+    }
+
+    // CHOICE steps store the selected option (and optionally its position)
+    if (step.type === 'CHOICE') {
+      if (step.variable) scope.add(step.variable);
+      if (step.index) scope.add(step.index);
+    }
+
     // CALL-TOOL steps create variables from tool responses
     if (step.type === 'CALL-TOOL' && step.variable) {
       scope.add(step.variable);
@@ -8048,6 +14638,40 @@ export class WorkflowEngine implements Engine {
     if (step.type === 'FLOW' && step.variable) {
       scope.add(step.variable);
     }
+
+    // SWITCH/CASE branches may create variables - any branch may run, so include them all
+    if ((step.type === 'SWITCH' || step.type === 'CASE') && step.branches && typeof step.branches === 'object') {
+      for (const branch of Object.values(step.branches)) {
+        for (const branchStep of Array.isArray(branch) ? branch : [branch]) {
+          if (branchStep && typeof branchStep === 'object') {
+            this._addStepVariablesToScope(branchStep, scope);
+          }
+        }
+      }
+    }
+
+    // PARALLEL steps create one variable per branch (plus an optional summary variable)
+    if (step.type === 'PARALLEL') {
+      if (step.variable) {
+        scope.add(step.variable);
+      }
+      if (Array.isArray(step.steps)) {
+        for (const branch of step.steps) {
+          if (branch && branch.variable) {
+            scope.add(branch.variable);
+          }
+        }
+      }
+    }
+
+    // FOREACH bodies create variables too (the loop variables themselves are restored on exit)
+    if (step.type === 'FOREACH' && step.do && typeof step.do === 'object') {
+      for (const bodyStep of Array.isArray(step.do) ? step.do : [step.do]) {
+        if (bodyStep && typeof bodyStep === 'object') {
+          this._addStepVariablesToScope(bodyStep, scope);
+        }
+      }
+    }
   }
 
   /**
@@ -8099,11 +14723,14 @@ export class WorkflowEngine implements Engine {
     const validateString = (str: string, path: string) => {
       if (typeof str !== 'string') return;
 
-      // Find template variable references {{variable}}
-      const variableRefs = str.match(/\{\{([^}]+)\}\}/g);
+      // Find template variable references {{variable}} - block templates contribute the
+      // expressions outside #each/#with bodies, whose fields belong to the current item
+      const variableRefs = HANDLEBARS_BLOCK_PATTERN.test(str)
+        ? collectHandlebarsReferences(str)
+        : str.match(/\{\{([^}]+)\}\}/g)?.map(ref => ref.slice(2, -2));
       if (variableRefs) {
         for (const ref of variableRefs) {
-          const varPath = ref.slice(2, -2).trim(); // Remove {{ }}
+          const varPath = ref.trim();
 
           // Handle expressions with operators (like || for fallbacks)
           if (varPath.includes('||')) {
@@ -8121,8 +14748,9 @@ export class WorkflowEngine implements Engine {
           } else {
             // Extract variable names from JavaScript expressions
             const extractVariableNames = (expression: string): string[] => {
-              // Remove whitespace and split on various operators and delimiters
-              const cleaned = expression.replace(/\s+/g, ' ').trim();
+              // Remove whitespace and pipe filter names ({{ total | currency:'USD' }}), then split
+              // on various operators and delimiters
+              const cleaned = expression.replace(/\s+/g, ' ').replace(/(^|[^|])\|(?!\|)\s*[A-Za-z_$][\w$]*/g, '$1 ').trim();
 
               // Split on operators while preserving variable names
               const parts = cleaned.split(/[+\-*/%&|!<>=()[\]{},;:?\\]+/)
@@ -8187,6 +14815,8 @@ export class WorkflowEngine implements Engine {
       return;
     }
 
+    this._validateMappingTransforms(mapping, step, flowDef, state, 'Response mapping');
+
     // Validate different mapping types
     if (mapping.type) {
       switch (mapping.type) {
@@ -8205,12 +14835,47 @@ export class WorkflowEngine implements Engine {
         case 'conditional':
           this._validateConditionalMapping(mapping, step, flowDef, state, scope);
           break;
+        case 'xpath':
+          this._validateXPathMapping(mapping, step, flowDef, state);
+          break;
         default:
           state.warnings.push(`Unknown response mapping type "${mapping.type}" in step "${step.id}"`);
       }
     }
   }
 
+  /**
+   * Validates custom transforms referenced anywhere in a response mapping: the transform must
+   * be registered and its options must match the transform's options schema
+   */
+  private _validateMappingTransforms(mapping: any, step: any, flowDef: any, state: any, source: string): void {
+    const visit = (node: any) => {
+      if (Array.isArray(node)) {
+        node.forEach(visit);
+        return;
+      }
+      if (!node || typeof node !== 'object') return;
+
+      const transform = node.transform;
+      if (transform && typeof transform === 'object' && transform.type === 'custom') {
+        const definition = typeof transform.name === 'string' ? findCustomTransform(this, transform.name) : undefined;
+        if (!transform.name) {
+          state.errors.push(`${source} in step "${step.id}" in flow "${flowDef.name}" has a custom transform without a "name"`);
+        } else if (!definition) {
+          state.errors.push(`${source} in step "${step.id}" in flow "${flowDef.name}" references unknown custom transform: ${transform.name}`);
+        } else {
+          for (const error of resolveCustomTransformOptions(definition, transform.options).errors) {
+            state.errors.push(`${source} in step "${step.id}" in flow "${flowDef.name}" passes invalid options to custom transform "${transform.name}": ${error}`);
+          }
+        }
+      }
+      for (const value of Object.values(node)) {
+        if (value !== transform) visit(value);
+      }
+    };
+    visit(mapping);
+  }
+
   /**
    * Validates argument type against schema
    */
@@ -8237,6 +14902,48 @@ export class WorkflowEngine implements Engine {
     }
   }
 
+  /**
+   * Validates a tool's outputSchema: it must compile, and the top-level shape produced by the
+   * tool's responseMapping (an object with its mapped keys, an array or a string) must fit it
+   */
+  private _validateToolOutputSchema(tool: ToolDefinition, step: any, flowDef: any, state: any): void {
+    const schema: any = tool.outputSchema;
+    const source = `Tool "${tool.id}" used in step "${step.id}" in flow "${flowDef.name}"`;
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+      state.errors.push(`${source} has an outputSchema that is not a JSON Schema object`);
+      return;
+    }
+    if (ajv) {
+      try {
+        ajv.compile(schema);
+      } catch (error: any) {
+        state.errors.push(`${source} has an invalid outputSchema: ${error.message}`);
+        return;
+      }
+    }
+
+    const expectedTypes: string[] | undefined = schema.type === undefined ? undefined : [].concat(schema.type);
+    for (const shape of getMappingOutputShapes(tool.implementation?.responseMapping)) {
+      if (expectedTypes && !expectedTypes.includes(shape.type)) {
+        state.errors.push(`${source}: response mapping produces ${shape.type === 'object' || shape.type === 'array' ? 'an' : 'a'} ${shape.type} but outputSchema expects ${expectedTypes.join(' or ')}`);
+        continue;
+      }
+      if (!shape.keys) continue;
+      for (const key of Array.isArray(schema.required) ? schema.required : []) {
+        if (!shape.keys.includes(key)) {
+          state.errors.push(`${source}: outputSchema requires "${key}", which the response mapping does not set`);
+        }
+      }
+      if (schema.additionalProperties === false) {
+        for (const key of shape.keys) {
+          if (!schema.properties || !(key in schema.properties)) {
+            state.errors.push(`${source}: response mapping sets "${key}", which outputSchema does not allow`);
+          }
+        }
+      }
+    }
+  }
+
   // Response mapping validation helpers
   private _validateJsonPathMapping(mapping: any, step: any, flowDef: any, state: any, scope?: Set<string>): void {
     if (!mapping.mappings || typeof mapping.mappings !== 'object') {
@@ -8270,4 +14977,25 @@ export class WorkflowEngine implements Engine {
       state.errors.push(`Conditional mapping in step "${step.id}" missing "conditions" array`);
     }
   }
+
+  private _validateXPathMapping(mapping: any, step: any, flowDef: any, state: any): void {
+    if (!mapping.mappings || typeof mapping.mappings !== 'object') {
+      state.errors.push(`XPath mapping in step "${step.id}" missing "mappings" object`);
+      return;
+    }
+
+    for (const [field, pathConfig] of Object.entries<any>(mapping.mappings)) {
+      const path = pathConfig?.path;
+      if (typeof path !== 'string' || !path) {
+        state.errors.push(`XPath mapping field "${field}" in step "${step.id}" missing "path"`);
+      } else if (!path.startsWith('$args.')) {
+        try {
+          // {placeholder} segments are filled from the tool args at call time
+          parseXPath(path.replace(/\{[^}]+\}/g, 'placeholder'));
+        } catch (error: any) {
+          state.errors.push(`XPath mapping field "${field}" in step "${step.id}" has an invalid path "${path}": ${error.message}`);
+        }
+      }
+    }
+  }
 }
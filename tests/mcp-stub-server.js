@@ -0,0 +1,87 @@
+// Minimal MCP server over stdio for the MCP tool provider tests (no SDK needed).
+// Speaks newline-delimited JSON-RPC 2.0: initialize, tools/list (paginated) and tools/call.
+import readline from 'readline';
+
+const ORDERS = {
+  'A-1001': { id: 'A-1001', status: 'shipped', carrier: 'UPS', items: 2 },
+  'A-1002': { id: 'A-1002', status: 'processing', carrier: null, items: 1 }
+};
+
+const TOOLS = [
+  {
+    name: 'lookup_order',
+    title: 'Lookup Order',
+    description: 'Look up an order by id',
+    inputSchema: {
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      type: 'object',
+      properties: { orderId: { type: 'string', description: 'Order id, e.g. A-1001' } },
+      required: ['orderId']
+    }
+  },
+  {
+    name: 'order_note',
+    description: 'Plain text note for an order',
+    inputSchema: {
+      type: 'object',
+      properties: { orderId: { type: 'string', description: 'Order id' } },
+      required: ['orderId']
+    }
+  }
+];
+
+function callTool(name, args) {
+  const order = ORDERS[args?.orderId];
+  switch (name) {
+    case 'lookup_order':
+      if (!order) {
+        return { content: [{ type: 'text', text: `Order ${args?.orderId} not found` }], isError: true };
+      }
+      return { content: [{ type: 'text', text: JSON.stringify(order) }] };
+    case 'order_note':
+      return {
+        content: [
+          { type: 'text', text: `Order ${args?.orderId}` },
+          { type: 'text', text: order ? `Status: ${order.status}` : 'Status: unknown' }
+        ]
+      };
+    default:
+      throw Object.assign(new Error(`Unknown tool: ${name}`), { code: -32602 });
+  }
+}
+
+function handle(message) {
+  switch (message.method) {
+    case 'initialize':
+      return {
+        protocolVersion: message.params?.protocolVersion || '2025-06-18',
+        capabilities: { tools: {} },
+        serverInfo: { name: 'jsfe-test-orders', version: '1.0.0' }
+      };
+    case 'tools/list':
+      // One tool per page so clients have to follow nextCursor
+      return message.params?.cursor
+        ? { tools: [TOOLS[1]] }
+        : { tools: [TOOLS[0]], nextCursor: 'page-2' };
+    case 'tools/call':
+      return callTool(message.params?.name, message.params?.arguments);
+    case 'ping':
+      return {};
+    default:
+      throw Object.assign(new Error(`Method not found: ${message.method}`), { code: -32601 });
+  }
+}
+
+const input = readline.createInterface({ input: process.stdin });
+input.on('line', (line) => {
+  if (!line.trim()) return;
+  const message = JSON.parse(line);
+  if (message.id === undefined) return; // Notifications need no answer
+  let reply;
+  try {
+    reply = { jsonrpc: '2.0', id: message.id, result: handle(message) };
+  } catch (error) {
+    reply = { jsonrpc: '2.0', id: message.id, error: { code: error.code || -32603, message: error.message } };
+  }
+  process.stdout.write(JSON.stringify(reply) + '\n');
+});
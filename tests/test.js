@@ -1,5 +1,5 @@
 //import { WorkflowEngine, /* any other needed exports */ } from './jsfe.ts.js';
-import { WorkflowEngine } from '../dist/index.js';
+import { WorkflowEngine, importOpenApiTools } from '../dist/index.js';
 
 import crypto from "crypto";
 import winston from 'winston';
@@ -433,6 +433,70 @@ async function sendSMSMessage({ to, message }) {
 APPROVED_FUNCTIONS['findClosestLocation'] = findClosestLocation;
 APPROVED_FUNCTIONS['sendSMSMessage'] = sendSMSMessage;
 
+// Custom template filters, used in messages as {{ phone | maskPhone }}
+const TEMPLATE_FILTERS = {
+  maskPhone: (value) => {
+    const digits = String(value ?? '').replace(/\D/g, '');
+    return '*'.repeat(Math.max(digits.length - 4, 0)) + digits.slice(-4);
+  }
+};
+
+// Custom response mapping transforms, referenced as { type: 'custom', name: 'maskCard', options: {...} }
+const CUSTOM_TRANSFORMS = {
+  maskCard: {
+    description: "Masks a card number, keeping the last digits",
+    options: {
+      type: "object",
+      properties: {
+        visible: { type: "number", minimum: 0, maximum: 8, default: 4 },
+        mask: { type: "string", minLength: 1, default: "•" }
+      },
+      additionalProperties: false
+    },
+    transform: (value, { visible, mask }) => {
+      const digits = String(value ?? '').replace(/\D/g, '');
+      return mask.repeat(Math.max(digits.length - visible, 0)) + digits.slice(-visible);
+    }
+  }
+};
+
+// Stub MCP server (stdio) whose tools are registered with engine.registerMcpServer()
+const MCP_ORDERS_SERVER = {
+  name: 'orders',
+  transport: 'stdio',
+  command: process.execPath,
+  args: [fileURLToPath(new URL('./mcp-stub-server.js', import.meta.url))],
+  toolPrefix: 'orders_',
+  timeout: 5000
+};
+
+// OpenAPI spec whose operations are imported into the tools registry with importOpenApiTools()
+const ORDER_STATUS_API = {
+  openapi: "3.0.3",
+  info: { title: "Order Status API", version: "2.0.0" },
+  servers: [{ url: "https://orders.example.com/v2" }],
+  security: [{ apiKey: [] }],
+  components: {
+    securitySchemes: {
+      apiKey: { type: "apiKey", in: "query", name: "api_key" }
+    }
+  },
+  paths: {
+    "/orders/{orderId}/status": {
+      get: {
+        operationId: "getOrderStatus",
+        summary: "Get order status",
+        description: "Returns the fulfillment status of an order",
+        tags: ["orders"],
+        parameters: [
+          { name: "orderId", in: "path", required: true, schema: { type: "string" }, description: "Order number" },
+          { name: "include", in: "query", schema: { type: "string", enum: ["items", "tracking"] } }
+        ]
+      }
+    }
+  }
+};
+
 // === TOOL REGISTRY WITH OPENAI FUNCTION CALLING STANDARD ===
 const toolsRegistry = [
   {
@@ -1987,6 +2051,308 @@ Real implementation would parse actual XML structure.
       dataClassification: "personal",
       rateLimit: { requests: 10, window: 60000 }
     }
+  },
+  {
+    id: "GetStorefrontOrder",
+    name: "Get Storefront Order",
+    description: "Returns a storefront order with prices, dates and phone formatted for the session language",
+    version: "1.0.0",
+    
+    parameters: {
+      type: "object",
+      properties: {
+        orderId: {
+          type: "string",
+          description: "Order number"
+        }
+      },
+      required: ["orderId"],
+      additionalProperties: false
+    },
+    
+    implementation: {
+      type: "mock",
+      mockResponse: {
+        order: {
+          total: 1234.5,
+          discount_rate: 0.15,
+          placed_at: "2026-03-05T14:30:00Z",
+          days_until_delivery: 3,
+          contact_phone: "+1 555 123 4567"
+        }
+      },
+      responseMapping: {
+        type: "jsonPath",
+        mappings: {
+          "orderId": { path: "$args.orderId" },
+          "total": { path: "order.total", transform: { type: "formatCurrency", currency: "EUR" } },
+          "discount": { path: "order.discount_rate", transform: { type: "formatNumber", style: "percent" } },
+          "placed": { path: "order.placed_at", transform: { type: "formatDate", style: "long", timeZone: "Europe/Madrid" } },
+          "delivery": { path: "order.days_until_delivery", transform: { type: "relativeTime", unit: "day" } },
+          "phone": { path: "order.contact_phone", transform: { type: "formatPhone", country: "US", style: "international" } }
+        }
+      }
+    }
+  }
+,
+  {
+    id: "GetPaymentMethod",
+    name: "Get Payment Method",
+    description: "Returns the customer's saved card with the number masked by the maskCard custom transform",
+    version: "1.0.0",
+    
+    parameters: {
+      type: "object",
+      properties: {
+        customerId: {
+          type: "string",
+          description: "Customer identifier"
+        }
+      },
+      required: ["customerId"],
+      additionalProperties: false
+    },
+    
+    implementation: {
+      type: "mock",
+      mockResponse: {
+        payment: { brand: "visa", number: "4111 1111 1111 1234", expiry: "08/29" }
+      },
+      responseMapping: {
+        type: "jsonPath",
+        mappings: {
+          "brand": { path: "payment.brand", transform: { type: "toUpperCase" } },
+          "card": { path: "payment.number", transform: { type: "custom", name: "maskCard" } },
+          "shortCard": { path: "payment.number", transform: { type: "custom", name: "maskCard", options: { visible: 2, mask: "*" } } },
+          "expiry": { path: "payment.expiry" }
+        }
+      }
+    }
+  }
+,
+  {
+    id: "SearchCatalog",
+    name: "Search Catalog",
+    description: "Searches the catalog - the response is reshaped with JSONPath wildcards, filters, recursive descent and slices",
+    version: "1.0.0",
+    
+    parameters: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description: "Search terms"
+        }
+      },
+      required: ["query"],
+      additionalProperties: false
+    },
+    
+    implementation: {
+      type: "mock",
+      mockResponse: {
+        data: {
+          search: {
+            freeShippingOver: 20,
+            products: [
+              { title: "Desk Lamp", price: 24, variants: [{ sku: "LAMP-BLK", available: true }, { sku: "LAMP-WHT", available: false }] },
+              { title: "LED Bulb", price: 6, variants: [{ sku: "BULB-2700K", available: true }] },
+              { title: "Lamp Shade", price: 15, variants: [{ sku: "SHADE-LIN", available: false }] }
+            ]
+          }
+        }
+      },
+      responseMapping: {
+        type: "jsonPath",
+        mappings: {
+          "titles": { path: "$.data.search.products[*].title" },
+          "skus": { path: "$..sku" },
+          "inStock": { path: "$.data.search.products[?(@.variants.some(v => v.available))].title" },
+          "freeShipping": { path: "$.data.search.products[?(@.price >= $.data.search.freeShippingOver)].title" },
+          "firstTwo": { path: "$.data.search.products[0:2].price" },
+          "lastTitle": { path: "$.data.search.products[-1].title" }
+        }
+      }
+    }
+  }
+,
+  {
+    id: "GetLegacyInvoice",
+    name: "Get Legacy Invoice",
+    description: "Fetches an invoice from the SOAP billing system - the XML response is mapped with XPath",
+    version: "1.0.0",
+    
+    parameters: {
+      type: "object",
+      properties: {
+        invoiceId: {
+          type: "string",
+          description: "Invoice number"
+        }
+      },
+      required: ["invoiceId"],
+      additionalProperties: false
+    },
+    
+    implementation: {
+      type: "mock",
+      mockResponse: `<?xml version="1.0" encoding="UTF-8"?>
+<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/" xmlns:b="urn:legacy-billing">
+  <soap:Body>
+    <b:GetInvoiceResponse>
+      <b:Invoice id="INV-7" status="paid">
+        <b:Customer>Smith &amp; Sons</b:Customer>
+        <b:Line sku="PAPER-A4" qty="10"><b:Price>4.50</b:Price></b:Line>
+        <b:Line sku="TONER-BK" qty="1"><b:Price>62.00</b:Price></b:Line>
+        <b:Line sku="STAPLES" qty="5"><b:Price>1.10</b:Price></b:Line>
+        <b:Total currency="USD">112.50</b:Total>
+      </b:Invoice>
+    </b:GetInvoiceResponse>
+  </soap:Body>
+</soap:Envelope>`,
+      responseMapping: {
+        type: "xpath",
+        mappings: {
+          "id": { path: "/Envelope/Body/GetInvoiceResponse/Invoice/@id" },
+          "customer": { path: "//Invoice/Customer" },
+          "status": { path: "//Invoice/@status", transform: { type: "toUpperCase" } },
+          "total": { path: "//Invoice/Total", transform: { type: "parseFloat" } },
+          "currency": { path: "//Invoice/Total/@currency" },
+          "lineCount": { path: "count(//Invoice/Line)" },
+          "bulkSkus": { path: "//Invoice/Line[@qty >= 5]/@sku", multiple: true },
+          "priciest": { path: "//Invoice/Line[Price > 50]/@sku" },
+          "dueDate": { path: "//Invoice/DueDate", fallback: "on receipt" }
+        }
+      }
+    }
+  }
+,
+  {
+    id: "GetStoreOrder",
+    name: "Get Store Order",
+    description: "Looks up a storefront order through the GraphQL Admin API",
+    version: "1.0.0",
+    
+    parameters: {
+      type: "object",
+      properties: {
+        orderId: {
+          type: "string",
+          description: "Order GID"
+        }
+      },
+      required: ["orderId"],
+      additionalProperties: false
+    },
+    
+    implementation: {
+      type: "graphql",
+      // data: URL so the request goes through fetch without network access
+      url: "data:application/json," + encodeURIComponent(JSON.stringify({
+        data: {
+          order: {
+            name: "#1001",
+            displayFinancialStatus: "PAID",
+            lineItems: { nodes: [{ title: "Ceramic Mug", quantity: 2 }, { title: "Logo Tee", quantity: 1 }] }
+          }
+        }
+      })),
+      query: `query GetOrder($id: ID!, $first: Int!) {
+        order(id: $id) { name displayFinancialStatus lineItems(first: $first) { nodes { title quantity } } }
+      }`,
+      operationName: "GetOrder",
+      variables: { id: "$args.orderId", first: 10 },
+      responseMapping: {
+        type: "jsonPath",
+        mappings: {
+          "name": { path: "order.name" },
+          "status": { path: "order.displayFinancialStatus", transform: { type: "toLowerCase" } },
+          "items": { path: "$.order.lineItems.nodes[*].title" },
+          "units": { path: "$.order.lineItems.nodes[*].quantity", transform: { type: "sum" } }
+        }
+      }
+    }
+  },
+  {
+    id: "CancelStoreOrder",
+    name: "Cancel Store Order",
+    description: "Cancels a storefront order through the GraphQL Admin API - GraphQL errors[] fail the tool",
+    version: "1.0.0",
+    
+    parameters: {
+      type: "object",
+      properties: {
+        orderId: {
+          type: "string",
+          description: "Order GID"
+        }
+      },
+      required: ["orderId"],
+      additionalProperties: false
+    },
+    
+    implementation: {
+      type: "graphql",
+      url: "data:application/json," + encodeURIComponent(JSON.stringify({
+        data: { orderCancel: null },
+        errors: [{ message: "Order #1001 has already been fulfilled", path: ["orderCancel"] }]
+      })),
+      query: `mutation CancelOrder($orderId: ID!) {
+        orderCancel(orderId: $orderId, reason: CUSTOMER, refund: true, restock: true) { job { id } }
+      }`
+    }
+  },
+  // Generated from ORDER_STATUS_API - the text/plain data: base URL echoes the request URL instead of calling the server
+  ...importOpenApiTools(ORDER_STATUS_API, {
+    baseUrl: "data:text/plain,Requested%20",
+    credentials: { apiKey: "demo-key" }
+  }),
+
+  {
+    id: "GetShippingQuote",
+    name: "Get Shipping Quote",
+    description: "Fetches a carrier quote - the mapped result must match outputSchema",
+    version: "1.0.0",
+
+    parameters: {
+      type: "object",
+      properties: {
+        testType: {
+          type: "string",
+          description: "Carrier response to simulate",
+          enum: ["valid", "malformed"]
+        }
+      },
+      required: ["testType"],
+      additionalProperties: false
+    },
+
+    outputSchema: {
+      type: "object",
+      properties: {
+        amount: { type: "number", minimum: 0 },
+        currency: { type: "string", pattern: "^[A-Z]{3}$" },
+        days: { type: "integer" }
+      },
+      required: ["amount", "currency"],
+      additionalProperties: false
+    },
+
+    implementation: {
+      type: "mock",
+      mockResponse: {
+        valid: { quote: { total: "18.40", currency: "EUR", transitDays: 3 } },
+        malformed: { quote: { total: "call for price" } }
+      },
+      responseMapping: {
+        type: "jsonPath",
+        mappings: {
+          "amount": { path: "quote.total", transform: { type: "parseFloat" } },
+          "currency": { path: "quote.currency" },
+          "days": { path: "quote.transitDays" }
+        }
+      }
+    }
   }
 ];// === ENHANCED FLOW DEFINITIONS WITH BPMN-INSPIRED SCHEMA ===
 // 
@@ -2005,6 +2371,7 @@ const flowsMenu = [
     prompt: "Make a payment",
     prompt_es: "Hacer un pago",
     interruptable: true,
+    requireConfirmation: false, // Asks for its own amount and account - no CONFIRM before the payment tools
     
     metadata: {
       author: "system",
@@ -2347,6 +2714,7 @@ const flowsMenu = [
     description: "Handles critical system errors with full reboot capability",
     prompt: "Handle critical system error",
     prompt_es: "Manejar error crítico del sistema",
+    requireConfirmation: false, // Recovery runs without asking the user
     
     metadata: {
       author: "system",
@@ -3322,6 +3690,7 @@ const flowsMenu = [
     // VALIDATION EXPECTATIONS:
     // Purpose: Tests smart default cancel logic with predictable unrecoverable error
     // Test Intent: Validates system correctly identifies unrecoverable errors and cancels
+    requireConfirmation: false, // Tests the failing tool call itself, not the CONFIRM guard
     
     metadata: {
       author: "system",
@@ -3466,6 +3835,40 @@ const flowsMenu = [
     ]
   },
 
+  // === MULTI-PLACEHOLDER EXPRESSION TEST FLOW ===
+  {
+    id: "multi-placeholder-set-v1.0",
+    name: "MultiPlaceholderSetDemo",
+    primary: true,
+    version: "1.0.0",
+    description: "SET values that start and end with placeholders but hold several of them",
+    prompt: "Multi-placeholder SET demo",
+    prompt_es: "Demostración de SET con varios marcadores",
+    variables: {
+      firstName: { type: "string", value: "Ada" },
+      lastName: { type: "string", value: "Lovelace" }
+    },
+    steps: [
+      {
+        id: "set-full-name",
+        type: "SET",
+        variable: "fullName",
+        value: "{{firstName}} {{lastName}}"
+      },
+      {
+        id: "set-initials",
+        type: "SET",
+        variable: "initials",
+        value: "{{firstName.charAt(0)}}.{{lastName.charAt(0)}}."
+      },
+      {
+        id: "say-full-name",
+        type: "SAY",
+        value: "Full name: {{fullName}} ({{initials}})"
+      }
+    ]
+  },
+
   // === SELF-REFERENCING RETRY DEMOS ===
   // Demonstrates elegant retry patterns using user-level variables and conditions  
   {
@@ -4025,53 +4428,1298 @@ const flowsMenu = [
       view: ["customer-service", "support"],
       modify: ["admin"]
     }
-  }
-];
-
-//Get key from environment variable or configuration
-const apiKeys = {
-   openai: process.env.OPENAI_API_KEY
-};
-
-async function fetchAiResponse(systemInstruction, userMessage) {
-  try {
-    logger.info(`fetchAiResponse called with system instruction length: ${systemInstruction.length}, user message: "${userMessage}"`);
-    
-    //logger.warn(`System instruction: "${systemInstruction}"\nUser message: "${userMessage}"`);
-        
-    const response = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "Authorization": `Bearer ${apiKeys.openai}`
+  },
+  {
+    id: "foreach-demo-v1.0",
+    name: "ForeachDemo",
+    primary: true,
+    version: "1.0.0",
+    description: "Demonstrates FOREACH iteration, including a SAY-GET inside the loop body",
+    prompt: "Cart review",
+    prompt_es: "Revisión del carrito",
+    variables: {
+      cart_lines: {
+        type: "array",
+        scope: "flow",
+        value: [
+          { sku: "TSHIRT-M", title: "T-Shirt (M)", quantity: 2 },
+          { sku: "MUG-01", title: "Coffee Mug", quantity: 1 }
+        ]
       },
-      body: JSON.stringify({
-        model: "gpt-4.1-mini-2025-04-14",
-        messages: [
-          { role: "system", content: systemInstruction },
-          { role: "user", content: userMessage }
-        ],
-        temperature: 0.1,
-        max_tokens: 200
-      })
-    });
-
-    if (!response.ok) {
-      throw new Error(`AI API request failed: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    const aiResponse = data.choices[0].message.content.trim();
-    
-    logger.debug(`fetchAiResponse completed, response length: ${aiResponse.length}`);
-    return aiResponse;
-    
-  } catch (error) {
-    logger.error(`fetchAiResponse error: ${error.message}`);
-    throw new Error(`AI communication failed: ${error.message}`);
-  }
-}
-
+      removed_items: { type: "array", scope: "flow", value: [] }
+    },
+    steps: [
+      {
+        id: "review-each-line",
+        type: "FOREACH",
+        items: "cart_lines",
+        as: "line",
+        index: "line_index",
+        do: [
+          {
+            id: "ask-keep-line",
+            type: "SAY-GET",
+            value: "Item {{line_index + 1}}: {{line.quantity}} x {{line.title}}. Keep it? (yes/no)",
+            value_es: "Artículo {{line_index + 1}}: {{line.quantity}} x {{line.title}}. ¿Lo conservas? (sí/no)",
+            variable: "keep_line"
+          },
+          {
+            id: "track-removed",
+            type: "CASE",
+            branches: {
+              "condition: keep_line.toLowerCase().startsWith('n')": {
+                id: "remove-line",
+                type: "SET",
+                variable: "removed_items",
+                value: "removed_items.concat([line.sku])"
+              },
+              "default": {
+                id: "keep-line",
+                type: "SAY",
+                value: "Keeping {{line.title}}."
+              }
+            }
+          }
+        ]
+      },
+      {
+        id: "cart-review-summary",
+        type: "SAY",
+        value: "Cart review complete. Removed: {{removed_items.length ? removed_items.join(', ') : 'nothing'}}.",
+        value_es: "Revisión del carrito completa. Eliminado: {{removed_items.length ? removed_items.join(', ') : 'nada'}}."
+      }
+    ]
+  },
+  {
+    id: "multi-step-branch-demo-v1.0",
+    name: "MultiStepBranchDemo",
+    primary: true,
+    version: "1.0.0",
+    description: "Demonstrates SWITCH/CASE branches that hold several steps",
+    prompt: "Contact preference",
+    prompt_es: "Preferencia de contacto",
+    steps: [
+      {
+        id: "ask-contact-method",
+        type: "SAY-GET",
+        value: "How should we contact you? 1. Email 2. Phone",
+        value_es: "¿Cómo debemos contactarle? 1. Correo 2. Teléfono",
+        variable: "contact_method"
+      },
+      {
+        id: "collect-contact",
+        type: "SWITCH",
+        variable: "contact_method",
+        branches: {
+          "1": [
+            { id: "ask-email", type: "SAY-GET", value: "Your email address?", value_es: "¿Su correo electrónico?", variable: "contact_value" },
+            { id: "set-email-channel", type: "SET", variable: "channel", value: "'email'" }
+          ],
+          "2": [
+            { id: "ask-phone", type: "SAY-GET", value: "Your phone number?", value_es: "¿Su número de teléfono?", variable: "contact_value" },
+            { id: "set-phone-channel", type: "SET", variable: "channel", value: "'phone'" }
+          ],
+          "default": [
+            { id: "unknown-method", type: "SAY", value: "No problem, we'll skip that.", value_es: "No hay problema, lo omitiremos." },
+            { id: "set-no-channel", type: "SET", variable: "channel", value: "'none'" }
+          ]
+        }
+      },
+      {
+        id: "confirm-contact",
+        type: "CASE",
+        branches: {
+          "condition: channel !== 'none'": [
+            { id: "confirm-channel", type: "SAY", value: "We'll contact you by {{channel}} at {{contact_value}}.", value_es: "Le contactaremos por {{channel}} en {{contact_value}}." },
+            { id: "contact-done", type: "END" }
+          ],
+          "default": []
+        }
+      }
+    ]
+  },
+  {
+    id: "parallel-demo-v1.0",
+    name: "ParallelDemo",
+    primary: true,
+    version: "1.0.0",
+    description: "Demonstrates PARALLEL tool calls with allSettled mode and a group timeout",
+    prompt: "Account overview",
+    prompt_es: "Resumen de cuenta",
+    steps: [
+      {
+        id: "ask-account",
+        type: "SAY-GET",
+        value: "Please enter your account number:",
+        value_es: "Por favor ingrese su número de cuenta:",
+        variable: "account_number"
+      },
+      {
+        id: "account-overview-calls",
+        type: "PARALLEL",
+        mode: "allSettled",
+        timeout: 3000,
+        variable: "overview",
+        steps: [
+          {
+            id: "overview-verify",
+            tool: "VerifyAccountTool",
+            variable: "account_info",
+            args: { accountNumber: "{{account_number}}" },
+            inputValidation: {
+              patterns: [
+                { field: "account_number", pattern: "^\\d{6}$", message: "Account number must be 6 digits" }
+              ]
+            }
+          },
+          {
+            id: "overview-quote",
+            tool: "GeneratePaymentLink",
+            variable: "quote_link",
+            args: { accountNumber: "{{account_number}}", amount: 10 }
+          }
+        ]
+      },
+      {
+        id: "overview-summary",
+        type: "SAY",
+        value: "Account check: {{overview.branches[0].status}}. Quote link: {{overview.branches[1].status === 'fulfilled' ? quote_link.url : 'unavailable'}}.",
+        value_es: "Verificación de cuenta: {{overview.branches[0].status}}. Enlace de cotización: {{overview.branches[1].status === 'fulfilled' ? quote_link.url : 'no disponible'}}."
+      }
+    ]
+  },
+  {
+    id: "sub-flow-output-demo-v1.0",
+    name: "SubFlowOutputDemo",
+    primary: true,
+    version: "1.0.0",
+    description: "Demonstrates sub-flow outputs, END return values and isolated variables",
+    prompt: "Shipping quote",
+    prompt_es: "Cotización de envío",
+    variables: {
+      note: { type: "string", scope: "flow", value: "caller note" }
+    },
+    steps: [
+      {
+        id: "get-shipping-quote",
+        type: "FLOW",
+        value: "ShippingQuoteSubFlow",
+        variable: "shipping",
+        parameters: { weight: 3 }
+      },
+      {
+        id: "get-handling-fee",
+        type: "FLOW",
+        value: "HandlingFeeSubFlow",
+        variable: "handling_fee"
+      },
+      {
+        id: "quote-summary",
+        type: "SAY",
+        value: "Shipping to {{shipping.zip}} costs ${{shipping.cost}} plus ${{handling_fee}} handling ({{note}}).",
+        value_es: "El envío a {{shipping.zip}} cuesta ${{shipping.cost}} más ${{handling_fee}} de manejo ({{note}})."
+      }
+    ]
+  },
+  {
+    id: "shipping-quote-sub-flow-v1.0",
+    name: "ShippingQuoteSubFlow",
+    version: "1.0.0",
+    description: "Isolated sub-flow that returns a shipping quote through its outputs",
+    isolateVariables: true,
+    parameters: [
+      { name: "weight", description: "Package weight in kilograms", type: "number" }
+    ],
+    outputs: {
+      zip: { type: "string", description: "Destination ZIP code" },
+      cost: { type: "number", description: "Shipping cost" }
+    },
+    steps: [
+      {
+        id: "ask-zip",
+        type: "SAY-GET",
+        value: "Destination ZIP code?",
+        value_es: "¿Código postal de destino?",
+        variable: "zip"
+      },
+      {
+        id: "compute-cost",
+        type: "SET",
+        variable: "cost",
+        value: "weight * 4.5"
+      },
+      {
+        id: "scratch-note",
+        type: "SET",
+        variable: "note",
+        value: "'overwritten inside the sub-flow'"
+      }
+    ]
+  },
+  {
+    id: "handling-fee-sub-flow-v1.0",
+    name: "HandlingFeeSubFlow",
+    version: "1.0.0",
+    description: "Sub-flow that returns a value from its END step",
+    steps: [
+      {
+        id: "return-fee",
+        type: "END",
+        value: "2 + 0.5"
+      }
+    ]
+  },
+  {
+    id: "typed-input-demo-v1.0",
+    name: "TypedInputDemo",
+    primary: true,
+    version: "1.0.0",
+    description: "Demonstrates typed SAY-GET input with validation and re-prompting",
+    prompt: "Delivery booking",
+    prompt_es: "Reserva de entrega",
+    steps: [
+      {
+        id: "ask-package-count",
+        type: "SAY-GET",
+        value: "How many packages (1-10)?",
+        value_es: "¿Cuántos paquetes (1-10)?",
+        variable: "package_count",
+        inputType: "integer",
+        min: 1,
+        max: 10
+      },
+      {
+        id: "ask-delivery-date",
+        type: "SAY-GET",
+        value: "Delivery date (YYYY-MM-DD)?",
+        value_es: "¿Fecha de entrega (AAAA-MM-DD)?",
+        variable: "delivery_date",
+        inputType: "date",
+        min: "2024-01-01",
+        invalidMessage: "Please give a date from 2024 on, like 2025-06-30.",
+        invalidMessage_es: "Indique una fecha desde 2024, como 2025-06-30."
+      },
+      {
+        id: "ask-signature",
+        type: "SAY-GET",
+        value: "Require a signature?",
+        value_es: "¿Requiere firma?",
+        variable: "needs_signature",
+        inputType: "yes_no",
+        maxAttempts: 2,
+        onExhausted: { id: "default-signature", type: "SET", variable: "needs_signature", value: "false" }
+      },
+      {
+        id: "booking-summary",
+        type: "SAY",
+        value: "Booked {{package_count}} package(s) for {{delivery_date}}, signature: {{needs_signature ? 'yes' : 'no'}}.",
+        value_es: "Reservado(s) {{package_count}} paquete(s) para {{delivery_date}}, firma: {{needs_signature ? 'sí' : 'no'}}."
+      }
+    ]
+  },
+  {
+    id: "choice-demo-v1.0",
+    name: "ChoiceDemo",
+    primary: true,
+    version: "1.0.0",
+    description: "Demonstrates CHOICE menus with static options, synonyms and array items",
+    prompt: "Gift shop",
+    prompt_es: "Tienda de regalos",
+    variables: {
+      gifts: {
+        type: "array",
+        scope: "flow",
+        value: [
+          { sku: "MUG-01", title: "Coffee mug", price: 12 },
+          { sku: "TSH-02", title: "T-shirt", price: 20 },
+          { sku: "CAP-03", title: "Baseball cap", price: 15 }
+        ]
+      }
+    },
+    steps: [
+      {
+        id: "choose-gift",
+        type: "CHOICE",
+        value: "Which gift would you like?",
+        value_es: "¿Qué regalo le gustaría?",
+        variable: "gift",
+        items: "gifts",
+        as: "gift_item",
+        label: "{{gift_item.title}} - ${{gift_item.price}}"
+      },
+      {
+        id: "choose-wrapping",
+        type: "CHOICE",
+        value: "How should we wrap it?",
+        value_es: "¿Cómo lo envolvemos?",
+        variable: "wrapping",
+        options: [
+          { value: "none", label: "No wrapping", label_es: "Sin envoltura", synonyms: ["none", "as is"] },
+          { value: "paper", label: "Gift paper", label_es: "Papel de regalo", synonyms: ["paper", "wrapped"] },
+          { value: "box", label: "Gift box", label_es: "Caja de regalo", synonyms: ["box", "boxed"] }
+        ],
+        maxAttempts: 3
+      },
+      {
+        id: "gift-summary",
+        type: "SAY",
+        value: "Your {{gift.title}} ({{gift.sku}}) will ship with: {{wrapping.label}}.",
+        value_es: "Su {{gift.title}} ({{gift.sku}}) se enviará con: {{wrapping.label_es}}."
+      }
+    ]
+  },
+  {
+    id: "try-demo-v1.0",
+    name: "TryDemo",
+    primary: true,
+    version: "1.0.0",
+    description: "Demonstrates TRY with catch and finally sections around a failing tool call",
+    prompt: "Account check",
+    prompt_es: "Verificación de cuenta",
+    steps: [
+      {
+        id: "ask-account-number",
+        type: "SAY-GET",
+        value: "Please enter your account number:",
+        value_es: "Por favor ingrese su número de cuenta:",
+        variable: "accountNumber"
+      },
+      {
+        id: "verify-account-block",
+        type: "TRY",
+        variable: "verify_error",
+        steps: [
+          {
+            id: "verify-account-call",
+            type: "CALL-TOOL",
+            tool: "VerifyAccountTool",
+            variable: "verification"
+          },
+          {
+            id: "verify-account-ok",
+            type: "SAY",
+            value: "Account {{verification.accountId}} is {{verification.accountStatus}}.",
+            value_es: "La cuenta {{verification.accountId}} está {{verification.accountStatus}}."
+          }
+        ],
+        catch: {
+          id: "verify-account-caught",
+          type: "SAY",
+          value: "We could not verify that account ({{verify_error.code}} at {{verify_error.stepId}}).",
+          value_es: "No pudimos verificar esa cuenta ({{verify_error.code}} en {{verify_error.stepId}})."
+        },
+        finally: {
+          id: "verify-account-finished",
+          type: "SAY",
+          value: "Verification attempt finished.",
+          value_es: "Intento de verificación finalizado."
+        }
+      }
+    ]
+  },
+  {
+    id: "try-finally-demo-v1.0",
+    name: "TryFinallyDemo",
+    primary: true,
+    version: "1.0.0",
+    description: "Demonstrates TRY blocks that cannot handle a failure - a catch that fails itself, inside a TRY with only finally",
+    prompt: "Account recheck",
+    prompt_es: "Reverificación de cuenta",
+    steps: [
+      {
+        id: "ask-recheck-account",
+        type: "SAY-GET",
+        value: "Please enter your account number:",
+        value_es: "Por favor ingrese su número de cuenta:",
+        variable: "accountNumber"
+      },
+      {
+        id: "audit-block",
+        type: "TRY",
+        steps: [
+          {
+            id: "recheck-block",
+            type: "TRY",
+            steps: [
+              {
+                id: "recheck-account-call",
+                type: "CALL-TOOL",
+                tool: "VerifyAccountTool",
+                variable: "verification",
+                args: { accountNumber: "{{accountNumber}}" }
+              }
+            ],
+            catch: {
+              id: "recheck-account-retry",
+              type: "CALL-TOOL",
+              tool: "VerifyAccountTool",
+              variable: "verification",
+              args: { accountNumber: "{{accountNumber}}" }
+            },
+            finally: {
+              id: "recheck-account-finished",
+              type: "SAY",
+              value: "Recheck attempt finished.",
+              value_es: "Intento de reverificación finalizado."
+            }
+          },
+          {
+            id: "recheck-account-ok",
+            type: "SAY",
+            value: "Account {{verification.accountId}} rechecked.",
+            value_es: "Cuenta {{verification.accountId}} reverificada."
+          }
+        ],
+        finally: {
+          id: "audit-account-finished",
+          type: "SAY",
+          value: "Audit attempt finished.",
+          value_es: "Intento de auditoría finalizado."
+        }
+      }
+    ]
+  },
+  {
+    id: "timeout-demo-v1.0",
+    name: "TimeoutDemo",
+    primary: true,
+    version: "1.0.0",
+    description: "Demonstrates SAY-GET reply deadlines - a reminder after 60s of silence, then the flow stops (driven by engine.tick)",
+    prompt: "Code verification",
+    prompt_es: "Verificación de código",
+    steps: [
+      {
+        id: "ask-verification-code",
+        type: "SAY-GET",
+        value: "We sent you a 6-digit code. Please enter it:",
+        value_es: "Le enviamos un código de 6 dígitos. Por favor ingréselo:",
+        variable: "verification_code",
+        inputType: "regex",
+        pattern: "^\\d{6}$",
+        timeoutMs: 60000,
+        onTimeout: {
+          id: "remind-verification-code",
+          type: "SAY-GET",
+          value: "Are you still there? Please enter the 6-digit code:",
+          value_es: "¿Sigue ahí? Por favor ingrese el código de 6 dígitos:",
+          variable: "verification_code",
+          inputType: "regex",
+          pattern: "^\\d{6}$",
+          timeoutMs: 30000
+        }
+      },
+      {
+        id: "code-received",
+        type: "SAY",
+        value: "Thanks, code {{verification_code}} received.",
+        value_es: "Gracias, código {{verification_code}} recibido."
+      }
+    ]
+  },
+  {
+    id: "receipt-timeout-demo-v1.0",
+    name: "ReceiptTimeoutDemo",
+    primary: true,
+    version: "1.0.0",
+    description: "Demonstrates a SAY onTimeout - it ends the flow instead of continuing without the reply",
+    prompt: "Email receipt",
+    prompt_es: "Recibo por correo",
+    steps: [
+      {
+        id: "ask-receipt-email",
+        type: "SAY-GET",
+        value: "Which email should we send the receipt to?",
+        value_es: "¿A qué correo enviamos el recibo?",
+        variable: "receipt_email",
+        timeoutMs: 60000,
+        onTimeout: {
+          id: "receipt-by-text",
+          type: "SAY",
+          value: "No problem - we will text you the receipt instead.",
+          value_es: "No hay problema - le enviaremos el recibo por mensaje de texto."
+        }
+      },
+      {
+        id: "receipt-sent",
+        type: "SAY",
+        value: "Receipt sent to {{receipt_email}}.",
+        value_es: "Recibo enviado a {{receipt_email}}."
+      }
+    ]
+  },
+  {
+    id: "goto-demo-v1.0",
+    name: "GotoDemo",
+    primary: true,
+    version: "1.0.0",
+    description: "Demonstrates GOTO retry loops that keep the flow's variables and transaction",
+    prompt: "PIN check",
+    prompt_es: "Verificación de PIN",
+    variables: {
+      pin_attempts: {
+        type: "number",
+        scope: "flow",
+        value: 0
+      }
+    },
+    steps: [
+      {
+        id: "ask-pin",
+        type: "SAY-GET",
+        value: "Please enter your 4-digit PIN:",
+        value_es: "Por favor ingrese su PIN de 4 dígitos:",
+        variable: "pin"
+      },
+      {
+        id: "count-pin-attempt",
+        type: "SET",
+        variable: "pin_attempts",
+        value: "pin_attempts + 1"
+      },
+      {
+        id: "check-pin",
+        type: "CASE",
+        branches: {
+          "condition: pin === '4321'": {
+            id: "pin-accepted",
+            type: "SAY",
+            value: "PIN accepted after {{pin_attempts}} attempt(s).",
+            value_es: "PIN aceptado después de {{pin_attempts}} intento(s)."
+          },
+          "condition: pin_attempts >= 3": {
+            id: "pin-locked",
+            type: "SAY",
+            value: "Too many wrong PINs - your card is locked.",
+            value_es: "Demasiados PIN incorrectos - su tarjeta está bloqueada."
+          },
+          default: [
+            {
+              id: "pin-wrong",
+              type: "SAY",
+              value: "That PIN is not correct.",
+              value_es: "Ese PIN no es correcto."
+            },
+            {
+              id: "retry-pin",
+              type: "GOTO",
+              value: "ask-pin",
+              maxJumps: 5
+            }
+          ]
+        }
+      }
+    ]
+  },
+  {
+    id: "goto-limit-demo-v1.0",
+    name: "GotoLimitDemo",
+    primary: true,
+    version: "1.0.0",
+    description: "Demonstrates the GOTO loop guard - the flow stops once maxJumps is exceeded",
+    prompt: "Password hint",
+    prompt_es: "Pista de contraseña",
+    steps: [
+      {
+        id: "ask-hint-answer",
+        type: "SAY-GET",
+        value: "What is the name of your first pet?",
+        value_es: "¿Cómo se llamaba su primera mascota?",
+        variable: "hint_answer"
+      },
+      {
+        id: "check-hint-answer",
+        type: "CASE",
+        branches: {
+          "condition: hint_answer === 'Rex'": {
+            id: "hint-accepted",
+            type: "SAY",
+            value: "Thanks, that is correct.",
+            value_es: "Gracias, es correcto."
+          },
+          default: {
+            id: "retry-hint-answer",
+            type: "GOTO",
+            value: "ask-hint-answer",
+            maxJumps: 2
+          }
+        }
+      },
+      {
+        id: "hint-done",
+        type: "SAY",
+        value: "Your password hint is verified.",
+        value_es: "Su pista de contraseña está verificada."
+      }
+    ]
+  },
+  {
+    id: "handoff-demo-v1.0",
+    name: "HandoffDemo",
+    primary: true,
+    version: "1.0.0",
+    description: "Demonstrates HANDOFF to a live agent with a redacted escalation package",
+    prompt: "Billing dispute",
+    prompt_es: "Disputa de facturación",
+    steps: [
+      {
+        id: "ask-dispute-details",
+        type: "SAY-GET",
+        value: "Please describe the charge you want to dispute:",
+        value_es: "Por favor describa el cargo que desea disputar:",
+        variable: "dispute_details"
+      },
+      {
+        id: "ask-ssn-last4",
+        type: "SAY-GET",
+        value: "For verification, what are the last 4 digits of your SSN?",
+        value_es: "Para verificar, ¿cuáles son los últimos 4 dígitos de su SSN?",
+        variable: "ssn_last4"
+      },
+      {
+        id: "handoff-to-billing",
+        type: "HANDOFF",
+        reason: "billing_dispute",
+        queue: "billing",
+        value: "Thanks. A billing specialist will take it from here.",
+        value_es: "Gracias. Un especialista de facturación continuará desde aquí."
+      }
+    ]
+  },
+  {
+    id: "form-demo-v1.0",
+    name: "FormDemo",
+    primary: true,
+    version: "1.0.0",
+    description: "Demonstrates FORM slot filling with corrections and confirmation",
+    prompt: "Delivery signup",
+    prompt_es: "Registro de entregas",
+    steps: [
+      {
+        id: "delivery-form",
+        type: "FORM",
+        variable: "signup",
+        value: "Let's set up your deliveries.",
+        value_es: "Configuremos sus entregas.",
+        maxAttempts: 3,
+        slots: [
+          { name: "name", label: "full name", label_es: "nombre completo" },
+          { name: "email", type: "email", label: "email address", label_es: "correo electrónico" },
+          { name: "address", label: "delivery address", label_es: "dirección de entrega", description: "Street address for deliveries" },
+          { name: "phone", type: "phone", required: false, label: "phone number", label_es: "número de teléfono" },
+          { name: "instructions", required: false, description: "Delivery instructions, e.g. leave at the door" }
+        ]
+      },
+      {
+        id: "form-done",
+        type: "SAY",
+        value: "Thanks {{signup.name}} - deliveries to {{signup.address}} are set up, confirmations go to {{signup.email}}.",
+        value_es: "Gracias {{signup.name}} - las entregas a {{signup.address}} están configuradas, las confirmaciones van a {{signup.email}}."
+      }
+    ]
+  },
+  {
+    id: "confirm-demo-v1.0",
+    name: "ConfirmDemo",
+    primary: true,
+    version: "1.0.0",
+    description: "Demonstrates CONFIRM before a high-risk tool call",
+    prompt: "Quick payment",
+    prompt_es: "Pago rápido",
+    metadata: { // riskLevel high: each CALL-TOOL step needs its own CONFIRM answered yes
+      category: "financial",
+      riskLevel: "high"
+    },
+    steps: [
+      {
+        id: "ask-quick-amount",
+        type: "SAY-GET",
+        value: "How much would you like to pay?",
+        value_es: "¿Cuánto desea pagar?",
+        variable: "amount",
+        inputType: "number",
+        min: 0.01,
+        max: 10000
+      },
+      {
+        id: "confirm-quick-payment",
+        type: "CONFIRM",
+        value: "Send a payment link for ${{amount}} to account 123456?",
+        value_es: "¿Enviar un enlace de pago por ${{amount}} a la cuenta 123456?",
+        maxAttempts: 2,
+        onNo: {
+          id: "quick-payment-declined",
+          type: "RETURN",
+          value: "'No payment was made.'"
+        }
+      },
+      {
+        id: "quick-payment-link",
+        type: "CALL-TOOL",
+        tool: "GeneratePaymentLink",
+        args: { accountNumber: "123456", amount: "{{amount}}" },
+        variable: "quick_link"
+      },
+      {
+        id: "quick-payment-done",
+        type: "SAY",
+        value: "Payment link: {{quick_link.url}}",
+        value_es: "Enlace de pago: {{quick_link.url}}"
+      },
+      {
+        // The yes above was used by the first link - this call ends the flow unconfirmed
+        id: "quick-payment-second-link",
+        type: "CALL-TOOL",
+        tool: "GeneratePaymentLink",
+        args: { accountNumber: "123456", amount: "{{amount}}" },
+        variable: "second_link"
+      }
+    ]
+  },
+  {
+    id: "emit-demo-v1.0",
+    name: "EmitDemo",
+    primary: true,
+    version: "1.0.0",
+    description: "Demonstrates EMIT publishing a callback request to the host",
+    prompt: "Callback request",
+    prompt_es: "Solicitud de llamada",
+    events: {
+      callback_requested: {
+        description: "The host schedules a call back to the customer",
+        payload: {
+          phone: { type: "string", description: "Number to call" },
+          window: { type: "string", description: "Preferred time of day" }
+        }
+      }
+    },
+    steps: [
+      {
+        id: "ask-callback-phone",
+        type: "SAY-GET",
+        value: "What number should we call you back on?",
+        value_es: "¿A qué número le devolvemos la llamada?",
+        variable: "callback_phone",
+        inputType: "phone"
+      },
+      {
+        id: "ask-callback-window",
+        type: "SAY-GET",
+        value: "Morning or afternoon?",
+        value_es: "¿Mañana o tarde?",
+        variable: "callback_window",
+        inputType: "choice",
+        options: ["morning", "afternoon"]
+      },
+      {
+        id: "publish-callback",
+        type: "EMIT",
+        event: "callback_requested",
+        payload: { phone: "{{callback_phone}}", window: "{{callback_window}}" }
+      },
+      {
+        id: "callback-scheduled",
+        type: "SAY",
+        value: "Thanks - we'll call {{callback_phone}} in the {{callback_window}}.",
+        value_es: "Gracias - llamaremos al {{callback_phone}} en la {{callback_window}}."
+      }
+    ]
+  },
+  {
+    id: "expression-demo-v1.0",
+    name: "ExpressionDemo",
+    primary: true,
+    version: "1.0.0",
+    description: "Demonstrates sandboxed expressions - arrow functions, optional chaining and ??",
+    prompt: "Order summary",
+    prompt_es: "Resumen del pedido",
+    steps: [
+      {
+        id: "ask-order-ref",
+        type: "SAY-GET",
+        value: "What's your order number?",
+        value_es: "¿Cuál es su número de pedido?",
+        variable: "order_ref"
+      },
+      {
+        id: "load-order",
+        type: "SET",
+        variable: "order",
+        value: "{ id: order_ref.trim().toUpperCase(), items: [{ name: 'Lamp', qty: 2, price: 20 }, { name: 'Bulb', qty: 4, price: 2.5 }], customer: { name: 'Ana' } }"
+      },
+      {
+        id: "order-total",
+        type: "SET",
+        variable: "order_total",
+        value: "order.items.reduce((sum, line) => sum + line.qty * line.price, 0).toFixed(2)"
+      },
+      {
+        id: "delivery-city",
+        type: "SET",
+        variable: "delivery_city",
+        value: "order.customer?.address?.city ?? 'store pickup'"
+      },
+      {
+        id: "order-summary",
+        type: "SAY",
+        value: "Order {{order.id}}: {{order.items.map(line => `${line.qty} x ${line.name}`).join(', ')}} - total ${{order_total}}, delivery: {{delivery_city}}.",
+        value_es: "Pedido {{order.id}}: {{order.items.map(line => `${line.qty} x ${line.name}`).join(', ')}} - total ${{order_total}}, entrega: {{delivery_city}}."
+      }
+    ]
+  },
+  {
+    id: "variant-stock-demo-v1.0",
+    name: "VariantStockDemo",
+    primary: true,
+    version: "1.0.0",
+    description: "Demonstrates full expressions in FLOW parameters and strict templates",
+    prompt: "Variant stock check",
+    prompt_es: "Consulta de existencias",
+    strictTemplates: true,
+    steps: [
+      {
+        id: "ask-variant",
+        type: "SAY-GET",
+        value: "Which variant number?",
+        value_es: "¿Qué número de variante?",
+        variable: "variant_number"
+      },
+      {
+        id: "load-variant",
+        type: "SET",
+        variable: "selected",
+        value: "{ variant_id: 'gid://shop/ProductVariant/' + variant_number.trim(), title: 'Desk Lamp' }"
+      },
+      {
+        id: "check-stock",
+        type: "FLOW",
+        value: "StockCheckSubFlow",
+        variable: "stock",
+        parameters: {
+          variantId: "{{selected.id ?? selected.variant_id}}",
+          quantity: "{{cargo.cart.qty ?? 1}}"
+        }
+      },
+      {
+        id: "stock-summary",
+        type: "SAY",
+        value: "{{selected.title}} ({{stock.variantId}}): {{stock.available}} in stock, {{stock.quantity}} requested.",
+        value_es: "{{selected.title}} ({{stock.variantId}}): {{stock.available}} en existencia, {{stock.quantity}} solicitadas."
+      },
+      {
+        id: "notify-customer",
+        type: "TRY",
+        variable: "notify_error",
+        steps: [
+          {
+            id: "email-confirmation",
+            type: "SAY",
+            value: "Confirmation sent to {{cargo.user.email}}.",
+            value_es: "Confirmación enviada a {{cargo.user.email}}."
+          }
+        ],
+        catch: {
+          id: "no-email",
+          type: "SAY",
+          value: "No email on file ({{notify_error.code}}) - we'll text you instead.",
+          value_es: "No hay correo registrado ({{notify_error.code}}) - le enviaremos un mensaje de texto."
+        }
+      },
+      {
+        // Outside a TRY the missing phone ends the flow with the template_unresolved message
+        id: "text-customer",
+        type: "CALL-TOOL",
+        tool: "send-sms-message",
+        args: {
+          to: "{{cargo.user.phone}}",
+          message: "{{selected.title}} is in stock."
+        }
+      },
+      {
+        id: "text-sent",
+        type: "SAY",
+        value: "Text sent to {{cargo.user.phone}}.",
+        value_es: "Mensaje enviado a {{cargo.user.phone}}."
+      }
+    ]
+  },
+  {
+    id: "stock-check-sub-flow-v1.0",
+    name: "StockCheckSubFlow",
+    version: "1.0.0",
+    description: "Isolated sub-flow that reports stock for the variant it was given",
+    isolateVariables: true,
+    parameters: [
+      { name: "variantId", description: "Product variant ID", type: "string" },
+      { name: "quantity", description: "Requested quantity", type: "number" }
+    ],
+    steps: [
+      {
+        id: "return-stock",
+        type: "END",
+        value: "{ variantId, quantity, available: variantId.endsWith('/42') ? 7 : 0 }"
+      }
+    ]
+  },
+  {
+    id: "receipt-filter-demo-v1.0",
+    name: "ReceiptFilterDemo",
+    primary: true,
+    version: "1.0.0",
+    description: "Demonstrates template filters - currency, date, join, default, plural and a custom filter",
+    prompt: "Order receipt",
+    prompt_es: "Recibo del pedido",
+    steps: [
+      {
+        id: "ask-receipt-phone",
+        type: "SAY-GET",
+        value: "Which phone number should get the receipt?",
+        value_es: "¿A qué número de teléfono enviamos el recibo?",
+        variable: "phone"
+      },
+      {
+        id: "load-receipt",
+        type: "SET",
+        variable: "receipt",
+        value: "{ total: 1234.5, placed: '2026-03-05', items: ['Lamp', 'Bulb', 'Cable'] }"
+      },
+      {
+        id: "receipt-summary",
+        type: "SAY",
+        value: "Thanks {{ cargo.customer.name | default:'there' }}! {{ receipt.items.length | plural:'# item':'# items' }} ({{ receipt.items | join:', ' }}) ordered on {{ receipt.placed | date:'long' }}, total {{ receipt.total | currency:'USD' }}. Receipt sent to {{ phone | maskPhone }}.",
+        value_es: "¡Gracias {{ cargo.customer.name | default:'cliente' }}! {{ receipt.items.length | plural:'# artículo':'# artículos' }} ({{ receipt.items | join:', ' }}) pedidos el {{ receipt.placed | date:'long' }}, total {{ receipt.total | currency:'USD' }}. Recibo enviado a {{ phone | maskPhone }}."
+      }
+    ]
+  }
+,
+  {
+    id: "shipment-blocks-demo-v1.0",
+    name: "ShipmentBlocksDemo",
+    primary: true,
+    version: "1.0.0",
+    description: "Demonstrates Handlebars-style block helpers in SAY messages - #each, #if/else, #with, ../, @first/@last/@key and comparison helpers",
+    prompt: "Shipment status",
+    prompt_es: "Estado del envío",
+    steps: [
+      {
+        id: "ask-shipment-ref",
+        type: "SAY-GET",
+        value: "Which order should I look up?",
+        value_es: "¿Qué pedido busco?",
+        variable: "orderRef"
+      },
+      {
+        id: "load-shipments",
+        type: "SET",
+        variable: "order",
+        value: "{ ref: orderRef.trim().toUpperCase(), packages: [{ carrier: 'UPS', items: [{ name: 'Lamp', qty: 1 }, { name: 'Bulb', qty: 4 }] }, { carrier: 'USPS', items: [] }], address: { city: 'Austin', zip: '78701' } }"
+      },
+      {
+        id: "shipment-summary",
+        type: "SAY",
+        value: "Order {{order.ref}}: {{#each order.packages}}{{#if @first}}first{{else}}next{{/if}} box via {{carrier}} ({{#each items}}{{qty}} x {{name}}{{#if (gt qty 1)}} (multi){{/if}} for {{../../order.ref}}{{#unless @last}}, {{/unless}}{{else}}empty{{/each}}){{#unless @last}}; {{/unless}}{{/each}}. Ship to {{#with order.address}}{{#each this}}{{@key}} {{this}}{{#unless @last}}, {{/unless}}{{/each}}{{/with}}.",
+        value_es: "Pedido {{order.ref}}: {{#each order.packages}}{{#if @first}}primera{{else}}siguiente{{/if}} caja por {{carrier}} ({{#each items}}{{qty}} x {{name}}{{#if (gt qty 1)}} (varios){{/if}} para {{../../order.ref}}{{#unless @last}}, {{/unless}}{{else}}vacía{{/each}}){{#unless @last}}; {{/unless}}{{/each}}. Envío a {{#with order.address}}{{#each this}}{{@key}} {{this}}{{#unless @last}}, {{/unless}}{{/each}}{{/with}}."
+      }
+    ]
+  },
+  {
+    id: "storefront-order-format-demo-v1.0",
+    name: "StorefrontOrderFormatDemo",
+    primary: true,
+    version: "1.0.0",
+    description: "Demonstrates locale-aware formatting transforms in response mapping",
+    prompt: "Storefront order",
+    prompt_es: "Pedido de la tienda",
+    steps: [
+      {
+        id: "ask-storefront-order",
+        type: "SAY-GET",
+        value: "What is your order number?",
+        value_es: "¿Cuál es tu número de pedido?",
+        variable: "orderNumber"
+      },
+      {
+        id: "fetch-storefront-order",
+        type: "CALL-TOOL",
+        tool: "GetStorefrontOrder",
+        args: { orderId: "{{orderNumber}}" },
+        variable: "storefrontOrder"
+      },
+      {
+        id: "storefront-order-summary",
+        type: "SAY",
+        value: "Order {{storefrontOrder.orderId}} placed on {{storefrontOrder.placed}}: {{storefrontOrder.total}} ({{storefrontOrder.discount}} off), arriving {{storefrontOrder.delivery}}. We'll call {{storefrontOrder.phone}}.",
+        value_es: "Pedido {{storefrontOrder.orderId}} del {{storefrontOrder.placed}}: {{storefrontOrder.total}} ({{storefrontOrder.discount}} de descuento), llega {{storefrontOrder.delivery}}. Llamaremos al {{storefrontOrder.phone}}."
+      }
+    ]
+  },
+  {
+    id: "payment-method-demo-v1.0",
+    name: "PaymentMethodDemo",
+    primary: true,
+    version: "1.0.0",
+    description: "Demonstrates a host-registered custom transform (maskCard) in response mapping",
+    prompt: "Saved card",
+    prompt_es: "Tarjeta guardada",
+    steps: [
+      {
+        id: "fetch-payment-method",
+        type: "CALL-TOOL",
+        tool: "GetPaymentMethod",
+        args: { customerId: "cus_1001" },
+        variable: "paymentMethod"
+      },
+      {
+        id: "payment-method-summary",
+        type: "SAY",
+        value: "Your {{paymentMethod.brand}} card {{paymentMethod.card}} ({{paymentMethod.shortCard}}) expires {{paymentMethod.expiry}}.",
+        value_es: "Tu tarjeta {{paymentMethod.brand}} {{paymentMethod.card}} ({{paymentMethod.shortCard}}) vence el {{paymentMethod.expiry}}."
+      }
+    ]
+  },
+  {
+    id: "catalog-search-demo-v1.0",
+    name: "CatalogSearchDemo",
+    primary: true,
+    version: "1.0.0",
+    description: "Demonstrates JSONPath queries in response mapping - wildcards, filters, recursive descent, negative indexes and slices",
+    prompt: "Catalog search",
+    prompt_es: "Búsqueda en el catálogo",
+    steps: [
+      {
+        id: "search-catalog",
+        type: "CALL-TOOL",
+        tool: "SearchCatalog",
+        args: { query: "lamp" },
+        variable: "catalog"
+      },
+      {
+        id: "catalog-summary",
+        type: "SAY",
+        value: "Found {{ catalog.titles | join }} (last: {{catalog.lastTitle}}). In stock: {{ catalog.inStock | join }}. Free shipping: {{ catalog.freeShipping | join }}. First two cost {{ catalog.firstTwo | join:' and ' }}. SKUs: {{ catalog.skus | join:' ' }}.",
+        value_es: "Encontrado: {{ catalog.titles | join }} (último: {{catalog.lastTitle}}). Disponibles: {{ catalog.inStock | join }}. Envío gratis: {{ catalog.freeShipping | join }}. Los dos primeros cuestan {{ catalog.firstTwo | join:' y ' }}. SKUs: {{ catalog.skus | join:' ' }}."
+      }
+    ]
+  },
+  {
+    id: "legacy-invoice-demo-v1.0",
+    name: "LegacyInvoiceDemo",
+    primary: true,
+    version: "1.0.0",
+    description: "Demonstrates XML response parsing and XPath response mapping against a SOAP billing API",
+    prompt: "Legacy invoice lookup",
+    prompt_es: "Consulta de factura antigua",
+    steps: [
+      {
+        id: "get-invoice",
+        type: "CALL-TOOL",
+        tool: "GetLegacyInvoice",
+        args: { invoiceId: "INV-7" },
+        variable: "invoice"
+      },
+      {
+        id: "invoice-summary",
+        type: "SAY",
+        value: "Invoice {{invoice.id}} for {{invoice.customer}} is {{invoice.status}}: {{invoice.lineCount}} lines, total {{ invoice.total | currency:invoice.currency }}. Bulk items: {{ invoice.bulkSkus | join }}. Highest price: {{invoice.priciest}}. Due {{invoice.dueDate}}.",
+        value_es: "Factura {{invoice.id}} de {{invoice.customer}} ({{invoice.status}}): {{invoice.lineCount}} líneas, total {{ invoice.total | currency:invoice.currency }}. Artículos al por mayor: {{ invoice.bulkSkus | join }}. Precio más alto: {{invoice.priciest}}. Vence: {{invoice.dueDate}}."
+      }
+    ]
+  },
+  {
+    id: "graphql-order-demo-v1.0",
+    name: "GraphQLOrderDemo",
+    primary: true,
+    version: "1.0.0",
+    description: "Demonstrates GraphQL tools - variables from args, responseMapping on data, and errors[] triggering onFail",
+    prompt: "GraphQL order cancellation",
+    prompt_es: "Cancelación de pedido con GraphQL",
+    steps: [
+      {
+        id: "get-order",
+        type: "CALL-TOOL",
+        tool: "GetStoreOrder",
+        args: { orderId: "gid://shop/Order/1001" },
+        variable: "order"
+      },
+      {
+        id: "order-summary",
+        type: "SAY",
+        value: "Order {{order.name}} is {{order.status}}: {{order.units}} units ({{ order.items | join }}).",
+        value_es: "El pedido {{order.name}} está {{order.status}}: {{order.units}} unidades ({{ order.items | join }})."
+      },
+      {
+        id: "cancel-order",
+        type: "CALL-TOOL",
+        tool: "CancelStoreOrder",
+        args: { orderId: "gid://shop/Order/1001" },
+        variable: "cancellation",
+        onFail: {
+          id: "cancel-order-failed",
+          type: "SAY",
+          value: "The order could not be cancelled because it has already been fulfilled.",
+          value_es: "No se pudo cancelar el pedido porque ya se ha enviado."
+        }
+      }
+    ]
+  },
+  {
+    id: "openapi-order-status-demo-v1.0",
+    name: "OpenApiOrderStatusDemo",
+    primary: true,
+    version: "1.0.0",
+    description: "Demonstrates a tool generated by importOpenApiTools - path and query parameters plus API key auth from the spec",
+    prompt: "Order status from the OpenAPI import",
+    prompt_es: "Estado del pedido desde la importación OpenAPI",
+    steps: [
+      {
+        id: "get-order-status",
+        type: "CALL-TOOL",
+        tool: "getOrderStatus",
+        args: { orderId: "A-1001", include: "tracking" },
+        variable: "statusRequest"
+      },
+      {
+        id: "order-status-request",
+        type: "SAY",
+        value: "{{statusRequest}}"
+      }
+    ]
+  },
+  {
+    id: "ShippingQuoteDemo",
+    name: "ShippingQuoteDemo",
+    primary: true,
+    version: "1.0.0",
+    description: "Demonstrates tool outputSchema validation - a malformed carrier response fails the tool instead of reaching the SAY",
+    prompt: "Shipping quote with output validation",
+    prompt_es: "Cotización de envío con validación de salida",
+    steps: [
+      {
+        id: "quote-valid",
+        type: "CALL-TOOL",
+        tool: "GetShippingQuote",
+        args: { testType: "valid" },
+        variable: "quote"
+      },
+      {
+        id: "quote-valid-say",
+        type: "SAY",
+        value: "Shipping: {{quote.amount}} {{quote.currency}}, {{quote.days}} days."
+      },
+      {
+        id: "quote-malformed",
+        type: "CALL-TOOL",
+        tool: "GetShippingQuote",
+        args: { testType: "malformed" },
+        variable: "backupQuote",
+        maxRetries: 1,
+        retryOnConditions: [
+          { errorPattern: "ToolOutputValidationError", action: "retry" }
+        ],
+        onFail: {
+          id: "quote-malformed-failed",
+          type: "SAY",
+          value: "The backup carrier sent an unreadable quote."
+        }
+      }
+    ]
+  }
+];
+
+// Flows calling the stub MCP server's tools - only added when a scenario registers the server
+const mcpFlows = [
+  {
+    id: "McpOrderDemo",
+    name: "McpOrderDemo",
+    primary: true,
+    version: "1.0.0",
+    description: "Demonstrates tools registered from an MCP server - JSON text results, multi-part text results and isError triggering onFail",
+    prompt: "Order lookup through the MCP server",
+    prompt_es: "Consulta de pedido a través del servidor MCP",
+    steps: [
+      {
+        id: "mcp-lookup-order",
+        type: "CALL-TOOL",
+        tool: "orders_lookup_order",
+        args: { orderId: "A-1001" },
+        variable: "order"
+      },
+      {
+        id: "mcp-order-summary",
+        type: "SAY",
+        value: "Order {{order.id}} is {{order.status}} with {{order.carrier}} ({{order.items}} items)."
+      },
+      {
+        id: "mcp-order-note",
+        type: "CALL-TOOL",
+        tool: "orders_order_note",
+        args: { orderId: "A-1002" },
+        variable: "note"
+      },
+      {
+        id: "mcp-order-note-say",
+        type: "SAY",
+        value: "{{note}}"
+      },
+      {
+        id: "mcp-lookup-missing",
+        type: "CALL-TOOL",
+        tool: "orders_lookup_order",
+        args: { orderId: "Z-9" },
+        variable: "missingOrder",
+        onFail: {
+          id: "mcp-lookup-missing-failed",
+          type: "SAY",
+          value: "That order could not be found."
+        }
+      }
+    ]
+  }
+];
+
+//Get key from environment variable or configuration
+const apiKeys = {
+   openai: process.env.OPENAI_API_KEY
+};
+
+async function fetchAiResponse(systemInstruction, userMessage) {
+  try {
+    logger.info(`fetchAiResponse called with system instruction length: ${systemInstruction.length}, user message: "${userMessage}"`);
+    
+    //logger.warn(`System instruction: "${systemInstruction}"\nUser message: "${userMessage}"`);
+        
+    const response = await fetch("https://api.openai.com/v1/chat/completions", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Authorization": `Bearer ${apiKeys.openai}`
+      },
+      body: JSON.stringify({
+        model: "gpt-4.1-mini-2025-04-14",
+        messages: [
+          { role: "system", content: systemInstruction },
+          { role: "user", content: userMessage }
+        ],
+        temperature: 0.1,
+        max_tokens: 200
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`AI API request failed: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    const aiResponse = data.choices[0].message.content.trim();
+    
+    logger.debug(`fetchAiResponse completed, response length: ${aiResponse.length}`);
+    return aiResponse;
+    
+  } catch (error) {
+    logger.error(`fetchAiResponse error: ${error.message}`);
+    throw new Error(`AI communication failed: ${error.message}`);
+  }
+}
+
 async function handleQuery(context, input, chatContextManager) {
 
   // Create ContextEntry for user input
@@ -4209,6 +5857,15 @@ async function simulateLocalChat(simulatedInputs = null, language = 'en') {
           break;
         }
         
+        // '@tick +<seconds>s' simulates silence: the host timer calls engine.tick() that long after the last activity
+        const tick = userInput.match(/^@tick \+(\d+)s$/);
+        if (tick) {
+          const now = new Date(new Date(context.sessionContext.lastActivity).getTime() + Number(tick[1]) * 1000);
+          context.sessionContext = await engine.tick(context.sessionContext, now);
+          console.log(`\n⏰ Tick: ${context.sessionContext.response ?? '(nothing due)'}`);
+          continue;
+        }
+
         const startTime = Date.now();
         const userId = `user_${Math.random().toString(36).substr(2, 8)}`;
         
@@ -4659,6 +6316,278 @@ const TEST_SCENARIOS = {
     'baduser666',  // Invalid - should reach max attempts and stop
   ],
   
+  // === MULTI-PLACEHOLDER EXPRESSION TEST ===
+
+  // A SET value like "{{a}} {{b}}" is interpolated as a template, not evaluated as one broken expression
+  multiPlaceholderSetTest: [
+    'MultiPlaceholderSetDemo',   // Full name: Ada Lovelace (A.L.)
+  ],
+
+  // === FOREACH LOOP TEST ===
+
+  // Iterate cart lines, pausing on a SAY-GET inside the loop body
+  foreachTest: [
+    'ForeachDemo',
+    'yes',            // Keep the first line
+    'no',             // Remove the second line - summary lists MUG-01
+  ],
+
+  // === MULTI-STEP BRANCH TEST ===
+
+  // SWITCH branch with a SAY-GET followed by a SET, then a multi-step CASE branch
+  multiStepBranchTest: [
+    'MultiStepBranchDemo',
+    '1',
+    'user@example.com', // Confirms "by email at user@example.com"
+  ],
+
+  // === PARALLEL TOOL CALLS TEST ===
+
+  // Verify account and generate a quote link concurrently (allSettled)
+  parallelTest: [
+    'ParallelDemo',
+    '123456',         // Valid account - both branches fulfilled
+    'ParallelDemo',
+    '999999',         // Invalid account - verify branch rejected, quote still generated
+    'ParallelDemo',
+    '12ab',           // Fails the branch's inputValidation - asked again before anything runs
+    '123456',         // Both branches fulfilled
+  ],
+
+  // === SUB-FLOW OUTPUT TEST ===
+
+  // Isolated sub-flow returns its outputs; a second sub-flow returns a value from END
+  subFlowOutputTest: [
+    'SubFlowOutputDemo',
+    '90210',          // Summary shows $13.5 + $2.5 and the caller's untouched note
+  ],
+
+  // === TYPED INPUT TEST ===
+
+  // Invalid replies re-ask; valid ones are stored as typed values
+  typedInputTest: [
+    'TypedInputDemo',
+    'twelve',         // Not a whole number - asked again
+    '12',             // Out of range - asked again
+    '3',
+    '2023-12-31',     // Before min - custom invalid message
+    '2025-06-30',
+    'perhaps',        // Not yes/no - asked again
+    'yes',            // Summary: 3 package(s) for 2025-06-30, signature: yes
+  ],
+
+  // === CHOICE MENU TEST ===
+
+  // Pick an array item by its label words, then a static option by synonym after one miss
+  choiceTest: [
+    'ChoiceDemo',
+    'the cap please', // Matches "Baseball cap - $15"
+    'glitter',        // No match - menu shown again
+    'boxed',          // Synonym of "Gift box"
+  ],
+
+  // === TRY/CATCH TEST ===
+
+  // Unknown account makes VerifyAccountTool fail - catch and finally run, flow continues
+  tryTest: [
+    'TryDemo',
+    '999999',         // We could not verify that account (tool_failed at verify-account-call)
+  ],
+
+  // A failing catch runs its finally, the outer finally-only TRY runs its finally,
+  // then the uncaught failure ends the flow with its message
+  tryFinallyTest: [
+    'TryFinallyDemo',
+    '999999',         // Recheck/Audit attempt finished. + tool failure message
+    'TryFinallyDemo',
+    '123456',         // Recheck attempt finished. Account 123456 rechecked. Audit attempt finished.
+  ],
+
+  // === REPLY TIMEOUT TEST ===
+
+  // Replies arrive before the deadline - timeouts only fire from engine.tick()
+  timeoutTest: [
+    'TimeoutDemo',
+    '12ab',           // Invalid - asked again
+    '482913',         // Thanks, code 482913 received.
+  ],
+
+  // '@tick +Ns' lets N seconds of silence pass and calls engine.tick()
+  timeoutReminderTest: [
+    'TimeoutDemo',
+    '@tick +30s',     // Deadline not reached - nothing due
+    '@tick +61s',     // Are you still there? Please enter the 6-digit code:
+    '482913',         // Thanks, code 482913 received.
+  ],
+
+  timeoutStopTest: [
+    'TimeoutDemo',
+    '@tick +61s',     // Are you still there? ...
+    '@tick +31s',     // No reply received - stopping Code verification.
+    'ReceiptTimeoutDemo',
+    '@tick +61s',     // We will text you the receipt instead - "Receipt sent to" never runs
+  ],
+
+  // === GOTO TEST ===
+
+  // Two wrong PINs jump back to the question, keeping the attempt counter
+  gotoTest: [
+    'GotoDemo',
+    '1111',           // That PIN is not correct - asked again
+    '2222',           // That PIN is not correct - asked again
+    '4321',           // PIN accepted after 3 attempt(s)
+  ],
+
+  // The third wrong answer would be the third jump - over maxJumps (2), so the flow stops
+  gotoLimitTest: [
+    'GotoLimitDemo',
+    'Max',            // Asked again (jump 1)
+    'Buddy',          // Asked again (jump 2)
+    'Spot',           // Too many repeats of step "ask-hint-answer" - stopping Password hint.
+    'GotoLimitDemo',
+    'Rex',            // Thanks, that is correct. Your password hint is verified.
+  ],
+
+  // === HANDOFF TEST ===
+
+  // Flow ends with a HANDOFF - sessionContext.lastHandoff holds the package (SSN redacted)
+  handoffTest: [
+    'HandoffDemo',
+    'I was charged twice for my May bill',
+    '6789',           // Thanks. A billing specialist will take it from here.
+  ],
+
+  // === FORM TEST ===
+
+  // Email given out of turn, corrected at the confirmation, then confirmed
+  formTest: [
+    'FormDemo',
+    'Ada Lovelace',
+    'Send everything to ada@example.com',  // Email recognized - asks for the address
+    '12 Analytical Way',
+    'actually my email is ada@lovelace.dev', // Correction at the confirmation
+    'yes',
+  ],
+
+  // Numbers in an address are not a phone number; one in free text is
+  formPhoneTest: [
+    'FormDemo',
+    'Ada Lovelace',
+    'ada@example.com',
+    'Calle Mayor 12 3 28013 Madrid',       // Address only - no phone number in the confirmation
+    'you can also call me on +44 20 7946 0958', // Phone number added
+    'yes',
+  ],
+
+  // === CONFIRM TEST ===
+
+  // High-risk flow: the payment tool only runs once the summary is confirmed, and a second call needs another yes
+  confirmTest: [
+    'ConfirmDemo',
+    '40',
+    'not sure',       // Please answer yes or no.
+    'yes, go ahead',  // Payment link: https://pay.example.com/123456/40.00?... / GeneratePaymentLink needs your confirmation first - stopping Quick payment.
+  ],
+
+  // === EMIT TEST ===
+
+  // EMIT publishes callback_requested to engine.on() subscribers (logged by the harness)
+  emitTest: [
+    'EmitDemo',
+    '555-123-4567',
+    'afternoon',      // 📣 Event callback_requested: {"phone":"5551234567","window":"afternoon"}
+  ],
+
+  // === EXPRESSION SANDBOX TEST ===
+
+  // SET/SAY expressions use arrow functions, template literals, ?. and ?? inside the sandbox
+  expressionTest: [
+    'ExpressionDemo',
+    'a-1001',         // Order A-1001: 2 x Lamp, 4 x Bulb - total $50.00, delivery: store pickup.
+  ],
+
+  // === STEP ARGUMENT INTERPOLATION TEST ===
+
+  // FLOW parameters evaluate ?? like SAY/SET; strictTemplates turns a missing {{cargo.user.email}} into a caught error,
+  // and a missing {{cargo.user.phone}} in a CALL-TOOL argument outside a TRY into the end of the flow
+  argumentInterpolationTest: [
+    'VariantStockDemo',
+    ' 42 ',           // Desk Lamp (gid://shop/ProductVariant/42): 7 in stock, 1 requested. / No email on file (template_unresolved) - we'll text you instead. / No value for "{{cargo.user.phone}}".
+  ],
+
+  // === TEMPLATE FILTER TEST ===
+
+  // Pipe filters format the receipt in the session language; maskPhone is registered by the harness
+  templateFilterTest: [
+    'ReceiptFilterDemo',
+    '555-123-4567',   // Thanks there! 3 items (Lamp, Bulb, Cable) ordered on March 5, 2026, total $1,234.50. Receipt sent to ******4567.
+  ],
+
+  // === BLOCK TEMPLATE TEST ===
+
+  // Nested #each with ../ parent access, #if/else, @first/@last/@key and (gt ...) in a SAY message
+  blockTemplateTest: [
+    'ShipmentBlocksDemo',
+    'a-2002',         // Order A-2002: first box via UPS (1 x Lamp for A-2002, 4 x Bulb (multi) for A-2002); next box via USPS (empty). Ship to city Austin, zip 78701.
+  ],
+
+  // === LOCALE FORMATTING TEST ===
+
+  // formatCurrency/formatNumber/formatDate/relativeTime/formatPhone follow the session language (--lang es)
+  localeFormatTest: [
+    'StorefrontOrderFormatDemo',
+    'B-3003',         // Order B-3003 placed on March 5, 2026: €1,234.50 (15% off), arriving in 3 days. We'll call +1 555 123 4567.
+  ],
+
+  // === CUSTOM TRANSFORM TEST ===
+
+  // maskCard is registered by the harness; its options are defaulted and checked against the declared schema
+  customTransformTest: [
+    'PaymentMethodDemo',   // Your VISA card ••••••••••••1234 (**************34) expires 08/29.
+  ],
+
+  // === JSONPATH QUERY TEST ===
+
+  // [*], ..sku, [?(...)] filters (with $ root references), [-1] and [0:2] slices in a jsonPath mapping
+  jsonPathQueryTest: [
+    'CatalogSearchDemo',   // Found Desk Lamp, LED Bulb, Lamp Shade (last: Lamp Shade). In stock: Desk Lamp, LED Bulb. Free shipping: Desk Lamp. First two cost 24 and 6. SKUs: LAMP-BLK LAMP-WHT BULB-2700K SHADE-LIN.
+  ],
+
+  // === XPATH MAPPING TEST ===
+
+  // SOAP XML mock response parsed and mapped with XPath (attributes, namespaces, predicates, count(), multiple, fallback)
+  xpathInvoiceTest: [
+    'LegacyInvoiceDemo',   // Invoice INV-7 for Smith & Sons is PAID: 3 lines, total $112.50. Bulk items: PAPER-A4, STAPLES. Highest price: TONER-BK. Due on receipt.
+  ],
+
+  // === GRAPHQL TOOL TEST ===
+
+  // GraphQL query mapped from data, then a mutation whose errors[] response fails the tool and runs onFail
+  graphqlToolTest: [
+    'GraphQLOrderDemo',   // Order #1001 is paid: 3 units (Ceramic Mug, Logo Tee). / The order could not be cancelled because it has already been fulfilled.
+  ],
+
+  // === OPENAPI IMPORT TEST ===
+
+  // Tool generated from an OpenAPI operation: path param substituted, query param and api_key query auth appended
+  openApiImportTest: [
+    'OpenApiOrderStatusDemo',   // Requested /orders/A-1001/status?include=tracking&api_key=demo-key
+  ],
+
+  // === MCP TOOL PROVIDER TEST ===
+
+  // Tools listed from the stdio stub server (tests/mcp-stub-server.js): JSON text content parsed, text parts joined, isError runs onFail
+  mcpToolTest: [
+    'McpOrderDemo',   // Order A-1001 is shipped with UPS (2 items). / Order A-1002\nStatus: processing / That order could not be found.
+  ],
+
+  // === TOOL OUTPUT SCHEMA TEST ===
+
+  // Mapped tool result checked against outputSchema: a valid quote is used, a malformed one is retried once and then runs onFail
+  outputSchemaTest: [
+    'ShippingQuoteDemo',   // Shipping: 18.4 EUR, 3 days. / The backup carrier sent an unreadable quote.
+  ],
+
   // === RATE LIMIT TESTING SCENARIOS ===
   
   // Test basic rate limiting behavior
@@ -4878,9 +6807,23 @@ if (typeof process !== 'undefined' && process.argv) {
       process.exit(0);
     }
 
-    engine = new WorkflowEngine(logger, fetchAiResponse, flowsMenu, toolsRegistry, APPROVED_FUNCTIONS, globalVariable, true, parsed.lang);
+    // Flows are validated once the custom transforms (and, for mcpToolTest only, the stub MCP server's tools) are registered
+    const withMcpServer = parsed.test === 'mcpToolTest' || parsed.test === 'all';
+    if (withMcpServer) {
+      flowsMenu.push(...mcpFlows);
+    }
+    engine = new WorkflowEngine(logger, fetchAiResponse, flowsMenu, toolsRegistry, APPROVED_FUNCTIONS, globalVariable, false, parsed.lang);
+    Object.assign(engine.templateFilters, TEMPLATE_FILTERS);
+    Object.entries(CUSTOM_TRANSFORMS).forEach(([name, definition]) => engine.registerTransform(name, definition));
+    if (withMcpServer) {
+      await engine.registerMcpServer(MCP_ORDERS_SERVER);
+    }
+    engine.performInitializationValidation();
     context.engine = engine;
 
+    // Show events published by EMIT steps
+    engine.on('*', (event) => console.log(`📣 Event ${event.name}: ${JSON.stringify(event.payload)}`));
+
     // Initialize session context for testing
     context.sessionContext = engine.initSession('test-user', 'test-session');
 
@@ -4923,6 +6866,8 @@ if (typeof process !== 'undefined' && process.argv) {
     }
     
     engine = new WorkflowEngine(logger, fetchAiResponse, flowsMenu, toolsRegistry, APPROVED_FUNCTIONS, "en", null, null, true, globalVariable );
+    Object.assign(engine.templateFilters, TEMPLATE_FILTERS);
+    Object.entries(CUSTOM_TRANSFORMS).forEach(([name, definition]) => engine.registerTransform(name, definition));
     context.engine = engine;
 
     // Initialize session context for interactive mode